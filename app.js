@@ -4,1103 +4,719 @@
  * SPDX-License-Identifier: MIT
  */
 
-import { merge } from "https://esm.sh/fast-cidr-tools@0.3.4";
-import { diffLines } from "https://esm.sh/diff@5.1.0";
 import {
-  normalizeInput,
-  extractValidCIDRs,
   getNormalizationSummary,
+  getExtractionSummary,
   NormalizationStatus,
 } from "./normalizer.js";
+import {
+  CIDRBlock,
+  FormatRegistry,
+  Operations,
+  transformToFormat,
+  formatComparisonReport,
+  attachLabels,
+  classifyCIDR,
+  SpecialPurposeCategories,
+  parseSpecialPurposeCategories,
+} from "./core.js";
+import {
+  generateDiff,
+  generateComparisonDiff,
+  buildDiffRows,
+  findDiffChanges,
+  runPipeline,
+} from "./pipeline.js";
+import {
+  CloudProviders,
+  parseCloudRanges,
+  filterCloudPrefixes,
+  getCloudFacets,
+  cloudPrefixesToText,
+} from "./cloud-ranges.js";
 
-const IPVersion = {
-  IPv4: "ipv4",
-  IPv6: "ipv6",
-};
-
-function expandIPv6(address) {
-  const bytes = parseIPv6(address);
-  if (!bytes) return address;
-
-  const groups = [];
-  for (let i = 0; i < 16; i += 2) {
-    const val = (bytes[i] << 8) | bytes[i + 1];
-    groups.push(val.toString(16).padStart(4, "0"));
-  }
-  return groups.join(":");
-}
-
-function compressIPv6(address) {
-  const bytes = parseIPv6(address);
-  if (!bytes) return address;
-
-  const groups = [];
-  for (let i = 0; i < 16; i += 2) {
-    const val = (bytes[i] << 8) | bytes[i + 1];
-    groups.push(val.toString(16));
-  }
-
-  let bestStart = -1;
-  let bestLength = 0;
-  let currentStart = -1;
-  let currentLength = 0;
-
-  for (let i = 0; i < groups.length; i++) {
-    if (groups[i] === "0") {
-      if (currentStart === -1) {
-        currentStart = i;
-        currentLength = 1;
-      } else {
-        currentLength++;
-      }
-    } else {
-      if (currentLength > bestLength && currentLength > 1) {
-        bestStart = currentStart;
-        bestLength = currentLength;
-      }
-      currentStart = -1;
-      currentLength = 0;
-    }
-  }
-
-  if (currentLength > bestLength && currentLength > 1) {
-    bestStart = currentStart;
-    bestLength = currentLength;
-  }
-
-  if (bestLength > 1) {
-    // Special case: all zeros
-    if (bestLength === groups.length) {
-      return "::";
-    }
-
-    const compressed = [
-      ...groups.slice(0, bestStart),
-      "",
-      ...groups.slice(bestStart + bestLength),
-    ];
-    let result = compressed.join(":");
-    // Handle leading compression (::)
-    if (result.startsWith(":") && !result.startsWith("::")) {
-      result = "::" + result.slice(1);
-    }
-    // Handle trailing compression (::)
-    if (result.endsWith(":") && !result.endsWith("::")) {
-      result = result.slice(0, -1) + "::";
-    }
-    // Fix triple colons that might appear
-    result = result.replace(/:::/g, "::");
-    return result;
-  }
-
-  return groups.join(":");
-}
-
-function calculateIPv6ReverseDNS(cidrBlock) {
-  const address = cidrBlock.toStartAddress();
-  const expanded = expandIPv6(address);
-  const hexString = expanded.replace(/:/g, "").padStart(32, "0");
-  const reversedHex = hexString.split("").reverse().join("");
-  const numHexDigits = Math.ceil(cidrBlock.prefix / 4);
-  const reversedPrefix = reversedHex.substring(0, numHexDigits);
-  const dotted = reversedPrefix.split("").join(".");
-  if (dotted === "") {
-    return "ip6.arpa";
-  }
-  return `${dotted}.ip6.arpa`;
-}
-
-function detectIPVersion(cidrString) {
-  if (!cidrString || typeof cidrString !== "string") {
-    throw new Error("Invalid CIDR format");
-  }
-
-  if (cidrString.startsWith("::") && cidrString.includes(".")) {
-    return IPVersion.IPv6;
-  }
-
-  if (cidrString.includes(".") && !cidrString.includes(":")) {
-    return IPVersion.IPv4;
-  }
-
-  if (cidrString.includes(":")) {
-    return IPVersion.IPv6;
-  }
-
-  throw new Error("Invalid CIDR format: cannot detect IP version");
-}
-
-function normalizeAddress(address, version) {
-  if (version === IPVersion.IPv6) {
-    return expandIPv6(address);
-  }
-  return address;
-}
-
-function calculateStartAddress(cidrBlock) {
-  if (cidrBlock.version === IPVersion.IPv4) {
-    return ipv4ToNumber(cidrBlock.address);
-  } else {
-    return ipv6ToNumber(cidrBlock.address);
-  }
-}
-
-function calculateEndAddress(cidrBlock) {
-  if (cidrBlock.version === IPVersion.IPv4) {
-    const numHosts = Math.pow(2, 32 - cidrBlock.prefix) - 1;
-    return cidrBlock.startAddress + numHosts;
-  } else {
-    const numHosts = BigInt(2) ** BigInt(128 - cidrBlock.prefix) - BigInt(1);
-    return cidrBlock.startAddress + numHosts;
-  }
-}
-
-function numberToIPv4(num) {
-  return [
-    (num >>> 24) & 255,
-    (num >>> 16) & 255,
-    (num >>> 8) & 255,
-    num & 255,
-  ].join(".");
-}
-
-function numberToIPv6(bigNum) {
-  const bytes = new Uint8Array(16);
-  for (let i = 15; i >= 0; i--) {
-    bytes[i] = Number(bigNum & BigInt(255));
-    bigNum = bigNum >> BigInt(8);
-  }
-
-  const groups = [];
-  for (let i = 0; i < 16; i += 2) {
-    const val = (bytes[i] << 8) | bytes[i + 1];
-    groups.push(val.toString(16));
-  }
-
-  return groups.join(":");
-}
-
-class CIDRBlock {
-  constructor(address, prefix, version) {
-    this.address = normalizeAddress(address, version);
-    this.prefix = prefix;
-    this.version = version;
-    this._expandedAddress =
-      version === IPVersion.IPv6 ? expandIPv6(address) : address;
-    this.startAddress = calculateStartAddress(this);
-    this.endAddress = calculateEndAddress(this);
-  }
-
-  get expandedAddress() {
-    return this._expandedAddress || this.address;
-  }
-
-  toCIDRString() {
-    return this.version === IPVersion.IPv6
-      ? compressIPv6(this.expandedAddress) + "/" + this.prefix
-      : this.address + "/" + this.prefix;
-  }
-
-  static compressIPv6(address) {
-    const bytes = [];
-    for (let i = 0; i < 8; i++) {
-      bytes[i] = Number((BigInt(address) >> BigInt(8 * i)) & BigInt(255));
-    }
-    return bytes.map((b, i) => b.toString(16).padStart(2, "0")).join(":");
-  }
+/** @type {string|null} Sorted input before aggregation (for diff) */
+let sortedInput = null;
 
-  toStartAddress() {
-    if (this.version === IPVersion.IPv4) {
-      return numberToIPv4(this.startAddress);
-    } else {
-      return compressIPv6(numberToIPv6(this.startAddress));
-    }
-  }
+/** @type {string|null} Aggregated output */
+let aggregatedOutput = null;
 
-  toEndAddress() {
-    if (this.version === IPVersion.IPv4) {
-      return numberToIPv4(this.endAddress);
-    } else {
-      return compressIPv6(numberToIPv6(this.endAddress));
-    }
-  }
+/** @type {{byOutput: Map, byInput: Map}|null} Provenance of the last run */
+let currentProvenance = null;
 
-  getRange() {
-    return [this.toStartAddress(), this.toEndAddress()];
-  }
+/** @type {string} Default transformation format */
+let currentFormat = "cidr";
 
-  toNetmask() {
-    if (this.version === IPVersion.IPv6) {
-      throw new Error("Netmask format is only available for IPv4 addresses");
-    }
+/** @type {string} Transformation timing - 'before' or 'after' aggregation */
+let transformationTiming = "after";
 
-    const netmask = (~0 << (32 - this.prefix)) >>> 0;
-    return numberToIPv4(netmask);
-  }
+/** @type {string} What to do with CIDRs that have host bits set - 'mask' or 'reject' */
+let hostBitsMode = "mask";
 
-  toWildcard() {
-    if (this.version === IPVersion.IPv6) {
-      throw new Error(
-        "Wildcard mask format is only available for IPv4 addresses",
-      );
-    }
+/** @type {string} IPv4-mapped IPv6 handling - 'keep', 'ipv4' (fold into IPv4) or 'ipv6' (map IPv4 into IPv6) */
+let mappedMode = "keep";
 
-    const netmask = (~0 << (32 - this.prefix)) >>> 0;
-    const wildcard = ~netmask >>> 0;
-    return numberToIPv4(wildcard);
-  }
+/** @type {string} Special-purpose filter - 'keep', 'all' (drop every category) or one category to drop */
+let specialMode = "keep";
 
-  static fromCIDRString(cidrString) {
-    const [address, prefix] = cidrString.split("/");
-    const version = address.includes(".") ? IPVersion.IPv4 : IPVersion.IPv6;
-    return new CIDRBlock(address, parseInt(prefix), version);
-  }
+/** @type {string} How the input is read - 'parse' (entry per token) or 'extract' (scan free text) */
+let inputMode = "parse";
 
-  static fromBytes(bytes, prefix, version) {
-    if (version === IPVersion.IPv4) {
-      const num =
-        (bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3];
-      const address = numberToIPv4(num);
-      return new CIDRBlock(address, prefix, version);
-    } else {
-      let bigNum = BigInt(0);
-      for (let i = 0; i < 16; i++) {
-        bigNum = (bigNum << BigInt(8)) | BigInt(bytes[i]);
-      }
-      const address = numberToIPv6(bigNum);
-      return new CIDRBlock(address, prefix, version);
-    }
-  }
-}
+/** @type {Object<string, Object>} User-entered transformer options, keyed by format name */
+let formatOptions = {};
 
-class FormatTransformer {
-  format(cidrBlocks) {
-    throw new Error("Must implement format() method");
-  }
+/** @type {{sorted: CIDRBlock[], aggregated: CIDRBlock[]}|null} Models of the last run, for re-formatting */
+let lastModels = null;
 
-  getName() {
-    throw new Error("Must implement getName() method");
-  }
+/** localStorage keys for persisted output preferences */
+const PreferenceKeys = {
+  format: "ip-aggregate:format",
+  timing: "ip-aggregate:timing",
+  options: "ip-aggregate:format-options",
+  hostBits: "ip-aggregate:host-bits",
+  mapped: "ip-aggregate:mapped",
+  special: "ip-aggregate:special",
+  inputMode: "ip-aggregate:input-mode",
+};
 
-  supportsIPv6() {
+/**
+ * Set the output format
+ * @param {string} formatName - Key of FormatRegistry
+ * @returns {boolean} True if the format exists and was applied
+ */
+function setFormat(formatName) {
+  if (!FormatRegistry[formatName]) {
     return false;
   }
+  currentFormat = formatName;
+  return true;
 }
 
-class CIDRFormatTransformer extends FormatTransformer {
-  format(cidrBlocks) {
-    return cidrBlocks.map((block) => block.toCIDRString()).join("\n");
-  }
-
-  getName() {
-    return "cidr";
-  }
-
-  supportsIPv6() {
-    return true;
-  }
-}
-
-class CiscoACLTransformer extends FormatTransformer {
-  format(cidrBlocks) {
-    const lines = [];
-    const ipv4Blocks = cidrBlocks.filter((b) => b.version === IPVersion.IPv4);
-    const ipv6Blocks = cidrBlocks.filter((b) => b.version === IPVersion.IPv6);
-
-    for (const block of ipv4Blocks) {
-      const wildcard = block.toWildcard();
-      lines.push(`access-list 101 permit ip ${block.address} ${wildcard} any`);
-    }
-
-    for (const block of ipv6Blocks) {
-      lines.push(`ipv6 access-list FIREWALL permit ${block.toCIDRString()}`);
-    }
-
-    return lines.join("\n");
-  }
-
-  getName() {
-    return "cisco-acl";
-  }
-
-  supportsIPv6() {
-    return true;
-  }
+/**
+ * Get the output format
+ * @returns {string} Key of FormatRegistry
+ */
+function getFormat() {
+  return currentFormat;
 }
 
-class CiscoPrefixListTransformer extends FormatTransformer {
-  format(cidrBlocks) {
-    const lines = [];
-    const ipv4Blocks = cidrBlocks.filter((b) => b.version === IPVersion.IPv4);
-    const ipv6Blocks = cidrBlocks.filter((b) => b.version === IPVersion.IPv6);
-
-    let seqNum = 10;
-    for (const block of ipv4Blocks) {
-      lines.push(
-        `ip prefix-list LIST seq ${seqNum} permit ${block.toCIDRString()} le ${block.prefix}`,
-      );
-      seqNum += 10;
-    }
-
-    seqNum = 10;
-    for (const block of ipv6Blocks) {
-      lines.push(
-        `ipv6 prefix-list LIST6 seq ${seqNum} permit ${block.toCIDRString()} le ${block.prefix}`,
-      );
-      seqNum += 10;
-    }
-
-    return lines.join("\n");
-  }
-
-  getName() {
-    return "cisco-prefix-list";
-  }
-
-  supportsIPv6() {
-    return true;
+/**
+ * Get the resolved options for a format (defaults merged with user values)
+ * @param {string} formatName - Key of FormatRegistry
+ * @returns {Object} Options object, empty for unknown formats
+ */
+function getFormatOptions(formatName) {
+  const transformer = FormatRegistry[formatName];
+  if (!transformer) {
+    return {};
   }
+  return transformer.resolveOptions(formatOptions[formatName]);
 }
 
-class CiscoWildcardTransformer extends FormatTransformer {
-  format(cidrBlocks) {
-    const lines = [];
-
-    const ipv4Blocks = cidrBlocks.filter((b) => b.version === IPVersion.IPv4);
-
-    const ipv6Blocks = cidrBlocks.filter((b) => b.version === IPVersion.IPv6);
-    if (ipv6Blocks.length > 0) {
-      console.warn(
-        `CiscoWildcardTransformer skipped ${ipv6Blocks.length} IPv6 blocks`,
-      );
-    }
-
-    for (const block of ipv4Blocks) {
-      const wildcard = block.toWildcard();
-      lines.push(`${block.address} ${wildcard}`);
-    }
-
-    return lines.join("\n");
-  }
-
-  getName() {
-    return "cisco-wildcard";
-  }
-
-  supportsIPv6() {
+/**
+ * Set one option for a format
+ * @param {string} formatName - Key of FormatRegistry
+ * @param {string} key - Option key from the transformer's schema
+ * @param {string|number} value - New value
+ * @returns {boolean} True if the format declares the option and it was stored
+ */
+function setFormatOption(formatName, key, value) {
+  const transformer = FormatRegistry[formatName];
+  if (
+    !transformer ||
+    !transformer.getOptionsSchema().some((field) => field.key === key)
+  ) {
     return false;
   }
+  formatOptions[formatName] = { ...formatOptions[formatName], [key]: value };
+  return true;
 }
 
-class IPMaskTransformer extends FormatTransformer {
-  format(cidrBlocks) {
-    const lines = [];
-
-    for (const block of cidrBlocks) {
-      if (block.version === IPVersion.IPv4) {
-        const netmask = block.toNetmask();
-        lines.push(`${block.address} ${netmask}`);
-      } else {
-        lines.push(block.toCIDRString());
-      }
-    }
-
-    return lines.join("\n");
-  }
-
-  getName() {
-    return "ip-mask";
-  }
-
-  supportsIPv6() {
-    return true;
-  }
-}
-
-class FortigateTransformer extends FormatTransformer {
-  format(cidrBlocks) {
-    const lines = [];
-    lines.push("config firewall addrgrp");
-    lines.push('  edit "address_group"');
-
-    for (const block of cidrBlocks) {
-      lines.push(`    set member "${block.toCIDRString()}"`);
-    }
-
-    lines.push("  next");
-    lines.push("end");
-
-    return lines.join("\n");
-  }
-
-  getName() {
-    return "fortigate";
-  }
-
-  supportsIPv6() {
-    return true;
-  }
-}
-
-class CiscoIPv6ACLTransformer extends FormatTransformer {
-  format(cidrBlocks) {
-    const lines = [];
-
-    for (const block of cidrBlocks) {
-      lines.push(`ipv6 access-list FIREWALL permit ${block.toCIDRString()}`);
-    }
-
-    return lines.join("\n");
-  }
-
-  getName() {
-    return "cisco-ipv6-acl";
-  }
-
-  supportsIPv6() {
-    return true;
-  }
-}
-
-class JuniperIPv6Transformer extends FormatTransformer {
-  format(cidrBlocks) {
-    const lines = [];
-    const ipv6Blocks = cidrBlocks.filter((b) => b.version === IPVersion.IPv6);
-
-    lines.push("set security address-book global");
-
-    for (let i = 0; i < ipv6Blocks.length; i++) {
-      const block = ipv6Blocks[i];
-      const [address, prefix] = block.toCIDRString().split("/");
-      lines.push(`set address ADDR-${i} ${address} ${prefix}`);
-    }
-
-    if (ipv6Blocks.length > 0) {
-      lines.push("set address address-set FIREWALL_LIST");
-      for (let i = 0; i < ipv6Blocks.length; i++) {
-        lines.push(`set address FIREWALL_LIST ADDR-${i}`);
-      }
-    }
-
-    return lines.join("\n");
-  }
-
-  getName() {
-    return "juniper-ipv6";
-  }
-
-  supportsIPv6() {
-    return true;
-  }
-}
-
-class IptablesTransformer extends FormatTransformer {
-  format(cidrBlocks) {
-    const lines = [];
-
-    for (const block of cidrBlocks) {
-      if (block.version === IPVersion.IPv4) {
-        lines.push(`iptables -A INPUT -s ${block.toCIDRString()} -j ACCEPT`);
-      } else if (block.version === IPVersion.IPv6) {
-        lines.push(`ip6tables -A INPUT -s ${block.toCIDRString()} -j ACCEPT`);
-      }
-    }
-
-    return lines.join("\n");
-  }
-
-  getName() {
-    return "iptables";
-  }
-
-  supportsIPv6() {
-    return true;
-  }
+/**
+ * Forget user-entered options for a format
+ * @param {string} formatName - Key of FormatRegistry
+ * @returns {void}
+ */
+function resetFormatOptions(formatName) {
+  delete formatOptions[formatName];
 }
 
-class UFWTransformer extends FormatTransformer {
-  format(cidrBlocks) {
-    const lines = [];
-
-    for (const block of cidrBlocks) {
-      lines.push(`ufw allow from ${block.toCIDRString()}`);
-    }
-
-    return lines.join("\n");
-  }
-
-  getName() {
-    return "ufw";
-  }
-
-  supportsIPv6() {
-    return true;
+/**
+ * Set when the format transformation is applied
+ * @param {string} timing - "before" or "after" aggregation
+ * @returns {boolean} True if the timing is valid and was applied
+ */
+function setTransformationTiming(timing) {
+  if (timing !== "before" && timing !== "after") {
+    return false;
   }
+  transformationTiming = timing;
+  return true;
 }
 
-class PaloAltoTransformer extends FormatTransformer {
-  format(cidrBlocks) {
-    return cidrBlocks.map((block) => block.toCIDRString()).join("\n");
-  }
-
-  getName() {
-    return "palo-alto";
-  }
-
-  supportsIPv6() {
-    return true;
-  }
+/**
+ * Get when the format transformation is applied
+ * @returns {string} "before" or "after"
+ */
+function getTransformationTiming() {
+  return transformationTiming;
 }
 
-class AWSSecurityGroupTransformer extends FormatTransformer {
-  format(cidrBlocks) {
-    const rules = [];
-    for (const block of cidrBlocks) {
-      const rule = {
-        IpProtocol: "-1",
-        FromPort: -1,
-        ToPort: -1,
-        Description: `Allow from ${block.toCIDRString()}`,
-      };
-      if (block.version === IPVersion.IPv4) {
-        rule.CidrIp = block.toCIDRString();
-      } else {
-        rule.CidrIpv6 = block.toCIDRString();
-      }
-      rules.push(rule);
-    }
-    return JSON.stringify({ Rules: rules }, null, 2);
-  }
-
-  getName() {
-    return "aws-security-group";
-  }
-
-  supportsIPv6() {
-    return true;
+/**
+ * Set how CIDRs with host bits set (10.0.0.5/24) are handled
+ * @param {string} mode - "mask" to correct them to the network address, "reject" to mark them invalid
+ * @returns {boolean} True if the mode is valid and was applied
+ */
+function setHostBitsMode(mode) {
+  if (mode !== "mask" && mode !== "reject") {
+    return false;
   }
+  hostBitsMode = mode;
+  return true;
 }
 
-class GCPFirewallTransformer extends FormatTransformer {
-  format(cidrBlocks) {
-    const rules = [];
-    for (const block of cidrBlocks) {
-      const address = block.address;
-      const name = "rule-" + address.replace(/\./g, "-").replace(/:/g, "-");
-      const rule = {
-        name: name,
-        sourceRanges: [block.toCIDRString()],
-        allowed: [{ IPProtocol: "TCP", ports: ["80", "443"] }],
-      };
-      rules.push(rule);
-    }
-    return JSON.stringify({ Rules: rules }, null, 2);
-  }
-
-  getName() {
-    return "gcp-firewall";
-  }
-
-  supportsIPv6() {
-    return true;
-  }
+/**
+ * Get how CIDRs with host bits set are handled
+ * @returns {string} "mask" or "reject"
+ */
+function getHostBitsMode() {
+  return hostBitsMode;
 }
 
-class AzureNSGTransformer extends FormatTransformer {
-  format(cidrBlocks) {
-    const rules = [];
-    for (const block of cidrBlocks) {
-      const address = block.address;
-      const name = "rule-" + address.replace(/\./g, "-").replace(/:/g, "-");
-      const rule = {
-        name: name,
-        properties: {
-          sourceAddressPrefix: block.toCIDRString(),
-          access: "Allow",
-          priority: 1000,
-        },
-      };
-      rules.push(rule);
-    }
-    return JSON.stringify({ rules: rules }, null, 2);
-  }
-
-  getName() {
-    return "azure-nsg";
-  }
-
-  supportsIPv6() {
-    return true;
+/**
+ * Set how IPv4-mapped IPv6 entries (::ffff:10.0.0.0/104) are handled
+ * @param {string} mode - "keep" as written, "ipv4" to fold them into IPv4, "ipv6" to map IPv4 entries into IPv6
+ * @returns {boolean} True if the mode is valid and was applied
+ */
+function setMappedMode(mode) {
+  if (mode !== "keep" && mode !== "ipv4" && mode !== "ipv6") {
+    return false;
   }
+  mappedMode = mode;
+  return true;
 }
 
-class ReverseDNSTransformer extends FormatTransformer {
-  format(cidrBlocks) {
-    const lines = [];
-
-    for (const block of cidrBlocks) {
-      if (block.version === IPVersion.IPv4) {
-        const octets = block.address.split(".");
-        const numOctets = Math.ceil(block.prefix / 8);
-        const reversedOctets = octets.slice(0, numOctets).reverse();
-        lines.push(`${reversedOctets.join(".")}.in-addr.arpa`);
-      } else {
-        const reverseDNS = calculateIPv6ReverseDNS(block);
-        lines.push(reverseDNS);
-      }
-    }
-
-    return lines.join("\n");
-  }
-
-  getName() {
-    return "reverse-dns";
-  }
-
-  supportsIPv6() {
-    return true;
-  }
+/**
+ * Get how IPv4-mapped IPv6 entries are handled
+ * @returns {string} "keep", "ipv4" or "ipv6"
+ */
+function getMappedMode() {
+  return mappedMode;
 }
 
-const FormatRegistry = {
-  cidr: new CIDRFormatTransformer(),
-  "cisco-acl": new CiscoACLTransformer(),
-  "cisco-prefix-list": new CiscoPrefixListTransformer(),
-  "cisco-wildcard": new CiscoWildcardTransformer(),
-  "ip-mask": new IPMaskTransformer(),
-  fortigate: new FortigateTransformer(),
-  "cisco-ipv6-acl": new CiscoIPv6ACLTransformer(),
-  "juniper-ipv6": new JuniperIPv6Transformer(),
-  "palo-alto": new PaloAltoTransformer(),
-  iptables: new IptablesTransformer(),
-  ufw: new UFWTransformer(),
-  "aws-sg": new AWSSecurityGroupTransformer(),
-  "gcp-firewall": new GCPFirewallTransformer(),
-  "azure-nsg": new AzureNSGTransformer(),
-  "reverse-dns": new ReverseDNSTransformer(),
-};
-
-/** @type {string|null} Sorted input before aggregation (for diff) */
-let sortedInput = null;
-
-/** @type {string|null} Aggregated output */
-let aggregatedOutput = null;
-
-/** @type {string} Default transformation format */
-let currentFormat = "cidr";
-
-/** @type {string} Transformation timing - 'before' or 'after' aggregation */
-let transformationTiming = "after";
-
 /**
- * Apply format transformation to an array of CIDRBlock models
- * @param {CIDRBlock[]} cidrModels - Array of CIDRBlock instances
- * @param {string} formatName - Name of format to transform to
- * @returns {string} Formatted output string
+ * Set which special-purpose space is dropped from the input before the operation
+ * @param {string} mode - "keep" to drop nothing, "all" for every category, or a
+ *   key of SpecialPurposeCategories
+ * @returns {boolean} True if the mode is valid and was applied
  */
-function transformToFormat(cidrModels, formatName) {
-  const transformer = FormatRegistry[formatName];
-  if (!transformer) {
-    console.error(`Unknown format: ${formatName}`);
-    return cidrModels.map((c) => c.toCIDRString()).join("\n");
+function setSpecialMode(mode) {
+  if (mode !== "keep" && mode !== "all" && !SpecialPurposeCategories[mode]) {
+    return false;
   }
-
-  return transformer.format(cidrModels);
+  specialMode = mode;
+  return true;
 }
 
 /**
- * Sort CIDRBlock models by version (IPv4 first), then by start address, then by prefix
- * @param {CIDRBlock[]} cidrModels - Array of CIDRBlock instances
- * @returns {CIDRBlock[]} Sorted array of CIDRBlock models
+ * Get which special-purpose space is dropped from the input
+ * @returns {string} "keep", "all" or a category key
  */
-function sortCIDRModels(cidrModels) {
-  return [...cidrModels].sort((a, b) => {
-    if (a.version !== b.version) {
-      return a.version === IPVersion.IPv4 ? -1 : 1;
-    }
-
-    if (a.version === IPVersion.IPv4) {
-      if (a.startAddress !== b.startAddress) {
-        return a.startAddress - b.startAddress;
-      }
-      return a.prefix - b.prefix;
-    }
-
-    const aExpanded = a.expandedAddress;
-    const bExpanded = b.expandedAddress;
-
-    if (aExpanded !== bExpanded) {
-      return aExpanded < bExpanded ? -1 : 1;
-    }
-
-    if (a.version === IPVersion.IPv4) {
-      if (a.startAddress !== b.startAddress) {
-        return a.startAddress - b.startAddress;
-      }
-      return a.prefix - b.prefix;
-    } else {
-      if (a.startAddress !== b.startAddress) {
-        return a.startAddress < b.startAddress ? -1 : 1;
-      }
-      return a.prefix - b.prefix;
-    }
-  });
+function getSpecialMode() {
+  return specialMode;
 }
 
 /**
- * Check if a string is a bare IPv4 address (no prefix)
- * @param {string} addr - Address string to check
- * @returns {boolean} True if it's a bare IPv4 address
+ * Set how the input text is read
+ * @param {string} mode - "parse" to treat every token as an entry, "extract" to pull addresses out of free text
+ * @returns {boolean} True if the mode is valid and was applied
  */
-function isBareIPv4(addr) {
-  if (addr.includes("/")) {
+function setInputMode(mode) {
+  if (mode !== "parse" && mode !== "extract") {
     return false;
   }
-
-  const ipv4Regex = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
-  const match = addr.match(ipv4Regex);
-  if (!match) return false;
-
-  const octets = match.slice(1, 5).map(Number);
-  for (const octet of octets) {
-    if (octet < 0 || octet > 255) return false;
-  }
+  inputMode = mode;
   return true;
 }
 
 /**
- * Check if a string is a bare IPv6 address (no prefix)
- * @param {string} addr - Address string to check
- * @returns {boolean} True if it's a bare IPv6 address
+ * Get how the input text is read
+ * @returns {string} "parse" or "extract"
  */
-function isBareIPv6(addr) {
-  if (addr.includes("/")) {
-    return false;
-  }
+function getInputMode() {
+  return inputMode;
+}
 
+/**
+ * Load the persisted output, host-bits, mapped-address and input-mode preferences, ignoring unknown values
+ * @returns {void}
+ */
+function loadPreferences() {
   try {
-    const bytes = parseIPv6(addr);
-    return bytes !== null;
+    setFormat(localStorage.getItem(PreferenceKeys.format));
+    setTransformationTiming(localStorage.getItem(PreferenceKeys.timing));
+    setHostBitsMode(localStorage.getItem(PreferenceKeys.hostBits));
+    setMappedMode(localStorage.getItem(PreferenceKeys.mapped));
+    setSpecialMode(localStorage.getItem(PreferenceKeys.special));
+    setInputMode(localStorage.getItem(PreferenceKeys.inputMode));
+    const storedOptions = JSON.parse(
+      localStorage.getItem(PreferenceKeys.options) || "{}",
+    );
+    if (storedOptions && typeof storedOptions === "object") {
+      formatOptions = storedOptions;
+    }
   } catch (e) {
-    return false;
+    // Storage unavailable (private mode, file://) or corrupt; keep defaults
   }
 }
 
 /**
- * Normalize an address to CIDR format if needed
- * @param {string} addr - Address string (may or may not have prefix)
- * @returns {string} CIDR notation string
+ * Persist the current output, host-bits, mapped-address and input-mode preferences
+ * @returns {void}
  */
-function normalizeToCIDR(addr) {
-  if (addr.includes("/")) {
-    return addr;
+function savePreferences() {
+  try {
+    localStorage.setItem(PreferenceKeys.format, currentFormat);
+    localStorage.setItem(PreferenceKeys.timing, transformationTiming);
+    localStorage.setItem(PreferenceKeys.hostBits, hostBitsMode);
+    localStorage.setItem(PreferenceKeys.mapped, mappedMode);
+    localStorage.setItem(PreferenceKeys.special, specialMode);
+    localStorage.setItem(PreferenceKeys.inputMode, inputMode);
+    localStorage.setItem(PreferenceKeys.options, JSON.stringify(formatOptions));
+  } catch (e) {
+    // Storage unavailable (private mode, file://); choice lasts for the session
   }
+}
 
-  if (isBareIPv4(addr)) {
-    return `${addr}/32`;
-  }
+/** Diffs with more rows than this are virtualized */
+const DIFF_VIRTUALIZE_THRESHOLD = 500;
 
-  if (isBareIPv6(addr)) {
-    return `${addr}/128`;
-  }
+/** Rows rendered above and below the visible part of a virtualized diff */
+const DIFF_OVERSCAN_ROWS = 20;
 
-  return addr;
-}
+/** Row height in pixels of a virtualized diff (matches .diff-column.virtualized in index.html) */
+const DIFF_ROW_HEIGHT = 20;
 
 /**
- * Parse input string into array of CIDR strings
- * @param {string} input - Input text from textarea
- * @returns {string[]} Array of CIDR strings
+ * @type {{rows: DiffRow[], changes: number[], currentChange: number, virtual: boolean, first: number, last: number}|null}
+ * Rows of the rendered diff and the change navigation position
  */
-function parseInput(input) {
-  if (!input || input.trim() === "") {
-    return [];
-  }
+let diffView = null;
 
-  return input
-    .trim()
-    .split(/[\n,]+/)
-    .map((s) => s.trim())
-    .filter((s) => s.length > 0)
-    .map(normalizeToCIDR);
-}
+/** @type {{input: Set<string>, output: Set<string>}|null} CIDRs highlighted by the provenance selection */
+let linkedCIDRs = null;
 
 /**
- * Validate a CIDR string (both IPv4 and IPv6)
- * @param {string} cidr - CIDR notation string
- * @returns {boolean} True if valid CIDR, false otherwise
+ * Render diff visualization
+ * Both columns show the same rows, so they scroll together. Large diffs only
+ * create elements for the rows in view (plus DIFF_OVERSCAN_ROWS either side).
+ * @param {Array} diffParts - Diff parts from jsdiff
+ * @returns {void}
  */
-function isValidCIDR(cidr) {
-  if (!cidr || typeof cidr !== "string") {
-    return false;
-  }
-
-  const parts = cidr.split("/");
-  if (parts.length !== 2) {
-    return false;
-  }
-
-  const [address, prefix] = parts;
+function renderDiff(diffParts) {
+  const beforeColumn = document.getElementById("beforeColumn");
+  const afterColumn = document.getElementById("afterColumn");
 
-  if (prefix === "" || isNaN(parseInt(prefix))) {
-    return false;
+  const rows = buildDiffRows(diffParts);
+  diffView = {
+    rows,
+    changes: findDiffChanges(rows),
+    currentChange: -1,
+    virtual: rows.length > DIFF_VIRTUALIZE_THRESHOLD,
+    first: -1,
+    last: -1,
+  };
+  // A new diff invalidates the previous run's provenance until it is attached again
+  currentProvenance = null;
+  linkedCIDRs = null;
+
+  for (const column of [beforeColumn, afterColumn]) {
+    column.innerHTML = "";
+    column.scrollTop = 0;
+    column.classList.toggle("virtualized", diffView.virtual);
+    if (diffView.virtual) {
+      const spacer = document.createElement("div");
+      spacer.className = "diff-spacer";
+      spacer.style.height = `${rows.length * DIFF_ROW_HEIGHT}px`;
+      const windowDiv = document.createElement("div");
+      windowDiv.className = "diff-window";
+      spacer.appendChild(windowDiv);
+      column.appendChild(spacer);
+    }
   }
+  beforeColumn.onscroll = () => syncDiffScroll(beforeColumn, afterColumn);
+  afterColumn.onscroll = () => syncDiffScroll(afterColumn, beforeColumn);
 
-  const prefixNum = parseInt(prefix);
+  renderDiffWindow();
+  updateChangeNavigation();
 
-  return isValidIPv4(address, prefixNum) || isValidIPv6(address, prefixNum);
+  const diffContainer = document.getElementById("diffContainer");
+  diffContainer.classList.add("show");
 }
 
 /**
- * Validate IPv4 address with prefix
- * @param {string} address - IPv4 address
- * @param {number} prefix - Prefix length
- * @returns {boolean} True if valid IPv4 CIDR
+ * Create the element for one side of a diff row
+ * @param {DiffRow} row - Row to render
+ * @param {string} side - "input" for the before column, "output" for the after column
+ * @returns {HTMLElement} Line element, or an empty filler when the side has no line
  */
-function isValidIPv4(address, prefix) {
-  const ipv4Regex = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
-  const match = address.match(ipv4Regex);
-
-  if (!match) {
-    return false;
-  }
-
-  const octets = match.slice(1, 5).map(Number);
+function createDiffLine(row, side) {
+  const text = side === "input" ? row.before : row.after;
+  const div = document.createElement("div");
+  if (text === null) {
+    div.className = "diff-filler";
+    return div;
+  }
+
+  div.className = row.changed
+    ? `diff-line ${side === "input" ? "removed" : "added"}`
+    : "diff-line";
+  div.textContent = text;
+  tagSpecialPurpose(div, getLineSpecialPurpose(text));
+  decorateDiffLine(div, side);
+  return div;
+}
 
-  for (const octet of octets) {
-    if (octet < 0 || octet > 255) {
-      return false;
-    }
+/**
+ * Classify the block on a diff line against the special-purpose registries
+ * @param {string} text - Line text: a CIDR, or "!CIDR" for a negated entry
+ * @returns {Array<Object>} Tags from classifyCIDR(), empty for ordinary space
+ *   and for lines that are not a CIDR
+ */
+function getLineSpecialPurpose(text) {
+  try {
+    return classifyCIDR(text.replace(/^!/, ""));
+  } catch {
+    return [];
   }
+}
 
-  return prefix >= 0 && prefix <= 32;
+/**
+ * Describe special-purpose tags for a tooltip
+ * @param {Array<Object>} tags - Tags from classifyCIDR()
+ * @returns {string[]} One line per tag
+ */
+function describeSpecialPurpose(tags) {
+  return tags.map(
+    (tag) =>
+      `${tag.partial ? "Overlaps" : "In"} ${tag.name} ${tag.cidr} (${tag.rfc})`,
+  );
 }
 
 /**
- * Validate IPv6 address with prefix
- * @param {string} address - IPv6 address
- * @param {number} prefix - Prefix length
- * @returns {boolean} True if valid IPv6 CIDR
+ * Mark a diff line with its special-purpose categories
+ * data-special lists the category keys for selectors and filters;
+ * data-special-label is the badge text the stylesheet shows after the CIDR.
+ * @param {HTMLElement} div - Diff line element
+ * @param {Array<Object>} tags - Tags from classifyCIDR()
+ * @returns {void}
  */
-function isValidIPv6(address, prefix) {
-  try {
-    const bytes = parseIPv6(address);
-    if (!bytes) {
-      return false;
-    }
-    return prefix >= 0 && prefix <= 128;
-  } catch (e) {
-    return false;
-  }
+function tagSpecialPurpose(div, tags) {
+  if (tags.length === 0) return;
+
+  div.classList.add("special-purpose");
+  div.dataset.special = [...new Set(tags.map((tag) => tag.category))].join(" ");
+  div.dataset.specialLabel = [
+    ...new Set(
+      tags.map((tag) =>
+        tag.partial ? `${tag.category} (partial)` : tag.category,
+      ),
+    ),
+  ].join(", ");
+  div.title = describeSpecialPurpose(tags).join("\n");
 }
 
 /**
- * Parse an IPv6 address string into a 16-byte array
- * @param {string} addr - IPv6 address string (may be compressed with ::)
- * @returns {Uint8Array|null} 16-byte array representing the address, or null if invalid
+ * Render the rows of the diff that are in view
+ * Non-virtualized diffs render every row once.
+ * @returns {void}
  */
-function parseIPv6(addr) {
-  addr = addr.trim().toLowerCase();
-
-  if (addr.includes("::")) {
-    const parts = addr.split("::");
-    if (parts.length > 2) return null;
-
-    const left = parts[0] ? parts[0].split(":") : [];
-    const right = parts[1] ? parts[1].split(":") : [];
-    const missing = 8 - left.length - right.length;
-
-    const groups = [...left];
-    for (let i = 0; i < missing; i++) groups.push("0");
-    groups.push(...right);
-
-    const bytes = new Uint8Array(16);
-    for (let i = 0; i < 8; i++) {
-      const val = parseInt(groups[i] || "0", 16);
-      if (isNaN(val) || val > 0xffff) return null;
-      bytes[i * 2] = (val >> 8) & 0xff;
-      bytes[i * 2 + 1] = val & 0xff;
+function renderDiffWindow() {
+  if (!diffView) return;
+  const beforeColumn = document.getElementById("beforeColumn");
+  const afterColumn = document.getElementById("afterColumn");
+
+  let first = 0;
+  let last = diffView.rows.length;
+  if (diffView.virtual) {
+    const height = beforeColumn.clientHeight || 400;
+    first = Math.max(
+      0,
+      Math.floor(beforeColumn.scrollTop / DIFF_ROW_HEIGHT) - DIFF_OVERSCAN_ROWS,
+    );
+    last = Math.min(
+      diffView.rows.length,
+      Math.ceil((beforeColumn.scrollTop + height) / DIFF_ROW_HEIGHT) +
+        DIFF_OVERSCAN_ROWS,
+    );
+  }
+  if (first === diffView.first && last === diffView.last) return;
+  diffView.first = first;
+  diffView.last = last;
+
+  const columns = [
+    [beforeColumn, "input"],
+    [afterColumn, "output"],
+  ];
+  for (const [column, side] of columns) {
+    const target = diffView.virtual
+      ? column.querySelector(".diff-window")
+      : column;
+    target.innerHTML = "";
+    if (diffView.virtual) {
+      target.style.top = `${first * DIFF_ROW_HEIGHT}px`;
     }
-    return bytes;
-  } else {
-    const groups = addr.split(":");
-    if (groups.length !== 8) return null;
-
-    const bytes = new Uint8Array(16);
-    for (let i = 0; i < 8; i++) {
-      const val = parseInt(groups[i], 16);
-      if (isNaN(val) || val > 0xffff) return null;
-      bytes[i * 2] = (val >> 8) & 0xff;
-      bytes[i * 2 + 1] = val & 0xff;
+    const fragment = document.createDocumentFragment();
+    for (let i = first; i < last; i++) {
+      fragment.appendChild(createDiffLine(diffView.rows[i], side));
     }
-    return bytes;
+    target.appendChild(fragment);
   }
 }
 
 /**
- * Convert IPv4 address to numeric value for comparison
- * @param {string} address - IPv4 address (without prefix)
- * @returns {number} Numeric representation
+ * Keep the diff columns at the same scroll position and render the rows in view
+ * @param {HTMLElement} source - Column that was scrolled
+ * @param {HTMLElement} target - Column to follow it
+ * @returns {void}
  */
-function ipv4ToNumber(address) {
-  const parts = address.split(".").map(Number);
-  return (
-    ((parts[0] << 24) >>> 0) +
-    ((parts[1] << 16) >>> 0) +
-    ((parts[2] << 8) >>> 0) +
-    parts[3]
-  );
+function syncDiffScroll(source, target) {
+  if (target.scrollTop !== source.scrollTop) {
+    target.scrollTop = source.scrollTop;
+  }
+  renderDiffWindow();
 }
 
 /**
- * Convert IPv6 address to numeric value for comparison
- * @param {string} address - IPv6 address (without prefix)
- * @returns {bigint} Numeric representation
+ * Scroll both diff columns so a row is at the top
+ * @param {number} index - Row index
+ * @returns {void}
  */
-function ipv6ToNumber(address) {
-  const bytes = parseIPv6(address);
-  if (!bytes) {
-    return BigInt(0);
-  }
+function scrollToDiffRow(index) {
+  const beforeColumn = document.getElementById("beforeColumn");
+  const afterColumn = document.getElementById("afterColumn");
 
-  let result = BigInt(0);
-  for (let i = 0; i < 16; i++) {
-    result = (result << BigInt(8)) | BigInt(bytes[i]);
+  let top = index * DIFF_ROW_HEIGHT;
+  if (!diffView.virtual) {
+    const line = beforeColumn.children[index];
+    top = line ? line.offsetTop : 0;
   }
-  return result;
+  beforeColumn.scrollTop = top;
+  afterColumn.scrollTop = top;
+  renderDiffWindow();
 }
 
 /**
- * Compare two CIDR strings for sorting
- * @param {string} a - First CIDR string
- * @param {string} b - Second CIDR string
- * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ * Jump to the next or previous change in the diff, wrapping around at either end
+ * @param {number} step - 1 for the next change, -1 for the previous one
+ * @returns {number} Row index of the change, or -1 if there are no changes
  */
-function compareCIDR(a, b) {
-  const isAIPv4 = a.includes(".");
-  const isBIPv4 = b.includes(".");
+function jumpToChange(step) {
+  if (!diffView || diffView.changes.length === 0) return -1;
 
-  if (isAIPv4 && !isBIPv4) {
-    return -1;
-  }
-  if (!isAIPv4 && isBIPv4) {
-    return 1;
+  const count = diffView.changes.length;
+  if (diffView.currentChange === -1) {
+    diffView.currentChange = step > 0 ? 0 : count - 1;
+  } else {
+    diffView.currentChange = (diffView.currentChange + step + count) % count;
   }
 
-  const [addrA, prefixA] = a.split("/");
-  const [addrB, prefixB] = b.split("/");
+  const index = diffView.changes[diffView.currentChange];
+  scrollToDiffRow(index);
+  updateChangeNavigation();
+  return index;
+}
 
-  if (isAIPv4) {
-    const numA = ipv4ToNumber(addrA);
-    const numB = ipv4ToNumber(addrB);
-    if (numA !== numB) {
-      return numA - numB;
-    }
-    return parseInt(prefixA) - parseInt(prefixB);
+/**
+ * Update the change counter and the next/previous buttons
+ * @returns {void}
+ */
+function updateChangeNavigation() {
+  const status = document.getElementById("changeStatus");
+  const count = diffView ? diffView.changes.length : 0;
+
+  for (const id of ["prevChangeBtn", "nextChangeBtn"]) {
+    const button = document.getElementById(id);
+    if (button) button.disabled = count === 0;
+  }
+  if (!status) return;
+
+  if (count === 0) {
+    status.textContent = "No changes";
+  } else if (diffView.currentChange === -1) {
+    status.textContent = `${count} change${count === 1 ? "" : "s"}`;
   } else {
-    const numA = ipv6ToNumber(addrA);
-    const numB = ipv6ToNumber(addrB);
-    if (numA !== numB) {
-      return numA < numB ? -1 : 1;
-    }
-    return parseInt(prefixA) - parseInt(prefixB);
+    status.textContent = `Change ${diffView.currentChange + 1} of ${count}`;
   }
 }
 
 /**
- * Sort CIDR strings (IPv4 first, then IPv6, each sorted numerically)
- * @param {string[]} cidrs - Array of CIDR strings
- * @returns {string[]} Sorted array of CIDR strings
+ * Get the lines of one diff column as text
+ * @param {string} side - "input" for the before column, "output" for the after column
+ * @returns {string} Lines joined with newlines (gaps skipped)
  */
-function sortCIDRs(cidrs) {
-  return [...cidrs].sort(compareCIDR);
+function getDiffColumnText(side) {
+  if (!diffView) return "";
+  return diffView.rows
+    .map((row) => (side === "input" ? row.before : row.after))
+    .filter((line) => line !== null)
+    .join("\n");
 }
 
 /**
- * Aggregate CIDR addresses using cidr-tools
- * @param {string[]} cidrs - Array of CIDR strings
- * @returns {string[]} Array of aggregated CIDR strings
+ * Describe the input entries absorbed by an output block
+ * @param {string} cidr - Output CIDR
+ * @param {{byOutput: Map, byInput: Map}} provenance - Result of buildProvenance()
+ * @returns {string[]} Heading followed by one line per source entry
  */
-function aggregateCIDRs(cidrs) {
-  if (cidrs.length === 0) {
-    return [];
-  }
-
-  try {
-    const merged = merge(cidrs);
-    return merged;
-  } catch (e) {
-    console.error("Aggregation error:", e);
-    return cidrs;
-  }
+function describeOutputProvenance(cidr, provenance) {
+  const sources = provenance.byOutput.get(cidr) || [];
+  return [
+    `${cidr} absorbed ${sources.length} input entr${sources.length === 1 ? "y" : "ies"}:`,
+    ...sources.map(
+      (source) =>
+        `Line ${source.lineNumber}: ${source.original}${source.label ? ` (${source.label})` : ""}`,
+    ),
+  ];
 }
 
 /**
- * Generate diff between two text arrays
- * @param {string[]} before - Before array
- * @param {string[]} after - After array
- * @returns {Array} Diff parts from jsdiff
+ * Describe the output blocks covering an input CIDR
+ * @param {string} cidr - Sorted input CIDR
+ * @param {{byOutput: Map, byInput: Map}} provenance - Result of buildProvenance()
+ * @returns {string[]} One line per source entry with the blocks covering it
  */
-function generateDiff(before, after) {
-  const beforeText = before.join("\n");
-  const afterText = after.join("\n");
-  return diffLines(beforeText, afterText);
+function describeInputProvenance(cidr, provenance) {
+  const sources = provenance.byInput.get(cidr) || [];
+  return sources.map(
+    (source) =>
+      `Line ${source.lineNumber}: ${source.original} → ${
+        source.outputs.length > 0 ? source.outputs.join(", ") : "not in output"
+      }`,
+  );
 }
 
 /**
- * Render diff visualization
- * @param {Array} diffParts - Diff parts from jsdiff
+ * Highlight the lines linked to a selected diff line and show details
+ * @param {string} cidr - CIDR of the selected line
+ * @param {string} side - "input" for the before column, "output" for the after column
  * @returns {void}
  */
-function renderDiff(diffParts) {
+function selectProvenance(cidr, side) {
+  if (!currentProvenance) return;
+
   const beforeColumn = document.getElementById("beforeColumn");
   const afterColumn = document.getElementById("afterColumn");
+  const details = document.getElementById("provenanceDetails");
+
+  let inputCIDRs;
+  let outputCIDRs;
+  let lines;
+  if (side === "output") {
+    const sources = currentProvenance.byOutput.get(cidr) || [];
+    inputCIDRs = new Set(
+      sources.map((source) =>
+        CIDRBlock.fromCIDRString(source.cidr).toCIDRString(),
+      ),
+    );
+    outputCIDRs = new Set([cidr]);
+    lines = describeOutputProvenance(cidr, currentProvenance);
+  } else {
+    const sources = currentProvenance.byInput.get(cidr) || [];
+    inputCIDRs = new Set([cidr]);
+    outputCIDRs = new Set(sources.flatMap((source) => source.outputs));
+    lines = describeInputProvenance(cidr, currentProvenance);
+  }
+  linkedCIDRs = { input: inputCIDRs, output: outputCIDRs };
 
-  beforeColumn.innerHTML = "";
-  afterColumn.innerHTML = "";
+  for (const div of beforeColumn.querySelectorAll(".diff-line")) {
+    div.classList.toggle("linked", inputCIDRs.has(div.dataset.cidr));
+  }
+  for (const div of afterColumn.querySelectorAll(".diff-line")) {
+    div.classList.toggle("linked", outputCIDRs.has(div.dataset.cidr));
+  }
 
-  diffParts.forEach((part) => {
-    const lines = part.value.split("\n");
-    const filteredLines = lines.filter((line) => line.length > 0);
+  if (details) {
+    details.innerHTML = "";
+    for (const line of lines) {
+      const div = document.createElement("div");
+      div.className = "validation-item";
+      div.textContent = line;
+      details.appendChild(div);
+    }
+    details.style.display = lines.length > 0 ? "block" : "none";
+  }
+}
 
-    if (part.added) {
-      filteredLines.forEach((line) => {
-        const div = document.createElement("div");
-        div.className = "diff-line added";
-        div.textContent = line;
-        afterColumn.appendChild(div);
-      });
-    } else if (part.removed) {
-      filteredLines.forEach((line) => {
-        const div = document.createElement("div");
-        div.className = "diff-line removed";
-        div.textContent = line;
-        beforeColumn.appendChild(div);
-      });
-    } else {
-      filteredLines.forEach((line) => {
-        const beforeDiv = document.createElement("div");
-        beforeDiv.className = "diff-line";
-        beforeDiv.textContent = line;
-        beforeColumn.appendChild(beforeDiv);
-
-        const afterDiv = document.createElement("div");
-        afterDiv.className = "diff-line";
-        afterDiv.textContent = line;
-        afterColumn.appendChild(afterDiv);
-      });
+/**
+ * Make one diff line show and select its provenance
+ * Does nothing until attachProvenance() has set the provenance of the run.
+ * @param {HTMLElement} div - Diff line element
+ * @param {string} side - "input" for the before column, "output" for the after column
+ * @returns {void}
+ */
+function decorateDiffLine(div, side) {
+  if (!currentProvenance) return;
+
+  const cidr = div.textContent;
+  div.dataset.cidr = cidr;
+  div.tabIndex = 0;
+  div.title = [
+    ...(side === "output"
+      ? describeOutputProvenance(cidr, currentProvenance)
+      : describeInputProvenance(cidr, currentProvenance)),
+    ...describeSpecialPurpose(getLineSpecialPurpose(cidr)),
+  ].join("\n");
+  if (linkedCIDRs && linkedCIDRs[side].has(cidr)) {
+    div.classList.add("linked");
+  }
+
+  div.addEventListener("click", () => selectProvenance(cidr, side));
+  div.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      selectProvenance(cidr, side);
     }
   });
+}
 
-  const diffContainer = document.getElementById("diffContainer");
-  diffContainer.classList.add("show");
+/**
+ * Make diff lines show and select their provenance
+ * Hovering shows the linked entries as a tooltip; clicking (or Enter)
+ * highlights them in the other column and lists them below the diff.
+ * Rows rendered later by a virtualized diff are decorated as they appear.
+ * @param {{byOutput: Map, byInput: Map}|null} provenance - Result of buildProvenance(), or null to clear
+ * @returns {void}
+ */
+function attachProvenance(provenance) {
+  currentProvenance = provenance;
+  linkedCIDRs = null;
+
+  const details = document.getElementById("provenanceDetails");
+  if (details) {
+    details.innerHTML = "";
+    details.style.display = "none";
+  }
+  if (!provenance) return;
+
+  const columns = [
+    [document.getElementById("beforeColumn"), "input"],
+    [document.getElementById("afterColumn"), "output"],
+  ];
+
+  for (const [column, side] of columns) {
+    for (const div of column.querySelectorAll(".diff-line")) {
+      decorateDiffLine(div, side);
+    }
+  }
 }
 
 /**
  * Show processing modal
+ * @param {function(): void} [onCancel] - Called when the user cancels; the Cancel button is hidden without it
  * @returns {void}
  */
-function showModal() {
+function showModal(onCancel) {
   const existingModal = document.querySelector(".modal-overlay");
   if (existingModal) {
     existingModal.remove();
@@ -1119,11 +735,37 @@ function showModal() {
       <div class="spinner" aria-hidden="true"></div>
       <h2 id="modalTitle" class="visually-hidden">Processing</h2>
       <div>Aggregating addresses...</div>
+      <progress id="processingProgress" class="processing-progress" max="100" value="0" aria-label="Progress"></progress>
+      <div id="processingStage" class="processing-stage" aria-live="polite"></div>
+      <button id="cancelProcessingBtn" class="cancel-button" type="button">Cancel</button>
     </div>
   `;
 
+  const cancelBtn = modal.querySelector("#cancelProcessingBtn");
+  if (onCancel) {
+    cancelBtn.addEventListener("click", onCancel);
+    modal.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") onCancel();
+    });
+  } else {
+    cancelBtn.style.display = "none";
+  }
+
   document.body.appendChild(modal);
   document.body.style.overflow = "hidden";
+  if (onCancel) cancelBtn.focus();
+}
+
+/**
+ * Show pipeline progress in the processing modal
+ * @param {{stage: string, percent: number}} progress - Progress report from runPipeline()
+ * @returns {void}
+ */
+function updateModalProgress(progress) {
+  const bar = document.getElementById("processingProgress");
+  const stage = document.getElementById("processingStage");
+  if (bar) bar.value = progress.percent;
+  if (stage) stage.textContent = `${progress.stage}… ${progress.percent}%`;
 }
 
 /**
@@ -1141,12 +783,22 @@ function hideModal() {
 
 /**
  * Display validation feedback in the UI
+ * In extract mode every token that is not an address is skipped on purpose,
+ * so the panel shows one count line instead of a line per corrected entry.
  * @param {NormalizationResult[]} results
+ * @param {{panel: string, warnings: string, errors: string}} [ids] - Element IDs of the panel to fill
  */
-function displayValidationFeedback(results) {
-  const panel = document.getElementById("inputValidation");
-  const warningsDiv = document.getElementById("correctedWarnings");
-  const errorsDiv = document.getElementById("invalidErrors");
+function displayValidationFeedback(
+  results,
+  ids = {
+    panel: "inputValidation",
+    warnings: "correctedWarnings",
+    errors: "invalidErrors",
+  },
+) {
+  const panel = document.getElementById(ids.panel);
+  const warningsDiv = document.getElementById(ids.warnings);
+  const errorsDiv = document.getElementById(ids.errors);
 
   const corrected = results.filter(
     (r) => r.status === NormalizationStatus.CORRECTED,
@@ -1155,6 +807,18 @@ function displayValidationFeedback(results) {
     (r) => r.status === NormalizationStatus.INVALID,
   );
 
+  if (inputMode === "extract") {
+    const { found, unique } = getExtractionSummary(results);
+    warningsDiv.innerHTML = "";
+    errorsDiv.innerHTML = "";
+    const item = document.createElement("div");
+    item.className = "validation-item";
+    item.textContent = `Extracted ${unique} unique entries from ${found} matches`;
+    warningsDiv.appendChild(item);
+    panel.style.display = found > 0 ? "block" : "none";
+    return;
+  }
+
   // Build warnings HTML
   if (corrected.length > 0) {
     warningsDiv.innerHTML = corrected
@@ -1184,6 +848,368 @@ function displayValidationFeedback(results) {
     corrected.length > 0 || invalid.length > 0 ? "block" : "none";
 }
 
+/**
+ * Get the currently selected operation
+ * @returns {string} Key of Operations, "aggregate" when no selector is present
+ */
+function getSelectedOperation() {
+  const operationSelect = document.getElementById("operationSelect");
+  if (operationSelect && Operations[operationSelect.value]) {
+    return operationSelect.value;
+  }
+  return "aggregate";
+}
+
+/**
+ * Show or hide the secondary input pane for the selected operation
+ * @returns {void}
+ */
+function updateOperationUI() {
+  const wrapper = document.getElementById("secondaryInputWrapper");
+  const label = document.getElementById("secondaryInputLabel");
+  if (!wrapper) return;
+
+  const { secondaryLabel, secondaryPlaceholder } =
+    Operations[getSelectedOperation()];
+  wrapper.style.display = secondaryLabel ? "" : "none";
+  if (label && secondaryLabel) {
+    label.textContent = secondaryLabel;
+  }
+
+  const textarea = document.getElementById("secondaryInput");
+  if (textarea && secondaryPlaceholder) {
+    textarea.placeholder = secondaryPlaceholder;
+  }
+
+  const maxEntriesLabel = document.getElementById("maxEntriesLabel");
+  if (maxEntriesLabel) {
+    maxEntriesLabel.style.display = Operations[getSelectedOperation()]
+      .usesMaxEntries
+      ? ""
+      : "none";
+  }
+}
+
+/**
+ * Read the maximum entry count for the "Aggregate to Limit" operation
+ * @returns {number} Parsed value, NaN when missing or not a number
+ */
+function getMaxEntries() {
+  const input = document.getElementById("maxEntriesInput");
+  return input ? Number(input.value) : NaN;
+}
+
+/**
+ * Show a per-operation report below the input form
+ * @param {string|null} title - Heading line, or null to hide the report
+ * @param {string[]} [items] - Lines listed under the heading
+ * @returns {void}
+ */
+function displayOperationReport(title, items = []) {
+  const report = document.getElementById("operationReport");
+  if (!report) return;
+
+  if (!title) {
+    report.innerHTML = "";
+    report.style.display = "none";
+    return;
+  }
+
+  report.innerHTML = "";
+  const heading = document.createElement("div");
+  heading.className = "operation-report-title";
+  heading.textContent = title;
+  report.appendChild(heading);
+
+  for (const item of items) {
+    const div = document.createElement("div");
+    div.className = "validation-item";
+    div.textContent = item;
+    report.appendChild(div);
+  }
+  report.style.display = "block";
+}
+
+/**
+ * Fill the output format selector from FormatRegistry
+ * @returns {void}
+ */
+function populateFormatSelect() {
+  const formatSelect = document.getElementById("formatSelect");
+  if (!formatSelect) return;
+
+  formatSelect.innerHTML = "";
+  for (const [name, transformer] of Object.entries(FormatRegistry)) {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = transformer.supportsIPv6()
+      ? transformer.getLabel()
+      : `${transformer.getLabel()} (IPv4 only)`;
+    formatSelect.appendChild(option);
+  }
+  formatSelect.value = currentFormat;
+}
+
+/**
+ * Render the option fields declared by the current format's schema
+ * @returns {void}
+ */
+function renderFormatOptions() {
+  const container = document.getElementById("formatOptions");
+  if (!container) return;
+
+  container.innerHTML = "";
+  const transformer = FormatRegistry[currentFormat];
+  const values = getFormatOptions(currentFormat);
+
+  for (const field of transformer.getOptionsSchema()) {
+    const label = document.createElement("label");
+    label.className = "max-entries-label";
+    label.textContent = field.label;
+
+    let control;
+    if (field.type === "select") {
+      control = document.createElement("select");
+      control.className = "operation-select";
+      for (const choice of field.choices) {
+        const option = document.createElement("option");
+        option.value = choice;
+        option.textContent = choice;
+        control.appendChild(option);
+      }
+    } else {
+      control = document.createElement("input");
+      control.className = "format-option-input";
+      control.type = field.type === "number" ? "number" : "text";
+      if (field.min !== undefined) control.min = String(field.min);
+      control.placeholder = String(field.default);
+    }
+    control.id = `formatOption-${field.key}`;
+    control.dataset.key = field.key;
+    control.value = String(values[field.key]);
+
+    control.addEventListener("change", () => {
+      setFormatOption(currentFormat, field.key, control.value);
+      savePreferences();
+      refreshOutput();
+    });
+
+    label.appendChild(control);
+    container.appendChild(label);
+  }
+}
+
+/**
+ * Re-apply the output format to the last run without re-aggregating
+ * @returns {void}
+ */
+function refreshOutput() {
+  const outputTextarea = document.getElementById("addressOutput");
+  const errorDiv = document.getElementById("error");
+  if (!lastModels || !outputTextarea) return;
+
+  const sourceModels =
+    transformationTiming === "before"
+      ? lastModels.sorted
+      : lastModels.aggregated;
+  try {
+    outputTextarea.value = transformToFormat(
+      sourceModels,
+      currentFormat,
+      getFormatOptions(currentFormat),
+    );
+    if (errorDiv) errorDiv.textContent = "";
+  } catch (e) {
+    if (errorDiv) {
+      errorDiv.textContent = `Error during transformation: ${e.message}`;
+    }
+  }
+}
+
+/** @type {{provider: string, prefixes: CloudPrefix[], fileName: string}|null} Cloud document waiting to be imported */
+let cloudImport = null;
+
+/** Filter selects of the cloud import panel, keyed by CloudPrefix field */
+const CLOUD_FILTER_SELECTS = {
+  service: "cloudServiceFilter",
+  region: "cloudRegionFilter",
+  tag: "cloudTagFilter",
+};
+
+/**
+ * Read a cloud provider document and open the import panel for it
+ * @param {string} text - Document text
+ * @param {string} fileName - Name shown in the panel
+ * @returns {boolean} True if the document was recognized
+ */
+function loadCloudDocument(text, fileName) {
+  const errorDiv = document.getElementById("error");
+  try {
+    const { provider, prefixes } = parseCloudRanges(text);
+    cloudImport = { provider, prefixes, fileName };
+  } catch (e) {
+    cloudImport = null;
+    if (errorDiv) errorDiv.textContent = `${fileName}: ${e.message}`;
+    renderCloudImport();
+    return false;
+  }
+  if (errorDiv) errorDiv.textContent = "";
+  renderCloudImport();
+  return true;
+}
+
+/**
+ * Show the import panel with one filter select per field the document has
+ * @returns {void}
+ */
+function renderCloudImport() {
+  const panel = document.getElementById("cloudImport");
+  if (!panel) return;
+  if (!cloudImport) {
+    panel.style.display = "none";
+    return;
+  }
+
+  const { provider, prefixes, fileName } = cloudImport;
+  document.getElementById("cloudImportSummary").textContent =
+    `${CloudProviders[provider].label}: ${fileName}`;
+
+  const facets = getCloudFacets(prefixes);
+  for (const [field, id] of Object.entries(CLOUD_FILTER_SELECTS)) {
+    const select = document.getElementById(id);
+    select.innerHTML = "";
+    const any = document.createElement("option");
+    any.value = "";
+    any.textContent = "Any";
+    select.appendChild(any);
+    for (const value of facets[field]) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    }
+    select.parentElement.style.display = facets[field].length > 0 ? "" : "none";
+  }
+
+  panel.style.display = "flex";
+  updateCloudImportCount();
+}
+
+/**
+ * Prefixes of the loaded document that match the selected filters
+ * @returns {CloudPrefix[]} Empty when no document is loaded
+ */
+function getSelectedCloudPrefixes() {
+  if (!cloudImport) return [];
+  const filters = {};
+  for (const [field, id] of Object.entries(CLOUD_FILTER_SELECTS)) {
+    filters[field] = document.getElementById(id).value;
+  }
+  return filterCloudPrefixes(cloudImport.prefixes, filters);
+}
+
+/**
+ * Show how many prefixes the filters select
+ * @returns {void}
+ */
+function updateCloudImportCount() {
+  if (!cloudImport) return;
+  const selected = getSelectedCloudPrefixes().length;
+  document.getElementById("cloudImportCount").textContent =
+    `${selected} of ${cloudImport.prefixes.length} prefixes`;
+  document.getElementById("cloudImportApplyBtn").disabled = selected === 0;
+}
+
+/**
+ * Append the selected prefixes to the input and close the panel
+ * @returns {void}
+ */
+function applyCloudImport() {
+  const textarea = document.getElementById("addressInput");
+  const text = cloudPrefixesToText(getSelectedCloudPrefixes());
+  if (text) {
+    const existing = textarea.value.trimEnd();
+    textarea.value = existing ? `${existing}\n${text}` : text;
+  }
+  closeCloudImport();
+}
+
+/**
+ * Close the import panel without importing
+ * @returns {void}
+ */
+function closeCloudImport() {
+  cloudImport = null;
+  const fileInput = document.getElementById("cloudFileInput");
+  if (fileInput) fileInput.value = "";
+  renderCloudImport();
+}
+
+/** @type {{cancel: function(): void}|null} Pipeline run in progress, if any */
+let activeRun = null;
+
+/**
+ * Start a pipeline run in a Web Worker, or on the main thread when workers are unavailable
+ * @param {PipelineRequest} request - What to process
+ * @param {function({stage: string, percent: number}): void} onProgress - Progress callback
+ * @returns {{promise: Promise<PipelineResult>, cancel: function(): void}}
+ *   The promise rejects with an AbortError when cancelled
+ */
+function startPipeline(request, onProgress) {
+  let worker = null;
+  if (typeof Worker !== "undefined") {
+    try {
+      worker = new Worker(new URL("./worker.js", import.meta.url), {
+        type: "module",
+      });
+    } catch (e) {
+      // Module workers blocked (e.g. file:// pages); run on the main thread
+      worker = null;
+    }
+  }
+
+  if (!worker) {
+    const controller = new AbortController();
+    const promise = runPipeline(request, {
+      onProgress,
+      signal: controller.signal,
+      yieldControl: () => new Promise((resolve) => setTimeout(resolve, 0)),
+    });
+    return { promise, cancel: () => controller.abort() };
+  }
+
+  let rejectRun;
+  const promise = new Promise((resolve, reject) => {
+    rejectRun = reject;
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === "progress") {
+        onProgress(message.progress);
+        return;
+      }
+      worker.terminate();
+      if (message.type === "result") {
+        resolve(message.result);
+      } else {
+        reject(new Error(message.message));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || "Processing worker failed"));
+    };
+  });
+  worker.postMessage({ request });
+
+  return {
+    promise,
+    cancel: () => {
+      worker.terminate();
+      rejectRun(new DOMException("Processing cancelled", "AbortError"));
+    },
+  };
+}
+
 /**
  * Main processing function
  * @returns {Promise<void>}
@@ -1194,19 +1220,70 @@ async function aggregateAddresses() {
   const errorDiv = document.getElementById("error");
 
   errorDiv.textContent = "";
+  displayOperationReport(null);
+
+  const operation = getSelectedOperation();
+  const secondaryTextarea = document.getElementById("secondaryInput");
+  const request = {
+    input: inputTextarea.value,
+    secondaryInput: Operations[operation].secondaryLabel
+      ? secondaryTextarea
+        ? secondaryTextarea.value
+        : ""
+      : null,
+    operation,
+    maxEntries: Operations[operation].usesMaxEntries ? getMaxEntries() : null,
+    normalizeOptions: {
+      strictHostBits: hostBitsMode === "reject",
+      foldMapped: mappedMode === "keep" ? undefined : mappedMode,
+      extract: inputMode === "extract",
+    },
+    dropSpecial:
+      specialMode === "keep"
+        ? null
+        : parseSpecialPurposeCategories(specialMode),
+  };
+
+  if (activeRun) {
+    activeRun.cancel();
+  }
+
+  const run = startPipeline(request, updateModalProgress);
+  activeRun = run;
+  showModal(() => run.cancel());
+
+  let pipelineResult;
+  try {
+    pipelineResult = await run.promise;
+  } catch (e) {
+    if (activeRun === run) {
+      activeRun = null;
+      hideModal();
+      errorDiv.textContent =
+        e.name === "AbortError"
+          ? "Processing cancelled."
+          : `Error during transformation: ${e.message}`;
+    }
+    return;
+  }
+  activeRun = null;
+  // The run has finished, so there is nothing left to cancel while the result renders
+  const cancelBtn = document.getElementById("cancelProcessingBtn");
+  if (cancelBtn) cancelBtn.style.display = "none";
 
-  const inputText = inputTextarea.value;
-
-  // Use normalizer
-  const normalizationResults = normalizeInput(inputText);
-  displayValidationFeedback(normalizationResults);
-
-  const cidrStrings = extractValidCIDRs(normalizationResults);
-  const summary = getNormalizationSummary(normalizationResults);
+  const { results, secondaryResults, sortedStrings } = pipelineResult;
+  displayValidationFeedback(results);
+  const summary = getNormalizationSummary(results);
 
-  if (cidrStrings.length === 0) {
+  if (sortedStrings.length === 0) {
+    hideModal();
     if (summary.invalid > 0) {
       errorDiv.textContent = `All ${summary.invalid} entries are invalid. See details above.`;
+    } else if (summary.negated > 0) {
+      errorDiv.textContent =
+        "Negated entries need at least one address or CIDR to subtract from";
+    } else if (request.normalizeOptions.extract) {
+      errorDiv.textContent = "No IP addresses found in the text";
     } else {
       errorDiv.textContent = "Please enter at least one IP address or CIDR";
     }
@@ -1215,41 +1292,62 @@ async function aggregateAddresses() {
 
   // Show warning if some entries were skipped
   if (summary.invalid > 0) {
-    errorDiv.textContent = `Warning: ${summary.invalid} invalid entries skipped. Processing ${cidrStrings.length} valid entries.`;
+    errorDiv.textContent = `Warning: ${summary.invalid} invalid entries skipped. Processing ${sortedStrings.length} valid entries.`;
   }
 
-  const startTime = Date.now();
-  showModal();
-
-  try {
-    const cidrModels = cidrStrings.map((cidr) => {
-      return CIDRBlock.fromCIDRString(cidr);
+  if (secondaryResults) {
+    displayValidationFeedback(secondaryResults, {
+      panel: "secondaryValidation",
+      warnings: "secondaryWarnings",
+      errors: "secondaryErrors",
     });
+  }
 
-    const sorted = sortCIDRModels(cidrModels);
-    const sortedStrings = sorted.map((m) => m.toCIDRString());
+  try {
+    const sorted = pipelineResult.keptStrings.map((s) =>
+      CIDRBlock.fromCIDRString(s),
+    );
     sortedInput = sortedStrings.join("\n");
 
-    const aggregatedStrings = aggregateCIDRs(sortedStrings);
-    const aggregatedModels = aggregatedStrings.map((s) => {
-      return CIDRBlock.fromCIDRString(s);
-    });
-    aggregatedOutput = aggregatedStrings.join("\n");
+    if (operation === "compare") {
+      aggregatedOutput = formatComparisonReport(pipelineResult.comparison);
+      lastModels = null;
 
-    const sourceModels =
-      transformationTiming === "before" ? sorted : aggregatedModels;
-    const transformedOutput = transformToFormat(sourceModels, currentFormat);
+      renderDiff(pipelineResult.diffParts);
+      attachProvenance(null);
 
-    const diffParts = generateDiff(sortedStrings, aggregatedStrings);
-    renderDiff(diffParts);
+      outputTextarea.value = aggregatedOutput;
+    } else {
+      const aggregatedStrings = pipelineResult.outputCIDRs;
+      const lossy = pipelineResult.overCoverage;
+      if (lossy && lossy.extra.length > 0) {
+        displayOperationReport(
+          `Over-coverage: ${lossy.extraCount.toString()} extra address(es) in ${lossy.extra.length} block(s) included to fit ${request.maxEntries} entries`,
+          lossy.extra,
+        );
+      }
 
-    outputTextarea.value = transformedOutput;
+      const aggregatedModels = aggregatedStrings.map((s) => {
+        return CIDRBlock.fromCIDRString(s);
+      });
+      attachLabels(sorted, pipelineResult.provenance.byInput);
+      attachLabels(aggregatedModels, pipelineResult.provenance.byOutput);
+      aggregatedOutput = aggregatedStrings.join("\n");
+      lastModels = { sorted, aggregated: aggregatedModels };
+
+      const sourceModels =
+        transformationTiming === "before" ? sorted : aggregatedModels;
+      const transformedOutput = transformToFormat(
+        sourceModels,
+        currentFormat,
+        getFormatOptions(currentFormat),
+      );
 
-    const elapsedTime = Date.now() - startTime;
-    const minTime = 1500;
-    const remainingTime = Math.max(0, minTime - elapsedTime);
+      renderDiff(pipelineResult.diffParts);
+      attachProvenance(pipelineResult.provenance);
 
-    await new Promise((resolve) => setTimeout(resolve, remainingTime));
+      outputTextarea.value = transformedOutput;
+    }
   } catch (e) {
     errorDiv.textContent = `Error during transformation: ${e.message}`;
   } finally {
@@ -1348,16 +1446,16 @@ async function copyOutput() {
  * @returns {Promise<void>}
  */
 async function copyBeforeColumn() {
-  const beforeColumn = document.getElementById("beforeColumn");
+  const text = getDiffColumnText("input");
   const copyBtn = document.querySelector(".copy-before-btn");
 
-  if (!beforeColumn.textContent.trim()) {
+  if (!text.trim()) {
     alert("No input to copy");
     return;
   }
 
   try {
-    await navigator.clipboard.writeText(beforeColumn.textContent);
+    await navigator.clipboard.writeText(text);
 
     const originalContent = copyBtn.innerHTML;
     copyBtn.classList.add("checkmark");
@@ -1368,7 +1466,7 @@ async function copyBeforeColumn() {
     }, 2000);
   } catch (err) {
     const textareaCopy = document.createElement("textarea");
-    textareaCopy.value = beforeColumn.textContent;
+    textareaCopy.value = text;
     textareaCopy.style.position = "fixed";
     textareaCopy.style.opacity = "0";
     document.body.appendChild(textareaCopy);
@@ -1391,16 +1489,16 @@ async function copyBeforeColumn() {
  * @returns {Promise<void>}
  */
 async function copyAfterColumn() {
-  const afterColumn = document.getElementById("afterColumn");
+  const text = getDiffColumnText("output");
   const copyBtn = document.querySelector(".copy-after-btn");
 
-  if (!afterColumn.textContent.trim()) {
+  if (!text.trim()) {
     alert("No output to copy");
     return;
   }
 
   try {
-    await navigator.clipboard.writeText(afterColumn.textContent);
+    await navigator.clipboard.writeText(text);
 
     const originalContent = copyBtn.innerHTML;
     copyBtn.classList.add("checkmark");
@@ -1411,7 +1509,7 @@ async function copyAfterColumn() {
     }, 2000);
   } catch (err) {
     const textareaCopy = document.createElement("textarea");
-    textareaCopy.value = afterColumn.textContent;
+    textareaCopy.value = text;
     textareaCopy.style.position = "fixed";
     textareaCopy.style.opacity = "0";
     document.body.appendChild(textareaCopy);
@@ -1442,69 +1540,176 @@ function init() {
       aggregateAddresses();
     }
   });
+
+  const operationSelect = document.getElementById("operationSelect");
+  if (operationSelect) {
+    operationSelect.addEventListener("change", updateOperationUI);
+    updateOperationUI();
+  }
+
+  loadPreferences();
+
+  const formatSelect = document.getElementById("formatSelect");
+  if (formatSelect) {
+    populateFormatSelect();
+    renderFormatOptions();
+    formatSelect.addEventListener("change", () => {
+      setFormat(formatSelect.value);
+      savePreferences();
+      renderFormatOptions();
+      refreshOutput();
+    });
+  }
+
+  const timingSelect = document.getElementById("timingSelect");
+  if (timingSelect) {
+    timingSelect.value = transformationTiming;
+    timingSelect.addEventListener("change", () => {
+      setTransformationTiming(timingSelect.value);
+      savePreferences();
+      refreshOutput();
+    });
+  }
+
+  const hostBitsSelect = document.getElementById("hostBitsSelect");
+  if (hostBitsSelect) {
+    hostBitsSelect.value = hostBitsMode;
+    hostBitsSelect.addEventListener("change", () => {
+      setHostBitsMode(hostBitsSelect.value);
+      savePreferences();
+    });
+  }
+
+  const mappedSelect = document.getElementById("mappedSelect");
+  if (mappedSelect) {
+    mappedSelect.value = mappedMode;
+    mappedSelect.addEventListener("change", () => {
+      setMappedMode(mappedSelect.value);
+      savePreferences();
+    });
+  }
+
+  const specialSelect = document.getElementById("specialSelect");
+  if (specialSelect) {
+    for (const [category, label] of Object.entries(SpecialPurposeCategories)) {
+      const option = document.createElement("option");
+      option.value = category;
+      option.textContent = `Drop ${label}`;
+      specialSelect.appendChild(option);
+    }
+    specialSelect.value = specialMode;
+    specialSelect.addEventListener("change", () => {
+      setSpecialMode(specialSelect.value);
+      savePreferences();
+    });
+  }
+
+  const inputModeSelect = document.getElementById("inputModeSelect");
+  if (inputModeSelect) {
+    inputModeSelect.value = inputMode;
+    inputModeSelect.addEventListener("change", () => {
+      setInputMode(inputModeSelect.value);
+      savePreferences();
+    });
+  }
+
+  const cloudFileInput = document.getElementById("cloudFileInput");
+  if (cloudFileInput) {
+    document
+      .getElementById("importCloudBtn")
+      .addEventListener("click", () => cloudFileInput.click());
+    cloudFileInput.addEventListener("change", async () => {
+      const file = cloudFileInput.files[0];
+      if (file) loadCloudDocument(await file.text(), file.name);
+    });
+    for (const id of Object.values(CLOUD_FILTER_SELECTS)) {
+      document
+        .getElementById(id)
+        .addEventListener("change", updateCloudImportCount);
+    }
+    document
+      .getElementById("cloudImportApplyBtn")
+      .addEventListener("click", applyCloudImport);
+    document
+      .getElementById("cloudImportCancelBtn")
+      .addEventListener("click", closeCloudImport);
+  }
+
+  const prevChangeBtn = document.getElementById("prevChangeBtn");
+  const nextChangeBtn = document.getElementById("nextChangeBtn");
+  if (prevChangeBtn && nextChangeBtn) {
+    prevChangeBtn.addEventListener("click", () => jumpToChange(-1));
+    nextChangeBtn.addEventListener("click", () => jumpToChange(1));
+  }
 }
 
-document.addEventListener("DOMContentLoaded", init);
+// Only wire up the page when a DOM is present
+if (typeof document !== "undefined") {
+  document.addEventListener("DOMContentLoaded", init);
 
-window.processAddresses = aggregateAddresses;
-window.aggregateAddresses = aggregateAddresses;
-window.copyInput = copyInput;
-window.copyOutput = copyOutput;
-window.copyBeforeColumn = copyBeforeColumn;
-window.copyAfterColumn = copyAfterColumn;
+  window.processAddresses = aggregateAddresses;
+  window.aggregateAddresses = aggregateAddresses;
+  window.copyInput = copyInput;
+  window.copyOutput = copyOutput;
+  window.copyBeforeColumn = copyBeforeColumn;
+  window.copyAfterColumn = copyAfterColumn;
+}
 
 export {
-  IPVersion,
-  isBareIPv4,
-  isBareIPv6,
-  normalizeToCIDR,
-  parseInput,
-  isValidCIDR,
-  isValidIPv4,
-  isValidIPv6,
-  parseIPv6,
-  ipv4ToNumber,
-  ipv6ToNumber,
-  numberToIPv4,
-  numberToIPv6,
-  compareCIDR,
-  sortCIDRs,
-  aggregateCIDRs,
+  generateComparisonDiff,
+  describeOutputProvenance,
+  describeInputProvenance,
+  getLineSpecialPurpose,
+  describeSpecialPurpose,
+  selectProvenance,
+  attachProvenance,
+  getSelectedOperation,
+  updateOperationUI,
+  getMaxEntries,
+  displayValidationFeedback,
+  displayOperationReport,
   generateDiff,
   renderDiff,
+  renderDiffWindow,
+  jumpToChange,
+  getDiffColumnText,
   showModal,
   hideModal,
+  updateModalProgress,
+  startPipeline,
   aggregateAddresses,
   copyInput,
   copyOutput,
   copyBeforeColumn,
   copyAfterColumn,
   init,
-  expandIPv6,
-  compressIPv6,
-  calculateIPv6ReverseDNS,
-  detectIPVersion,
-  normalizeAddress,
-  calculateStartAddress,
-  calculateEndAddress,
-  CIDRBlock,
-  FormatTransformer,
-  CIDRFormatTransformer,
-  CiscoACLTransformer,
-  CiscoPrefixListTransformer,
-  CiscoWildcardTransformer,
-  IPMaskTransformer,
-  FortigateTransformer,
-  CiscoIPv6ACLTransformer,
-  JuniperIPv6Transformer,
-  IptablesTransformer,
-  UFWTransformer,
-  PaloAltoTransformer,
-  AWSSecurityGroupTransformer,
-  GCPFirewallTransformer,
-  AzureNSGTransformer,
-  ReverseDNSTransformer,
-  FormatRegistry,
-  transformToFormat,
-  sortCIDRModels,
+  PreferenceKeys,
+  setFormat,
+  getFormat,
+  getFormatOptions,
+  setFormatOption,
+  resetFormatOptions,
+  renderFormatOptions,
+  setTransformationTiming,
+  getTransformationTiming,
+  setHostBitsMode,
+  getHostBitsMode,
+  setMappedMode,
+  getMappedMode,
+  setSpecialMode,
+  getSpecialMode,
+  setInputMode,
+  getInputMode,
+  loadPreferences,
+  savePreferences,
+  populateFormatSelect,
+  refreshOutput,
+  loadCloudDocument,
+  renderCloudImport,
+  getSelectedCloudPrefixes,
+  updateCloudImportCount,
+  applyCloudImport,
+  closeCloudImport,
 };
+
+export * from "./core.js";
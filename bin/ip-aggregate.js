@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * ip-aggregate executable
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { runCli } from "../cli.js";
+
+process.exitCode = await runCli(process.argv.slice(2));
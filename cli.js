@@ -0,0 +1,480 @@
+/**
+ * IP Address Aggregate command-line interface
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import {
+  CIDRBlock,
+  FormatRegistry,
+  Operations,
+  sortCIDRModels,
+  applyOperation,
+  aggregateToLimit,
+  compareCIDRSets,
+  formatComparisonReport,
+  transformToFormat,
+  normalizeInput,
+  extractValidCIDRs,
+  extractNegatedCIDRs,
+  getNormalizationSummary,
+  getExtractionSummary,
+  NormalizationStatus,
+  buildProvenance,
+  attachLabels,
+  applyNegations,
+  classifyCIDR,
+  parseSpecialPurposeCategories,
+  specialPurposeCIDRs,
+} from "./core.js";
+import {
+  CloudProviders,
+  parseCloudRanges,
+  filterCloudPrefixes,
+  cloudPrefixesToText,
+} from "./cloud-ranges.js";
+
+/** Process exit codes */
+const ExitCode = {
+  OK: 0,
+  INVALID_ENTRIES: 1,
+  ERROR: 2,
+};
+
+const USAGE = `Usage: ip-aggregate [options] [file...]
+
+Reads IP addresses, CIDRs and ranges from the files (or stdin when none are
+given or the file is "-"), applies the operation and writes the result to stdout.
+
+Options:
+  -o, --operation <name>   ${Object.keys(Operations).join(", ")} (default: aggregate)
+  -s, --secondary <file>   Second list for exclude, intersect and compare
+  -f, --format <name>      Output format (default: cidr); see --list-formats
+      --option <key=value> Transformer option, repeatable (e.g. --option listName=EDGE)
+      --timing <when>      Apply the format "after" (default) or "before" aggregation
+  -n, --max-entries <n>    Entry limit for the limit operation (default: 60)
+      --strict             Exit with status 1 if any entry is invalid
+      --strict-host-bits   Treat CIDRs with host bits set (10.0.0.5/24) as invalid
+                           instead of masking them to the network address
+      --no-shorthand       Reject classful shorthand (10/8, 192.168.1/24) instead
+                           of reading it as 10.0.0.0/8, 192.168.1.0/24
+      --fold-mapped <to>   Fold IPv4-mapped IPv6 (::ffff:10.0.0.0/104) into IPv4
+                           ("ipv4") or IPv4 into mapped IPv6 ("ipv6") first
+      --max-expansion <n>  Most CIDRs one entry (wildcard mask, octet pattern
+                           such as 10.0.1-5.*) may expand to (default: 1024)
+      --drop-special <cat> Remove special-purpose space (comma-separated
+                           categories such as private,documentation, or "all")
+                           from the input before the operation
+      --extract            Pull every address, CIDR and range out of free text
+                           (logs, emails, reports), ignoring everything else
+      --cloud <provider>   Read the inputs as a cloud provider IP range document:
+                           ${Object.keys(CloudProviders).join(", ")} or auto
+      --service <names>    With --cloud, keep only these services (comma-separated)
+      --region <names>     With --cloud, keep only these regions
+      --tag <names>        With --cloud, keep only these tags (Azure service tag,
+                           AWS network border group)
+      --report <file>      Write a JSON normalization report ("-" for stderr)
+      --list-formats       List output formats and their options
+  -h, --help               Show this help`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {Object} Parsed CLI options
+ * @throws {Error} If an argument is unknown or a value is invalid
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      operation: { type: "string", short: "o", default: "aggregate" },
+      secondary: { type: "string", short: "s" },
+      format: { type: "string", short: "f", default: "cidr" },
+      option: { type: "string", multiple: true, default: [] },
+      timing: { type: "string", default: "after" },
+      "max-entries": { type: "string", short: "n", default: "60" },
+      strict: { type: "boolean", default: false },
+      "strict-host-bits": { type: "boolean", default: false },
+      "no-shorthand": { type: "boolean", default: false },
+      "fold-mapped": { type: "string" },
+      "max-expansion": { type: "string", default: "1024" },
+      "drop-special": { type: "string" },
+      extract: { type: "boolean", default: false },
+      cloud: { type: "string" },
+      service: { type: "string" },
+      region: { type: "string" },
+      tag: { type: "string" },
+      report: { type: "string" },
+      "list-formats": { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (!Operations[values.operation]) {
+    throw new Error(`Unknown operation: ${values.operation}`);
+  }
+  if (!FormatRegistry[values.format]) {
+    throw new Error(`Unknown format: ${values.format}`);
+  }
+  if (values.timing !== "before" && values.timing !== "after") {
+    throw new Error('Timing must be "before" or "after"');
+  }
+  const maxExpansion = Number(values["max-expansion"]);
+  if (!Number.isInteger(maxExpansion) || maxExpansion < 1) {
+    throw new Error("--max-expansion must be a positive integer");
+  }
+  if (
+    values["fold-mapped"] !== undefined &&
+    values["fold-mapped"] !== "ipv4" &&
+    values["fold-mapped"] !== "ipv6"
+  ) {
+    throw new Error('--fold-mapped must be "ipv4" or "ipv6"');
+  }
+  const dropSpecial =
+    values["drop-special"] === undefined
+      ? null
+      : parseSpecialPurposeCategories(values["drop-special"]);
+  if (Operations[values.operation].secondaryLabel && !values.secondary) {
+    throw new Error(`Operation "${values.operation}" requires --secondary`);
+  }
+
+  if (
+    values.cloud &&
+    values.cloud !== "auto" &&
+    !CloudProviders[values.cloud]
+  ) {
+    throw new Error(`Unknown cloud provider: ${values.cloud}`);
+  }
+  const cloudFilters = {
+    service: values.service,
+    region: values.region,
+    tag: values.tag,
+  };
+  if (!values.cloud && Object.values(cloudFilters).some((v) => v)) {
+    throw new Error("--service, --region and --tag require --cloud");
+  }
+
+  const schema = FormatRegistry[values.format].getOptionsSchema();
+  const formatOptions = {};
+  for (const pair of values.option) {
+    const eq = pair.indexOf("=");
+    const key = eq === -1 ? pair : pair.slice(0, eq);
+    if (eq === -1 || !schema.some((field) => field.key === key)) {
+      throw new Error(`Invalid option for ${values.format}: ${pair}`);
+    }
+    formatOptions[key] = pair.slice(eq + 1);
+  }
+
+  return {
+    operation: values.operation,
+    secondary: values.secondary || null,
+    format: values.format,
+    formatOptions: FormatRegistry[values.format].resolveOptions(formatOptions),
+    timing: values.timing,
+    maxEntries: Number(values["max-entries"]),
+    strict: values.strict,
+    dropSpecial,
+    normalizeOptions: {
+      strictHostBits: values["strict-host-bits"],
+      shorthand: !values["no-shorthand"],
+      maxExpansion,
+      foldMapped: values["fold-mapped"],
+      extract: values.extract,
+    },
+    cloud: values.cloud
+      ? {
+          provider: values.cloud === "auto" ? undefined : values.cloud,
+          filters: cloudFilters,
+        }
+      : null,
+    report: values.report || null,
+    listFormats: values["list-formats"],
+    help: values.help,
+    files: positionals.length > 0 ? positionals : ["-"],
+  };
+}
+
+/**
+ * Build the JSON normalization report
+ * @param {Object<string, NormalizationResult[]>} resultsBySource - Results keyed by input name
+ * @returns {Object} Report with per-source summaries and the corrected/invalid entries
+ */
+function buildNormalizationReport(resultsBySource) {
+  const sources = [];
+  for (const [name, results] of Object.entries(resultsBySource)) {
+    const issues = results
+      .filter((r) => r.status !== NormalizationStatus.VALID)
+      .map((r) => ({
+        line: r.lineNumber,
+        original: r.original,
+        status: r.status,
+        normalized: r.normalized,
+        warning: r.warning,
+        error: r.error,
+        origin: r.origin,
+      }));
+    sources.push({
+      source: name,
+      summary: getNormalizationSummary(results),
+      issues,
+    });
+  }
+  return { sources };
+}
+
+/**
+ * Describe the formats and their options for --list-formats
+ * @returns {string} One block per format
+ */
+function describeFormats() {
+  const lines = [];
+  for (const [name, transformer] of Object.entries(FormatRegistry)) {
+    const ipv4Only = transformer.supportsIPv6() ? "" : " (IPv4 only)";
+    lines.push(`${name} - ${transformer.getLabel()}${ipv4Only}`);
+    for (const field of transformer.getOptionsSchema()) {
+      const choices = field.choices ? ` [${field.choices.join("|")}]` : "";
+      lines.push(`  ${field.key}=${field.default}${choices}  ${field.label}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Select the prefixes of a cloud provider document
+ * @param {string} text - Document text
+ * @param {{provider: string|undefined, filters: CloudFilters}} cloud - Provider (undefined to detect) and filters
+ * @param {string} file - Input name for the summary
+ * @param {Object} io - I/O functions; the summary goes to stderr
+ * @returns {string} Selected prefixes, one per line
+ * @throws {Error} If the document is not from a supported provider
+ */
+function importCloudDocument(text, cloud, file, io) {
+  const { provider, prefixes } = parseCloudRanges(text, cloud.provider);
+  const selected = filterCloudPrefixes(prefixes, cloud.filters);
+  const name = file === "-" ? "stdin" : file;
+  io.stderr.write(
+    `Imported ${selected.length} of ${prefixes.length} ${CloudProviders[provider].label} prefixes from ${name}\n`,
+  );
+  return cloudPrefixesToText(selected);
+}
+
+/**
+ * Read every input file ("-" is stdin) and join them
+ * @param {string[]} files - File paths
+ * @param {Object} io - I/O functions
+ * @param {{provider: string|undefined, filters: CloudFilters}|null} [cloud] - Read each
+ *   file as a cloud provider document
+ * @returns {Promise<string>} Concatenated input text
+ */
+async function readInputs(files, io, cloud = null) {
+  const texts = [];
+  for (const file of files) {
+    const text = file === "-" ? await io.readStdin() : await io.readFile(file);
+    texts.push(cloud ? importCloudDocument(text, cloud, file, io) : text);
+  }
+  return texts.join("\n");
+}
+
+/**
+ * Read all of stdin as UTF-8
+ * @returns {Promise<string>} Stdin contents
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/** Default process I/O, overridable per call for tests */
+const defaultIO = {
+  readFile: (path) => readFile(path, "utf8"),
+  writeFile: (path, data) => writeFile(path, data, "utf8"),
+  readStdin,
+  stdout: process.stdout,
+  stderr: process.stderr,
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object} [overrides] - Replacements for readFile, writeFile, readStdin, stdout, stderr
+ * @returns {Promise<number>} Process exit code
+ */
+async function runCli(argv, overrides = {}) {
+  const io = { ...defaultIO, ...overrides };
+  const { stdout, stderr } = io;
+
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (e) {
+    stderr.write(`ip-aggregate: ${e.message}\n\n${USAGE}\n`);
+    return ExitCode.ERROR;
+  }
+
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return ExitCode.OK;
+  }
+  if (options.listFormats) {
+    stdout.write(`${describeFormats()}\n`);
+    return ExitCode.OK;
+  }
+
+  try {
+    const results = normalizeInput(
+      await readInputs(options.files, io, options.cloud),
+      options.normalizeOptions,
+    );
+    const resultsBySource = { input: results };
+
+    let secondaryCIDRs = [];
+    if (options.secondary) {
+      const secondaryResults = normalizeInput(
+        await readInputs([options.secondary], io),
+        options.normalizeOptions,
+      );
+      resultsBySource.secondary = secondaryResults;
+      secondaryCIDRs = applyNegations(
+        extractValidCIDRs(secondaryResults),
+        extractNegatedCIDRs(secondaryResults),
+      ).cidrs;
+    }
+
+    const report = buildNormalizationReport(resultsBySource);
+    const invalid = report.sources.reduce(
+      (total, source) => total + source.summary.invalid,
+      0,
+    );
+
+    if (options.normalizeOptions.extract) {
+      for (const [source, sourceResults] of Object.entries(resultsBySource)) {
+        const { found, unique } = getExtractionSummary(sourceResults);
+        stderr.write(
+          `Extracted ${unique} unique entries from ${found} matches in ${source}\n`,
+        );
+      }
+    }
+
+    for (const source of report.sources) {
+      for (const issue of source.issues) {
+        if (issue.status === NormalizationStatus.INVALID) {
+          stderr.write(
+            `${source.source} line ${issue.line}: "${issue.original}" - ${issue.error}\n`,
+          );
+        }
+      }
+    }
+
+    const sorted = sortCIDRModels(
+      extractValidCIDRs(results).map((cidr) => CIDRBlock.fromCIDRString(cidr)),
+    );
+    const negation = applyNegations(
+      sorted.map((m) => m.toCIDRString()),
+      extractNegatedCIDRs(results),
+    );
+    let sortedStrings = negation.cidrs;
+    if (negation.removed.length > 0) {
+      stderr.write(
+        `Negated entries removed ${negation.removed.length} block(s): ${negation.removed.join(", ")}\n`,
+      );
+      report.negatedRemoved = negation.removed;
+    }
+
+    if (options.dropSpecial) {
+      const dropped = applyNegations(
+        sortedStrings,
+        specialPurposeCIDRs(options.dropSpecial),
+      );
+      sortedStrings = dropped.cidrs;
+      if (dropped.removed.length > 0) {
+        stderr.write(
+          `Dropped special-purpose space in ${dropped.removed.length} block(s): ${dropped.removed.join(", ")}\n`,
+        );
+        report.specialPurposeRemoved = dropped.removed;
+      }
+    }
+
+    let output;
+    if (options.operation === "compare") {
+      output = formatComparisonReport(
+        compareCIDRSets(sortedStrings, secondaryCIDRs),
+      );
+    } else {
+      let cidrs;
+      if (options.operation === "limit") {
+        const lossy = aggregateToLimit(sortedStrings, options.maxEntries);
+        cidrs = lossy.cidrs;
+        if (lossy.extra.length > 0) {
+          stderr.write(
+            `Over-coverage: ${lossy.extraCount.toString()} extra address(es) in ${lossy.extra.length} block(s) included to fit ${options.maxEntries} entries\n`,
+          );
+        }
+        report.overCoverage = {
+          extraAddresses: lossy.extraCount.toString(),
+          blocks: lossy.extra,
+        };
+      } else {
+        cidrs = applyOperation(
+          options.operation,
+          sortedStrings,
+          secondaryCIDRs,
+        );
+      }
+
+      const tagged = cidrs
+        .map((cidr) => ({ cidr, tags: classifyCIDR(cidr) }))
+        .filter((entry) => entry.tags.length > 0);
+      if (tagged.length > 0) {
+        report.specialPurpose = tagged;
+      }
+
+      const provenance = buildProvenance(results, cidrs);
+      const models =
+        options.timing === "before"
+          ? attachLabels(
+              sortedStrings.map((cidr) => CIDRBlock.fromCIDRString(cidr)),
+              provenance.byInput,
+            )
+          : attachLabels(
+              cidrs.map((cidr) => CIDRBlock.fromCIDRString(cidr)),
+              provenance.byOutput,
+            );
+      output = transformToFormat(models, options.format, options.formatOptions);
+    }
+
+    if (output) {
+      stdout.write(`${output}\n`);
+    }
+
+    if (options.report) {
+      const json = `${JSON.stringify(report, null, 2)}\n`;
+      if (options.report === "-") {
+        stderr.write(json);
+      } else {
+        await io.writeFile(options.report, json);
+      }
+    }
+
+    return options.strict && invalid > 0
+      ? ExitCode.INVALID_ENTRIES
+      : ExitCode.OK;
+  } catch (e) {
+    stderr.write(`ip-aggregate: ${e.message}\n`);
+    return ExitCode.ERROR;
+  }
+}
+
+export {
+  ExitCode,
+  USAGE,
+  parseCliArgs,
+  buildNormalizationReport,
+  describeFormats,
+  runCli,
+};
@@ -0,0 +1,261 @@
+/**
+ * IP Address Aggregate cloud provider range importers
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ *
+ * Reads the IP range documents the large providers publish - AWS
+ * ip-ranges.json, Azure Service Tags, GCP cloud.json/goog.json and the
+ * Cloudflare ips-v4/ips-v6 lists - and filters them by service, region and
+ * tag. The selected prefixes are plain CIDR text for normalizeInput(), so
+ * they go through the same normalization and aggregation as typed input.
+ */
+
+/**
+ * @typedef {Object} CloudPrefix
+ * @property {string} cidr - Prefix as published
+ * @property {string|null} service - Service the prefix belongs to (AWS service,
+ *   Azure system service, GCP service)
+ * @property {string|null} region - Region or scope, e.g. "us-east-1", "eastus"
+ * @property {string|null} tag - Provider grouping: AWS network border group,
+ *   Azure service tag name
+ */
+
+/**
+ * @typedef {Object} CloudFilters
+ * @property {string|string[]} [service] - Services to keep
+ * @property {string|string[]} [region] - Regions to keep
+ * @property {string|string[]} [tag] - Tags to keep
+ */
+
+/** Supported providers and the documents they publish */
+const CloudProviders = {
+  aws: { label: "AWS", document: "ip-ranges.json" },
+  azure: { label: "Azure", document: "Service Tags JSON" },
+  gcp: { label: "Google Cloud", document: "cloud.json / goog.json" },
+  cloudflare: { label: "Cloudflare", document: "ips-v4 / ips-v6" },
+};
+
+/**
+ * Parse JSON, returning null instead of throwing
+ * @param {string} text - Document text
+ * @returns {*} Parsed value, or null if the text is not JSON
+ */
+function tryParseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Work out which provider published a document
+ * @param {string} text - Document text
+ * @returns {string|null} Key of CloudProviders, or null if unrecognized
+ */
+function detectCloudProvider(text) {
+  const doc = tryParseJSON(text);
+  if (doc === null) {
+    const lines = text
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line.length > 0);
+    const isCIDRList =
+      lines.length > 0 &&
+      lines.every((line) => /^[\da-fA-F.:]+\/\d+$/.test(line));
+    return isCIDRList ? "cloudflare" : null;
+  }
+  if (typeof doc !== "object") return null;
+
+  if (
+    Array.isArray(doc.prefixes) &&
+    "syncToken" in doc &&
+    "createDate" in doc
+  ) {
+    return "aws";
+  }
+  if (Array.isArray(doc.values) && "changeNumber" in doc) return "azure";
+  if (Array.isArray(doc.prefixes)) return "gcp";
+  if (doc.result && Array.isArray(doc.result.ipv4_cidrs)) return "cloudflare";
+  return null;
+}
+
+/**
+ * Read prefixes from AWS ip-ranges.json
+ * @param {Object} doc - Parsed document
+ * @returns {CloudPrefix[]}
+ */
+function parseAWSRanges(doc) {
+  const toPrefix = (cidr, entry) => ({
+    cidr,
+    service: entry.service || null,
+    region: entry.region || null,
+    tag: entry.network_border_group || null,
+  });
+  return [
+    ...doc.prefixes.map((entry) => toPrefix(entry.ip_prefix, entry)),
+    ...(doc.ipv6_prefixes || []).map((entry) =>
+      toPrefix(entry.ipv6_prefix, entry),
+    ),
+  ];
+}
+
+/**
+ * Read prefixes from an Azure Service Tags document
+ * @param {Object} doc - Parsed document
+ * @returns {CloudPrefix[]}
+ */
+function parseAzureRanges(doc) {
+  const prefixes = [];
+  for (const value of doc.values) {
+    const properties = value.properties || {};
+    for (const cidr of properties.addressPrefixes || []) {
+      prefixes.push({
+        cidr,
+        service: properties.systemService || null,
+        region: properties.region || null,
+        tag: value.name || null,
+      });
+    }
+  }
+  return prefixes;
+}
+
+/**
+ * Read prefixes from GCP cloud.json or goog.json
+ * goog.json lists Google's own ranges with no service or scope.
+ * @param {Object} doc - Parsed document
+ * @returns {CloudPrefix[]}
+ */
+function parseGCPRanges(doc) {
+  return doc.prefixes.map((entry) => ({
+    cidr: entry.ipv4Prefix || entry.ipv6Prefix,
+    service: entry.service || null,
+    region: entry.scope || null,
+    tag: null,
+  }));
+}
+
+/**
+ * Read prefixes from the Cloudflare lists (text or the API's JSON)
+ * @param {string} text - Document text
+ * @returns {CloudPrefix[]}
+ */
+function parseCloudflareRanges(text) {
+  const doc = tryParseJSON(text);
+  const cidrs = doc
+    ? [...doc.result.ipv4_cidrs, ...(doc.result.ipv6_cidrs || [])]
+    : text
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => line.length > 0);
+  return cidrs.map((cidr) => ({
+    cidr,
+    service: null,
+    region: null,
+    tag: null,
+  }));
+}
+
+/**
+ * Read every prefix from a provider document
+ * @param {string} text - Document text
+ * @param {string} [provider] - Key of CloudProviders; detected when omitted
+ * @returns {{provider: string, prefixes: CloudPrefix[]}}
+ * @throws {Error} If the provider is unknown or the document does not match it
+ */
+function parseCloudRanges(text, provider = detectCloudProvider(text)) {
+  if (!provider) {
+    throw new Error("Not a recognized cloud provider IP range document");
+  }
+  if (!CloudProviders[provider]) {
+    throw new Error(`Unknown cloud provider: ${provider}`);
+  }
+
+  const doc = provider === "cloudflare" ? null : tryParseJSON(text);
+  const { document } = CloudProviders[provider];
+  try {
+    switch (provider) {
+      case "aws":
+        return { provider, prefixes: parseAWSRanges(doc) };
+      case "azure":
+        return { provider, prefixes: parseAzureRanges(doc) };
+      case "gcp":
+        return { provider, prefixes: parseGCPRanges(doc) };
+      default:
+        return { provider, prefixes: parseCloudflareRanges(text) };
+    }
+  } catch {
+    throw new Error(`Not a valid ${document} document`);
+  }
+}
+
+/**
+ * Normalize a filter value to lowercase terms
+ * @param {string|string[]|undefined} value - Filter value; strings may be comma-separated
+ * @returns {string[]} Terms, empty when the filter is not set
+ */
+function filterTerms(value) {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : String(value).split(",");
+  return values
+    .map((term) => term.trim().toLowerCase())
+    .filter((term) => term.length > 0);
+}
+
+/**
+ * Keep the prefixes that match every filter that is set
+ * Matching is case-insensitive and exact; each filter may list several
+ * values, any of which matches. Prefixes without the field never match a
+ * filter on it.
+ * @param {CloudPrefix[]} prefixes - Result of parseCloudRanges()
+ * @param {CloudFilters} [filters] - Service, region and tag filters
+ * @returns {CloudPrefix[]}
+ */
+function filterCloudPrefixes(prefixes, filters = {}) {
+  const checks = ["service", "region", "tag"]
+    .map((field) => [field, filterTerms(filters[field])])
+    .filter(([, terms]) => terms.length > 0);
+
+  return prefixes.filter((prefix) =>
+    checks.every(
+      ([field, terms]) =>
+        prefix[field] !== null && terms.includes(prefix[field].toLowerCase()),
+    ),
+  );
+}
+
+/**
+ * List the distinct services, regions and tags in a document, for filter pickers
+ * @param {CloudPrefix[]} prefixes - Result of parseCloudRanges()
+ * @returns {{service: string[], region: string[], tag: string[]}} Sorted values
+ */
+function getCloudFacets(prefixes) {
+  const facets = {};
+  for (const field of ["service", "region", "tag"]) {
+    const values = new Set(
+      prefixes.map((prefix) => prefix[field]).filter((value) => value),
+    );
+    facets[field] = [...values].sort((a, b) => a.localeCompare(b));
+  }
+  return facets;
+}
+
+/**
+ * Turn prefixes into input text for normalizeInput()
+ * Prefixes listed under several services or tags appear once.
+ * @param {CloudPrefix[]} prefixes - Prefixes to import
+ * @returns {string} One CIDR per line
+ */
+function cloudPrefixesToText(prefixes) {
+  return [...new Set(prefixes.map((prefix) => prefix.cidr))].join("\n");
+}
+
+export {
+  CloudProviders,
+  detectCloudProvider,
+  parseCloudRanges,
+  filterCloudPrefixes,
+  getCloudFacets,
+  cloudPrefixesToText,
+};
@@ -0,0 +1,2868 @@
+/**
+ * IP Address Aggregate core library
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ *
+ * DOM-free aggregation engine shared by the web UI (app.js) and the CLI (cli.js).
+ * Runs unchanged in browsers and Node. Public API:
+ *
+ * - Parse: parseInput, isValidCIDR, normalizeToCIDR, CIDRBlock, IPVersion
+ * - Normalize: normalizeInput, extractValidCIDRs, extractNegatedCIDRs,
+ *   getNormalizationSummary, getExtractionSummary (from normalizer.js)
+ * - Aggregate: sortCIDRModels, sortCIDRs, aggregateCIDRs, aggregateToLimit
+ * - Set operations: excludeCIDRs, intersectCIDRs, compareCIDRSets, applyOperation,
+ *   applyNegations
+ * - Transform: FormatRegistry, transformToFormat
+ * - Provenance: buildProvenance, attachLabels
+ * - Special-purpose space: SpecialPurposeRegistry, classifyCIDR (also
+ *   CIDRBlock#classify), filterBySpecialPurpose, specialPurposeCIDRs
+ *
+ * Lower-level range helpers (cidrsToRanges, mergeRanges, rangesToCIDRs, ...) are
+ * exported as well for callers that work on BigInt ranges directly.
+ */
+
+import { NormalizationStatus } from "./normalizer.js";
+
+export {
+  normalizeInput,
+  normalizeEntry,
+  extractValidCIDRs,
+  extractNegatedCIDRs,
+  getNormalizationSummary,
+  mergeExtractedResults,
+  getExtractionSummary,
+  NormalizationStatus,
+} from "./normalizer.js";
+
+const IPVersion = {
+  IPv4: "ipv4",
+  IPv6: "ipv6",
+};
+
+function expandIPv6(address) {
+  const bytes = parseIPv6(address);
+  if (!bytes) return address;
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    const val = (bytes[i] << 8) | bytes[i + 1];
+    groups.push(val.toString(16).padStart(4, "0"));
+  }
+  return groups.join(":");
+}
+
+/**
+ * Prefixes whose addresses are written with a dotted-quad tail (RFC 5952
+ * section 5): IPv4-mapped ::ffff:0:0/96 and the NAT64 well-known prefix
+ * 64:ff9b::/96
+ */
+const IPV4_EMBEDDING_PREFIXES = [
+  { head: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff], text: "::ffff:" },
+  { head: [0, 0x64, 0xff, 0x9b, 0, 0, 0, 0, 0, 0, 0, 0], text: "64:ff9b::" },
+];
+
+function compressIPv6(address) {
+  const bytes = parseIPv6(address);
+  if (!bytes) return address;
+
+  // ::ffff:0:0/96 itself keeps its hextets; addresses inside it are dotted
+  const embedding = IPV4_EMBEDDING_PREFIXES.find(({ head }) =>
+    head.every((byte, i) => bytes[i] === byte),
+  );
+  if (embedding && bytes.slice(12).some((byte) => byte !== 0)) {
+    return embedding.text + bytes.slice(12).join(".");
+  }
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    const val = (bytes[i] << 8) | bytes[i + 1];
+    groups.push(val.toString(16));
+  }
+
+  let bestStart = -1;
+  let bestLength = 0;
+  let currentStart = -1;
+  let currentLength = 0;
+
+  for (let i = 0; i < groups.length; i++) {
+    if (groups[i] === "0") {
+      if (currentStart === -1) {
+        currentStart = i;
+        currentLength = 1;
+      } else {
+        currentLength++;
+      }
+    } else {
+      if (currentLength > bestLength && currentLength > 1) {
+        bestStart = currentStart;
+        bestLength = currentLength;
+      }
+      currentStart = -1;
+      currentLength = 0;
+    }
+  }
+
+  if (currentLength > bestLength && currentLength > 1) {
+    bestStart = currentStart;
+    bestLength = currentLength;
+  }
+
+  if (bestLength > 1) {
+    // Special case: all zeros
+    if (bestLength === groups.length) {
+      return "::";
+    }
+
+    const compressed = [
+      ...groups.slice(0, bestStart),
+      "",
+      ...groups.slice(bestStart + bestLength),
+    ];
+    let result = compressed.join(":");
+    // Handle leading compression (::)
+    if (result.startsWith(":") && !result.startsWith("::")) {
+      result = "::" + result.slice(1);
+    }
+    // Handle trailing compression (::)
+    if (result.endsWith(":") && !result.endsWith("::")) {
+      result = result.slice(0, -1) + "::";
+    }
+    // Fix triple colons that might appear
+    result = result.replace(/:::/g, "::");
+    return result;
+  }
+
+  return groups.join(":");
+}
+
+function calculateIPv6ReverseDNS(cidrBlock) {
+  const address = cidrBlock.toStartAddress();
+  const expanded = expandIPv6(address);
+  const hexString = expanded.replace(/:/g, "").padStart(32, "0");
+  const reversedHex = hexString.split("").reverse().join("");
+  const numHexDigits = Math.ceil(cidrBlock.prefix / 4);
+  const reversedPrefix = reversedHex.substring(0, numHexDigits);
+  const dotted = reversedPrefix.split("").join(".");
+  if (dotted === "") {
+    return "ip6.arpa";
+  }
+  return `${dotted}.ip6.arpa`;
+}
+
+function detectIPVersion(cidrString) {
+  if (!cidrString || typeof cidrString !== "string") {
+    throw new Error("Invalid CIDR format");
+  }
+
+  // Any colon means IPv6, including dotted tails (::ffff:192.0.2.1)
+  if (cidrString.includes(":")) {
+    return IPVersion.IPv6;
+  }
+
+  if (cidrString.includes(".")) {
+    return IPVersion.IPv4;
+  }
+
+  throw new Error("Invalid CIDR format: cannot detect IP version");
+}
+
+function normalizeAddress(address, version) {
+  if (version === IPVersion.IPv6) {
+    return expandIPv6(address);
+  }
+  return address;
+}
+
+function calculateStartAddress(cidrBlock) {
+  if (cidrBlock.version === IPVersion.IPv4) {
+    return ipv4ToNumber(cidrBlock.address);
+  } else {
+    return ipv6ToNumber(cidrBlock.address);
+  }
+}
+
+function calculateEndAddress(cidrBlock) {
+  if (cidrBlock.version === IPVersion.IPv4) {
+    const numHosts = Math.pow(2, 32 - cidrBlock.prefix) - 1;
+    return cidrBlock.startAddress + numHosts;
+  } else {
+    const numHosts = BigInt(2) ** BigInt(128 - cidrBlock.prefix) - BigInt(1);
+    return cidrBlock.startAddress + numHosts;
+  }
+}
+
+function numberToIPv4(num) {
+  return [
+    (num >>> 24) & 255,
+    (num >>> 16) & 255,
+    (num >>> 8) & 255,
+    num & 255,
+  ].join(".");
+}
+
+function numberToIPv6(bigNum) {
+  const bytes = new Uint8Array(16);
+  for (let i = 15; i >= 0; i--) {
+    bytes[i] = Number(bigNum & BigInt(255));
+    bigNum = bigNum >> BigInt(8);
+  }
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    const val = (bytes[i] << 8) | bytes[i + 1];
+    groups.push(val.toString(16));
+  }
+
+  return groups.join(":");
+}
+
+class CIDRBlock {
+  constructor(address, prefix, version) {
+    this.address = normalizeAddress(address, version);
+    this.prefix = prefix;
+    this.version = version;
+    this._expandedAddress =
+      version === IPVersion.IPv6 ? expandIPv6(address) : address;
+    this.startAddress = calculateStartAddress(this);
+    this.endAddress = calculateEndAddress(this);
+    /** @type {string[]} Input labels, set by attachLabels() for transformers */
+    this.labels = [];
+  }
+
+  get expandedAddress() {
+    return this._expandedAddress || this.address;
+  }
+
+  toCIDRString() {
+    return this.version === IPVersion.IPv6
+      ? compressIPv6(this.expandedAddress) + "/" + this.prefix
+      : this.address + "/" + this.prefix;
+  }
+
+  static compressIPv6(address) {
+    const bytes = [];
+    for (let i = 0; i < 8; i++) {
+      bytes[i] = Number((BigInt(address) >> BigInt(8 * i)) & BigInt(255));
+    }
+    return bytes.map((b, i) => b.toString(16).padStart(2, "0")).join(":");
+  }
+
+  toStartAddress() {
+    if (this.version === IPVersion.IPv4) {
+      return numberToIPv4(this.startAddress);
+    } else {
+      return compressIPv6(numberToIPv6(this.startAddress));
+    }
+  }
+
+  toEndAddress() {
+    if (this.version === IPVersion.IPv4) {
+      return numberToIPv4(this.endAddress);
+    } else {
+      return compressIPv6(numberToIPv6(this.endAddress));
+    }
+  }
+
+  getRange() {
+    return [this.toStartAddress(), this.toEndAddress()];
+  }
+
+  /**
+   * Tag the block against the IANA special-purpose registries
+   * @returns {SpecialPurposeTag[]} Tags, empty for ordinary space
+   */
+  classify() {
+    return classifyBlock(this);
+  }
+
+  toNetmask() {
+    if (this.version === IPVersion.IPv6) {
+      throw new Error("Netmask format is only available for IPv4 addresses");
+    }
+
+    const netmask = (~0 << (32 - this.prefix)) >>> 0;
+    return numberToIPv4(netmask);
+  }
+
+  toWildcard() {
+    if (this.version === IPVersion.IPv6) {
+      throw new Error(
+        "Wildcard mask format is only available for IPv4 addresses",
+      );
+    }
+
+    const netmask = (~0 << (32 - this.prefix)) >>> 0;
+    const wildcard = ~netmask >>> 0;
+    return numberToIPv4(wildcard);
+  }
+
+  static fromCIDRString(cidrString) {
+    const [address, prefix] = cidrString.split("/");
+    const version = address.includes(":") ? IPVersion.IPv6 : IPVersion.IPv4;
+    return new CIDRBlock(address, parseInt(prefix), version);
+  }
+
+  static fromBytes(bytes, prefix, version) {
+    if (version === IPVersion.IPv4) {
+      const num =
+        (bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3];
+      const address = numberToIPv4(num);
+      return new CIDRBlock(address, prefix, version);
+    } else {
+      let bigNum = BigInt(0);
+      for (let i = 0; i < 16; i++) {
+        bigNum = (bigNum << BigInt(8)) | BigInt(bytes[i]);
+      }
+      const address = numberToIPv6(bigNum);
+      return new CIDRBlock(address, prefix, version);
+    }
+  }
+}
+
+/**
+ * Parse a port list such as "80, 443, 8000-8080"
+ * @param {string} value - Comma-separated ports and port ranges
+ * @returns {Array<{from: number, to: number}>} Parsed ports, empty if value is blank
+ * @throws {Error} If a port is not an integer in 1-65535 or a range is reversed
+ */
+function parsePortList(value) {
+  const ports = [];
+  for (const token of String(value).split(",")) {
+    const trimmed = token.trim();
+    if (trimmed === "") continue;
+
+    const match = trimmed.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    const from = match ? parseInt(match[1], 10) : NaN;
+    const to = match && match[2] !== undefined ? parseInt(match[2], 10) : from;
+    if (!(from >= 1 && to <= 65535 && from <= to)) {
+      throw new Error(`Invalid port: "${trimmed}"`);
+    }
+    ports.push({ from, to });
+  }
+  return ports;
+}
+
+/**
+ * Render a parsed port as "80" or "8000<separator>8080"
+ * @param {{from: number, to: number}} port - Parsed port
+ * @param {string} separator - Range separator used by the target syntax
+ * @returns {string} Port string
+ */
+function portToString(port, separator) {
+  return port.from === port.to
+    ? String(port.from)
+    : `${port.from}${separator}${port.to}`;
+}
+
+/**
+ * Description for a block from the labels of its input entries
+ * @param {CIDRBlock} block - CIDR block
+ * @param {number} [maxLength=Infinity] - Longest description the target accepts
+ * @returns {string} Labels joined with ", ", empty when the block has none
+ */
+function blockDescription(block, maxLength = Infinity) {
+  return block.labels.join(", ").slice(0, maxLength);
+}
+
+/**
+ * Render the body of an IOS IPv6 access-list entry
+ * IPv6 ACLs name the any-protocol match "ipv6" rather than "ip".
+ * @param {CIDRBlock} block - IPv6 CIDR block
+ * @param {{action: string, protocol: string, direction: string}} opts - Resolved options
+ * @returns {string} Entry such as "permit ipv6 2001:db8::/32 any"
+ */
+function ciscoIPv6Entry(block, opts) {
+  const protocol = opts.protocol === "ip" ? "ipv6" : opts.protocol;
+  const match = block.toCIDRString();
+  const endpoints =
+    opts.direction === "source" ? `${match} any` : `any ${match}`;
+  return `${opts.action} ${protocol} ${endpoints}`;
+}
+
+/**
+ * Build a rule name from a block address, e.g. "rule-192-168-1-0"
+ * @param {string} prefix - Name prefix
+ * @param {CIDRBlock} block - CIDR block
+ * @returns {string} Rule name
+ */
+function ruleName(prefix, block) {
+  return prefix + block.address.replace(/\./g, "-").replace(/:/g, "-");
+}
+
+class FormatTransformer {
+  format(cidrBlocks, options = {}) {
+    throw new Error("Must implement format() method");
+  }
+
+  getName() {
+    throw new Error("Must implement getName() method");
+  }
+
+  getLabel() {
+    return this.getName();
+  }
+
+  supportsIPv6() {
+    return false;
+  }
+
+  /**
+   * Options this format accepts; each field is
+   * {key, label, type: "text"|"number"|"select", default, choices?, min?}
+   * @returns {Object[]} Option fields, empty if the format has none
+   */
+  getOptionsSchema() {
+    return [];
+  }
+
+  /**
+   * Fill in defaults and coerce user-supplied values against the schema.
+   * Unknown keys are dropped; values that don't fit a field fall back to its default.
+   * @param {Object} [options={}] - Raw option values keyed by field key
+   * @returns {Object} Complete options object
+   */
+  resolveOptions(options = {}) {
+    const resolved = {};
+    for (const field of this.getOptionsSchema()) {
+      const raw = options[field.key];
+      let value = field.default;
+
+      if (raw !== undefined && raw !== null) {
+        if (field.type === "number") {
+          const num = Number(raw);
+          if (
+            String(raw).trim() !== "" &&
+            Number.isInteger(num) &&
+            num >= (field.min ?? -Infinity)
+          ) {
+            value = num;
+          }
+        } else if (field.type === "select") {
+          if (field.choices.includes(raw)) value = raw;
+        } else {
+          value = String(raw).trim();
+        }
+      }
+      resolved[field.key] = value;
+    }
+    return resolved;
+  }
+}
+
+class CIDRFormatTransformer extends FormatTransformer {
+  format(cidrBlocks) {
+    return cidrBlocks.map((block) => block.toCIDRString()).join("\n");
+  }
+
+  getName() {
+    return "cidr";
+  }
+
+  getLabel() {
+    return "CIDR";
+  }
+
+  supportsIPv6() {
+    return true;
+  }
+}
+
+class CiscoACLTransformer extends FormatTransformer {
+  format(cidrBlocks, options = {}) {
+    const opts = this.resolveOptions(options);
+    const lines = [];
+    const ipv4Blocks = cidrBlocks.filter((b) => b.version === IPVersion.IPv4);
+    const ipv6Blocks = cidrBlocks.filter((b) => b.version === IPVersion.IPv6);
+
+    for (const block of ipv4Blocks) {
+      const match = `${block.address} ${block.toWildcard()}`;
+      const endpoints =
+        opts.direction === "source" ? `${match} any` : `any ${match}`;
+      const remark = blockDescription(block, 100);
+      if (remark) {
+        lines.push(`access-list ${opts.listName} remark ${remark}`);
+      }
+      lines.push(
+        `access-list ${opts.listName} ${opts.action} ${opts.protocol} ${endpoints}`,
+      );
+    }
+
+    for (const block of ipv6Blocks) {
+      const remark = blockDescription(block, 100);
+      if (remark) {
+        lines.push(`ipv6 access-list ${opts.ipv6ListName} remark ${remark}`);
+      }
+      lines.push(
+        `ipv6 access-list ${opts.ipv6ListName} ${ciscoIPv6Entry(block, opts)}`,
+      );
+    }
+
+    return lines.join("\n");
+  }
+
+  getName() {
+    return "cisco-acl";
+  }
+
+  getLabel() {
+    return "Cisco ACL";
+  }
+
+  supportsIPv6() {
+    return true;
+  }
+
+  getOptionsSchema() {
+    return [
+      {
+        key: "listName",
+        label: "ACL number/name",
+        type: "text",
+        default: "101",
+      },
+      {
+        key: "ipv6ListName",
+        label: "IPv6 ACL name",
+        type: "text",
+        default: "FIREWALL",
+      },
+      {
+        key: "action",
+        label: "Action",
+        type: "select",
+        choices: ["permit", "deny"],
+        default: "permit",
+      },
+      {
+        key: "protocol",
+        label: "Protocol",
+        type: "select",
+        choices: ["ip", "tcp", "udp", "icmp"],
+        default: "ip",
+      },
+      {
+        key: "direction",
+        label: "Match on",
+        type: "select",
+        choices: ["source", "destination"],
+        default: "source",
+      },
+    ];
+  }
+}
+
+class CiscoPrefixListTransformer extends FormatTransformer {
+  format(cidrBlocks, options = {}) {
+    const opts = this.resolveOptions(options);
+    const lines = [];
+    const ipv4Blocks = cidrBlocks.filter((b) => b.version === IPVersion.IPv4);
+    const ipv6Blocks = cidrBlocks.filter((b) => b.version === IPVersion.IPv6);
+
+    let seqNum = opts.seqStart;
+    for (const block of ipv4Blocks) {
+      lines.push(
+        `ip prefix-list ${opts.listName} seq ${seqNum} ${opts.action} ${block.toCIDRString()} le ${block.prefix}`,
+      );
+      seqNum += opts.seqStep;
+    }
+
+    seqNum = opts.seqStart;
+    for (const block of ipv6Blocks) {
+      lines.push(
+        `ipv6 prefix-list ${opts.ipv6ListName} seq ${seqNum} ${opts.action} ${block.toCIDRString()} le ${block.prefix}`,
+      );
+      seqNum += opts.seqStep;
+    }
+
+    return lines.join("\n");
+  }
+
+  getName() {
+    return "cisco-prefix-list";
+  }
+
+  getLabel() {
+    return "Cisco Prefix List";
+  }
+
+  supportsIPv6() {
+    return true;
+  }
+
+  getOptionsSchema() {
+    return [
+      { key: "listName", label: "List name", type: "text", default: "LIST" },
+      {
+        key: "ipv6ListName",
+        label: "IPv6 list name",
+        type: "text",
+        default: "LIST6",
+      },
+      {
+        key: "action",
+        label: "Action",
+        type: "select",
+        choices: ["permit", "deny"],
+        default: "permit",
+      },
+      {
+        key: "seqStart",
+        label: "First seq",
+        type: "number",
+        min: 1,
+        default: 10,
+      },
+      {
+        key: "seqStep",
+        label: "Seq step",
+        type: "number",
+        min: 1,
+        default: 10,
+      },
+    ];
+  }
+}
+
+class CiscoWildcardTransformer extends FormatTransformer {
+  format(cidrBlocks) {
+    const lines = [];
+
+    const ipv4Blocks = cidrBlocks.filter((b) => b.version === IPVersion.IPv4);
+
+    const ipv6Blocks = cidrBlocks.filter((b) => b.version === IPVersion.IPv6);
+    if (ipv6Blocks.length > 0) {
+      console.warn(
+        `CiscoWildcardTransformer skipped ${ipv6Blocks.length} IPv6 blocks`,
+      );
+    }
+
+    for (const block of ipv4Blocks) {
+      const wildcard = block.toWildcard();
+      lines.push(`${block.address} ${wildcard}`);
+    }
+
+    return lines.join("\n");
+  }
+
+  getName() {
+    return "cisco-wildcard";
+  }
+
+  getLabel() {
+    return "Cisco Wildcard";
+  }
+
+  supportsIPv6() {
+    return false;
+  }
+}
+
+class IPMaskTransformer extends FormatTransformer {
+  format(cidrBlocks) {
+    const lines = [];
+
+    for (const block of cidrBlocks) {
+      if (block.version === IPVersion.IPv4) {
+        const netmask = block.toNetmask();
+        lines.push(`${block.address} ${netmask}`);
+      } else {
+        lines.push(block.toCIDRString());
+      }
+    }
+
+    return lines.join("\n");
+  }
+
+  getName() {
+    return "ip-mask";
+  }
+
+  getLabel() {
+    return "IP + Netmask";
+  }
+
+  supportsIPv6() {
+    return true;
+  }
+}
+
+class FortigateTransformer extends FormatTransformer {
+  format(cidrBlocks, options = {}) {
+    const opts = this.resolveOptions(options);
+    const lines = [];
+
+    // Group members are address objects named after the CIDR; labelled
+    // blocks get their object defined here so the label lands in its comment
+    const labelled = cidrBlocks.filter((block) => block.labels.length > 0);
+    for (const version of [IPVersion.IPv4, IPVersion.IPv6]) {
+      const blocks = labelled.filter((block) => block.version === version);
+      if (blocks.length === 0) continue;
+      const isIPv4 = version === IPVersion.IPv4;
+      lines.push(`config firewall ${isIPv4 ? "address" : "address6"}`);
+      for (const block of blocks) {
+        const cidr = block.toCIDRString();
+        lines.push(`  edit "${cidr}"`);
+        lines.push(
+          isIPv4
+            ? `    set subnet ${block.address} ${block.toNetmask()}`
+            : `    set ip6 ${cidr}`,
+        );
+        lines.push(
+          `    set comment "${blockDescription(block, 255).replace(/"/g, "'")}"`,
+        );
+        lines.push("  next");
+      }
+      lines.push("end");
+    }
+
+    lines.push("config firewall addrgrp");
+    lines.push(`  edit "${opts.groupName}"`);
+
+    for (const block of cidrBlocks) {
+      lines.push(`    set member "${block.toCIDRString()}"`);
+    }
+
+    lines.push("  next");
+    lines.push("end");
+
+    return lines.join("\n");
+  }
+
+  getName() {
+    return "fortigate";
+  }
+
+  getLabel() {
+    return "FortiGate Address Group";
+  }
+
+  supportsIPv6() {
+    return true;
+  }
+
+  getOptionsSchema() {
+    return [
+      {
+        key: "groupName",
+        label: "Group name",
+        type: "text",
+        default: "address_group",
+      },
+    ];
+  }
+}
+
+class CiscoIPv6ACLTransformer extends FormatTransformer {
+  format(cidrBlocks, options = {}) {
+    const opts = this.resolveOptions(options);
+    const lines = [];
+
+    for (const block of cidrBlocks) {
+      lines.push(
+        `ipv6 access-list ${opts.listName} ${ciscoIPv6Entry(block, opts)}`,
+      );
+    }
+
+    return lines.join("\n");
+  }
+
+  getName() {
+    return "cisco-ipv6-acl";
+  }
+
+  getLabel() {
+    return "Cisco IPv6 ACL";
+  }
+
+  supportsIPv6() {
+    return true;
+  }
+
+  getOptionsSchema() {
+    return [
+      { key: "listName", label: "ACL name", type: "text", default: "FIREWALL" },
+      {
+        key: "action",
+        label: "Action",
+        type: "select",
+        choices: ["permit", "deny"],
+        default: "permit",
+      },
+      {
+        key: "protocol",
+        label: "Protocol",
+        type: "select",
+        choices: ["ip", "tcp", "udp", "icmp"],
+        default: "ip",
+      },
+      {
+        key: "direction",
+        label: "Match on",
+        type: "select",
+        choices: ["source", "destination"],
+        default: "source",
+      },
+    ];
+  }
+}
+
+class JuniperIPv6Transformer extends FormatTransformer {
+  format(cidrBlocks, options = {}) {
+    const opts = this.resolveOptions(options);
+    const lines = [];
+    const ipv6Blocks = cidrBlocks.filter((b) => b.version === IPVersion.IPv6);
+
+    lines.push("set security address-book global");
+
+    for (let i = 0; i < ipv6Blocks.length; i++) {
+      const block = ipv6Blocks[i];
+      const [address, prefix] = block.toCIDRString().split("/");
+      lines.push(`set address ${opts.addressPrefix}${i} ${address} ${prefix}`);
+    }
+
+    if (ipv6Blocks.length > 0) {
+      lines.push(`set address address-set ${opts.addressSetName}`);
+      for (let i = 0; i < ipv6Blocks.length; i++) {
+        lines.push(
+          `set address ${opts.addressSetName} ${opts.addressPrefix}${i}`,
+        );
+      }
+    }
+
+    return lines.join("\n");
+  }
+
+  getName() {
+    return "juniper-ipv6";
+  }
+
+  getLabel() {
+    return "Juniper SRX IPv6";
+  }
+
+  supportsIPv6() {
+    return true;
+  }
+
+  getOptionsSchema() {
+    return [
+      {
+        key: "addressSetName",
+        label: "Address set",
+        type: "text",
+        default: "FIREWALL_LIST",
+      },
+      {
+        key: "addressPrefix",
+        label: "Address name prefix",
+        type: "text",
+        default: "ADDR-",
+      },
+    ];
+  }
+}
+
+class IptablesTransformer extends FormatTransformer {
+  format(cidrBlocks, options = {}) {
+    const opts = this.resolveOptions(options);
+    const ports = parsePortList(opts.ports);
+    if (ports.length > 0 && opts.protocol === "all") {
+      throw new Error("Ports require protocol tcp or udp");
+    }
+
+    const flag = opts.direction === "source" ? "-s" : "-d";
+    let match = opts.protocol === "all" ? "" : ` -p ${opts.protocol}`;
+    if (ports.length === 1) {
+      match += ` --dport ${portToString(ports[0], ":")}`;
+    } else if (ports.length > 1) {
+      const list = ports.map((p) => portToString(p, ":")).join(",");
+      match += ` -m multiport --dports ${list}`;
+    }
+
+    const lines = [];
+    for (const block of cidrBlocks) {
+      const command =
+        block.version === IPVersion.IPv4 ? "iptables" : "ip6tables";
+      const label = blockDescription(block, 256).replace(/"/g, "'");
+      const comment = label ? ` -m comment --comment "${label}"` : "";
+      lines.push(
+        `${command} -A ${opts.chain} ${flag} ${block.toCIDRString()}${match}${comment} -j ${opts.target}`,
+      );
+    }
+
+    return lines.join("\n");
+  }
+
+  getName() {
+    return "iptables";
+  }
+
+  getLabel() {
+    return "iptables / ip6tables";
+  }
+
+  supportsIPv6() {
+    return true;
+  }
+
+  getOptionsSchema() {
+    return [
+      { key: "chain", label: "Chain", type: "text", default: "INPUT" },
+      {
+        key: "target",
+        label: "Target",
+        type: "select",
+        choices: ["ACCEPT", "DROP", "REJECT"],
+        default: "ACCEPT",
+      },
+      {
+        key: "direction",
+        label: "Match on",
+        type: "select",
+        choices: ["source", "destination"],
+        default: "source",
+      },
+      {
+        key: "protocol",
+        label: "Protocol",
+        type: "select",
+        choices: ["all", "tcp", "udp"],
+        default: "all",
+      },
+      { key: "ports", label: "Ports", type: "text", default: "" },
+    ];
+  }
+}
+
+class UFWTransformer extends FormatTransformer {
+  format(cidrBlocks, options = {}) {
+    const opts = this.resolveOptions(options);
+    const ports = parsePortList(opts.ports);
+    if (ports.length > 0 && opts.protocol === "any") {
+      throw new Error("Ports require protocol tcp or udp");
+    }
+
+    let suffix = "";
+    if (ports.length > 0) {
+      suffix += ` port ${ports.map((p) => portToString(p, ":")).join(",")}`;
+    }
+    if (opts.protocol !== "any") {
+      suffix += ` proto ${opts.protocol}`;
+    }
+
+    const lines = [];
+    for (const block of cidrBlocks) {
+      const cidr = block.toCIDRString();
+      const label = blockDescription(block).replace(/'/g, '"');
+      const comment = label ? ` comment '${label}'` : "";
+      if (opts.direction === "source") {
+        const target = suffix ? ` to any${suffix}` : "";
+        lines.push(`ufw ${opts.action} from ${cidr}${target}${comment}`);
+      } else {
+        lines.push(`ufw ${opts.action} from any to ${cidr}${suffix}${comment}`);
+      }
+    }
+
+    return lines.join("\n");
+  }
+
+  getName() {
+    return "ufw";
+  }
+
+  getLabel() {
+    return "UFW";
+  }
+
+  supportsIPv6() {
+    return true;
+  }
+
+  getOptionsSchema() {
+    return [
+      {
+        key: "action",
+        label: "Action",
+        type: "select",
+        choices: ["allow", "deny", "reject", "limit"],
+        default: "allow",
+      },
+      {
+        key: "direction",
+        label: "Match on",
+        type: "select",
+        choices: ["source", "destination"],
+        default: "source",
+      },
+      {
+        key: "protocol",
+        label: "Protocol",
+        type: "select",
+        choices: ["any", "tcp", "udp"],
+        default: "any",
+      },
+      { key: "ports", label: "Ports", type: "text", default: "" },
+    ];
+  }
+}
+
+class PaloAltoTransformer extends FormatTransformer {
+  format(cidrBlocks) {
+    return cidrBlocks.map((block) => block.toCIDRString()).join("\n");
+  }
+
+  getName() {
+    return "palo-alto";
+  }
+
+  getLabel() {
+    return "Palo Alto EDL";
+  }
+
+  supportsIPv6() {
+    return true;
+  }
+}
+
+class AWSSecurityGroupTransformer extends FormatTransformer {
+  format(cidrBlocks, options = {}) {
+    const opts = this.resolveOptions(options);
+    const rules = [];
+    for (const block of cidrBlocks) {
+      const rule = {
+        IpProtocol: opts.protocol,
+        FromPort: opts.fromPort,
+        ToPort: opts.toPort,
+        Description:
+          blockDescription(block, 255) ||
+          `${opts.description} ${block.toCIDRString()}`,
+      };
+      if (block.version === IPVersion.IPv4) {
+        rule.CidrIp = block.toCIDRString();
+      } else {
+        rule.CidrIpv6 = block.toCIDRString();
+      }
+      rules.push(rule);
+    }
+    return JSON.stringify({ Rules: rules }, null, 2);
+  }
+
+  getName() {
+    return "aws-security-group";
+  }
+
+  getLabel() {
+    return "AWS Security Group";
+  }
+
+  supportsIPv6() {
+    return true;
+  }
+
+  getOptionsSchema() {
+    return [
+      {
+        key: "protocol",
+        label: "Protocol",
+        type: "select",
+        choices: ["-1", "tcp", "udp", "icmp", "icmpv6"],
+        default: "-1",
+      },
+      {
+        key: "fromPort",
+        label: "From port",
+        type: "number",
+        min: -1,
+        default: -1,
+      },
+      { key: "toPort", label: "To port", type: "number", min: -1, default: -1 },
+      {
+        key: "description",
+        label: "Description prefix",
+        type: "text",
+        default: "Allow from",
+      },
+    ];
+  }
+}
+
+class GCPFirewallTransformer extends FormatTransformer {
+  format(cidrBlocks, options = {}) {
+    const opts = this.resolveOptions(options);
+    const ports = parsePortList(opts.ports);
+    if (ports.length > 0 && !["tcp", "udp"].includes(opts.protocol)) {
+      throw new Error("Ports require protocol tcp or udp");
+    }
+
+    const match = { IPProtocol: opts.protocol };
+    if (ports.length > 0) {
+      match.ports = ports.map((p) => portToString(p, "-"));
+    }
+
+    const rules = [];
+    for (const block of cidrBlocks) {
+      const rule = {
+        name: ruleName(opts.namePrefix, block),
+        direction: opts.direction,
+        priority: opts.priority,
+      };
+      const description = blockDescription(block, 2048);
+      if (description) {
+        rule.description = description;
+      }
+      if (opts.direction === "INGRESS") {
+        rule.sourceRanges = [block.toCIDRString()];
+      } else {
+        rule.destinationRanges = [block.toCIDRString()];
+      }
+      rule[opts.action === "allow" ? "allowed" : "denied"] = [match];
+      rules.push(rule);
+    }
+    return JSON.stringify({ Rules: rules }, null, 2);
+  }
+
+  getName() {
+    return "gcp-firewall";
+  }
+
+  getLabel() {
+    return "GCP Firewall";
+  }
+
+  supportsIPv6() {
+    return true;
+  }
+
+  getOptionsSchema() {
+    return [
+      {
+        key: "namePrefix",
+        label: "Name prefix",
+        type: "text",
+        default: "rule-",
+      },
+      {
+        key: "action",
+        label: "Action",
+        type: "select",
+        choices: ["allow", "deny"],
+        default: "allow",
+      },
+      {
+        key: "direction",
+        label: "Direction",
+        type: "select",
+        choices: ["INGRESS", "EGRESS"],
+        default: "INGRESS",
+      },
+      {
+        key: "protocol",
+        label: "Protocol",
+        type: "select",
+        choices: ["tcp", "udp", "icmp", "all"],
+        default: "tcp",
+      },
+      { key: "ports", label: "Ports", type: "text", default: "80,443" },
+      {
+        key: "priority",
+        label: "Priority",
+        type: "number",
+        min: 0,
+        default: 1000,
+      },
+    ];
+  }
+}
+
+class AzureNSGTransformer extends FormatTransformer {
+  format(cidrBlocks, options = {}) {
+    const opts = this.resolveOptions(options);
+    const prefixKey =
+      opts.direction === "Inbound"
+        ? "sourceAddressPrefix"
+        : "destinationAddressPrefix";
+
+    const rules = [];
+    let priority = opts.priority;
+    for (const block of cidrBlocks) {
+      const rule = {
+        name: ruleName(opts.namePrefix, block),
+        properties: {
+          [prefixKey]: block.toCIDRString(),
+          access: opts.access,
+          direction: opts.direction,
+          priority: priority,
+        },
+      };
+      const description = blockDescription(block, 140);
+      if (description) {
+        rule.properties.description = description;
+      }
+      rules.push(rule);
+      priority += opts.priorityStep;
+    }
+    return JSON.stringify({ rules: rules }, null, 2);
+  }
+
+  getName() {
+    return "azure-nsg";
+  }
+
+  getLabel() {
+    return "Azure NSG";
+  }
+
+  supportsIPv6() {
+    return true;
+  }
+
+  getOptionsSchema() {
+    return [
+      {
+        key: "namePrefix",
+        label: "Name prefix",
+        type: "text",
+        default: "rule-",
+      },
+      {
+        key: "access",
+        label: "Access",
+        type: "select",
+        choices: ["Allow", "Deny"],
+        default: "Allow",
+      },
+      {
+        key: "direction",
+        label: "Direction",
+        type: "select",
+        choices: ["Inbound", "Outbound"],
+        default: "Inbound",
+      },
+      {
+        key: "priority",
+        label: "First priority",
+        type: "number",
+        min: 100,
+        default: 1000,
+      },
+      {
+        key: "priorityStep",
+        label: "Priority step",
+        type: "number",
+        min: 1,
+        default: 10,
+      },
+    ];
+  }
+}
+
+class ReverseDNSTransformer extends FormatTransformer {
+  format(cidrBlocks) {
+    const lines = [];
+
+    for (const block of cidrBlocks) {
+      if (block.version === IPVersion.IPv4) {
+        const octets = block.address.split(".");
+        const numOctets = Math.ceil(block.prefix / 8);
+        const reversedOctets = octets.slice(0, numOctets).reverse();
+        lines.push(`${reversedOctets.join(".")}.in-addr.arpa`);
+      } else {
+        const reverseDNS = calculateIPv6ReverseDNS(block);
+        lines.push(reverseDNS);
+      }
+    }
+
+    return lines.join("\n");
+  }
+
+  getName() {
+    return "reverse-dns";
+  }
+
+  getLabel() {
+    return "Reverse DNS Zones";
+  }
+
+  supportsIPv6() {
+    return true;
+  }
+}
+
+const FormatRegistry = {
+  cidr: new CIDRFormatTransformer(),
+  "cisco-acl": new CiscoACLTransformer(),
+  "cisco-prefix-list": new CiscoPrefixListTransformer(),
+  "cisco-wildcard": new CiscoWildcardTransformer(),
+  "ip-mask": new IPMaskTransformer(),
+  fortigate: new FortigateTransformer(),
+  "cisco-ipv6-acl": new CiscoIPv6ACLTransformer(),
+  "juniper-ipv6": new JuniperIPv6Transformer(),
+  "palo-alto": new PaloAltoTransformer(),
+  iptables: new IptablesTransformer(),
+  ufw: new UFWTransformer(),
+  "aws-sg": new AWSSecurityGroupTransformer(),
+  "gcp-firewall": new GCPFirewallTransformer(),
+  "azure-nsg": new AzureNSGTransformer(),
+  "reverse-dns": new ReverseDNSTransformer(),
+};
+
+/**
+ * Operations offered by the operation selector
+ * `secondaryLabel` names the second input pane, or null when it is not used.
+ */
+const Operations = {
+  aggregate: { label: "Aggregate", secondaryLabel: null },
+  exclude: {
+    label: "Subtract / Exclude",
+    secondaryLabel: "Exclusions",
+    secondaryPlaceholder:
+      "Enter addresses to remove from the input\nExamples:\n10.20.0.0/16\n10.99.5.0/24",
+  },
+  intersect: {
+    label: "Intersect",
+    secondaryLabel: "Intersect With",
+    secondaryPlaceholder:
+      "Enter the second list; only space present in both is kept\nExamples:\n10.0.0.0/16\n192.168.0.0/16",
+  },
+  limit: {
+    label: "Aggregate to Limit",
+    secondaryLabel: null,
+    usesMaxEntries: true,
+  },
+  compare: {
+    label: "Compare",
+    secondaryLabel: "Compare With (B)",
+    secondaryPlaceholder:
+      "Enter list B to compare against the input (A)\nExamples:\n10.0.0.0/25\n10.0.0.128/25",
+  },
+};
+
+/**
+ * Apply format transformation to an array of CIDRBlock models
+ * @param {CIDRBlock[]} cidrModels - Array of CIDRBlock instances
+ * @param {string} formatName - Name of format to transform to
+ * @param {Object} [options={}] - Transformer options; missing keys use the schema defaults
+ * @returns {string} Formatted output string
+ * @throws {Error} If an option value can't be rendered (e.g. invalid port)
+ */
+function transformToFormat(cidrModels, formatName, options = {}) {
+  const transformer = FormatRegistry[formatName];
+  if (!transformer) {
+    console.error(`Unknown format: ${formatName}`);
+    return cidrModels.map((c) => c.toCIDRString()).join("\n");
+  }
+
+  return transformer.format(cidrModels, options);
+}
+
+/**
+ * Sort CIDRBlock models by version (IPv4 first), then by start address, then by prefix
+ * @param {CIDRBlock[]} cidrModels - Array of CIDRBlock instances
+ * @returns {CIDRBlock[]} Sorted array of CIDRBlock models
+ */
+function sortCIDRModels(cidrModels) {
+  return [...cidrModels].sort((a, b) => {
+    if (a.version !== b.version) {
+      return a.version === IPVersion.IPv4 ? -1 : 1;
+    }
+
+    if (a.version === IPVersion.IPv4) {
+      if (a.startAddress !== b.startAddress) {
+        return a.startAddress - b.startAddress;
+      }
+      return a.prefix - b.prefix;
+    }
+
+    const aExpanded = a.expandedAddress;
+    const bExpanded = b.expandedAddress;
+
+    if (aExpanded !== bExpanded) {
+      return aExpanded < bExpanded ? -1 : 1;
+    }
+
+    if (a.version === IPVersion.IPv4) {
+      if (a.startAddress !== b.startAddress) {
+        return a.startAddress - b.startAddress;
+      }
+      return a.prefix - b.prefix;
+    } else {
+      if (a.startAddress !== b.startAddress) {
+        return a.startAddress < b.startAddress ? -1 : 1;
+      }
+      return a.prefix - b.prefix;
+    }
+  });
+}
+
+/**
+ * Check if a string is a bare IPv4 address (no prefix)
+ * @param {string} addr - Address string to check
+ * @returns {boolean} True if it's a bare IPv4 address
+ */
+function isBareIPv4(addr) {
+  if (addr.includes("/")) {
+    return false;
+  }
+
+  const ipv4Regex = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+  const match = addr.match(ipv4Regex);
+  if (!match) return false;
+
+  const octets = match.slice(1, 5).map(Number);
+  for (const octet of octets) {
+    if (octet < 0 || octet > 255) return false;
+  }
+  return true;
+}
+
+/**
+ * Check if a string is a bare IPv6 address (no prefix)
+ * @param {string} addr - Address string to check
+ * @returns {boolean} True if it's a bare IPv6 address
+ */
+function isBareIPv6(addr) {
+  if (addr.includes("/")) {
+    return false;
+  }
+
+  try {
+    const bytes = parseIPv6(addr);
+    return bytes !== null;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Normalize an address to CIDR format if needed
+ * @param {string} addr - Address string (may or may not have prefix)
+ * @returns {string} CIDR notation string
+ */
+function normalizeToCIDR(addr) {
+  if (addr.includes("/")) {
+    return addr;
+  }
+
+  if (isBareIPv4(addr)) {
+    return `${addr}/32`;
+  }
+
+  if (isBareIPv6(addr)) {
+    return `${addr}/128`;
+  }
+
+  return addr;
+}
+
+/**
+ * Parse input string into array of CIDR strings
+ * @param {string} input - Input text from textarea
+ * @returns {string[]} Array of CIDR strings
+ */
+function parseInput(input) {
+  if (!input || input.trim() === "") {
+    return [];
+  }
+
+  return input
+    .trim()
+    .split(/[\n,]+/)
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0)
+    .map(normalizeToCIDR);
+}
+
+/**
+ * Validate a CIDR string (both IPv4 and IPv6)
+ * @param {string} cidr - CIDR notation string
+ * @returns {boolean} True if valid CIDR, false otherwise
+ */
+function isValidCIDR(cidr) {
+  if (!cidr || typeof cidr !== "string") {
+    return false;
+  }
+
+  const parts = cidr.split("/");
+  if (parts.length !== 2) {
+    return false;
+  }
+
+  const [address, prefix] = parts;
+
+  if (prefix === "" || isNaN(parseInt(prefix))) {
+    return false;
+  }
+
+  const prefixNum = parseInt(prefix);
+
+  return isValidIPv4(address, prefixNum) || isValidIPv6(address, prefixNum);
+}
+
+/**
+ * Validate IPv4 address with prefix
+ * @param {string} address - IPv4 address
+ * @param {number} prefix - Prefix length
+ * @returns {boolean} True if valid IPv4 CIDR
+ */
+function isValidIPv4(address, prefix) {
+  const ipv4Regex = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+  const match = address.match(ipv4Regex);
+
+  if (!match) {
+    return false;
+  }
+
+  const octets = match.slice(1, 5).map(Number);
+
+  for (const octet of octets) {
+    if (octet < 0 || octet > 255) {
+      return false;
+    }
+  }
+
+  return prefix >= 0 && prefix <= 32;
+}
+
+/**
+ * Validate IPv6 address with prefix
+ * @param {string} address - IPv6 address
+ * @param {number} prefix - Prefix length
+ * @returns {boolean} True if valid IPv6 CIDR
+ */
+function isValidIPv6(address, prefix) {
+  try {
+    const bytes = parseIPv6(address);
+    if (!bytes) {
+      return false;
+    }
+    return prefix >= 0 && prefix <= 128;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Replace a dotted-quad tail ("::ffff:192.0.2.1") with its two hextets
+ * @param {string} addr - IPv6 address string
+ * @returns {string|null} Address in hextets, or null if the tail is not a valid IPv4 address
+ */
+function replaceIPv4Tail(addr) {
+  const lastColon = addr.lastIndexOf(":");
+  const tail = addr.slice(lastColon + 1);
+  if (lastColon === -1 || !tail.includes(".")) return addr;
+  if (!isValidIPv4(tail, 32)) return null;
+
+  const num = ipv4ToNumber(tail);
+  const high = Math.floor(num / 0x10000).toString(16);
+  const low = (num & 0xffff).toString(16);
+  return `${addr.slice(0, lastColon + 1)}${high}:${low}`;
+}
+
+/**
+ * Parse an IPv6 address string into a 16-byte array
+ * @param {string} addr - IPv6 address string (may be compressed with ::
+ *   and end in a dotted quad, as in ::ffff:192.0.2.1)
+ * @returns {Uint8Array|null} 16-byte array representing the address, or null if invalid
+ */
+function parseIPv6(addr) {
+  addr = replaceIPv4Tail(addr.trim().toLowerCase());
+  if (addr === null) return null;
+
+  if (addr.includes("::")) {
+    const parts = addr.split("::");
+    if (parts.length > 2) return null;
+
+    const left = parts[0] ? parts[0].split(":") : [];
+    const right = parts[1] ? parts[1].split(":") : [];
+    const missing = 8 - left.length - right.length;
+
+    const groups = [...left];
+    for (let i = 0; i < missing; i++) groups.push("0");
+    groups.push(...right);
+
+    const bytes = new Uint8Array(16);
+    for (let i = 0; i < 8; i++) {
+      const val = parseInt(groups[i] || "0", 16);
+      if (isNaN(val) || val > 0xffff) return null;
+      bytes[i * 2] = (val >> 8) & 0xff;
+      bytes[i * 2 + 1] = val & 0xff;
+    }
+    return bytes;
+  } else {
+    const groups = addr.split(":");
+    if (groups.length !== 8) return null;
+
+    const bytes = new Uint8Array(16);
+    for (let i = 0; i < 8; i++) {
+      const val = parseInt(groups[i], 16);
+      if (isNaN(val) || val > 0xffff) return null;
+      bytes[i * 2] = (val >> 8) & 0xff;
+      bytes[i * 2 + 1] = val & 0xff;
+    }
+    return bytes;
+  }
+}
+
+/**
+ * Convert IPv4 address to numeric value for comparison
+ * @param {string} address - IPv4 address (without prefix)
+ * @returns {number} Numeric representation
+ */
+function ipv4ToNumber(address) {
+  const parts = address.split(".").map(Number);
+  return (
+    ((parts[0] << 24) >>> 0) +
+    ((parts[1] << 16) >>> 0) +
+    ((parts[2] << 8) >>> 0) +
+    parts[3]
+  );
+}
+
+/**
+ * Convert IPv6 address to numeric value for comparison
+ * @param {string} address - IPv6 address (without prefix)
+ * @returns {bigint} Numeric representation
+ */
+function ipv6ToNumber(address) {
+  const bytes = parseIPv6(address);
+  if (!bytes) {
+    return BigInt(0);
+  }
+
+  let result = BigInt(0);
+  for (let i = 0; i < 16; i++) {
+    result = (result << BigInt(8)) | BigInt(bytes[i]);
+  }
+  return result;
+}
+
+/**
+ * Compare two CIDR strings for sorting
+ * @param {string} a - First CIDR string
+ * @param {string} b - Second CIDR string
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+function compareCIDR(a, b) {
+  const isAIPv4 = !a.includes(":");
+  const isBIPv4 = !b.includes(":");
+
+  if (isAIPv4 && !isBIPv4) {
+    return -1;
+  }
+  if (!isAIPv4 && isBIPv4) {
+    return 1;
+  }
+
+  const [addrA, prefixA] = a.split("/");
+  const [addrB, prefixB] = b.split("/");
+
+  if (isAIPv4) {
+    const numA = ipv4ToNumber(addrA);
+    const numB = ipv4ToNumber(addrB);
+    if (numA !== numB) {
+      return numA - numB;
+    }
+    return parseInt(prefixA) - parseInt(prefixB);
+  } else {
+    const numA = ipv6ToNumber(addrA);
+    const numB = ipv6ToNumber(addrB);
+    if (numA !== numB) {
+      return numA < numB ? -1 : 1;
+    }
+    return parseInt(prefixA) - parseInt(prefixB);
+  }
+}
+
+/**
+ * Sort CIDR strings (IPv4 first, then IPv6, each sorted numerically)
+ * @param {string[]} cidrs - Array of CIDR strings
+ * @returns {string[]} Sorted array of CIDR strings
+ */
+function sortCIDRs(cidrs) {
+  return [...cidrs].sort(compareCIDR);
+}
+
+/**
+ * Aggregate CIDR addresses, merging overlapping and adjacent ranges
+ * Each IP version is converted to numeric ranges, merged, and split back
+ * into the minimal set of aligned blocks, so the result is deterministic
+ * and independent of input order.
+ * @param {string[]} cidrs - Array of CIDR strings
+ * @returns {string[]} Array of aggregated CIDR strings (IPv4 first, then IPv6, each ascending)
+ * @throws {Error} If any entry is not a valid CIDR
+ */
+function aggregateCIDRs(cidrs) {
+  if (cidrs.length === 0) {
+    return [];
+  }
+
+  return rangesToCIDRs(cidrsToRanges(cidrs));
+}
+
+/**
+ * Get the address width in bits for an IP version
+ * @param {string} version - IPVersion value
+ * @returns {bigint} 32n for IPv4, 128n for IPv6
+ */
+function addressBits(version) {
+  return version === IPVersion.IPv4 ? BigInt(32) : BigInt(128);
+}
+
+/**
+ * Merge sorted-or-unsorted numeric ranges, joining overlapping and adjacent ones
+ * @param {Array<[bigint, bigint]>} ranges - Inclusive [start, end] pairs
+ * @returns {Array<[bigint, bigint]>} Sorted, non-overlapping ranges
+ */
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) =>
+    a[0] === b[0] ? 0 : a[0] < b[0] ? -1 : 1,
+  );
+
+  const merged = [];
+  for (const [start, end] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + BigInt(1)) {
+      if (end > last[1]) {
+        last[1] = end;
+      }
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Convert a CIDR string to its numeric range
+ * Host bits are masked off so "10.0.0.5/24" covers 10.0.0.0-10.0.0.255,
+ * and bare addresses are treated as /32 or /128.
+ * @param {string} cidr - CIDR notation string
+ * @returns {{version: string, start: bigint, end: bigint}}
+ * @throws {Error} If the string is not a valid CIDR
+ */
+function cidrToRange(cidr) {
+  const normalized = normalizeToCIDR(cidr);
+  if (!isValidCIDR(normalized)) {
+    throw new Error(`Invalid CIDR: "${cidr}"`);
+  }
+
+  const block = CIDRBlock.fromCIDRString(normalized);
+  if (block.prefix > Number(addressBits(block.version))) {
+    throw new Error(`Invalid CIDR: "${cidr}" (prefix out of range)`);
+  }
+
+  const size = BigInt(1) << (addressBits(block.version) - BigInt(block.prefix));
+  const start =
+    BigInt(block.startAddress) - (BigInt(block.startAddress) % size);
+  return { version: block.version, start, end: start + size - BigInt(1) };
+}
+
+/**
+ * Convert CIDR strings into merged numeric ranges, grouped by IP version
+ * @param {string[]} cidrs - Array of CIDR strings
+ * @returns {{ipv4: Array<[bigint, bigint]>, ipv6: Array<[bigint, bigint]>}}
+ */
+function cidrsToRanges(cidrs) {
+  const ranges = { [IPVersion.IPv4]: [], [IPVersion.IPv6]: [] };
+
+  for (const cidr of cidrs) {
+    const { version, start, end } = cidrToRange(cidr);
+    ranges[version].push([start, end]);
+  }
+
+  return {
+    [IPVersion.IPv4]: mergeRanges(ranges[IPVersion.IPv4]),
+    [IPVersion.IPv6]: mergeRanges(ranges[IPVersion.IPv6]),
+  };
+}
+
+/**
+ * Split an inclusive numeric range into the minimal set of aligned blocks
+ * @param {bigint} start - First address in the range
+ * @param {bigint} end - Last address in the range
+ * @param {string} version - IPVersion value
+ * @returns {Array<[bigint, bigint]>} Aligned [start, end] blocks in ascending order
+ */
+function splitRange(start, end, version) {
+  const bits = addressBits(version);
+  const blocks = [];
+  let current = start;
+
+  while (current <= end) {
+    // Largest block aligned on current
+    let hostBits = BigInt(0);
+    while (
+      hostBits < bits &&
+      current % (BigInt(1) << (hostBits + BigInt(1))) === BigInt(0)
+    ) {
+      hostBits++;
+    }
+
+    // Shrink until the block fits inside the range
+    while (current + (BigInt(1) << hostBits) - BigInt(1) > end) {
+      hostBits--;
+    }
+
+    const blockEnd = current + (BigInt(1) << hostBits) - BigInt(1);
+    blocks.push([current, blockEnd]);
+    current = blockEnd + BigInt(1);
+  }
+
+  return blocks;
+}
+
+/**
+ * Format an aligned block as a CIDR string
+ * @param {bigint} start - First address of the block
+ * @param {bigint} end - Last address of the block
+ * @param {string} version - IPVersion value
+ * @returns {string} CIDR notation string
+ */
+function blockToCIDR(start, end, version) {
+  const size = end - start + BigInt(1);
+  let hostBits = BigInt(0);
+  while (BigInt(1) << hostBits < size) {
+    hostBits++;
+  }
+
+  const address =
+    version === IPVersion.IPv4
+      ? numberToIPv4(Number(start))
+      : compressIPv6(numberToIPv6(start));
+  return `${address}/${addressBits(version) - hostBits}`;
+}
+
+/**
+ * Convert an inclusive numeric range to the minimal set of CIDR strings
+ * @param {bigint} start - First address in the range
+ * @param {bigint} end - Last address in the range
+ * @param {string} version - IPVersion value
+ * @returns {string[]} Array of CIDR strings in ascending order
+ */
+function rangeToCIDRs(start, end, version) {
+  return splitRange(start, end, version).map(([blockStart, blockEnd]) =>
+    blockToCIDR(blockStart, blockEnd, version),
+  );
+}
+
+/**
+ * Convert ranges grouped by IP version back to sorted CIDR strings
+ * @param {{ipv4: Array<[bigint, bigint]>, ipv6: Array<[bigint, bigint]>}} ranges
+ * @returns {string[]} IPv4 CIDRs first, then IPv6, each ascending
+ */
+function rangesToCIDRs(ranges) {
+  const cidrs = [];
+  for (const version of [IPVersion.IPv4, IPVersion.IPv6]) {
+    for (const [start, end] of ranges[version]) {
+      cidrs.push(...rangeToCIDRs(start, end, version));
+    }
+  }
+  return cidrs;
+}
+
+/**
+ * Remove excluded ranges from a set of ranges
+ * @param {Array<[bigint, bigint]>} ranges - Merged, sorted ranges
+ * @param {Array<[bigint, bigint]>} exclusions - Merged, sorted ranges to remove
+ * @returns {Array<[bigint, bigint]>} Remaining ranges
+ */
+function subtractRanges(ranges, exclusions) {
+  const result = [];
+
+  for (const [start, end] of ranges) {
+    let current = start;
+    for (const [exStart, exEnd] of exclusions) {
+      if (exEnd < current || exStart > end) continue;
+      if (exStart > current) {
+        result.push([current, exStart - BigInt(1)]);
+      }
+      current = exEnd + BigInt(1);
+      if (current > end) break;
+    }
+    if (current <= end) {
+      result.push([current, end]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Subtract exclusion CIDRs from a list of CIDRs
+ * @param {string[]} cidrs - CIDR strings to keep
+ * @param {string[]} exclusions - CIDR strings to carve out
+ * @returns {string[]} Minimal sorted CIDR set covering cidrs minus exclusions
+ */
+function excludeCIDRs(cidrs, exclusions) {
+  const ranges = cidrsToRanges(cidrs);
+  const excluded = cidrsToRanges(exclusions);
+
+  return rangesToCIDRs({
+    [IPVersion.IPv4]: subtractRanges(
+      ranges[IPVersion.IPv4],
+      excluded[IPVersion.IPv4],
+    ),
+    [IPVersion.IPv6]: subtractRanges(
+      ranges[IPVersion.IPv6],
+      excluded[IPVersion.IPv6],
+    ),
+  });
+}
+
+/**
+ * Keep only the parts of ranges that are also covered by other ranges
+ * @param {Array<[bigint, bigint]>} ranges - Merged, sorted ranges
+ * @param {Array<[bigint, bigint]>} others - Merged, sorted ranges
+ * @returns {Array<[bigint, bigint]>} Overlapping ranges
+ */
+function intersectRanges(ranges, others) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < ranges.length && j < others.length) {
+    const start = ranges[i][0] > others[j][0] ? ranges[i][0] : others[j][0];
+    const end = ranges[i][1] < others[j][1] ? ranges[i][1] : others[j][1];
+    if (start <= end) {
+      result.push([start, end]);
+    }
+
+    if (ranges[i][1] < others[j][1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Intersect two lists of CIDRs
+ * @param {string[]} cidrs - First list of CIDR strings
+ * @param {string[]} others - Second list of CIDR strings
+ * @returns {string[]} Minimal sorted CIDR set covering space present in both
+ */
+function intersectCIDRs(cidrs, others) {
+  const ranges = cidrsToRanges(cidrs);
+  const otherRanges = cidrsToRanges(others);
+
+  return rangesToCIDRs({
+    [IPVersion.IPv4]: intersectRanges(
+      ranges[IPVersion.IPv4],
+      otherRanges[IPVersion.IPv4],
+    ),
+    [IPVersion.IPv6]: intersectRanges(
+      ranges[IPVersion.IPv6],
+      otherRanges[IPVersion.IPv6],
+    ),
+  });
+}
+
+/**
+ * Count the addresses covered by a set of ranges
+ * @param {Array<[bigint, bigint]>} ranges - Inclusive [start, end] pairs
+ * @returns {bigint} Number of addresses
+ */
+function countRangeAddresses(ranges) {
+  return ranges.reduce(
+    (total, [start, end]) => total + (end - start + BigInt(1)),
+    BigInt(0),
+  );
+}
+
+/**
+ * Compare the address space of two CIDR lists
+ * @param {string[]} listA - First list of CIDR strings
+ * @param {string[]} listB - Second list of CIDR strings
+ * @returns {{onlyA: {cidrs: string[], count: bigint}, onlyB: {cidrs: string[], count: bigint}, both: {cidrs: string[], count: bigint}}}
+ *   Minimal CIDRs and address counts for space only in A, only in B, and in both
+ */
+function compareCIDRSets(listA, listB) {
+  const rangesA = cidrsToRanges(listA);
+  const rangesB = cidrsToRanges(listB);
+
+  const onlyA = {};
+  const onlyB = {};
+  const both = {};
+  for (const version of [IPVersion.IPv4, IPVersion.IPv6]) {
+    onlyA[version] = subtractRanges(rangesA[version], rangesB[version]);
+    onlyB[version] = subtractRanges(rangesB[version], rangesA[version]);
+    both[version] = intersectRanges(rangesA[version], rangesB[version]);
+  }
+
+  const summarize = (ranges) => ({
+    cidrs: rangesToCIDRs(ranges),
+    count:
+      countRangeAddresses(ranges[IPVersion.IPv4]) +
+      countRangeAddresses(ranges[IPVersion.IPv6]),
+  });
+
+  return {
+    onlyA: summarize(onlyA),
+    onlyB: summarize(onlyB),
+    both: summarize(both),
+  };
+}
+
+/**
+ * Format a comparison as a plain-text report
+ * @param {ReturnType<typeof compareCIDRSets>} comparison - Result of compareCIDRSets()
+ * @returns {string} Report with one section per category
+ */
+function formatComparisonReport(comparison) {
+  const sections = [
+    ["Only in A (Input)", comparison.onlyA],
+    ["Only in B", comparison.onlyB],
+    ["In both", comparison.both],
+  ];
+
+  const lines = [];
+  for (const [title, { cidrs, count }] of sections) {
+    if (lines.length > 0) {
+      lines.push("");
+    }
+    lines.push(
+      `# ${title}: ${cidrs.length} block(s), ${count.toString()} address(es)`,
+    );
+    lines.push(...cidrs);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Find the smallest aligned block containing two addresses
+ * @param {bigint} a - First address
+ * @param {bigint} b - Second address
+ * @param {string} version - IPVersion value
+ * @returns {[bigint, bigint]} Inclusive [start, end] of the supernet
+ */
+function commonSupernet(a, b, version) {
+  const bits = addressBits(version);
+  let hostBits = BigInt(0);
+  while (hostBits < bits && a >> hostBits !== b >> hostBits) {
+    hostBits++;
+  }
+  const start = (a >> hostBits) << hostBits;
+  return [start, start + (BigInt(1) << hostBits) - BigInt(1)];
+}
+
+/**
+ * @typedef {Object} MergeNode
+ * @property {bigint} start - Supernet of two neighbouring blocks
+ * @property {bigint} end
+ * @property {bigint} mid - First address of the supernet's upper half, where the two blocks meet
+ * @property {number} rank - Version order (IPv4 first), for ties between versions
+ * @property {bigint} extra - Addresses the merge would add that no block covers
+ * @property {MergeNode|Object} left - Child node, or a leaf block
+ * @property {MergeNode|Object} right
+ * @property {MergeNode|null} parent
+ * @property {boolean} alive - Still a candidate merge
+ * @property {boolean} merged - Merged into one block
+ * @property {number} stamp - Bumped when extra changes, to skip stale heap entries
+ */
+
+/**
+ * Build the tree of candidate merges over sorted, disjoint blocks
+ * Each node is the common supernet of one pair of neighbouring blocks;
+ * nodes nest by size (a Cartesian tree), so a node's subtree holds
+ * exactly the blocks inside its supernet.
+ * @param {Array<{start: bigint, end: bigint, leaf: true}>} leaves - Sorted blocks of one version
+ * @param {string} version - IPVersion of the blocks
+ * @param {number} rank - Version order, for ties
+ * @returns {MergeNode|Object} Root node, or the only leaf
+ */
+function buildMergeTree(leaves, version, rank) {
+  const stack = [];
+  for (let i = 0; i < leaves.length - 1; i++) {
+    const [start, end] = commonSupernet(
+      leaves[i].start,
+      leaves[i + 1].end,
+      version,
+    );
+    const node = {
+      start,
+      end,
+      mid: start + (end - start + BigInt(1)) / BigInt(2),
+      rank,
+      extra: BigInt(0),
+      left: leaves[i],
+      right: leaves[i + 1],
+      parent: null,
+      alive: true,
+      merged: false,
+      stamp: 0,
+    };
+    while (
+      stack.length > 0 &&
+      stack[stack.length - 1].end - stack[stack.length - 1].start < end - start
+    ) {
+      node.left = stack.pop();
+    }
+    node.left.parent = node;
+    if (stack.length > 0) {
+      stack[stack.length - 1].right = node;
+      node.parent = stack[stack.length - 1];
+    }
+    stack.push(node);
+  }
+
+  const root = stack.length > 0 ? stack[0] : leaves[0];
+  forEachMergeNode(root, (node) => {
+    node.extra = node.end - node.start + BigInt(1) - mergeTreeCoverage(node);
+  });
+  return root;
+}
+
+/**
+ * Count the addresses the blocks under a tree node cover
+ * @param {MergeNode|Object} node - Node or leaf block
+ * @returns {bigint}
+ */
+function mergeTreeCoverage(node) {
+  if (node.leaf) return node.end - node.start + BigInt(1);
+  return mergeTreeCoverage(node.left) + mergeTreeCoverage(node.right);
+}
+
+/**
+ * Call a function for every candidate node of a tree, children first
+ * @param {MergeNode|Object} node - Root node or leaf block
+ * @param {function(MergeNode): void} callback
+ * @returns {void}
+ */
+function forEachMergeNode(node, callback) {
+  if (node.leaf) return;
+  forEachMergeNode(node.left, callback);
+  forEachMergeNode(node.right, callback);
+  callback(node);
+}
+
+/**
+ * Take a node and the candidates under it out of play before it is merged
+ * @param {MergeNode|Object} node - Node being merged, or one of its children
+ * @returns {number} How many blocks the merge removes from the result
+ */
+function retireMergeSubtree(node) {
+  if (node.leaf || node.merged) return 0;
+  node.alive = false;
+  return 1 + retireMergeSubtree(node.left) + retireMergeSubtree(node.right);
+}
+
+/**
+ * List the blocks a tree ends with: merged supernets and untouched leaves
+ * @param {MergeNode|Object} node - Root node or leaf block
+ * @param {Array<[bigint, bigint]>} ranges - Receives the blocks in order
+ * @returns {void}
+ */
+function collectMergeTree(node, ranges) {
+  if (node.leaf || node.merged) {
+    ranges.push([node.start, node.end]);
+    return;
+  }
+  collectMergeTree(node.left, ranges);
+  collectMergeTree(node.right, ranges);
+}
+
+/**
+ * Order candidate merges: fewest extra addresses, then lowest address
+ * @param {{node: MergeNode}} a
+ * @param {{node: MergeNode}} b
+ * @returns {boolean} True if a goes first
+ */
+function mergeGoesFirst(a, b) {
+  if (a.extra !== b.extra) return a.extra < b.extra;
+  if (a.node.rank !== b.node.rank) return a.node.rank < b.node.rank;
+  return a.node.mid < b.node.mid;
+}
+
+/**
+ * Add a node to the candidate heap with its current cost
+ * @param {Array<{node: MergeNode, extra: bigint, stamp: number}>} heap - Binary min-heap
+ * @param {MergeNode} node
+ * @returns {void}
+ */
+function heapPush(heap, node) {
+  heap.push({ node, extra: node.extra, stamp: node.stamp });
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (!mergeGoesFirst(heap[i], heap[parent])) break;
+    [heap[i], heap[parent]] = [heap[parent], heap[i]];
+    i = parent;
+  }
+}
+
+/**
+ * Remove the cheapest entry from the candidate heap
+ * @param {Array<{node: MergeNode, extra: bigint, stamp: number}>} heap - Binary min-heap
+ * @returns {{node: MergeNode, extra: bigint, stamp: number}}
+ */
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let first = i;
+      if (left < heap.length && mergeGoesFirst(heap[left], heap[first])) {
+        first = left;
+      }
+      if (right < heap.length && mergeGoesFirst(heap[right], heap[first])) {
+        first = right;
+      }
+      if (first === i) break;
+      [heap[i], heap[first]] = [heap[first], heap[i]];
+      i = first;
+    }
+  }
+  return top;
+}
+
+/**
+ * Aggregate to at most a given number of entries, merging the closest
+ * blocks into supernets and covering as little extra space as possible
+ * @param {string[]} cidrs - Array of CIDR strings
+ * @param {number} maxEntries - Maximum number of CIDRs in the result
+ * @returns {{cidrs: string[], extra: string[], extraCount: bigint}}
+ *   Resulting CIDRs, the extra CIDRs they cover beyond the input, and the extra address count
+ * @throws {Error} If maxEntries is not a positive integer or is below the number of IP versions present
+ */
+function aggregateToLimit(cidrs, maxEntries) {
+  if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+    throw new Error("Maximum entries must be a positive integer");
+  }
+
+  const ranges = cidrsToRanges(cidrs);
+  const versions = [IPVersion.IPv4, IPVersion.IPv6].filter(
+    (version) => ranges[version].length > 0,
+  );
+  if (maxEntries < versions.length) {
+    throw new Error(
+      `Cannot fit ${versions.length} IP versions into ${maxEntries} entry: IPv4 and IPv6 cannot be merged`,
+    );
+  }
+
+  // Candidate merges nest: the supernet of two neighbouring blocks holds
+  // every block between smaller supernets, so they form a tree whose
+  // leaves are the exact minimal blocks. Merging a node only changes the
+  // cost of its ancestors, which keeps each step at O(bits * log n).
+  const heap = [];
+  const roots = [];
+  let blockCount = 0;
+  versions.forEach((version, rank) => {
+    const leaves = [];
+    for (const [rangeStart, rangeEnd] of ranges[version]) {
+      for (const [start, end] of splitRange(rangeStart, rangeEnd, version)) {
+        leaves.push({ start, end, leaf: true });
+      }
+    }
+    blockCount += leaves.length;
+    const root = buildMergeTree(leaves, version, rank);
+    roots.push(root);
+    forEachMergeNode(root, (node) => heapPush(heap, node));
+  });
+
+  while (blockCount > maxEntries) {
+    const { node, stamp } = heapPop(heap);
+    if (!node.alive || stamp !== node.stamp) continue;
+
+    blockCount -= retireMergeSubtree(node);
+    node.merged = true;
+    for (let parent = node.parent; parent; parent = parent.parent) {
+      parent.extra -= node.extra;
+      parent.stamp++;
+      heapPush(heap, parent);
+    }
+  }
+
+  // A supernet can end up adjacent to its sibling; merge those for free
+  const resultRanges = { [IPVersion.IPv4]: [], [IPVersion.IPv6]: [] };
+  versions.forEach((version, rank) => {
+    collectMergeTree(roots[rank], resultRanges[version]);
+  });
+  for (const version of [IPVersion.IPv4, IPVersion.IPv6]) {
+    resultRanges[version] = mergeRanges(resultRanges[version]);
+  }
+
+  const extraRanges = {};
+  for (const version of [IPVersion.IPv4, IPVersion.IPv6]) {
+    extraRanges[version] = subtractRanges(
+      resultRanges[version],
+      ranges[version],
+    );
+  }
+
+  return {
+    cidrs: rangesToCIDRs(resultRanges),
+    extra: rangesToCIDRs(extraRanges),
+    extraCount:
+      countRangeAddresses(extraRanges[IPVersion.IPv4]) +
+      countRangeAddresses(extraRanges[IPVersion.IPv6]),
+  };
+}
+
+/**
+ * @typedef {Object} ProvenanceSource
+ * @property {string} original - Original input text
+ * @property {number} lineNumber - 1-based line number from the input
+ * @property {string} cidr - Normalized CIDR the entry produced
+ * @property {string|null} label - Comment or label column text of the entry
+ * @property {string[]} outputs - Output CIDRs overlapping this entry
+ */
+
+/**
+ * Track which input entries produced each output block
+ * @param {NormalizationResult[]} results - Results from normalizeInput()
+ * @param {string[]} outputCIDRs - Aggregated (or otherwise processed) CIDRs
+ * @returns {{byOutput: Map<string, ProvenanceSource[]>, byInput: Map<string, ProvenanceSource[]>}}
+ *   Sources keyed by output CIDR, and sources keyed by their normalized input CIDR
+ */
+function buildProvenance(results, outputCIDRs) {
+  const outputs = { [IPVersion.IPv4]: [], [IPVersion.IPv6]: [] };
+  for (const cidr of outputCIDRs) {
+    const range = cidrToRange(cidr);
+    outputs[range.version].push({ cidr, ...range });
+  }
+  for (const version of [IPVersion.IPv4, IPVersion.IPv6]) {
+    outputs[version].sort((a, b) =>
+      a.start === b.start ? 0 : a.start < b.start ? -1 : 1,
+    );
+  }
+
+  const byOutput = new Map(outputCIDRs.map((cidr) => [cidr, []]));
+  const byInput = new Map();
+
+  for (const result of results) {
+    if (
+      result.status === NormalizationStatus.INVALID ||
+      result.status === NormalizationStatus.NEGATED
+    ) {
+      continue;
+    }
+
+    for (const cidr of result.expandedTo) {
+      const { version, start, end } = cidrToRange(cidr);
+      const candidates = outputs[version];
+
+      // First output block ending at or after start
+      let low = 0;
+      let high = candidates.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (candidates[mid].end < start) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+
+      const source = {
+        original: result.original,
+        lineNumber: result.lineNumber,
+        cidr,
+        label: result.label || null,
+        outputs: [],
+      };
+      for (let i = low; i < candidates.length; i++) {
+        if (candidates[i].start > end) break;
+        source.outputs.push(candidates[i].cidr);
+        byOutput.get(candidates[i].cidr).push(source);
+      }
+
+      const key = CIDRBlock.fromCIDRString(cidr).toCIDRString();
+      if (!byInput.has(key)) {
+        byInput.set(key, []);
+      }
+      byInput.get(key).push(source);
+    }
+  }
+
+  return { byOutput, byInput };
+}
+
+/**
+ * Copy the labels of input entries onto CIDR blocks for the transformers
+ * A merged block lists the distinct labels of every entry it absorbed, in
+ * input order.
+ * @param {CIDRBlock[]} models - Blocks to label
+ * @param {Map<string, ProvenanceSource[]>} sourcesByCIDR - byOutput (for
+ *   output blocks) or byInput (for sorted input blocks) from buildProvenance()
+ * @returns {CIDRBlock[]} The same blocks
+ */
+function attachLabels(models, sourcesByCIDR) {
+  for (const model of models) {
+    const sources = sourcesByCIDR.get(model.toCIDRString()) || [];
+    model.labels = [
+      ...new Set(sources.map((source) => source.label).filter(Boolean)),
+    ];
+  }
+  return models;
+}
+
+/**
+ * Subtract negated entries ("!10.1.0.0/16") from a list's valid CIDRs
+ * Entries are kept one by one, so the list can still be formatted before
+ * aggregation; only entries that overlap a negation are split.
+ * @param {string[]} cidrs - Valid CIDRs of the list
+ * @param {string[]} negatedCIDRs - CIDRs of the list's negated entries
+ * @returns {{cidrs: string[], removed: string[]}} Sorted CIDRs that are left,
+ *   and the address space the negations removed as a minimal CIDR set
+ */
+function applyNegations(cidrs, negatedCIDRs) {
+  if (negatedCIDRs.length === 0) {
+    return { cidrs, removed: [] };
+  }
+
+  const negated = cidrsToRanges(negatedCIDRs);
+  const kept = [];
+  for (const cidr of cidrs) {
+    const { version, start, end } = cidrToRange(cidr);
+    const exclusions = negated[version];
+
+    // First negated range ending at or after start
+    let low = 0;
+    let high = exclusions.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (exclusions[mid][1] < start) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    if (low === exclusions.length || exclusions[low][0] > end) {
+      kept.push(cidr);
+      continue;
+    }
+    for (const [keptStart, keptEnd] of subtractRanges(
+      [[start, end]],
+      exclusions.slice(low),
+    )) {
+      kept.push(...rangeToCIDRs(keptStart, keptEnd, version));
+    }
+  }
+
+  return {
+    cidrs: sortCIDRs(kept),
+    removed: intersectCIDRs(cidrs, negatedCIDRs),
+  };
+}
+
+/**
+ * Apply an operation to the sorted input and the secondary input
+ * @param {string} operation - Key of Operations
+ * @param {string[]} cidrs - Sorted input CIDR strings
+ * @param {string[]} secondaryCIDRs - CIDR strings from the second pane
+ * @returns {string[]} Resulting CIDR strings
+ */
+function applyOperation(operation, cidrs, secondaryCIDRs) {
+  switch (operation) {
+    case "exclude":
+      return excludeCIDRs(cidrs, secondaryCIDRs);
+    case "intersect":
+      return intersectCIDRs(cidrs, secondaryCIDRs);
+    default:
+      return aggregateCIDRs(cidrs);
+  }
+}
+
+/** Special-purpose categories reported by classifyCIDR(), with display labels */
+const SpecialPurposeCategories = {
+  private: "Private-use (RFC 1918)",
+  cgnat: "Shared address space (CGNAT)",
+  loopback: "Loopback",
+  "link-local": "Link-local",
+  documentation: "Documentation",
+  multicast: "Multicast",
+  benchmarking: "Benchmarking",
+  ula: "Unique local (ULA)",
+  "6to4": "6to4",
+  teredo: "Teredo",
+  reserved: "Reserved",
+};
+
+/**
+ * @typedef {Object} SpecialPurposeEntry
+ * @property {string} cidr - Registered block
+ * @property {string} category - Key of SpecialPurposeCategories
+ * @property {string} name - Registry name of the block
+ * @property {string} rfc - Defining RFC
+ */
+
+/**
+ * Blocks from the IANA IPv4 and IPv6 special-purpose address registries,
+ * plus the multicast ranges. Blocks that are routed normally (AS112, AMT,
+ * ...) are left out, since there is nothing to flag about them.
+ * @type {SpecialPurposeEntry[]}
+ */
+const SpecialPurposeRegistry = [
+  {
+    cidr: "0.0.0.0/8",
+    category: "reserved",
+    name: "This network",
+    rfc: "RFC 791",
+  },
+  {
+    cidr: "10.0.0.0/8",
+    category: "private",
+    name: "Private-Use",
+    rfc: "RFC 1918",
+  },
+  {
+    cidr: "100.64.0.0/10",
+    category: "cgnat",
+    name: "Shared Address Space",
+    rfc: "RFC 6598",
+  },
+  {
+    cidr: "127.0.0.0/8",
+    category: "loopback",
+    name: "Loopback",
+    rfc: "RFC 1122",
+  },
+  {
+    cidr: "169.254.0.0/16",
+    category: "link-local",
+    name: "Link Local",
+    rfc: "RFC 3927",
+  },
+  {
+    cidr: "172.16.0.0/12",
+    category: "private",
+    name: "Private-Use",
+    rfc: "RFC 1918",
+  },
+  {
+    cidr: "192.0.0.0/24",
+    category: "reserved",
+    name: "IETF Protocol Assignments",
+    rfc: "RFC 6890",
+  },
+  {
+    cidr: "192.0.2.0/24",
+    category: "documentation",
+    name: "Documentation (TEST-NET-1)",
+    rfc: "RFC 5737",
+  },
+  {
+    cidr: "192.88.99.0/24",
+    category: "6to4",
+    name: "6to4 Relay Anycast",
+    rfc: "RFC 7526",
+  },
+  {
+    cidr: "192.168.0.0/16",
+    category: "private",
+    name: "Private-Use",
+    rfc: "RFC 1918",
+  },
+  {
+    cidr: "198.18.0.0/15",
+    category: "benchmarking",
+    name: "Benchmarking",
+    rfc: "RFC 2544",
+  },
+  {
+    cidr: "198.51.100.0/24",
+    category: "documentation",
+    name: "Documentation (TEST-NET-2)",
+    rfc: "RFC 5737",
+  },
+  {
+    cidr: "203.0.113.0/24",
+    category: "documentation",
+    name: "Documentation (TEST-NET-3)",
+    rfc: "RFC 5737",
+  },
+  {
+    cidr: "224.0.0.0/4",
+    category: "multicast",
+    name: "Multicast",
+    rfc: "RFC 5771",
+  },
+  {
+    cidr: "240.0.0.0/4",
+    category: "reserved",
+    name: "Reserved",
+    rfc: "RFC 1112",
+  },
+  {
+    cidr: "255.255.255.255/32",
+    category: "reserved",
+    name: "Limited Broadcast",
+    rfc: "RFC 919",
+  },
+  {
+    cidr: "::/128",
+    category: "reserved",
+    name: "Unspecified Address",
+    rfc: "RFC 4291",
+  },
+  {
+    cidr: "::1/128",
+    category: "loopback",
+    name: "Loopback Address",
+    rfc: "RFC 4291",
+  },
+  {
+    cidr: "::ffff:0:0/96",
+    category: "reserved",
+    name: "IPv4-mapped Address",
+    rfc: "RFC 4291",
+  },
+  {
+    cidr: "64:ff9b::/96",
+    category: "reserved",
+    name: "IPv4-IPv6 Translation",
+    rfc: "RFC 6052",
+  },
+  {
+    cidr: "64:ff9b:1::/48",
+    category: "reserved",
+    name: "Local-Use IPv4-IPv6 Translation",
+    rfc: "RFC 8215",
+  },
+  {
+    cidr: "100::/64",
+    category: "reserved",
+    name: "Discard-Only Address Block",
+    rfc: "RFC 6666",
+  },
+  {
+    cidr: "2001::/23",
+    category: "reserved",
+    name: "IETF Protocol Assignments",
+    rfc: "RFC 2928",
+  },
+  { cidr: "2001::/32", category: "teredo", name: "Teredo", rfc: "RFC 4380" },
+  {
+    cidr: "2001:2::/48",
+    category: "benchmarking",
+    name: "Benchmarking",
+    rfc: "RFC 5180",
+  },
+  {
+    cidr: "2001:db8::/32",
+    category: "documentation",
+    name: "Documentation",
+    rfc: "RFC 3849",
+  },
+  { cidr: "2002::/16", category: "6to4", name: "6to4", rfc: "RFC 3056" },
+  {
+    cidr: "3fff::/20",
+    category: "documentation",
+    name: "Documentation",
+    rfc: "RFC 9637",
+  },
+  { cidr: "fc00::/7", category: "ula", name: "Unique-Local", rfc: "RFC 4193" },
+  {
+    cidr: "fe80::/10",
+    category: "link-local",
+    name: "Link-Local Unicast",
+    rfc: "RFC 4291",
+  },
+  {
+    cidr: "ff00::/8",
+    category: "multicast",
+    name: "Multicast",
+    rfc: "RFC 4291",
+  },
+];
+
+/** @type {Array<SpecialPurposeEntry & {version: string, start: bigint, end: bigint}>|null} */
+let specialPurposeRanges = null;
+
+/**
+ * @typedef {Object} SpecialPurposeTag
+ * @property {string} category - Key of SpecialPurposeCategories
+ * @property {string} name - Registry name of the block
+ * @property {string} rfc - Defining RFC
+ * @property {string} cidr - Registered block the tag comes from
+ * @property {boolean} partial - True when the classified block only partly
+ *   overlaps the registered block, i.e. it is larger and contains it
+ */
+
+/**
+ * Tag a block with the special-purpose registry entries it overlaps
+ * When registered blocks nest (Teredo inside the IETF protocol assignments),
+ * a block inside the inner one is tagged with the inner one only.
+ * @param {CIDRBlock} block - Block to classify
+ * @returns {SpecialPurposeTag[]} Tags in registry order, empty for ordinary space
+ */
+function classifyBlock(block) {
+  if (!specialPurposeRanges) {
+    specialPurposeRanges = SpecialPurposeRegistry.map((entry) => ({
+      ...entry,
+      ...cidrToRange(entry.cidr),
+    }));
+  }
+
+  const { version, start, end } = cidrToRange(block.toCIDRString());
+  const matches = specialPurposeRanges.filter(
+    (entry) =>
+      entry.version === version && entry.start <= end && entry.end >= start,
+  );
+
+  return matches
+    .filter(
+      (entry) =>
+        !matches.some(
+          (inner) =>
+            inner !== entry &&
+            inner.start <= start &&
+            inner.end >= end &&
+            entry.start <= inner.start &&
+            entry.end >= inner.end,
+        ),
+    )
+    .map((entry) => ({
+      category: entry.category,
+      name: entry.name,
+      rfc: entry.rfc,
+      cidr: entry.cidr,
+      partial: start < entry.start || end > entry.end,
+    }));
+}
+
+/**
+ * Tag a CIDR with the special-purpose registry entries it overlaps
+ * @param {string} cidr - CIDR notation string or bare address
+ * @returns {SpecialPurposeTag[]} Tags in registry order, empty for ordinary space
+ * @throws {Error} If the string is not a valid CIDR
+ */
+function classifyCIDR(cidr) {
+  return classifyBlock(CIDRBlock.fromCIDRString(normalizeToCIDR(cidr)));
+}
+
+/**
+ * Resolve a category filter to SpecialPurposeCategories keys
+ * @param {string|string[]} [value] - Categories, comma-separated or as an
+ *   array; "all" or an empty value selects every category
+ * @returns {string[]} Category keys
+ * @throws {Error} If a category is unknown
+ */
+function parseSpecialPurposeCategories(value) {
+  const terms = (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((term) => term.trim().toLowerCase())
+    .filter((term) => term.length > 0);
+  const known = Object.keys(SpecialPurposeCategories);
+  if (terms.length === 0 || terms.includes("all")) {
+    return known;
+  }
+
+  for (const term of terms) {
+    if (!known.includes(term)) {
+      throw new Error(
+        `Unknown special-purpose category "${term}" (expected all, ${known.join(", ")})`,
+      );
+    }
+  }
+  return [...new Set(terms)];
+}
+
+/**
+ * Keep the CIDRs tagged with any of the given special-purpose categories
+ * Blocks that only partly overlap a category match it too.
+ * @param {string[]} cidrs - CIDR strings
+ * @param {string|string[]} [categories] - Categories to keep; all when omitted
+ * @returns {string[]} Matching CIDRs in their original order
+ * @throws {Error} If a category is unknown
+ */
+function filterBySpecialPurpose(cidrs, categories) {
+  const wanted = parseSpecialPurposeCategories(categories);
+  return cidrs.filter((cidr) =>
+    classifyCIDR(cidr).some((tag) => wanted.includes(tag.category)),
+  );
+}
+
+/**
+ * List the registered blocks of some special-purpose categories, e.g. to
+ * subtract them with applyNegations() or excludeCIDRs()
+ * @param {string|string[]} [categories] - Categories to list; all when omitted
+ * @returns {string[]} Registered CIDRs in registry order
+ * @throws {Error} If a category is unknown
+ */
+function specialPurposeCIDRs(categories) {
+  const wanted = parseSpecialPurposeCategories(categories);
+  return SpecialPurposeRegistry.filter((entry) =>
+    wanted.includes(entry.category),
+  ).map((entry) => entry.cidr);
+}
+
+export {
+  IPVersion,
+  expandIPv6,
+  compressIPv6,
+  calculateIPv6ReverseDNS,
+  detectIPVersion,
+  normalizeAddress,
+  calculateStartAddress,
+  calculateEndAddress,
+  numberToIPv4,
+  numberToIPv6,
+  CIDRBlock,
+  parsePortList,
+  FormatTransformer,
+  CIDRFormatTransformer,
+  CiscoACLTransformer,
+  CiscoPrefixListTransformer,
+  CiscoWildcardTransformer,
+  IPMaskTransformer,
+  FortigateTransformer,
+  CiscoIPv6ACLTransformer,
+  JuniperIPv6Transformer,
+  IptablesTransformer,
+  UFWTransformer,
+  PaloAltoTransformer,
+  AWSSecurityGroupTransformer,
+  GCPFirewallTransformer,
+  AzureNSGTransformer,
+  ReverseDNSTransformer,
+  FormatRegistry,
+  Operations,
+  transformToFormat,
+  sortCIDRModels,
+  isBareIPv4,
+  isBareIPv6,
+  normalizeToCIDR,
+  parseInput,
+  isValidCIDR,
+  isValidIPv4,
+  isValidIPv6,
+  parseIPv6,
+  ipv4ToNumber,
+  ipv6ToNumber,
+  compareCIDR,
+  sortCIDRs,
+  aggregateCIDRs,
+  mergeRanges,
+  cidrToRange,
+  cidrsToRanges,
+  splitRange,
+  blockToCIDR,
+  rangeToCIDRs,
+  rangesToCIDRs,
+  subtractRanges,
+  excludeCIDRs,
+  intersectRanges,
+  intersectCIDRs,
+  countRangeAddresses,
+  compareCIDRSets,
+  formatComparisonReport,
+  commonSupernet,
+  aggregateToLimit,
+  buildProvenance,
+  attachLabels,
+  applyNegations,
+  applyOperation,
+  SpecialPurposeCategories,
+  SpecialPurposeRegistry,
+  classifyCIDR,
+  parseSpecialPurposeCategories,
+  filterBySpecialPurpose,
+  specialPurposeCIDRs,
+};
@@ -11,16 +11,36 @@ export const NormalizationStatus = {
   VALID: "valid",
   CORRECTED: "corrected",
   INVALID: "invalid",
+  NEGATED: "negated",
 };
 
 /**
  * @typedef {Object} NormalizationResult
  * @property {string} original - Original input text
  * @property {string|null} normalized - Normalized CIDR or null if invalid
- * @property {string} status - One of NormalizationStatus values
+ * @property {string} status - One of NormalizationStatus values; NEGATED
+ *   entries ("!10.1.0.0/16") are exclusions with normalized and expandedTo set
  * @property {string|null} warning - Warning message if corrected
  * @property {string|null} error - Error message if invalid
  * @property {string[]} expandedTo - Array of CIDRs (for ranges that expand)
+ * @property {EntryOrigin|null} origin - Configuration statement and field the entry was read from
+ * @property {number} [occurrences] - Times the entry appeared (extract mode only)
+ * @property {string|null} label - Comment or label column text from the entry's line
+ */
+
+/**
+ * @typedef {Object} NormalizationOptions
+ * @property {boolean} [strictHostBits=false] - Treat CIDRs with host bits set
+ *   (10.0.0.5/24) as invalid instead of masking them to the network address
+ * @property {number} [maxExpansion=1024] - Most CIDRs a single entry may expand
+ *   to; larger expansions are INVALID
+ * @property {boolean} [shorthand=true] - Read classful shorthand with a
+ *   prefix (10/8, 10.1/16, 192.168.1/24); when false these are INVALID
+ * @property {string} [foldMapped] - "ipv4" to fold IPv4-mapped IPv6 blocks
+ *   (::ffff:10.0.0.0/104) into IPv4 (10.0.0.0/8), "ipv6" to map IPv4 blocks
+ *   into ::ffff:0:0/96; unset keeps each entry in the version it was written in
+ * @property {boolean} [extract=false] - Scan the input as free text with
+ *   extractFromText() instead of parsing it entry by entry
  */
 
 /**
@@ -38,6 +58,8 @@ export function createResult(original, status, options = {}) {
     warning: options.warning || null,
     error: options.error || null,
     expandedTo: options.expandedTo || [],
+    origin: options.origin || null,
+    label: options.label || null,
   };
 }
 
@@ -68,12 +90,144 @@ function normalizeIPv4Address(addr) {
     .join(".");
 }
 
+/**
+ * Mask an IPv4 address to the network address of its prefix
+ * @param {string} addr - Normalized IPv4 address
+ * @param {number} prefix - Prefix length (0-32)
+ * @returns {string} Network address
+ */
+function maskIPv4Address(addr, prefix) {
+  const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+  return numberToIPv4((ipv4ToNumber(addr) & mask) >>> 0);
+}
+
+/**
+ * Check a CIDR for host bits set beyond its prefix
+ * Adds a warning when the entry was masked; in strict mode returns an
+ * INVALID result instead.
+ * @param {string} entry - Original entry
+ * @param {string} cidr - CIDR as entered (after other normalization)
+ * @param {string} network - Same CIDR masked to its network address
+ * @param {NormalizationOptions} options - Normalization options
+ * @param {string[]} warnings - Warnings for the entry, appended to
+ * @returns {NormalizationResult|null} INVALID result in strict mode, otherwise null
+ */
+function checkHostBits(entry, cidr, network, options, warnings) {
+  if (cidr === network) return null;
+  if (options.strictHostBits) {
+    return createResult(entry, NormalizationStatus.INVALID, {
+      error: `Host bits set in "${cidr}" (network address is ${network})`,
+    });
+  }
+  warnings.push(`Host bits set in "${cidr}"; masked to ${network}`);
+  return null;
+}
+
+/** Default cap on the CIDRs one entry may expand to (see NormalizationOptions.maxExpansion) */
+const DEFAULT_MAX_EXPANSION = 1024;
+
+/**
+ * Check whether the second address of an "IPv4 IPv4" pair is clearly a
+ * wildcard mask rather than another address
+ * Outside an ACL that means a contiguous inverse mask (0.0.255.255) or a
+ * mask with a leading 0 octet (0.0.2.255); anything else, like
+ * "10.0.0.1 10.0.0.2", is a list of two addresses.
+ * @param {string} mask - Valid IPv4 address in the mask position
+ * @returns {boolean}
+ */
+function isStandaloneWildcard(mask) {
+  const normalized = normalizeIPv4Address(mask);
+  return (
+    wildcardToCIDRPrefix(normalized) !== null ||
+    normalized.split(".")[0] === "0"
+  );
+}
+
+/**
+ * Parse an IPv4 address with a wildcard (inverse) mask
+ * A contiguous wildcard (0.0.255.255) is one CIDR. A non-contiguous one
+ * (0.0.255.0) matches several separate blocks, which are listed exactly:
+ * the trailing run of one bits sets the block size and every other one bit
+ * doubles the number of blocks.
+ * @param {string} entry - Original entry
+ * @param {string} addr - IPv4 address
+ * @param {string} wildcard - Wildcard mask like "0.0.0.255"
+ * @param {NormalizationOptions} [options] - Normalization options
+ * @returns {NormalizationResult} CORRECTED with the matching CIDRs, or INVALID
+ */
+function parseIPv4Wildcard(entry, addr, wildcard, options = {}) {
+  if (!isValidIPv4Address(addr)) {
+    return createResult(entry, NormalizationStatus.INVALID, {
+      error: `Invalid IPv4 address "${addr}"`,
+    });
+  }
+  if (!isValidIPv4Address(wildcard)) {
+    return createResult(entry, NormalizationStatus.INVALID, {
+      error: `Invalid wildcard mask "${wildcard}"`,
+    });
+  }
+
+  const normalized = normalizeIPv4Address(addr);
+  const mask = normalizeIPv4Address(wildcard);
+  const wild = ipv4ToNumber(mask);
+  const base = (ipv4ToNumber(normalized) & ~wild) >>> 0;
+
+  let hostBits = 0;
+  while (hostBits < 32 && (wild >>> hostBits) & 1) hostBits++;
+  const freeBits = [];
+  for (let bit = hostBits; bit < 32; bit++) {
+    if ((wild >>> bit) & 1) freeBits.push(bit);
+  }
+
+  const count = 2 ** freeBits.length;
+  const limit = options.maxExpansion ?? DEFAULT_MAX_EXPANSION;
+  if (count > limit) {
+    return createResult(entry, NormalizationStatus.INVALID, {
+      error: `Wildcard mask "${mask}" matches ${count} separate blocks (limit ${limit})`,
+    });
+  }
+
+  // Host bits are reported in CIDR form when the result is a single CIDR
+  const prefix = 32 - hostBits;
+  const suffix = freeBits.length === 0 ? `/${prefix}` : ` ${mask}`;
+  const warnings = [];
+  const invalid = checkHostBits(
+    entry,
+    `${normalized}${suffix}`,
+    `${numberToIPv4(base)}${suffix}`,
+    options,
+    warnings,
+  );
+  if (invalid) return invalid;
+
+  const cidrs = [];
+  for (let n = 0; n < count; n++) {
+    let network = base;
+    freeBits.forEach((bit, j) => {
+      if ((n >>> j) & 1) network = (network | (1 << bit)) >>> 0;
+    });
+    cidrs.push(`${numberToIPv4(network)}/${prefix}`);
+  }
+
+  warnings.unshift(
+    freeBits.length === 0
+      ? `Converted wildcard "${normalized} ${mask}" to /${prefix}`
+      : `Expanded non-contiguous wildcard "${normalized} ${mask}" to ${count} CIDR block(s)`,
+  );
+  return createResult(entry, NormalizationStatus.CORRECTED, {
+    normalized: cidrs[0],
+    expandedTo: cidrs,
+    warning: warnings.join("; "),
+  });
+}
+
 /**
  * Parse IPv4 entry and return normalization result
  * @param {string} entry - Input entry
+ * @param {NormalizationOptions} [options] - Normalization options
  * @returns {NormalizationResult|null} Result or null if not IPv4
  */
-export function parseIPv4Entry(entry) {
+export function parseIPv4Entry(entry, options = {}) {
   const trimmed = entry.trim();
 
   // Pattern: IP/subnet mask (192.168.1.0/255.255.255.0) - must be checked before CIDR
@@ -83,12 +237,30 @@ export function parseIPv4Entry(entry) {
     const prefix = subnetMaskToCIDRPrefix(mask);
     if (isValidIPv4Address(addr) && prefix !== null) {
       const normalized = normalizeIPv4Address(addr);
+      const network = `${maskIPv4Address(normalized, prefix)}/${prefix}`;
+      const warnings = [`Converted mask "${mask}" to /${prefix}`];
+      const invalid = checkHostBits(
+        entry,
+        `${normalized}/${prefix}`,
+        network,
+        options,
+        warnings,
+      );
+      if (invalid) return invalid;
       return createResult(entry, NormalizationStatus.CORRECTED, {
-        normalized: `${normalized}/${prefix}`,
-        expandedTo: [`${normalized}/${prefix}`],
-        warning: `Converted mask "${mask}" to /${prefix}`,
+        normalized: network,
+        expandedTo: [network],
+        warning: warnings.join("; "),
       });
     }
+    // Not a subnet mask: try it as a wildcard (192.168.0.0/0.0.255.255)
+    if (
+      isValidIPv4Address(addr) &&
+      isValidIPv4Address(mask) &&
+      isStandaloneWildcard(mask)
+    ) {
+      return parseIPv4Wildcard(entry, addr, mask, options);
+    }
   }
 
   // Pattern: IP/CIDR (192.168.1.0/24) - checked after subnet mask
@@ -98,16 +270,28 @@ export function parseIPv4Entry(entry) {
     const prefixNum = parseInt(prefix, 10);
     if (isValidIPv4Address(addr) && prefixNum >= 0 && prefixNum <= 32) {
       const normalized = normalizeIPv4Address(addr);
-      const wasModified = normalized !== addr;
+      const network = `${maskIPv4Address(normalized, prefixNum)}/${prefixNum}`;
+      const warnings = [];
+      if (normalized !== addr) {
+        warnings.push(`Normalized "${addr}" to "${normalized}"`);
+      }
+      const invalid = checkHostBits(
+        entry,
+        `${normalized}/${prefixNum}`,
+        network,
+        options,
+        warnings,
+      );
+      if (invalid) return invalid;
       return createResult(
         entry,
-        wasModified ? NormalizationStatus.CORRECTED : NormalizationStatus.VALID,
+        warnings.length > 0
+          ? NormalizationStatus.CORRECTED
+          : NormalizationStatus.VALID,
         {
-          normalized: `${normalized}/${prefixNum}`,
-          expandedTo: [`${normalized}/${prefixNum}`],
-          warning: wasModified
-            ? `Normalized "${addr}" to "${normalized}"`
-            : null,
+          normalized: network,
+          expandedTo: [network],
+          warning: warnings.length > 0 ? warnings.join("; ") : null,
         },
       );
     }
@@ -120,12 +304,30 @@ export function parseIPv4Entry(entry) {
     const prefix = subnetMaskToCIDRPrefix(mask);
     if (isValidIPv4Address(addr) && prefix !== null) {
       const normalized = normalizeIPv4Address(addr);
+      const network = `${maskIPv4Address(normalized, prefix)}/${prefix}`;
+      const warnings = [`Converted "${addr} ${mask}" to CIDR notation`];
+      const invalid = checkHostBits(
+        entry,
+        `${normalized}/${prefix}`,
+        network,
+        options,
+        warnings,
+      );
+      if (invalid) return invalid;
       return createResult(entry, NormalizationStatus.CORRECTED, {
-        normalized: `${normalized}/${prefix}`,
-        expandedTo: [`${normalized}/${prefix}`],
-        warning: `Converted "${addr} ${mask}" to CIDR notation`,
+        normalized: network,
+        expandedTo: [network],
+        warning: warnings.join("; "),
       });
     }
+    // Not a subnet mask: try it as a wildcard (192.168.0.0 0.0.255.255)
+    if (
+      isValidIPv4Address(addr) &&
+      isValidIPv4Address(mask) &&
+      isStandaloneWildcard(mask)
+    ) {
+      return parseIPv4Wildcard(entry, addr, mask, options);
+    }
   }
 
   // Pattern: Bare IPv4 (192.168.1.1)
@@ -145,10 +347,18 @@ export function parseIPv4Entry(entry) {
     );
   }
 
+  // Pattern: integer, hex or classful shorthand (167772160, 0x0A000000, 10.1/16)
+  const numericResult = parseIPv4Numeric(entry, options);
+  if (numericResult) return numericResult;
+
   // Pattern: IPv4 range
   const rangeResult = parseIPv4Range(trimmed, entry);
   if (rangeResult) return rangeResult;
 
+  // Pattern: nmap-style octets (10.0.1-5.*, 10.0.0.1,3,5-7)
+  const octetResult = parseIPv4OctetPattern(entry, options);
+  if (octetResult) return octetResult;
+
   return null; // Not recognized as IPv4
 }
 
@@ -301,11 +511,289 @@ function parseIPv4Range(entry) {
   return null;
 }
 
+/** Smallest decimal integer read as an address (1.0.0.0) */
+const MIN_INTEGER_ADDRESS = 2 ** 24;
+
+/**
+ * Parse the integer, hex and classful shorthand IPv4 forms
+ * Databases and scripts store addresses as 32-bit integers ("167772160")
+ * or hex ("0x0A000000"), optionally with a prefix. Shorthand ("10/8",
+ * "10.1/16", "192.168.1/24") leaves out trailing zero octets and is only
+ * read with a prefix, since tools disagree on what a bare "10.1" means.
+ * A number of 255 or less with a prefix is shorthand, not an integer.
+ * Decimal integers below 2^24 (1.0.0.0) are rejected rather than read, so
+ * port numbers and stray counts pasted into a list do not become addresses.
+ * @param {string} entry - Original entry
+ * @param {NormalizationOptions} [options] - Normalization options
+ * @returns {NormalizationResult|null} Result, or null if not one of these forms
+ */
+function parseIPv4Numeric(entry, options = {}) {
+  const trimmed = entry.trim();
+  const match = trimmed.match(/^(0x[\da-f]+|\d+(?:\.\d+){0,2})(?:\/(\d+))?$/i);
+  if (!match) return null;
+  const [, value, prefixText] = match;
+  const octets = value.split(".");
+  const isShorthand =
+    prefixText !== undefined &&
+    !/^0x/i.test(value) &&
+    octets.every((octet) => Number(octet) <= 255);
+  if (octets.length > 1 && !isShorthand) return null;
+
+  const prefix = prefixText === undefined ? 32 : parseInt(prefixText, 10);
+  if (prefix > 32) {
+    return createResult(entry, NormalizationStatus.INVALID, {
+      error: `Invalid prefix length /${prefixText}`,
+    });
+  }
+
+  let addr;
+  let warning;
+  if (isShorthand) {
+    addr = [...octets.map(Number), 0, 0, 0].slice(0, 4).join(".");
+    if (options.shorthand === false) {
+      return createResult(entry, NormalizationStatus.INVALID, {
+        error: `Shorthand "${trimmed}" is not accepted; write ${addr}/${prefix}`,
+      });
+    }
+    warning = `Expanded shorthand "${trimmed}" to ${addr}/${prefix}`;
+  } else {
+    const isHex = /^0x/i.test(value);
+    const num = isHex ? parseInt(value.slice(2), 16) : Number(value);
+    if (!isHex && num < MIN_INTEGER_ADDRESS) {
+      return createResult(entry, NormalizationStatus.INVALID, {
+        error: `Number "${value}" is too small to be an integer address (${MIN_INTEGER_ADDRESS} is 1.0.0.0)`,
+      });
+    }
+    if (num > 0xffffffff) {
+      return createResult(entry, NormalizationStatus.INVALID, {
+        error: `${isHex ? "Hex" : "Integer"} address "${value}" does not fit in 32 bits`,
+      });
+    }
+    addr = numberToIPv4(num);
+    warning = `Converted ${isHex ? "hex" : "integer"} "${value}" to ${addr}/${prefix}`;
+  }
+
+  const network = `${maskIPv4Address(addr, prefix)}/${prefix}`;
+  const warnings = [warning];
+  const invalid = checkHostBits(
+    entry,
+    `${addr}/${prefix}`,
+    network,
+    options,
+    warnings,
+  );
+  if (invalid) return invalid;
+  return createResult(entry, NormalizationStatus.CORRECTED, {
+    normalized: network,
+    expandedTo: [network],
+    warning: warnings.join("; "),
+  });
+}
+
+/** One octet of an nmap-style pattern: "*", a value, a range or a list of those */
+const OCTET_SPEC_PATTERN =
+  /^(?:\*|\d{1,3}(?:-\d{1,3})?(?:,\d{1,3}(?:-\d{1,3})?)*)$/;
+
+/**
+ * Sort octet intervals and join the ones that overlap or touch
+ * @param {Array<[number, number]>} intervals - Inclusive [low, high] pairs
+ * @returns {Array<[number, number]>}
+ */
+function mergeOctetIntervals(intervals) {
+  const merged = [];
+  for (const [low, high] of [...intervals].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && low <= last[1] + 1) {
+      last[1] = Math.max(last[1], high);
+    } else {
+      merged.push([low, high]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Read one octet of an nmap-style pattern
+ * @param {string} spec - "*", "5", "1-5" or "1,3,5-7"
+ * @returns {Array<[number, number]>|null} Merged intervals, or null if a
+ *   value is above 255 or a range is reversed
+ */
+function parseOctetSpec(spec) {
+  if (spec === "*") return [[0, 255]];
+  const intervals = [];
+  for (const part of spec.split(",")) {
+    const [low, high = low] = part.split("-").map(Number);
+    if (high > 255 || low > high) return null;
+    intervals.push([low, high]);
+  }
+  return mergeOctetIntervals(intervals);
+}
+
+/**
+ * Write octet intervals back in pattern form
+ * @param {Array<[number, number]>} intervals - Merged intervals
+ * @returns {string}
+ */
+function formatOctetSpec(intervals) {
+  if (
+    intervals.length === 1 &&
+    intervals[0][0] === 0 &&
+    intervals[0][1] === 255
+  ) {
+    return "*";
+  }
+  return intervals
+    .map(([low, high]) => (low === high ? `${low}` : `${low}-${high}`))
+    .join(",");
+}
+
+/**
+ * List the address ranges an octet pattern matches, in ascending order
+ * Octets after the last partial one are whole, so each value combination of
+ * the earlier octets gives one range per interval of the last partial octet.
+ * @param {Array<Array<[number, number]>>} octets - Intervals for each octet
+ * @yields {[number, number]} Inclusive start and end addresses as numbers
+ */
+function* octetPatternRanges(octets) {
+  let last = octets.length - 1;
+  while (last >= 0 && formatOctetSpec(octets[last]) === "*") last--;
+  if (last < 0) {
+    yield [0, 0xffffffff];
+    return;
+  }
+
+  function* walk(i, base) {
+    const size = 2 ** (8 * (3 - i));
+    for (const [low, high] of octets[i]) {
+      if (i === last) {
+        yield [base + low * size, base + (high + 1) * size - 1];
+        continue;
+      }
+      for (let value = low; value <= high; value++) {
+        yield* walk(i + 1, base + value * size);
+      }
+    }
+  }
+  yield* walk(0, 0);
+}
+
+/**
+ * Parse an nmap-style IPv4 pattern with per-octet wildcards, ranges and lists
+ * "10.0.1-5.*", "192.168.*.*", "10.0.0.1,3,5-7" and "172.16-31.0.0/16" are
+ * expanded to the minimal CIDRs covering exactly the addresses (or, with a
+ * prefix, the networks) they match. Expansion stops as soon as it passes
+ * NormalizationOptions.maxExpansion, so "*.*.*.1" is rejected without
+ * listing 16 million hosts.
+ * @param {string} entry - Original entry
+ * @param {NormalizationOptions} [options] - Normalization options
+ * @returns {NormalizationResult|null} Result, or null if not an octet pattern
+ */
+function parseIPv4OctetPattern(entry, options = {}) {
+  const trimmed = entry.trim();
+  const match = trimmed.match(/^([\d*,.-]+)(?:\/(\d+))?$/);
+  if (!match || !/[*,-]/.test(match[1])) return null;
+  const [, pattern, prefixText] = match;
+  const specs = pattern.split(".");
+  if (specs.length !== 4 || !specs.every((s) => OCTET_SPEC_PATTERN.test(s))) {
+    return null;
+  }
+
+  const octets = [];
+  for (const spec of specs) {
+    const intervals = parseOctetSpec(spec);
+    if (!intervals) {
+      return createResult(entry, NormalizationStatus.INVALID, {
+        error: `Invalid octet "${spec}" in "${pattern}" (values are 0-255, ranges low-high)`,
+      });
+    }
+    octets.push(intervals);
+  }
+
+  const prefix = prefixText === undefined ? 32 : parseInt(prefixText, 10);
+  if (prefix > 32) {
+    return createResult(entry, NormalizationStatus.INVALID, {
+      error: `Invalid prefix length /${prefixText}`,
+    });
+  }
+
+  // Host bits are set when a value inside the prefix's host part is neither
+  // zero nor a whole block ("10.0.0.1-5/24", but not "10.0.0.*/24")
+  let hostBitsSet = false;
+  const networks = octets.map((intervals, i) => {
+    const hostMask = 255 >>> Math.min(8, Math.max(0, prefix - i * 8));
+    return mergeOctetIntervals(
+      intervals.map(([low, high]) => {
+        const masked = [low & ~hostMask & 255, high | hostMask];
+        const wholeBlock = (low & hostMask) === 0 && masked[1] === high;
+        if (!wholeBlock && !(low === high && (low & hostMask) === 0)) {
+          hostBitsSet = true;
+        }
+        return masked;
+      }),
+    );
+  });
+
+  const warnings = [];
+  if (hostBitsSet) {
+    const invalid = checkHostBits(
+      entry,
+      `${pattern}/${prefix}`,
+      `${networks.map(formatOctetSpec).join(".")}/${prefix}`,
+      options,
+      warnings,
+    );
+    if (invalid) return invalid;
+  }
+
+  const limit = options.maxExpansion ?? DEFAULT_MAX_EXPANSION;
+  const cidrs = [];
+  const expand = ([start, end]) =>
+    start === 0 && end === 0xffffffff
+      ? ["0.0.0.0/0"]
+      : expandIPv4Range(start, end);
+  let current = null;
+  for (const [start, end] of octetPatternRanges(networks)) {
+    if (current && start === current[1] + 1) {
+      current[1] = end;
+      continue;
+    }
+    if (current) cidrs.push(...expand(current));
+    if (cidrs.length > limit) break;
+    current = [start, end];
+  }
+  if (cidrs.length <= limit) cidrs.push(...expand(current));
+  if (cidrs.length > limit) {
+    return createResult(entry, NormalizationStatus.INVALID, {
+      error: `Pattern "${trimmed}" expands to more than ${limit} CIDR blocks`,
+    });
+  }
+
+  warnings.unshift(
+    `Expanded pattern "${trimmed}" to ${cidrs.length} CIDR block(s)`,
+  );
+  return createResult(entry, NormalizationStatus.CORRECTED, {
+    normalized: cidrs[0],
+    expandedTo: cidrs,
+    warning: warnings.join("; "),
+  });
+}
+
 // ========== IPv6 Helpers ==========
 
+/**
+ * Prefixes whose addresses are written with a dotted-quad tail (RFC 5952
+ * section 5): IPv4-mapped ::ffff:0:0/96 and the NAT64 well-known prefix
+ * 64:ff9b::/96
+ */
+const IPV4_EMBEDDING_PREFIXES = [
+  { head: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff], text: "::ffff:" },
+  { head: [0, 0x64, 0xff, 0x9b, 0, 0, 0, 0, 0, 0, 0, 0], text: "64:ff9b::" },
+];
+
 /**
  * Parse IPv6 address to 16-byte Uint8Array
- * @param {string} addr - IPv6 address (may be compressed)
+ * @param {string} addr - IPv6 address (may be compressed and end in a
+ *   dotted quad, as in ::ffff:192.0.2.1 or 64:ff9b::192.0.2.1)
  * @returns {Uint8Array|null}
  */
 function parseIPv6ToBytes(addr) {
@@ -317,6 +805,15 @@ function parseIPv6ToBytes(addr) {
     addr = addr.substring(0, zoneIndex);
   }
 
+  // Dotted-quad tail becomes the last two hextets
+  const lastColon = addr.lastIndexOf(":");
+  const tail = addr.slice(lastColon + 1);
+  if (lastColon !== -1 && tail.includes(".")) {
+    if (!isValidIPv4Address(tail)) return null;
+    const num = ipv4ToNumber(normalizeIPv4Address(tail));
+    addr = `${addr.slice(0, lastColon + 1)}${Math.floor(num / 0x10000).toString(16)}:${(num & 0xffff).toString(16)}`;
+  }
+
   if (addr.includes("::")) {
     const parts = addr.split("::");
     if (parts.length > 2) return null;
@@ -380,6 +877,14 @@ function compressIPv6(addr) {
   const bytes = parseIPv6ToBytes(addr);
   if (!bytes) return null;
 
+  // ::ffff:0:0/96 itself keeps its hextets; addresses inside it are dotted
+  const embedding = IPV4_EMBEDDING_PREFIXES.find(({ head }) =>
+    head.every((byte, i) => bytes[i] === byte),
+  );
+  if (embedding && bytes.slice(12).some((byte) => byte !== 0)) {
+    return embedding.text + bytes.slice(12).join(".");
+  }
+
   const groups = [];
   for (let i = 0; i < 16; i += 2) {
     const val = (bytes[i] << 8) | bytes[i + 1];
@@ -462,9 +967,10 @@ function looksLikeIPv6(entry) {
 /**
  * Parse IPv6 entry and return normalization result
  * @param {string} entry
+ * @param {NormalizationOptions} [options] - Normalization options
  * @returns {NormalizationResult|null}
  */
-export function parseIPv6Entry(entry) {
+export function parseIPv6Entry(entry, options = {}) {
   let trimmed = entry.trim();
   if (!looksLikeIPv6(trimmed)) return null;
 
@@ -478,11 +984,19 @@ export function parseIPv6Entry(entry) {
 
   // Check for range
   if (trimmed.includes("-") && !trimmed.startsWith("-")) {
-    return parseIPv6Range(entry, warnings);
+    return parseIPv6Range(entry, trimmed, warnings);
+  }
+
+  // A dotted-quad tail (::ffff:192.0.2.1) must be a valid IPv4 address
+  const tail = trimmed.split("/")[0].split(":").pop();
+  if (tail.includes(".") && !isValidIPv4Address(tail)) {
+    return createResult(entry, NormalizationStatus.INVALID, {
+      error: `Invalid IPv4 address "${tail}" in IPv6 address`,
+    });
   }
 
   // Pattern: IPv6/prefix (2001:db8::/32)
-  const cidrMatch = trimmed.match(/^([a-fA-F0-9:]+)\/(\d+)$/);
+  const cidrMatch = trimmed.match(/^([a-fA-F0-9:.]+)\/(\d+)$/);
   if (cidrMatch) {
     const [, addr, prefix] = cidrMatch;
     const prefixNum = parseInt(prefix, 10);
@@ -501,15 +1015,27 @@ export function parseIPv6Entry(entry) {
     }
 
     const compressed = compressIPv6(expanded);
-    const wasModified = warnings.length > 0 || addr.toLowerCase() !== addr;
     if (addr.toLowerCase() !== addr) warnings.push("Normalized to lowercase");
 
+    const hostMask = (BigInt(1) << BigInt(128 - prefixNum)) - BigInt(1);
+    const network = `${bigIntToIPv6(ipv6ToBigInt(compressed) & ~hostMask)}/${prefixNum}`;
+    const invalid = checkHostBits(
+      entry,
+      `${compressed}/${prefixNum}`,
+      network,
+      options,
+      warnings,
+    );
+    if (invalid) return invalid;
+
     return createResult(
       entry,
-      wasModified ? NormalizationStatus.CORRECTED : NormalizationStatus.VALID,
+      warnings.length > 0
+        ? NormalizationStatus.CORRECTED
+        : NormalizationStatus.VALID,
       {
-        normalized: `${compressed}/${prefixNum}`,
-        expandedTo: [`${compressed}/${prefixNum}`],
+        normalized: network,
+        expandedTo: [network],
         warning: warnings.length > 0 ? warnings.join("; ") : null,
       },
     );
@@ -539,24 +1065,946 @@ export function parseIPv6Entry(entry) {
 }
 
 /**
- * Parse IPv6 range (placeholder - basic implementation)
- * @param {string} entry
- * @param {string[]} warnings
- * @returns {NormalizationResult}
+ * Convert IPv6 address to 128-bit BigInt
+ * @param {string} addr
+ * @returns {bigint|null}
  */
-function parseIPv6Range(entry, warnings = []) {
-  // IPv6 ranges are complex - for now, mark as needing manual conversion
-  return createResult(entry, NormalizationStatus.INVALID, {
-    error: "IPv6 ranges not yet supported - please convert to CIDR notation",
+function ipv6ToBigInt(addr) {
+  const bytes = parseIPv6ToBytes(addr);
+  if (!bytes) return null;
+
+  let result = BigInt(0);
+  for (let i = 0; i < 16; i++) {
+    result = (result << BigInt(8)) | BigInt(bytes[i]);
+  }
+  return result;
+}
+
+/**
+ * Convert 128-bit BigInt to compressed IPv6 address
+ * @param {bigint} num
+ * @returns {string}
+ */
+function bigIntToIPv6(num) {
+  const groups = [];
+  for (let i = 7; i >= 0; i--) {
+    groups.push(((num >> BigInt(i * 16)) & BigInt(0xffff)).toString(16));
+  }
+  return compressIPv6(groups.join(":"));
+}
+
+/**
+ * Expand IPv6 range to minimal set of CIDRs
+ * @param {bigint} start - Start IP as BigInt
+ * @param {bigint} end - End IP as BigInt
+ * @returns {string[]} Array of CIDR strings
+ */
+export function expandIPv6Range(start, end) {
+  if (start > end) return [];
+
+  const cidrs = [];
+  let current = start;
+
+  while (current <= end) {
+    // Find the largest block aligned on current
+    let hostBits = 0;
+    while (
+      hostBits < 128 &&
+      current % (BigInt(1) << BigInt(hostBits + 1)) === BigInt(0)
+    ) {
+      hostBits++;
+    }
+
+    // Block must not exceed end
+    while (current + (BigInt(1) << BigInt(hostBits)) - BigInt(1) > end) {
+      hostBits--;
+    }
+
+    cidrs.push(`${bigIntToIPv6(current)}/${128 - hostBits}`);
+    current += BigInt(1) << BigInt(hostBits);
+  }
+
+  return cidrs;
+}
+
+/**
+ * Parse IPv6 range entry
+ * Supports full ranges (2001:db8::1-2001:db8::ff) and short ranges that
+ * replace the last hextet (2001:db8::1-ff).
+ * @param {string} entry - Original entry
+ * @param {string} trimmed - Entry with whitespace and zone ID removed
+ * @param {string[]} warnings - Warnings collected so far
+ * @returns {NormalizationResult|null}
+ */
+function parseIPv6Range(entry, trimmed, warnings = []) {
+  const parts = trimmed.split("-");
+  if (parts.length !== 2) return null;
+
+  const [startAddr, endPart] = parts;
+  const start = ipv6ToBigInt(startAddr);
+  if (start === null) {
+    return createResult(entry, NormalizationStatus.INVALID, {
+      error: "Invalid IPv6 address in range",
+    });
+  }
+
+  let end;
+  let warning;
+  if (endPart.includes(":")) {
+    // Full range: 2001:db8::1-2001:db8::ff
+    end = ipv6ToBigInt(endPart);
+    if (end === null) {
+      return createResult(entry, NormalizationStatus.INVALID, {
+        error: "Invalid IPv6 address in range",
+      });
+    }
+    warning = (cidrs) => `Expanded range to ${cidrs.length} CIDR block(s)`;
+  } else {
+    // Short range: 2001:db8::1-ff
+    if (!/^[0-9a-fA-F]{1,4}$/.test(endPart)) {
+      return createResult(entry, NormalizationStatus.INVALID, {
+        error: "Invalid end hextet in range",
+      });
+    }
+    end = (start & ~BigInt(0xffff)) | BigInt(parseInt(endPart, 16));
+    warning = (cidrs) =>
+      `Expanded range "${trimmed}" to ${cidrs.length} CIDR block(s)`;
+  }
+
+  if (start > end) {
+    return createResult(entry, NormalizationStatus.INVALID, {
+      error: "Range start is greater than end",
+    });
+  }
+
+  const cidrs = expandIPv6Range(start, end);
+  return createResult(entry, NormalizationStatus.CORRECTED, {
+    normalized: cidrs[0],
+    expandedTo: cidrs,
+    warning: [...warnings, warning(cidrs)].join("; "),
   });
 }
 
+// ========== Cisco Configuration ==========
+
+/**
+ * @typedef {Object} EntryOrigin
+ * @property {string} format - Configuration dialect the entry was read from
+ *   ("cisco", "iptables", "nftables" or "ipset")
+ * @property {string} context - Statement it came from, e.g. "access-list 101" or "chain INPUT"
+ * @property {string} field - "source", "destination", "prefix", "object" or "element"
+ * @property {string|null} action - Action or target when the statement has one
+ *   ("permit", "deny", "ACCEPT", "drop")
+ */
+
+/** Quick test for lines that may be Cisco configuration */
+const CISCO_LINE_PATTERN =
+  /^\s*(access-list|ip(v6)?\s+(access-list|prefix-list)|object-group|network-object|permit|deny|remark|sequence\s+\d+|\d+\s+(permit|deny|remark)|!\s*$)(?=\s|$)/i;
+
+/** Address operands that match everything and carry no network */
+const CISCO_ANY = ["any", "any4", "any6"];
+
+/** Address operands that reference named objects instead of networks */
+const CISCO_OBJECT_REFERENCES = ["object", "object-group", "interface"];
+
+/**
+ * Convert a contiguous wildcard mask to a CIDR prefix length
+ * @param {string} wildcard - Wildcard mask like "0.0.0.255"
+ * @returns {number|null} CIDR prefix (0-32) or null if invalid or non-contiguous
+ */
+function wildcardToCIDRPrefix(wildcard) {
+  const parts = wildcard.split(".");
+  if (parts.length !== 4 || !parts.every((p) => /^\d{1,3}$/.test(p))) {
+    return null;
+  }
+  const octets = parts.map((p) => parseInt(p, 10));
+  if (octets.some((o) => o > 255)) return null;
+  return subnetMaskToCIDRPrefix(octets.map((o) => 255 - o).join("."));
+}
+
+/**
+ * Read one address operand of a Cisco statement
+ * @param {string[]} tokens - Statement tokens
+ * @param {number} i - Index of the operand's first token
+ * @param {string} maskKind - "wildcard" for IOS, "netmask" for ASA
+ * @returns {{spec: {text: string, cidr: string|null, error: string|null, wildcard?: string}|null, next: number}|null}
+ *   Operand (null spec for any/object references) and the index after it,
+ *   or null if tokens[i] is not an address operand
+ */
+function readCiscoAddress(tokens, i, maskKind) {
+  const token = tokens[i];
+  if (token === undefined) return null;
+  const lower = token.toLowerCase();
+
+  if (CISCO_ANY.includes(lower)) {
+    return { spec: null, next: i + 1 };
+  }
+  if (CISCO_OBJECT_REFERENCES.includes(lower) && tokens[i + 1]) {
+    return { spec: null, next: i + 2 };
+  }
+  if (lower === "host" && tokens[i + 1]) {
+    const addr = tokens[i + 1];
+    const bits = addr.includes(":") ? 128 : 32;
+    return {
+      spec: { text: `host ${addr}`, cidr: `${addr}/${bits}`, error: null },
+      next: i + 2,
+    };
+  }
+  if (token.includes("/")) {
+    return { spec: { text: token, cidr: token, error: null }, next: i + 1 };
+  }
+
+  const dotted = /^\d{1,3}(\.\d{1,3}){3}$/;
+  if (!dotted.test(token)) return null;
+
+  const mask = tokens[i + 1];
+  if (mask && dotted.test(mask)) {
+    const text = `${token} ${mask}`;
+    const prefix =
+      maskKind === "netmask"
+        ? subnetMaskToCIDRPrefix(mask)
+        : wildcardToCIDRPrefix(mask);
+    if (prefix === null) {
+      if (maskKind === "wildcard") {
+        // Non-contiguous: parseIPv4Wildcard() lists the matching blocks
+        return {
+          spec: { text, cidr: null, error: null, wildcard: mask },
+          next: i + 2,
+        };
+      }
+      const error = `Invalid subnet mask "${mask}"`;
+      return { spec: { text, cidr: null, error }, next: i + 2 };
+    }
+    return {
+      spec: { text, cidr: `${token}/${prefix}`, error: null },
+      next: i + 2,
+    };
+  }
+
+  // Standard ACLs allow a bare host address without a wildcard
+  return {
+    spec: { text: token, cidr: `${token}/32`, error: null },
+    next: i + 1,
+  };
+}
+
+/**
+ * Skip a port qualifier (eq 443, range 1000 2000) after an address operand
+ * @param {string[]} tokens - Statement tokens
+ * @param {number} i - Index after the address operand
+ * @returns {number} Index after the qualifier, or i if there is none
+ */
+function skipCiscoPortSpec(tokens, i) {
+  const op = (tokens[i] || "").toLowerCase();
+  if (["eq", "neq", "lt", "gt"].includes(op)) return i + 2;
+  if (op === "range") return i + 3;
+  return i;
+}
+
+/**
+ * Parse a permit/deny access-list entry
+ * Standard entries have a single source operand; extended entries a protocol,
+ * source and destination.
+ * @param {string[]} tokens - Statement tokens
+ * @param {number} i - Index of the permit/deny keyword
+ * @param {string} context - Statement description for the origin
+ * @param {string} maskKind - "wildcard" for IOS, "netmask" for ASA
+ * @returns {Array<{spec: Object, origin: EntryOrigin}>|null} Operands with networks, or null if malformed
+ */
+function parseCiscoACE(tokens, i, context, maskKind) {
+  const action = tokens[i].toLowerCase();
+  let next = i + 1;
+  const fields = [];
+
+  const standardSource = readCiscoAddress(tokens, next, maskKind);
+  if (standardSource) {
+    fields.push(["source", standardSource]);
+  } else {
+    // Protocol, then optionally its object-group name on ASA
+    const protocol = (tokens[next] || "").toLowerCase();
+    if (!protocol) return null;
+    next += CISCO_OBJECT_REFERENCES.includes(protocol) ? 2 : 1;
+
+    const source = readCiscoAddress(tokens, next, maskKind);
+    if (!source) return null;
+    next = skipCiscoPortSpec(tokens, source.next);
+    const destination = readCiscoAddress(tokens, next, maskKind);
+    if (!destination) return null;
+    fields.push(["source", source], ["destination", destination]);
+  }
+
+  return fields
+    .filter(([, operand]) => operand.spec)
+    .map(([field, operand]) => ({
+      spec: operand.spec,
+      origin: { format: "cisco", context, field, action },
+    }));
+}
+
+/**
+ * Turn an address operand read from configuration into a normalization result
+ * @param {{text: string, cidr: string|null, error: string|null, wildcard?: string}} spec -
+ *   Address operand; non-contiguous IOS wildcards carry the mask instead of a CIDR
+ * @param {EntryOrigin} origin - Where it came from
+ * @param {NormalizationOptions} options - Normalization options
+ * @param {string[]} [notes] - Extra warnings, e.g. ignored prefix-list bounds
+ * @returns {NormalizationResult}
+ */
+function configResult(spec, origin, options, notes = []) {
+  let result;
+  if (spec.wildcard) {
+    const [addr] = spec.text.split(" ");
+    result = parseIPv4Wildcard(spec.text, addr, spec.wildcard, options);
+  } else if (spec.cidr === null) {
+    result = createResult(spec.text, NormalizationStatus.INVALID, {
+      error: spec.error,
+    });
+  } else {
+    result = normalizeEntry(spec.cidr, options);
+    result.original = spec.text;
+  }
+  result.origin = origin;
+
+  if (result.status !== NormalizationStatus.INVALID) {
+    const action = origin.action ? `${origin.action}, ` : "";
+    result.status = NormalizationStatus.CORRECTED;
+    result.warning = [
+      `Read ${origin.field} from ${origin.context} (${action}${spec.text})`,
+      ...notes,
+      ...(result.warning ? [result.warning] : []),
+    ].join("; ");
+  }
+  return result;
+}
+
+/**
+ * Extract networks from one line of Cisco IOS/ASA configuration
+ * Understands numbered and ASA access-lists, named ACL entries (IPv4 and
+ * IPv6), ip/ipv6 prefix-lists and ASA object-group network-objects. Each
+ * line is read on its own, so entries inside a named ACL or object-group
+ * record the statement kind rather than the list name.
+ * @param {string} line - Input line
+ * @param {NormalizationOptions} [options] - Normalization options
+ * @returns {NormalizationResult[]|null} Results (empty for headers and remarks),
+ *   or null if the line is not Cisco configuration
+ */
+export function parseCiscoConfigLine(line, options = {}) {
+  if (!CISCO_LINE_PATTERN.test(line)) return null;
+
+  const trimmed = line.trim();
+  const tokens = trimmed.split(/\s+/);
+  const lower = tokens.map((t) => t.toLowerCase());
+  const malformed = (error) => [
+    createResult(trimmed, NormalizationStatus.INVALID, { error }),
+  ];
+  const toResults = (entries) =>
+    entries.map(({ spec, origin }) => configResult(spec, origin, options));
+
+  // Separators, remarks and headers carry no networks
+  if (trimmed === "!" || lower[0] === "remark" || lower[0] === "object-group") {
+    return [];
+  }
+
+  if (lower[0] === "access-list") {
+    const context = `access-list ${tokens[1]}`;
+    let i = 2;
+    if (lower[i] === "line") i += 2;
+    let maskKind = "wildcard";
+    if (["extended", "standard", "webtype"].includes(lower[i])) {
+      maskKind = "netmask";
+      i++;
+    }
+    if (lower[i] === "remark") return [];
+    if (lower[i] !== "permit" && lower[i] !== "deny") {
+      return malformed("Unrecognized Cisco access-list entry");
+    }
+    const entries = parseCiscoACE(tokens, i, context, maskKind);
+    return entries
+      ? toResults(entries)
+      : malformed("Unrecognized Cisco access-list entry");
+  }
+
+  if (lower[1] === "access-list") {
+    return [];
+  }
+
+  if (lower[1] === "prefix-list") {
+    const context = `${lower[0]} prefix-list ${tokens[2]}`;
+    let i = 3;
+    if (lower[i] === "description") return [];
+    if (lower[i] === "seq") i += 2;
+    const action = lower[i];
+    const prefix = tokens[i + 1];
+    if ((action !== "permit" && action !== "deny") || !prefix) {
+      return malformed("Unrecognized Cisco prefix-list entry");
+    }
+    // ge/le bound which routes match, not which addresses the prefix covers
+    const bounds = tokens.slice(i + 2).join(" ");
+    const notes = bounds ? [`"${bounds}" not applied`] : [];
+    return [
+      configResult(
+        { text: prefix, cidr: prefix, error: null },
+        { format: "cisco", context, field: "prefix", action },
+        options,
+        notes,
+      ),
+    ];
+  }
+
+  if (lower[0] === "network-object") {
+    const operand = readCiscoAddress(tokens, 1, "netmask");
+    if (!operand) return malformed("Unrecognized network-object");
+    if (!operand.spec) return [];
+    return toResults([
+      {
+        spec: operand.spec,
+        origin: {
+          format: "cisco",
+          context: "network-object",
+          field: "object",
+          action: null,
+        },
+      },
+    ]);
+  }
+
+  // Entry inside a named ACL: [seq N | N] permit|deny ...
+  let i = 0;
+  if (lower[0] === "sequence") i = 2;
+  else if (/^\d+$/.test(lower[0])) i = 1;
+  if (lower[i] === "remark") return [];
+  // Without a sequence number, only a line naming a protocol, any or host is
+  // an ACL entry; "deny 10.1.0.5", "deny 10.1.0.0 255.255.0.0" and
+  // "deny 10.1.0.0/16" are list shorthand for negated entries
+  if (i === 0 && !/^[a-z][\w-]*$/i.test(tokens[1] || "")) return null;
+  if (lower[i] === "permit" || lower[i] === "deny") {
+    const entries = parseCiscoACE(tokens, i, "access-list entry", "wildcard");
+    return entries
+      ? toResults(entries)
+      : malformed("Unrecognized Cisco access-list entry");
+  }
+  return null;
+}
+
+// ========== Host Firewall Dumps ==========
+
+/** Quick test for lines that may be iptables-save or iptables command output */
+const IPTABLES_LINE_PATTERN =
+  /^\s*((ip6?tables\s+)?-[AINPFXZ]\s|\*\w+\s*$|:[A-Za-z][\w-]*\s+\S+\s+\[\d+:\d+\]|COMMIT\s*$|#\s*(Generated|Completed)\b)/;
+
+/** Quick test for lines that may be nft list ruleset output */
+const NFT_LINE_PATTERN =
+  /^\s*(table|chain|set|map|flowtable|type|flags|policy|elements|auto-merge|timeout|size|ip6?|inet|tcp|udp|icmp(v6)?|ct|meta|iif(name)?|oif(name)?|counter|log|limit|jump|goto|accept|drop|reject|return|\})(?=\s|$)/;
+
+/** Quick test for lines that may be ipset save output */
+const IPSET_LINE_PATTERN = /^\s*(create|add)\s+\S+\s+\S/;
+
+/** iptables options that take a source or destination address list */
+const IPTABLES_ADDRESS_OPTIONS = {
+  "-s": "source",
+  "--source": "source",
+  "--src": "source",
+  "--src-range": "source",
+  "-d": "destination",
+  "--destination": "destination",
+  "--dst": "destination",
+  "--dst-range": "destination",
+};
+
+/** nft verdicts, reported as the action of the rule */
+const NFT_VERDICTS = [
+  "accept",
+  "drop",
+  "reject",
+  "return",
+  "continue",
+  "queue",
+];
+
+/**
+ * Extract addresses from one iptables-save (or ip6tables-save) line
+ * Also accepts the same rule written as an iptables command.
+ * @param {string} trimmed - Trimmed input line
+ * @param {NormalizationOptions} options - Normalization options
+ * @returns {NormalizationResult[]} Results (empty for tables, policies and rules without addresses)
+ */
+function parseIptablesLine(trimmed, options) {
+  const tokens = trimmed.split(/\s+/);
+  if (/^ip6?tables$/.test(tokens[0])) tokens.shift();
+  if (tokens[0] !== "-A" && tokens[0] !== "-I") return [];
+
+  const context = `chain ${tokens[1]}`;
+  const jump = tokens.findIndex((t) => t === "-j" || t === "--jump");
+  const action = jump !== -1 && tokens[jump + 1] ? tokens[jump + 1] : null;
+
+  const results = [];
+  for (let i = 2; i < tokens.length; i++) {
+    const field = IPTABLES_ADDRESS_OPTIONS[tokens[i]];
+    if (!field || !tokens[i + 1]) continue;
+    const notes =
+      tokens[i - 1] === "!" ? [`negated in the rule ("! ${tokens[i]}")`] : [];
+    for (const address of tokens[i + 1].split(",")) {
+      results.push(
+        configResult(
+          { text: address, cidr: address, error: null },
+          { format: "iptables", context, field, action },
+          options,
+          notes,
+        ),
+      );
+    }
+    i++;
+  }
+  return results;
+}
+
+/**
+ * Split an nft set literal or element list into address strings
+ * Drops element options (timeout, expires, comment) and concatenated
+ * fields after " . ", keeping the address of each element.
+ * @param {string} list - Text between the braces
+ * @returns {string[]} Addresses
+ */
+function splitNftElements(list) {
+  return list
+    .split(",")
+    .map((element) => element.trim().split(/\s+/)[0])
+    .filter((address) => address && address !== "}");
+}
+
+/**
+ * Extract addresses from one nft list ruleset line
+ * Reads set elements (elements = { ... }, including the closing line of a
+ * list that wraps) and ip/ip6 saddr/daddr matches, either a single address
+ * or an anonymous set literal. Named set references (@name) are skipped;
+ * their elements are read where the set is defined.
+ * @param {string} trimmed - Trimmed input line
+ * @param {NormalizationOptions} options - Normalization options
+ * @returns {NormalizationResult[]} Results (empty for tables, chains and rules without addresses)
+ */
+function parseNftLine(trimmed, options) {
+  const toResults = (addresses, origin, notes = []) =>
+    addresses.map((address) =>
+      configResult(
+        { text: address, cidr: address, error: null },
+        origin,
+        options,
+        notes,
+      ),
+    );
+
+  const elements = trimmed.match(/^elements\s*=\s*\{([^}]*)\}?/);
+  if (elements) {
+    return toResults(splitNftElements(elements[1]), {
+      format: "nftables",
+      context: "nft set",
+      field: "element",
+      action: null,
+    });
+  }
+
+  const tokens = trimmed.replace(/[{}]/g, (brace) => ` ${brace} `).split(/\s+/);
+  const verdict = tokens.find((t) => NFT_VERDICTS.includes(t)) || null;
+  const results = [];
+  for (let i = 1; i < tokens.length; i++) {
+    if (!["saddr", "daddr"].includes(tokens[i])) continue;
+    if (tokens[i - 1] !== "ip" && tokens[i - 1] !== "ip6") continue;
+
+    let next = i + 1;
+    const notes = [];
+    if (tokens[next] === "!=") {
+      notes.push(`negated in the rule ("${tokens[i - 1]} ${tokens[i]} !=")`);
+      next++;
+    } else if (tokens[next] === "==") {
+      next++;
+    }
+
+    let addresses;
+    if (tokens[next] === "{") {
+      const close = tokens.indexOf("}", next);
+      const end = close === -1 ? tokens.length : close;
+      addresses = splitNftElements(tokens.slice(next + 1, end).join(" "));
+      next = end;
+    } else {
+      const operand = tokens[next] || "";
+      addresses = /^[@$]/.test(operand) || !operand ? [] : [operand];
+    }
+
+    results.push(
+      ...toResults(
+        addresses,
+        {
+          format: "nftables",
+          context: "nft rule",
+          field: tokens[i] === "saddr" ? "source" : "destination",
+          action: verdict,
+        },
+        notes,
+      ),
+    );
+    i = next;
+  }
+  return results;
+}
+
+/**
+ * Extract the address from one ipset save line
+ * @param {string} trimmed - Trimmed input line
+ * @param {NormalizationOptions} options - Normalization options
+ * @returns {NormalizationResult[]} One result for an add line, empty for create
+ */
+function parseIpsetLine(trimmed, options) {
+  const tokens = trimmed.split(/\s+/);
+  if (tokens[0] !== "add") return [];
+
+  // hash:ip,port and similar types append ",proto:port" to the address
+  const [address] = tokens[2].split(",");
+  const notes = tokens.includes("nomatch")
+    ? ['"nomatch" not applied (the set excludes this entry)']
+    : [];
+  return [
+    configResult(
+      { text: address, cidr: address, error: null },
+      {
+        format: "ipset",
+        context: `ipset ${tokens[1]}`,
+        field: "element",
+        action: null,
+      },
+      options,
+      notes,
+    ),
+  ];
+}
+
+/**
+ * Extract addresses from one line of a host firewall dump
+ * Understands iptables-save/ip6tables-save, nft list ruleset and ipset save
+ * output. Like parseCiscoConfigLine(), each line is read on its own; the
+ * middle lines of a wrapped nft element list are plain comma-separated
+ * addresses and are read as ordinary input.
+ * @param {string} line - Input line
+ * @param {NormalizationOptions} [options] - Normalization options
+ * @returns {NormalizationResult[]|null} Results (empty for lines without addresses),
+ *   or null if the line is not a firewall dump line
+ */
+export function parseFirewallDumpLine(line, options = {}) {
+  const trimmed = line.trim();
+
+  if (IPTABLES_LINE_PATTERN.test(line)) {
+    return parseIptablesLine(trimmed, options);
+  }
+  if (IPSET_LINE_PATTERN.test(line)) {
+    return parseIpsetLine(trimmed, options);
+  }
+  if (NFT_LINE_PATTERN.test(line)) {
+    return parseNftLine(trimmed, options);
+  }
+
+  // Last line of a wrapped element list: "10.2.0.0/16, 10.3.0.0/16 }"
+  const closing = trimmed.match(/^([^{}=]+)\}$/);
+  if (closing) {
+    return parseNftLine(`elements = {${closing[1]}}`, options);
+  }
+  return null;
+}
+
+// ========== Text Extraction ==========
+
+/** IPv4 address inside free text */
+const EXTRACT_IPV4 = String.raw`(?:\d{1,3}\.){3}\d{1,3}`;
+
+/** IPv6 address inside free text (validated afterwards) */
+const EXTRACT_IPV6 = String.raw`(?:[0-9a-fA-F]{0,4}:){2,7}(?:${EXTRACT_IPV4}|[0-9a-fA-F]{0,4})`;
+
+/**
+ * Addresses, CIDRs and full ranges inside free text
+ * The lookarounds keep matches to whole tokens: an IPv4 address may not
+ * touch letters, digits or further dotted numbers (so OIDs and
+ * 1.2.3.4.5-style versions are skipped) but may be followed by a :port;
+ * an IPv6 candidate may not touch letters, digits or colons.
+ */
+const EXTRACT_PATTERN = new RegExp(
+  String.raw`(?<![\w.])${EXTRACT_IPV4}(?:\/\d{1,2}|\s?-\s?${EXTRACT_IPV4})?(?![\w]|\.\d)` +
+    "|" +
+    String.raw`(?<![\w:.])${EXTRACT_IPV6}(?:\/\d{1,3}|\s?-\s?${EXTRACT_IPV6})?(?![\w:]|\.\w)`,
+  "g",
+);
+
+/**
+ * Key that identifies the same entry written differently
+ * @param {NormalizationResult} result - Valid or corrected result
+ * @returns {string}
+ */
+function extractionKey(result) {
+  return result.expandedTo.join(",");
+}
+
+/**
+ * Scan free text (logs, email, tickets) for addresses, CIDRs and ranges
+ * Anything that does not parse as an address is ignored rather than
+ * reported, so times (10:00:00) and version numbers (1.2.3) produce no
+ * errors; IPv6 candidates need at least one digit. Repeated entries are
+ * merged, keeping the first line they appeared on and counting occurrences.
+ * @param {string} text - Text to scan
+ * @param {NormalizationOptions} [options] - Normalization options
+ * @returns {NormalizationResult[]} One result per distinct entry, with occurrences set
+ */
+export function extractFromText(text, options = {}) {
+  const results = [];
+  const lines = text.split("\n");
+
+  for (let lineIdx = 0; lineIdx < lines.length; lineIdx++) {
+    for (const [candidate] of lines[lineIdx].matchAll(EXTRACT_PATTERN)) {
+      // Words like "cafe::babe" or "a::b" are valid IPv6 but rarely meant as one
+      if (candidate.includes(":") && !/\d/.test(candidate)) continue;
+      const result = normalizeEntry(candidate.replace(/\s/g, ""), options);
+      if (result.status === NormalizationStatus.INVALID) continue;
+      result.original = candidate;
+      result.lineNumber = lineIdx + 1;
+      result.occurrences = 1;
+      results.push(result);
+    }
+  }
+
+  return mergeExtractedResults(results);
+}
+
+/**
+ * Merge extracted results that describe the same entry
+ * Used by extractFromText() and again by callers that extract in chunks.
+ * @param {NormalizationResult[]} results - Results with occurrences set
+ * @returns {NormalizationResult[]} First result of each entry, with occurrences summed
+ */
+export function mergeExtractedResults(results) {
+  const byKey = new Map();
+  for (const result of results) {
+    const key = extractionKey(result);
+    const first = byKey.get(key);
+    if (first) {
+      first.occurrences += result.occurrences;
+    } else {
+      byKey.set(key, result);
+    }
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Count what extraction found
+ * @param {NormalizationResult[]} results - Result of extractFromText()
+ * @returns {{found: number, unique: number}} Matches in the text and distinct entries
+ */
+export function getExtractionSummary(results) {
+  return {
+    found: results.reduce((total, r) => total + (r.occurrences || 1), 0),
+    unique: results.length,
+  };
+}
+
+// ========== IPv4-Mapped IPv6 ==========
+
+/** Start of the IPv4-mapped block ::ffff:0:0/96 */
+const IPV4_MAPPED_BASE = BigInt(0xffff) << BigInt(32);
+
+/**
+ * Fold one CIDR between IPv4 and IPv4-mapped IPv6
+ * Only blocks inside ::ffff:0:0/96 (prefix 96 or longer) have an IPv4
+ * equivalent; everything else is returned unchanged.
+ * @param {string} cidr - Normalized CIDR
+ * @param {string} direction - "ipv4" to fold mapped blocks into IPv4,
+ *   "ipv6" to map IPv4 blocks into ::ffff:0:0/96
+ * @returns {string}
+ */
+function foldMappedCIDR(cidr, direction) {
+  const [addr, prefixText] = cidr.split("/");
+  const prefix = parseInt(prefixText, 10);
+  const isIPv6 = addr.includes(":");
+
+  if (direction === "ipv4") {
+    if (!isIPv6 || prefix < 96) return cidr;
+    const num = ipv6ToBigInt(addr);
+    if (num >> BigInt(32) !== BigInt(0xffff)) return cidr;
+    return `${numberToIPv4(Number(num & BigInt(0xffffffff)))}/${prefix - 96}`;
+  }
+  if (isIPv6) return cidr;
+  const mapped = IPV4_MAPPED_BASE | BigInt(ipv4ToNumber(addr));
+  return `${bigIntToIPv6(mapped)}/${prefix + 96}`;
+}
+
+/**
+ * Fold a result's blocks between IPv4 and IPv4-mapped IPv6 before aggregation
+ * so that ::ffff:10.0.0.0/104 and 10.0.0.0/8 merge (and negate) as one.
+ * Changed VALID results become CORRECTED with a warning.
+ * @param {NormalizationResult} result - Normalization result, changed in place
+ * @param {string} direction - "ipv4" or "ipv6" (see foldMappedCIDR())
+ * @returns {NormalizationResult}
+ */
+function foldMappedResult(result, direction) {
+  if (result.status === NormalizationStatus.INVALID) return result;
+  const folded = result.expandedTo.map((cidr) =>
+    foldMappedCIDR(cidr, direction),
+  );
+  if (folded.every((cidr, i) => cidr === result.expandedTo[i])) return result;
+
+  result.expandedTo = folded;
+  result.normalized = folded[0];
+  if (result.status === NormalizationStatus.VALID) {
+    result.status = NormalizationStatus.CORRECTED;
+  }
+  const note =
+    direction === "ipv4"
+      ? `Folded IPv4-mapped IPv6 into ${folded.join(", ")}`
+      : `Mapped IPv4 into ${folded.join(", ")}`;
+  result.warning = result.warning ? `${result.warning}; ${note}` : note;
+  return result;
+}
+
+// ========== Negated Entries ==========
+
+/** Keywords that make the entry after them an exclusion */
+const NEGATION_KEYWORDS = ["except", "deny"];
+
+/** Keywords allowed before an ordinary entry ("allow 10.0.0.0/8") */
+const INCLUSION_KEYWORDS = ["allow", "permit"];
+
+/** Every keyword that sets the polarity of the entry after it */
+const POLARITY_KEYWORDS = [...NEGATION_KEYWORDS, ...INCLUSION_KEYWORDS];
+
+/**
+ * Read a leading "!" or "-" and except/deny/allow/permit keyword
+ * @param {string} entry - Trimmed entry
+ * @returns {{negated: boolean, text: string}} Whether the entry is an
+ *   exclusion, and the entry without its markers
+ */
+export function readEntryPolarity(entry) {
+  let text = entry;
+  let negated = false;
+  const keyword = /^([a-z]+)\s+/i.exec(text);
+  if (keyword && POLARITY_KEYWORDS.includes(keyword[1].toLowerCase())) {
+    negated = NEGATION_KEYWORDS.includes(keyword[1].toLowerCase());
+    text = text.slice(keyword[0].length);
+  }
+  if (/^[!-]\s*\S/.test(text)) {
+    negated = true;
+    text = text.slice(1).trimStart();
+  }
+  return { negated, text };
+}
+
+/**
+ * Mark a parsed entry as an exclusion
+ * Invalid entries stay invalid; their error is what matters.
+ * @param {NormalizationResult} result - Result for the entry without its marker
+ * @param {string} original - Entry as written, marker included
+ * @returns {NormalizationResult} The same result
+ */
+function negateResult(result, original) {
+  result.original = original;
+  if (result.status !== NormalizationStatus.INVALID) {
+    result.status = NormalizationStatus.NEGATED;
+  }
+  return result;
+}
+
+// ========== Comments and Labels ==========
+
+/** Comment marker; where it counts is decided by findCommentMarker */
+const COMMENT_PATTERN = /#|\/\/|;/g;
+
+/** Token that can be part of an address, mask, CIDR or range */
+const ADDRESS_TOKEN_PATTERN = /^(?:0[xX])?[\da-fA-F.:/*-]+(?:%\w+)?$/;
+
+/**
+ * Check whether a token can be part of an entry rather than a label
+ * Hex-only words ("dead", "cafe") need a digit, a colon or a wildcard
+ * octet ("*.*.*.*") to count.
+ * @param {string} token - Whitespace- and comma-free token
+ * @returns {boolean}
+ */
+function isAddressToken(token) {
+  return (
+    ADDRESS_TOKEN_PATTERN.test(token) &&
+    (token === "-" || /[\d:]|\*\./.test(token))
+  );
+}
+
+/**
+ * Find where a line's comment starts
+ * A marker counts at the start of the line, after whitespace or a comma,
+ * or directly after an address ("10.1.0.0/16;deprecated"). Inside a word
+ * it does not, so a label column such as "see http://wiki" stays whole.
+ * @param {string} line - One input line
+ * @returns {number} Index of the marker, or -1 when there is none
+ */
+function findCommentMarker(line) {
+  for (const marker of line.matchAll(COMMENT_PATTERN)) {
+    const before = line.slice(0, marker.index);
+    const token = /[^\s,]*$/.exec(before)[0].replace(/^!/, "");
+    if (token === "" || isAddressToken(token)) {
+      return marker.index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split a list line into its entries and their label
+ * Text after "#", "//" or ";" is a comment; a label column is the rest of
+ * the line from the first word after an address that cannot be part of
+ * one ("10.1.0.0/16 London office", "10.1.0.0/16,London office"). Both
+ * become the label, joined with " - " when a line has both. Lines that
+ * start with a word keep today's behavior, so a stray word is still
+ * reported as invalid.
+ * @param {string} line - One input line
+ * @returns {{content: string, label: string|null}} Entry text and label
+ */
+export function splitEntryLabel(line) {
+  let content = line;
+  let comment = "";
+  const markerStart = findCommentMarker(line);
+  if (markerStart !== -1) {
+    content = line.slice(0, markerStart);
+    comment = line
+      .slice(markerStart)
+      .replace(/^(?:#|\/\/|;)/, "")
+      .trim();
+  }
+
+  let column = "";
+  let sawAddress = false;
+  for (const token of content.matchAll(/[^\s,]+/g)) {
+    if (
+      POLARITY_KEYWORDS.includes(token[0].toLowerCase()) ||
+      token[0] === "!"
+    ) {
+      continue;
+    }
+    if (isAddressToken(token[0].replace(/^!/, ""))) {
+      sawAddress = true;
+    } else {
+      if (sawAddress) {
+        column = content.slice(token.index).trim();
+        content = content.slice(0, token.index);
+      }
+      break;
+    }
+  }
+
+  const label = [column, comment].filter((text) => text.length > 0);
+  return {
+    content,
+    label: label.length > 0 ? label.join(" - ") : null,
+  };
+}
+
 /**
  * Normalize a single input entry
  * @param {string} entry - Single IP/CIDR entry
+ * @param {NormalizationOptions} [options] - Normalization options
  * @returns {NormalizationResult}
  */
-export function normalizeEntry(entry) {
+export function normalizeEntry(entry, options = {}) {
   const trimmed = entry.trim();
   if (!trimmed) {
     return createResult(entry, NormalizationStatus.INVALID, {
@@ -566,12 +2014,12 @@ export function normalizeEntry(entry) {
 
   // Try IPv6 first (contains colon)
   if (trimmed.includes(":")) {
-    const ipv6Result = parseIPv6Entry(trimmed);
+    const ipv6Result = parseIPv6Entry(trimmed, options);
     if (ipv6Result) return ipv6Result;
   }
 
   // Try IPv4 parsing
-  const ipv4Result = parseIPv4Entry(trimmed);
+  const ipv4Result = parseIPv4Entry(trimmed, options);
   if (ipv4Result) return ipv4Result;
 
   return createResult(entry, NormalizationStatus.INVALID, {
@@ -579,35 +2027,98 @@ export function normalizeEntry(entry) {
   });
 }
 
+/**
+ * Split a line's entries on commas, keeping nmap-style octet lists together
+ * A piece that only adds octet values to the dotted entry before it
+ * ("10.0.0.1,3,5-7", "10.1,3.0.0") continues that entry as long as no
+ * space surrounds the comma and the entry still has at most four octets.
+ * @param {string} content - Line content without its label
+ * @returns {string[]} Entries, untrimmed
+ */
+function splitEntries(content) {
+  const entries = [];
+  for (const piece of content.split(",")) {
+    const previous = entries[entries.length - 1];
+    const tail = previous === undefined ? "" : previous.split(/\s/).pop();
+    const dots = (text) => text.split(".").length - 1;
+    if (
+      /^[!-]?[\d*,.-]*\.[\d*,.-]*\d$/.test(tail) &&
+      /^\d[\d*.-]*(?:\/\d+)?$/.test(piece.trimEnd()) &&
+      dots(tail) + dots(piece) <= 3
+    ) {
+      entries[entries.length - 1] = `${previous},${piece}`;
+    } else {
+      entries.push(piece);
+    }
+  }
+  return entries;
+}
+
 /**
  * Normalize full input text from textarea
- * Handles newline and comma separators, trims whitespace
+ * Handles newline and comma separators, trims whitespace, skips comments
+ * and keeps each line's label on its results
  * @param {string} input - Full textarea input
+ * @param {NormalizationOptions} [options] - Normalization options
  * @returns {NormalizationResult[]}
  */
-export function normalizeInput(input) {
+export function normalizeInput(input, options = {}) {
   if (!input || input.trim() === "") {
     return [];
   }
+  if (options.foldMapped) {
+    const { foldMapped, ...rest } = options;
+    return normalizeInput(input, rest).map((result) =>
+      foldMappedResult(result, foldMapped),
+    );
+  }
+  if (options.extract) {
+    return extractFromText(input, options);
+  }
 
   const lines = input.split("\n");
   const results = [];
 
   for (let lineIdx = 0; lineIdx < lines.length; lineIdx++) {
     const line = lines[lineIdx];
-    const entries = line.split(",");
+
+    const configResults =
+      parseCiscoConfigLine(line, options) ??
+      parseFirewallDumpLine(line, options);
+    if (configResults) {
+      for (const result of configResults) {
+        result.lineNumber = lineIdx + 1;
+        results.push(result);
+      }
+      continue;
+    }
+
+    const { content, label } = splitEntryLabel(line);
+    const entries = splitEntries(content);
 
     for (const entry of entries) {
       const trimmed = entry.trim();
       if (trimmed.length === 0) continue;
 
-      const normalized = parseEntry(trimmed);
+      const { negated, text } = readEntryPolarity(trimmed);
+      const normalized = parseEntry(text, options);
+      let lineResults;
       if (normalized) {
-        normalized.lineNumber = lineIdx + 1;
-        results.push(normalized);
+        lineResults = [
+          negated ? negateResult(normalized, trimmed) : normalized,
+        ];
       } else {
-        const spaceDelimited = parseSpaceDelimited(trimmed, lineIdx + 1);
-        results.push(...spaceDelimited);
+        lineResults = parseSpaceDelimited(
+          text,
+          lineIdx + 1,
+          options,
+          negated ? trimmed : null,
+        );
+      }
+      for (const result of lineResults) {
+        result.lineNumber = lineIdx + 1;
+        result.label = label;
+        results.push(result);
       }
     }
   }
@@ -615,25 +2126,47 @@ export function normalizeInput(input) {
   return results;
 }
 
-function parseEntry(entry) {
-  const result = normalizeEntry(entry);
+function parseEntry(entry, options) {
+  const result = normalizeEntry(entry, options);
   return result.status !== NormalizationStatus.INVALID ? result : null;
 }
 
-function parseSpaceDelimited(entry, lineNumber) {
+/**
+ * Normalize the whitespace-separated tokens of an entry one by one
+ * A "!" or "-" prefix negates one token; "!" alone or an except/deny
+ * keyword negates the token after it.
+ * @param {string} entry - Entry that did not parse as a whole
+ * @param {number} lineNumber - 1-based line number
+ * @param {NormalizationOptions} options - Normalization options
+ * @param {string|null} [negatedEntry=null] - The entry as written when the
+ *   whole entry is an exclusion
+ * @returns {NormalizationResult[]}
+ */
+function parseSpaceDelimited(entry, lineNumber, options, negatedEntry = null) {
   const tokens = entry.split(/\s+/).filter((t) => t.trim().length > 0);
 
   if (tokens.length === 1) {
-    const result = normalizeEntry(tokens[0]);
+    const result = normalizeEntry(tokens[0], options);
     result.lineNumber = lineNumber;
-    return [result];
+    return [negatedEntry ? negateResult(result, negatedEntry) : result];
   }
 
   const results = [];
+  let keyword = null;
 
   for (const token of tokens) {
-    const result = normalizeEntry(token);
+    const lower = token.toLowerCase();
+    if (POLARITY_KEYWORDS.includes(lower) || token === "!") {
+      keyword = token;
+      continue;
+    }
+    const polarity = readEntryPolarity(keyword ? `${keyword} ${token}` : token);
+    const result = normalizeEntry(polarity.text, options);
     result.lineNumber = lineNumber;
+    if (negatedEntry || polarity.negated) {
+      negateResult(result, keyword ? `${keyword} ${token}` : token);
+    }
+    keyword = null;
     results.push(result);
   }
 
@@ -647,14 +2180,29 @@ function parseSpaceDelimited(entry, lineNumber) {
  */
 export function extractValidCIDRs(results) {
   return results
-    .filter((r) => r.status !== NormalizationStatus.INVALID)
+    .filter(
+      (r) =>
+        r.status === NormalizationStatus.VALID ||
+        r.status === NormalizationStatus.CORRECTED,
+    )
+    .flatMap((r) => r.expandedTo);
+}
+
+/**
+ * Extract the CIDRs of negated entries, to subtract from the valid ones
+ * @param {NormalizationResult[]} results
+ * @returns {string[]}
+ */
+export function extractNegatedCIDRs(results) {
+  return results
+    .filter((r) => r.status === NormalizationStatus.NEGATED)
     .flatMap((r) => r.expandedTo);
 }
 
 /**
  * Get summary of normalization results
  * @param {NormalizationResult[]} results
- * @returns {{valid: number, corrected: number, invalid: number}}
+ * @returns {{valid: number, corrected: number, invalid: number, negated: number}}
  */
 export function getNormalizationSummary(results) {
   return {
@@ -663,6 +2211,8 @@ export function getNormalizationSummary(results) {
       .length,
     invalid: results.filter((r) => r.status === NormalizationStatus.INVALID)
       .length,
+    negated: results.filter((r) => r.status === NormalizationStatus.NEGATED)
+      .length,
   };
 }
 
@@ -702,6 +2252,3 @@ export function subnetMaskToCIDRPrefix(mask) {
 
   return prefix;
 }
-export function expandIPv6Range(start, end) {
-  return [];
-}
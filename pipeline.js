@@ -0,0 +1,318 @@
+/**
+ * IP Address Aggregate processing pipeline
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ *
+ * Normalization, sorting, the selected operation and diff generation, run in
+ * stages with progress reports. worker.js runs it off the main thread; app.js
+ * runs it directly when Web Workers are unavailable.
+ */
+
+import { diffLines } from "https://esm.sh/diff@5.1.0";
+import {
+  CIDRBlock,
+  sortCIDRModels,
+  compareCIDR,
+  compareCIDRSets,
+  aggregateToLimit,
+  applyOperation,
+  applyNegations,
+  buildProvenance,
+  normalizeInput,
+  mergeExtractedResults,
+  extractValidCIDRs,
+  extractNegatedCIDRs,
+  specialPurposeCIDRs,
+} from "./core.js";
+
+/** Lines normalized between progress reports */
+const NORMALIZE_CHUNK_LINES = 5000;
+
+/**
+ * Generate diff between two text arrays
+ * @param {string[]} before - Before array
+ * @param {string[]} after - After array
+ * @returns {Array} Diff parts from jsdiff
+ */
+function generateDiff(before, after) {
+  const beforeText = before.join("\n");
+  const afterText = after.join("\n");
+  return diffLines(beforeText, afterText);
+}
+
+/**
+ * Build diff parts for a comparison so renderDiff() can display it
+ * Space only in A shows as removed, only in B as added, shared as unchanged.
+ * @param {ReturnType<typeof compareCIDRSets>} comparison - Result of compareCIDRSets()
+ * @returns {Array} Diff parts in the jsdiff shape
+ */
+function generateComparisonDiff(comparison) {
+  const entries = [
+    ...comparison.onlyA.cidrs.map((cidr) => ({ cidr, removed: true })),
+    ...comparison.onlyB.cidrs.map((cidr) => ({ cidr, added: true })),
+    ...comparison.both.cidrs.map((cidr) => ({ cidr })),
+  ].sort((a, b) => compareCIDR(a.cidr, b.cidr));
+
+  const parts = [];
+  for (const entry of entries) {
+    const last = parts[parts.length - 1];
+    if (
+      last &&
+      Boolean(last.added) === Boolean(entry.added) &&
+      Boolean(last.removed) === Boolean(entry.removed)
+    ) {
+      last.value += `${entry.cidr}\n`;
+      last.count++;
+    } else {
+      parts.push({
+        value: `${entry.cidr}\n`,
+        count: 1,
+        added: entry.added,
+        removed: entry.removed,
+      });
+    }
+  }
+  return parts;
+}
+
+/**
+ * @typedef {Object} DiffRow
+ * @property {string|null} before - Line in the before column, or null for a gap
+ * @property {string|null} after - Line in the after column, or null for a gap
+ * @property {boolean} changed - True for removed/added lines, false for unchanged ones
+ */
+
+/**
+ * Align diff parts into side-by-side rows
+ * Removed and added lines between two unchanged lines share rows, so both
+ * columns have the same number of rows and scroll together.
+ * @param {Array} diffParts - Diff parts in the jsdiff shape
+ * @returns {DiffRow[]} One row per displayed line
+ */
+function buildDiffRows(diffParts) {
+  const rows = [];
+  let openBefore = 0;
+  let openAfter = 0;
+
+  for (const part of diffParts) {
+    const lines = part.value.split("\n").filter((line) => line.length > 0);
+    for (const line of lines) {
+      if (part.removed) {
+        if (openBefore < rows.length) {
+          rows[openBefore].before = line;
+        } else {
+          rows.push({ before: line, after: null, changed: true });
+        }
+        openBefore++;
+      } else if (part.added) {
+        if (openAfter < rows.length) {
+          rows[openAfter].after = line;
+        } else {
+          rows.push({ before: null, after: line, changed: true });
+        }
+        openAfter++;
+      } else {
+        rows.push({ before: line, after: line, changed: false });
+        openBefore = rows.length;
+        openAfter = rows.length;
+      }
+    }
+  }
+  return rows;
+}
+
+/**
+ * Find where each block of changed rows starts
+ * @param {DiffRow[]} rows - Result of buildDiffRows()
+ * @returns {number[]} Row index of the first row of each change
+ */
+function findDiffChanges(rows) {
+  const changes = [];
+  rows.forEach((row, i) => {
+    if (row.changed && (i === 0 || !rows[i - 1].changed)) {
+      changes.push(i);
+    }
+  });
+  return changes;
+}
+
+/**
+ * @typedef {Object} PipelineRequest
+ * @property {string} input - Primary input text
+ * @property {string|null} secondaryInput - Second list, or null if the operation has none
+ * @property {string} operation - Key of Operations
+ * @property {number|null} maxEntries - Entry limit for the limit operation
+ * @property {NormalizationOptions} [normalizeOptions] - Options for normalizeInput()
+ * @property {string[]|null} [dropSpecial] - Special-purpose categories to remove
+ *   from the input before the operation, or null to keep everything
+ */
+
+/**
+ * @typedef {Object} PipelineResult
+ * @property {NormalizationResult[]} results - Primary normalization results
+ * @property {NormalizationResult[]|null} secondaryResults - Second list results
+ * @property {string[]} sortedStrings - Sorted valid input CIDRs; empty if nothing was valid
+ * @property {string[]} keptStrings - sortedStrings after subtracting negated entries
+ *   ("!10.1.0.0/16") and dropped special-purpose space; what the operation runs on
+ * @property {string[]} negatedRemoved - Address space the negated entries removed
+ * @property {string[]} specialRemoved - Special-purpose space dropped by dropSpecial
+ * @property {string[]|null} outputCIDRs - Operation result (null for compare)
+ * @property {Object|null} comparison - compareCIDRSets() result for compare
+ * @property {{extra: string[], extraCount: bigint}|null} overCoverage - Extra space added by limit
+ * @property {Array|null} diffParts - Diff parts for renderDiff()
+ * @property {Object|null} provenance - buildProvenance() result (null for compare)
+ */
+
+/**
+ * Normalize input in line chunks, reporting progress after each chunk
+ * @param {string} text - Input text
+ * @param {NormalizationOptions} options - Options for normalizeInput()
+ * @param {function(number): Promise<void>} report - Called with the fraction done
+ * @returns {Promise<NormalizationResult[]>} Results with line numbers for the whole text
+ */
+async function normalizeInChunks(text, options, report) {
+  const lines = text.split("\n");
+  const results = [];
+
+  for (let start = 0; start < lines.length; start += NORMALIZE_CHUNK_LINES) {
+    const end = Math.min(start + NORMALIZE_CHUNK_LINES, lines.length);
+    const chunk = lines.slice(start, end).join("\n");
+    for (const result of normalizeInput(chunk, options)) {
+      result.lineNumber += start;
+      results.push(result);
+    }
+    await report(end / lines.length);
+  }
+  // Extraction dedupes within a chunk; merge repeats across chunks too
+  return options.extract ? mergeExtractedResults(results) : results;
+}
+
+/**
+ * Run the full pipeline for one request
+ * @param {PipelineRequest} request - What to process
+ * @param {Object} [hooks]
+ * @param {function({stage: string, percent: number}): void} [hooks.onProgress] - Progress callback
+ * @param {AbortSignal} [hooks.signal] - Aborts the run between stages
+ * @param {function(): Promise<void>} [hooks.yieldControl] - Awaited after each report, so a
+ *   main-thread run can repaint and accept a cancel click
+ * @returns {Promise<PipelineResult>}
+ * @throws {DOMException} AbortError if the signal is aborted
+ */
+async function runPipeline(request, hooks = {}) {
+  const { onProgress = () => {}, signal, yieldControl } = hooks;
+  const report = async (stage, percent) => {
+    if (signal) signal.throwIfAborted();
+    onProgress({ stage, percent: Math.round(percent) });
+    if (yieldControl) await yieldControl();
+  };
+
+  const hasSecondary = request.secondaryInput !== null;
+  const normalizeShare = hasSecondary ? 40 : 50;
+  const normalizeOptions = request.normalizeOptions || {};
+
+  const results = await normalizeInChunks(
+    request.input,
+    normalizeOptions,
+    (fraction) => report("Normalizing", fraction * normalizeShare),
+  );
+  let secondaryResults = null;
+  if (hasSecondary) {
+    secondaryResults = await normalizeInChunks(
+      request.secondaryInput,
+      normalizeOptions,
+      (fraction) => report("Normalizing second list", 40 + fraction * 10),
+    );
+  }
+
+  const result = {
+    results,
+    secondaryResults,
+    sortedStrings: [],
+    keptStrings: [],
+    negatedRemoved: [],
+    specialRemoved: [],
+    outputCIDRs: null,
+    comparison: null,
+    overCoverage: null,
+    diffParts: null,
+    provenance: null,
+  };
+
+  const cidrStrings = extractValidCIDRs(results);
+  if (cidrStrings.length === 0) {
+    return result;
+  }
+
+  await report("Sorting", 55);
+  result.sortedStrings = sortCIDRModels(
+    cidrStrings.map((cidr) => CIDRBlock.fromCIDRString(cidr)),
+  ).map((m) => m.toCIDRString());
+  const negation = applyNegations(
+    result.sortedStrings,
+    extractNegatedCIDRs(results),
+  );
+  result.keptStrings = negation.cidrs;
+  result.negatedRemoved = negation.removed;
+  if (request.dropSpecial && request.dropSpecial.length > 0) {
+    const dropped = applyNegations(
+      result.keptStrings,
+      specialPurposeCIDRs(request.dropSpecial),
+    );
+    result.keptStrings = dropped.cidrs;
+    result.specialRemoved = dropped.removed;
+  }
+  const secondaryCIDRs = hasSecondary
+    ? applyNegations(
+        extractValidCIDRs(secondaryResults),
+        extractNegatedCIDRs(secondaryResults),
+      ).cidrs
+    : [];
+
+  await report("Aggregating", 65);
+  if (request.operation === "compare") {
+    result.comparison = compareCIDRSets(result.keptStrings, secondaryCIDRs);
+    await report("Building diff", 85);
+    result.diffParts = generateComparisonDiff(result.comparison);
+  } else {
+    if (request.operation === "limit") {
+      const lossy = aggregateToLimit(result.keptStrings, request.maxEntries);
+      result.outputCIDRs = lossy.cidrs;
+      result.overCoverage = {
+        extra: lossy.extra,
+        extraCount: lossy.extraCount,
+      };
+    } else {
+      result.outputCIDRs = applyOperation(
+        request.operation,
+        result.keptStrings,
+        secondaryCIDRs,
+      );
+    }
+
+    await report("Building diff", 80);
+    // Removed space is listed after the input as "!cidr", always as removed
+    result.diffParts = generateDiff(
+      [
+        ...result.sortedStrings,
+        ...result.negatedRemoved.map((cidr) => `!${cidr}`),
+        ...result.specialRemoved.map((cidr) => `!${cidr}`),
+      ],
+      result.outputCIDRs,
+    );
+
+    await report("Tracing provenance", 92);
+    result.provenance = buildProvenance(results, result.outputCIDRs);
+  }
+
+  await report("Done", 100);
+  return result;
+}
+
+export {
+  NORMALIZE_CHUNK_LINES,
+  generateDiff,
+  generateComparisonDiff,
+  buildDiffRows,
+  findDiffChanges,
+  runPipeline,
+};
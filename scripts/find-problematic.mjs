@@ -4,7 +4,7 @@
  * SPDX-License-Identifier: MIT
  */
 
-import { aggregateCIDRs } from "../app.js";
+import { aggregateCIDRs } from "../core.js";
 
 const addresses = [
   "81.154.6.165/32",
@@ -352,4 +352,20 @@ describe("Aggregation Error Handling", () => {
       expect(invalidErrorsDiv.textContent).toContain("invalid4");
     });
   });
+
+  describe("Processing Modal", () => {
+    it("should close the modal as soon as the result is rendered", async () => {
+      document.getElementById("addressInput").value =
+        "10.0.0.0/25\n10.0.0.128/25";
+
+      const started = Date.now();
+      await aggregateAddresses();
+
+      expect(Date.now() - started).toBeLessThan(1000);
+      expect(document.getElementById("processingModal")).toBeNull();
+      expect(document.getElementById("addressOutput").value).toBe(
+        "10.0.0.0/24",
+      );
+    });
+  });
 });
@@ -213,6 +213,77 @@ describe("CIDR Aggregation", () => {
     expect(result).toContain("10.0.0.0/8");
     expect(result.length).toBeLessThan(input.length);
   });
+
+  it("should return IPv4 before IPv6, each ascending", () => {
+    const input = ["2001:db8::/32", "192.168.1.0/24", "10.0.0.0/8", "::1/128"];
+    expect(aggregateCIDRs(input)).toEqual([
+      "10.0.0.0/8",
+      "192.168.1.0/24",
+      "::1/128",
+      "2001:db8::/32",
+    ]);
+  });
+
+  it("should be independent of input order", () => {
+    const input = [
+      "10.0.0.128/25",
+      "2001:db8:0:1::/64",
+      "10.0.1.0/24",
+      "10.0.0.0/25",
+      "2001:db8::/64",
+    ];
+    const expected = ["10.0.0.0/23", "2001:db8::/63"];
+    expect(aggregateCIDRs(input)).toEqual(expected);
+    expect(aggregateCIDRs([...input].reverse())).toEqual(expected);
+  });
+
+  it("should merge nested and duplicate ranges", () => {
+    const input = ["10.0.0.0/8", "10.1.0.0/16", "10.1.2.0/24", "10.0.0.0/8"];
+    expect(aggregateCIDRs(input)).toEqual(["10.0.0.0/8"]);
+  });
+
+  it("should split unaligned merged ranges into minimal blocks", () => {
+    const input = ["10.0.0.1/32", "10.0.0.2/31", "10.0.0.4/32"];
+    expect(aggregateCIDRs(input)).toEqual([
+      "10.0.0.1/32",
+      "10.0.0.2/31",
+      "10.0.0.4/32",
+    ]);
+  });
+
+  it("should aggregate adjacent IPv6 ranges exactly", () => {
+    const input = ["2001:db8::/64", "2001:db8:0:1::/64"];
+    expect(aggregateCIDRs(input)).toEqual(["2001:db8::/63"]);
+  });
+
+  it("should handle the edges of both address spaces", () => {
+    expect(aggregateCIDRs(["0.0.0.0/1", "128.0.0.0/1"])).toEqual(["0.0.0.0/0"]);
+    expect(
+      aggregateCIDRs([
+        "ffff:ffff:ffff:ffff:ffff:ffff:ffff:fffe/128",
+        "ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff/128",
+      ]),
+    ).toEqual(["ffff:ffff:ffff:ffff:ffff:ffff:ffff:fffe/127"]);
+  });
+
+  it("should mask host bits", () => {
+    expect(aggregateCIDRs(["10.0.0.5/24"])).toEqual(["10.0.0.0/24"]);
+  });
+
+  it("should treat bare addresses as host routes", () => {
+    expect(aggregateCIDRs(["10.0.0.0", "10.0.0.1", "2001:db8::1"])).toEqual([
+      "10.0.0.0/31",
+      "2001:db8::1/128",
+    ]);
+  });
+
+  it("should throw on invalid entries instead of returning the input", () => {
+    expect(() => aggregateCIDRs(["10.0.0.0/24", "not-a-cidr"])).toThrow(
+      'Invalid CIDR: "not-a-cidr"',
+    );
+    expect(() => aggregateCIDRs(["10.0.0.0/33"])).toThrow("Invalid CIDR");
+    expect(() => aggregateCIDRs(["2001:db8::/129"])).toThrow("Invalid CIDR");
+  });
 });
 
 describe("Version Detection", () => {
@@ -363,7 +434,7 @@ describe("Format Transformation", () => {
   it("should transform IPv6 to Cisco ACL format", () => {
     const models = [CIDRBlock.fromCIDRString("2001:db8::/32")];
     const result = transformToFormat(models, "cisco-acl");
-    expect(result).toContain("ipv6 access-list FIREWALL permit 2001:db8::/32");
+    expect(result).toContain("ipv6 access-list FIREWALL permit ipv6 2001:db8::/32 any");
   });
 
   it("should transform to Cisco prefix-list format", () => {
@@ -0,0 +1,211 @@
+/**
+ * Cisco configuration input tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  normalizeInput,
+  extractValidCIDRs,
+  parseCiscoConfigLine,
+  NormalizationStatus,
+} from "../normalizer.js";
+
+/**
+ * Normalize one line and keep the fields under test
+ * @param {string} line - Configuration line
+ * @returns {Array<{normalized: string|null, field: string|null}>}
+ */
+function networks(line) {
+  return parseCiscoConfigLine(line).map((r) => ({
+    normalized: r.normalized,
+    field: r.origin && r.origin.field,
+  }));
+}
+
+describe("parseCiscoConfigLine", () => {
+  it("should ignore lines that are not Cisco configuration", () => {
+    expect(parseCiscoConfigLine("10.0.0.0/8")).toBeNull();
+    expect(parseCiscoConfigLine("192.168.1.0 255.255.255.0")).toBeNull();
+    expect(parseCiscoConfigLine("permitted 10.0.0.0/8")).toBeNull();
+  });
+
+  it("should read source and destination of an extended access-list", () => {
+    const results = parseCiscoConfigLine(
+      "access-list 101 permit tcp 10.0.0.0 0.0.0.255 host 192.168.1.10 eq 443",
+    );
+
+    expect(results.map((r) => r.normalized)).toEqual([
+      "10.0.0.0/24",
+      "192.168.1.10/32",
+    ]);
+    expect(results[0]).toMatchObject({
+      original: "10.0.0.0 0.0.0.255",
+      status: NormalizationStatus.CORRECTED,
+      origin: {
+        format: "cisco",
+        context: "access-list 101",
+        field: "source",
+        action: "permit",
+      },
+    });
+    expect(results[1].origin.field).toBe("destination");
+    expect(results[0].warning).toBe(
+      "Read source from access-list 101 (permit, 10.0.0.0 0.0.0.255)",
+    );
+  });
+
+  it("should skip any and port qualifiers", () => {
+    expect(
+      networks(
+        "access-list 101 permit udp any range 1000 2000 10.1.0.0 0.0.255.255",
+      ),
+    ).toEqual([{ normalized: "10.1.0.0/16", field: "destination" }]);
+    expect(networks("access-list 101 permit ip any any")).toEqual([]);
+  });
+
+  it("should read standard access-lists", () => {
+    expect(networks("access-list 10 permit 172.16.0.0 0.0.255.255")).toEqual([
+      { normalized: "172.16.0.0/16", field: "source" },
+    ]);
+    expect(networks("access-list 10 deny host 1.2.3.4")).toEqual([
+      { normalized: "1.2.3.4/32", field: "source" },
+    ]);
+    expect(networks("access-list 10 permit 5.6.7.8")).toEqual([
+      { normalized: "5.6.7.8/32", field: "source" },
+    ]);
+  });
+
+  it("should read ASA access-lists with netmasks and object references", () => {
+    expect(
+      networks(
+        "access-list OUTSIDE extended permit ip 10.1.0.0 255.255.0.0 any",
+      ),
+    ).toEqual([{ normalized: "10.1.0.0/16", field: "source" }]);
+    expect(
+      networks(
+        "access-list OUTSIDE line 3 extended permit tcp object-group WEB 10.2.0.0 255.255.255.0 eq www",
+      ),
+    ).toEqual([{ normalized: "10.2.0.0/24", field: "destination" }]);
+  });
+
+  it("should read entries inside named IPv4 and IPv6 access-lists", () => {
+    expect(
+      networks(" 10 permit ip 10.3.0.0 0.0.255.255 10.4.0.0 0.0.0.255 log"),
+    ).toEqual([
+      { normalized: "10.3.0.0/16", field: "source" },
+      { normalized: "10.4.0.0/24", field: "destination" },
+    ]);
+    expect(networks(" permit ipv6 2001:db8::/32 any")).toEqual([
+      { normalized: "2001:db8::/32", field: "source" },
+    ]);
+    expect(
+      networks(" sequence 20 deny tcp any host 2001:db8::1 eq 22"),
+    ).toEqual([{ normalized: "2001:db8::1/128", field: "destination" }]);
+  });
+
+  it("should read prefix-lists and note ge/le bounds", () => {
+    const [result] = parseCiscoConfigLine(
+      "ip prefix-list PEER seq 5 permit 10.0.0.0/8 le 24",
+    );
+    expect(result.normalized).toBe("10.0.0.0/8");
+    expect(result.origin).toEqual({
+      format: "cisco",
+      context: "ip prefix-list PEER",
+      field: "prefix",
+      action: "permit",
+    });
+    expect(result.warning).toContain('"le 24" not applied');
+
+    expect(networks("ipv6 prefix-list V6 deny 2001:db8::/32")).toEqual([
+      { normalized: "2001:db8::/32", field: "prefix" },
+    ]);
+  });
+
+  it("should read ASA network-objects", () => {
+    expect(networks(" network-object host 10.9.9.9")).toEqual([
+      { normalized: "10.9.9.9/32", field: "object" },
+    ]);
+    expect(networks(" network-object 10.8.0.0 255.255.0.0")).toEqual([
+      { normalized: "10.8.0.0/16", field: "object" },
+    ]);
+    expect(networks(" network-object 2001:db8:1::/48")).toEqual([
+      { normalized: "2001:db8:1::/48", field: "object" },
+    ]);
+    expect(networks(" network-object object WEB1")).toEqual([]);
+  });
+
+  it("should return no results for headers, remarks and separators", () => {
+    for (const line of [
+      "ip access-list extended NAMED",
+      "ipv6 access-list V6ACL",
+      "object-group network SERVERS",
+      "access-list 101 remark allow web",
+      "ip prefix-list PEER description peers",
+      " remark temporary",
+      "!",
+    ]) {
+      expect(parseCiscoConfigLine(line)).toEqual([]);
+    }
+  });
+
+  it("should expand non-contiguous wildcards", () => {
+    const [result] = parseCiscoConfigLine(
+      "access-list 10 permit 10.0.0.0 0.0.1.0",
+    );
+    expect(result.status).toBe(NormalizationStatus.CORRECTED);
+    expect(result.expandedTo).toEqual(["10.0.0.0/32", "10.0.1.0/32"]);
+    expect(result.origin.context).toBe("access-list 10");
+  });
+
+  it("should report bad masks, addresses and entries as invalid", () => {
+    const [wildcard] = parseCiscoConfigLine(
+      " permit ip 10.0.0.0 0.255.255.0 any",
+    );
+    expect(wildcard.status).toBe(NormalizationStatus.INVALID);
+    expect(wildcard.error).toBe(
+      'Wildcard mask "0.255.255.0" matches 65536 separate blocks (limit 1024)',
+    );
+
+    const [host] = parseCiscoConfigLine(
+      "access-list 101 permit ip host 999.1.1.1 any",
+    );
+    expect(host.status).toBe(NormalizationStatus.INVALID);
+    expect(host.original).toBe("host 999.1.1.1");
+
+    const [entry] = parseCiscoConfigLine("access-list 101 permit");
+    expect(entry.error).toBe("Unrecognized Cisco access-list entry");
+  });
+
+  it("should apply normalization options to extracted networks", () => {
+    const [result] = parseCiscoConfigLine(
+      "access-list 101 permit ip 10.0.0.5 0.0.0.255 any",
+      { strictHostBits: true },
+    );
+    expect(result.status).toBe(NormalizationStatus.INVALID);
+    expect(result.origin.field).toBe("source");
+  });
+});
+
+describe("normalizeInput with Cisco configuration", () => {
+  it("should mix config lines with plain entries and keep line numbers", () => {
+    const results = normalizeInput(
+      [
+        "ip access-list extended EDGE",
+        " permit ip 10.0.0.0 0.0.0.255 any",
+        " permit ip 10.0.1.0 0.0.0.255 any",
+        "!",
+        "192.168.0.0/16",
+      ].join("\n"),
+    );
+
+    expect(results.map((r) => r.lineNumber)).toEqual([2, 3, 5]);
+    expect(results[2].origin).toBeNull();
+    expect(extractValidCIDRs(results)).toEqual([
+      "10.0.0.0/24",
+      "10.0.1.0/24",
+      "192.168.0.0/16",
+    ]);
+  });
+});
@@ -0,0 +1,371 @@
+/**
+ * Command-line interface tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  ExitCode,
+  parseCliArgs,
+  buildNormalizationReport,
+  runCli,
+} from "../cli.js";
+import { normalizeInput } from "../normalizer.js";
+
+/**
+ * Run the CLI against in-memory files
+ * @param {string[]} argv - CLI arguments
+ * @param {Object<string, string>} files - File contents keyed by path ("-" is stdin)
+ * @returns {Promise<{code: number, stdout: string, stderr: string, written: Object}>}
+ */
+async function run(argv, files = {}) {
+  let stdout = "";
+  let stderr = "";
+  const written = {};
+  const code = await runCli(argv, {
+    readFile: async (path) => {
+      if (!(path in files)) throw new Error(`ENOENT: ${path}`);
+      return files[path];
+    },
+    readStdin: async () => files["-"] || "",
+    writeFile: async (path, data) => {
+      written[path] = data;
+    },
+    stdout: { write: (text) => (stdout += text) },
+    stderr: { write: (text) => (stderr += text) },
+  });
+  return { code, stdout, stderr, written };
+}
+
+describe("parseCliArgs", () => {
+  it("should default to aggregate, CIDR output and stdin", () => {
+    const options = parseCliArgs([]);
+    expect(options.operation).toBe("aggregate");
+    expect(options.format).toBe("cidr");
+    expect(options.timing).toBe("after");
+    expect(options.files).toEqual(["-"]);
+  });
+
+  it("should resolve transformer options against the format schema", () => {
+    const options = parseCliArgs([
+      "-f",
+      "cisco-prefix-list",
+      "--option",
+      "listName=PEER",
+      "--option",
+      "seqStart=100",
+    ]);
+    expect(options.formatOptions).toMatchObject({
+      listName: "PEER",
+      seqStart: 100,
+      seqStep: 10,
+    });
+  });
+
+  it("should reject unknown operations, formats and options", () => {
+    expect(() => parseCliArgs(["-o", "merge"])).toThrow(
+      "Unknown operation: merge",
+    );
+    expect(() => parseCliArgs(["-f", "excel"])).toThrow("Unknown format");
+    expect(() => parseCliArgs(["-f", "ufw", "--option", "chain=X"])).toThrow(
+      "Invalid option for ufw: chain=X",
+    );
+  });
+
+  it("should validate the cloud provider and its filters", () => {
+    expect(parseCliArgs(["--cloud", "auto"]).cloud).toEqual({
+      provider: undefined,
+      filters: { service: undefined, region: undefined, tag: undefined },
+    });
+    expect(() => parseCliArgs(["--cloud", "oracle"])).toThrow(
+      "Unknown cloud provider: oracle",
+    );
+    expect(() => parseCliArgs(["--region", "us-east-1"])).toThrow(
+      "--service, --region and --tag require --cloud",
+    );
+  });
+
+  it("should pass a positive expansion limit to the normalizer", () => {
+    expect(parseCliArgs([]).normalizeOptions.maxExpansion).toBe(1024);
+    expect(
+      parseCliArgs(["--max-expansion", "4096"]).normalizeOptions.maxExpansion,
+    ).toBe(4096);
+    expect(() => parseCliArgs(["--max-expansion", "0"])).toThrow(
+      "--max-expansion must be a positive integer",
+    );
+  });
+
+  it("should require a secondary list for two-list operations", () => {
+    expect(() => parseCliArgs(["-o", "exclude"])).toThrow(
+      'Operation "exclude" requires --secondary',
+    );
+  });
+});
+
+describe("buildNormalizationReport", () => {
+  it("should list only corrected and invalid entries with line numbers", () => {
+    const results = normalizeInput("10.0.0.0/24\n010.0.0.0/24\nnope");
+    const report = buildNormalizationReport({ input: results });
+
+    expect(report.sources[0].summary).toEqual({
+      valid: 1,
+      corrected: 1,
+      invalid: 1,
+      negated: 0,
+    });
+    expect(report.sources[0].issues.map((i) => [i.line, i.status])).toEqual([
+      [2, "corrected"],
+      [3, "invalid"],
+    ]);
+  });
+});
+
+describe("runCli", () => {
+  it("should aggregate stdin to stdout", async () => {
+    const result = await run([], { "-": "10.0.0.0/25\n10.0.0.128/25\n" });
+    expect(result.code).toBe(ExitCode.OK);
+    expect(result.stdout).toBe("10.0.0.0/24\n");
+  });
+
+  it("should concatenate several input files", async () => {
+    const result = await run(["a.txt", "b.txt"], {
+      "a.txt": "10.0.0.0/25",
+      "b.txt": "10.0.0.128/25",
+    });
+    expect(result.stdout).toBe("10.0.0.0/24\n");
+  });
+
+  it("should apply the output format and options", async () => {
+    const result = await run(
+      ["-f", "cisco-acl", "--option", "listName=120", "in.txt"],
+      { "in.txt": "192.168.1.0/24" },
+    );
+    expect(result.stdout).toBe(
+      "access-list 120 permit ip 192.168.1.0 0.0.0.255 any\n",
+    );
+  });
+
+  it("should run exclude with a secondary list", async () => {
+    const result = await run(["-o", "exclude", "-s", "ex.txt", "in.txt"], {
+      "in.txt": "10.0.0.0/24",
+      "ex.txt": "10.0.0.0/25",
+    });
+    expect(result.stdout).toBe("10.0.0.128/25\n");
+  });
+
+  it("should report over-coverage for the limit operation", async () => {
+    const result = await run(["-o", "limit", "-n", "1", "--report", "r.json"], {
+      "-": "10.0.0.0/24\n10.0.2.0/24",
+    });
+    expect(result.stdout).toBe("10.0.0.0/22\n");
+    expect(result.stderr).toContain("Over-coverage: 512 extra address(es)");
+    expect(JSON.parse(result.written["r.json"]).overCoverage.blocks).toEqual([
+      "10.0.1.0/24",
+      "10.0.3.0/24",
+    ]);
+  });
+
+  it("should print invalid entries but still succeed without --strict", async () => {
+    const result = await run([], { "-": "10.0.0.0/24\nbogus" });
+    expect(result.code).toBe(ExitCode.OK);
+    expect(result.stdout).toBe("10.0.0.0/24\n");
+    expect(result.stderr).toContain('input line 2: "bogus"');
+  });
+
+  it("should exit non-zero on invalid entries with --strict", async () => {
+    const result = await run(["--strict"], { "-": "10.0.0.0/24\nbogus" });
+    expect(result.code).toBe(ExitCode.INVALID_ENTRIES);
+  });
+
+  it("should mask host bits unless --strict-host-bits is given", async () => {
+    const masked = await run([], { "-": "10.0.0.5/24" });
+    expect(masked.stdout).toBe("10.0.0.0/24\n");
+
+    const strict = await run(["--strict-host-bits", "--strict"], {
+      "-": "10.0.0.5/24\n10.0.1.0/24",
+    });
+    expect(strict.code).toBe(ExitCode.INVALID_ENTRIES);
+    expect(strict.stdout).toBe("10.0.1.0/24\n");
+    expect(strict.stderr).toContain(
+      'input line 1: "10.0.0.5/24" - Host bits set in "10.0.0.5/24"',
+    );
+  });
+
+  it("should write the JSON report to stderr with --report -", async () => {
+    const result = await run(["--report", "-"], { "-": "010.0.0.0/24" });
+    const report = JSON.parse(result.stderr);
+    expect(report.sources[0].issues[0]).toMatchObject({
+      line: 1,
+      status: "corrected",
+      normalized: "10.0.0.0/24",
+    });
+  });
+
+  it("should read Cisco configuration and report where networks came from", async () => {
+    const result = await run(["--report", "-"], {
+      "-": "access-list 101 permit ip 10.0.0.0 0.0.0.255 host 10.0.1.1",
+    });
+    expect(result.stdout).toBe("10.0.0.0/24\n10.0.1.1/32\n");
+    const report = JSON.parse(result.stderr);
+    expect(report.sources[0].issues.map((i) => i.origin.field)).toEqual([
+      "source",
+      "destination",
+    ]);
+  });
+
+  it("should subtract negated entries and list what they removed", async () => {
+    const result = await run([], {
+      "-": "allow 10.0.0.0/8, except !10.1.0.0/16\n-10.2.0.0/15",
+    });
+    expect(result.stdout).toBe(
+      [
+        "10.0.0.0/16",
+        "10.4.0.0/14",
+        "10.8.0.0/13",
+        "10.16.0.0/12",
+        "10.32.0.0/11",
+        "10.64.0.0/10",
+        "10.128.0.0/9",
+        "",
+      ].join("\n"),
+    );
+    expect(result.stderr).toBe(
+      "Negated entries removed 2 block(s): 10.1.0.0/16, 10.2.0.0/15\n",
+    );
+  });
+
+  it("should read integer, hex and shorthand addresses unless shorthand is off", async () => {
+    const result = await run([], { "-": "167772160\n0x0A000001\n10.0/16" });
+    expect(result.stdout).toBe("10.0.0.0/16\n");
+
+    const strict = await run(["--no-shorthand", "--strict"], {
+      "-": "10/8",
+    });
+    expect(strict.code).toBe(ExitCode.INVALID_ENTRIES);
+    expect(strict.stderr).toContain(
+      'Shorthand "10/8" is not accepted; write 10.0.0.0/8',
+    );
+  });
+
+  it("should fold IPv4-mapped IPv6 into IPv4 with --fold-mapped", async () => {
+    const input = { "-": "::ffff:10.0.0.0/105\n10.128.0.0/9" };
+    const kept = await run([], input);
+    expect(kept.stdout).toBe("10.128.0.0/9\n::ffff:10.0.0.0/105\n");
+
+    const folded = await run(["--fold-mapped", "ipv4"], input);
+    expect(folded.stdout).toBe("10.0.0.0/8\n");
+    expect(() => parseCliArgs(["--fold-mapped", "ipv5"])).toThrow(
+      '--fold-mapped must be "ipv4" or "ipv6"',
+    );
+  });
+
+  it("should drop special-purpose space with --drop-special", async () => {
+    const input = { "-": "8.8.8.0/24\n192.0.2.0/24\n10.0.0.0/8" };
+    const result = await run(
+      ["--drop-special", "documentation,private", "--report", "-"],
+      input,
+    );
+    expect(result.stdout).toBe("8.8.8.0/24\n");
+    expect(result.stderr).toContain(
+      "Dropped special-purpose space in 2 block(s): 10.0.0.0/8, 192.0.2.0/24",
+    );
+    expect(() => parseCliArgs(["--drop-special", "bogons"])).toThrow(
+      'Unknown special-purpose category "bogons"',
+    );
+  });
+
+  it("should list special-purpose output blocks in the report", async () => {
+    const result = await run(["--report", "-"], {
+      "-": "8.8.8.0/24\n192.0.2.0/24",
+    });
+    const report = JSON.parse(result.stderr);
+    expect(report.specialPurpose).toEqual([
+      {
+        cidr: "192.0.2.0/24",
+        tags: [
+          {
+            category: "documentation",
+            name: "Documentation (TEST-NET-1)",
+            rfc: "RFC 5737",
+            cidr: "192.0.2.0/24",
+            partial: false,
+          },
+        ],
+      },
+    ]);
+  });
+
+  it("should expand nmap-style octet patterns", async () => {
+    const result = await run([], { "-": "10.0.0-1.*\n10.0.2,3.*" });
+    expect(result.stdout).toBe("10.0.0.0/22\n");
+
+    const limited = await run(["--max-expansion", "2", "--strict"], {
+      "-": "10.0.1-3.1",
+    });
+    expect(limited.code).toBe(ExitCode.INVALID_ENTRIES);
+    expect(limited.stderr).toContain("expands to more than 2 CIDR blocks");
+  });
+
+  it("should carry input labels into the output format", async () => {
+    const result = await run(["-f", "iptables"], {
+      "-": "# Office networks\n10.0.0.0/25 # London\n10.0.0.128/25 # London",
+    });
+    expect(result.stdout).toBe(
+      'iptables -A INPUT -s 10.0.0.0/24 -m comment --comment "London" -j ACCEPT\n',
+    );
+  });
+
+  it("should extract addresses from free text with --extract", async () => {
+    const result = await run(["--extract", "--strict"], {
+      "-": "Jan 6 10:00:01 sshd: Failed password from 10.0.0.1 port 22\nRetry from 10.0.0.1, then 10.0.0.0 (openssh 9.6.1)",
+    });
+    expect(result.code).toBe(ExitCode.OK);
+    expect(result.stdout).toBe("10.0.0.0/31\n");
+    expect(result.stderr).toBe(
+      "Extracted 2 unique entries from 3 matches in input\n",
+    );
+  });
+
+  it("should import and filter cloud provider documents", async () => {
+    const ranges = JSON.stringify({
+      syncToken: "1",
+      createDate: "2025-01-06-10-00-00",
+      prefixes: [
+        { ip_prefix: "52.94.76.0/23", region: "us-west-2", service: "EC2" },
+        { ip_prefix: "52.94.78.0/23", region: "us-west-2", service: "EC2" },
+        { ip_prefix: "3.5.140.0/22", region: "us-east-1", service: "EC2" },
+      ],
+      ipv6_prefixes: [],
+    });
+    const result = await run(
+      [
+        "--cloud",
+        "auto",
+        "--service",
+        "ec2",
+        "--region",
+        "us-west-2",
+        "ip-ranges.json",
+      ],
+      { "ip-ranges.json": ranges },
+    );
+    expect(result.code).toBe(ExitCode.OK);
+    expect(result.stdout).toBe("52.94.76.0/22\n");
+    expect(result.stderr).toBe(
+      "Imported 2 of 3 AWS prefixes from ip-ranges.json\n",
+    );
+
+    const wrong = await run(["--cloud", "azure"], { "-": ranges });
+    expect(wrong.code).toBe(ExitCode.ERROR);
+    expect(wrong.stderr).toContain("Not a valid Service Tags JSON document");
+  });
+
+  it("should return a usage error for bad arguments or missing files", async () => {
+    expect((await run(["--bogus"])).code).toBe(ExitCode.ERROR);
+
+    const missing = await run(["missing.txt"]);
+    expect(missing.code).toBe(ExitCode.ERROR);
+    expect(missing.stderr).toContain("ENOENT: missing.txt");
+  });
+});
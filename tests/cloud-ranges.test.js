@@ -0,0 +1,301 @@
+/**
+ * Cloud provider range importer tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  detectCloudProvider,
+  parseCloudRanges,
+  filterCloudPrefixes,
+  getCloudFacets,
+  cloudPrefixesToText,
+} from "../cloud-ranges.js";
+import { normalizeInput, extractValidCIDRs } from "../normalizer.js";
+import { aggregateCIDRs } from "../core.js";
+import {
+  loadCloudDocument,
+  applyCloudImport,
+  closeCloudImport,
+} from "../app.js";
+
+const AWS = JSON.stringify({
+  syncToken: "1700000000",
+  createDate: "2025-01-06-10-00-00",
+  prefixes: [
+    {
+      ip_prefix: "3.5.140.0/22",
+      region: "ap-northeast-2",
+      service: "AMAZON",
+      network_border_group: "ap-northeast-2",
+    },
+    {
+      ip_prefix: "52.94.76.0/22",
+      region: "us-west-2",
+      service: "AMAZON",
+      network_border_group: "us-west-2",
+    },
+    {
+      ip_prefix: "52.94.76.0/22",
+      region: "us-west-2",
+      service: "EC2",
+      network_border_group: "us-west-2",
+    },
+  ],
+  ipv6_prefixes: [
+    {
+      ipv6_prefix: "2600:1f14::/35",
+      region: "us-west-2",
+      service: "EC2",
+      network_border_group: "us-west-2",
+    },
+  ],
+});
+
+const AZURE = JSON.stringify({
+  changeNumber: 310,
+  cloud: "Public",
+  values: [
+    {
+      name: "Storage.WestUS2",
+      id: "Storage.WestUS2",
+      properties: {
+        changeNumber: 12,
+        region: "westus2",
+        platform: "Azure",
+        systemService: "AzureStorage",
+        addressPrefixes: ["13.66.176.16/28", "2603:1030:c02::/47"],
+      },
+    },
+    {
+      name: "AzureFrontDoor.Backend",
+      id: "AzureFrontDoor.Backend",
+      properties: {
+        changeNumber: 40,
+        region: "",
+        platform: "Azure",
+        systemService: "AzureFrontDoor",
+        addressPrefixes: ["13.73.248.8/29"],
+      },
+    },
+  ],
+});
+
+const GCP = JSON.stringify({
+  syncToken: "1700000000",
+  creationTime: "2025-01-06T10:00:00",
+  prefixes: [
+    {
+      ipv4Prefix: "34.80.0.0/15",
+      service: "Google Cloud",
+      scope: "asia-east1",
+    },
+    {
+      ipv6Prefix: "2600:1900:4000::/44",
+      service: "Google Cloud",
+      scope: "us-central1",
+    },
+  ],
+});
+
+const GOOG = JSON.stringify({
+  syncToken: "1700000000",
+  creationTime: "2025-01-06T10:00:00",
+  prefixes: [{ ipv4Prefix: "8.8.4.0/24" }, { ipv6Prefix: "2001:4860::/32" }],
+});
+
+const CLOUDFLARE = "173.245.48.0/20\n103.21.244.0/22\n";
+
+describe("detectCloudProvider", () => {
+  it("should recognize each provider's document", () => {
+    expect(detectCloudProvider(AWS)).toBe("aws");
+    expect(detectCloudProvider(AZURE)).toBe("azure");
+    expect(detectCloudProvider(GCP)).toBe("gcp");
+    expect(detectCloudProvider(GOOG)).toBe("gcp");
+    expect(detectCloudProvider(CLOUDFLARE)).toBe("cloudflare");
+    expect(
+      detectCloudProvider(
+        JSON.stringify({ result: { ipv4_cidrs: ["173.245.48.0/20"] } }),
+      ),
+    ).toBe("cloudflare");
+  });
+
+  it("should return null for anything else", () => {
+    expect(detectCloudProvider("10.0.0.1 hello")).toBeNull();
+    expect(detectCloudProvider('{"foo": 1}')).toBeNull();
+    expect(detectCloudProvider("42")).toBeNull();
+  });
+});
+
+describe("parseCloudRanges", () => {
+  it("should read AWS IPv4 and IPv6 prefixes", () => {
+    const { provider, prefixes } = parseCloudRanges(AWS);
+    expect(provider).toBe("aws");
+    expect(prefixes).toHaveLength(4);
+    expect(prefixes[3]).toEqual({
+      cidr: "2600:1f14::/35",
+      service: "EC2",
+      region: "us-west-2",
+      tag: "us-west-2",
+    });
+  });
+
+  it("should read Azure service tags", () => {
+    const { prefixes } = parseCloudRanges(AZURE);
+    expect(prefixes[0]).toEqual({
+      cidr: "13.66.176.16/28",
+      service: "AzureStorage",
+      region: "westus2",
+      tag: "Storage.WestUS2",
+    });
+    expect(prefixes[2].region).toBeNull();
+  });
+
+  it("should read GCP cloud.json and goog.json", () => {
+    expect(parseCloudRanges(GCP).prefixes[1]).toEqual({
+      cidr: "2600:1900:4000::/44",
+      service: "Google Cloud",
+      region: "us-central1",
+      tag: null,
+    });
+    expect(parseCloudRanges(GOOG).prefixes.map((p) => p.cidr)).toEqual([
+      "8.8.4.0/24",
+      "2001:4860::/32",
+    ]);
+  });
+
+  it("should read Cloudflare lists", () => {
+    expect(parseCloudRanges(CLOUDFLARE).prefixes.map((p) => p.cidr)).toEqual([
+      "173.245.48.0/20",
+      "103.21.244.0/22",
+    ]);
+  });
+
+  it("should reject unrecognized or mismatched documents", () => {
+    expect(() => parseCloudRanges("not a document")).toThrow(
+      "Not a recognized cloud provider IP range document",
+    );
+    expect(() => parseCloudRanges(AZURE, "aws")).toThrow(
+      "Not a valid ip-ranges.json document",
+    );
+    expect(() => parseCloudRanges(AWS, "oracle")).toThrow(
+      "Unknown cloud provider: oracle",
+    );
+  });
+});
+
+describe("filterCloudPrefixes", () => {
+  const { prefixes } = parseCloudRanges(AWS);
+
+  it("should keep everything without filters", () => {
+    expect(filterCloudPrefixes(prefixes)).toHaveLength(4);
+  });
+
+  it("should match case-insensitively and combine filters", () => {
+    const ec2 = filterCloudPrefixes(prefixes, {
+      service: "ec2",
+      region: "US-WEST-2",
+    });
+    expect(ec2.map((p) => p.cidr)).toEqual(["52.94.76.0/22", "2600:1f14::/35"]);
+  });
+
+  it("should accept several values per filter", () => {
+    expect(
+      filterCloudPrefixes(prefixes, {
+        region: "ap-northeast-2, us-west-2",
+        service: ["AMAZON"],
+      }),
+    ).toHaveLength(2);
+  });
+
+  it("should not match prefixes that lack the filtered field", () => {
+    const { prefixes: goog } = parseCloudRanges(GOOG);
+    expect(filterCloudPrefixes(goog, { region: "us-central1" })).toEqual([]);
+  });
+});
+
+describe("getCloudFacets and cloudPrefixesToText", () => {
+  it("should list distinct sorted values", () => {
+    const { prefixes } = parseCloudRanges(AWS);
+    expect(getCloudFacets(prefixes)).toEqual({
+      service: ["AMAZON", "EC2"],
+      region: ["ap-northeast-2", "us-west-2"],
+      tag: ["ap-northeast-2", "us-west-2"],
+    });
+  });
+
+  it("should produce deduplicated input for the normalizer", () => {
+    const { prefixes } = parseCloudRanges(AWS);
+    const text = cloudPrefixesToText(
+      filterCloudPrefixes(prefixes, { region: "us-west-2" }),
+    );
+    expect(text).toBe("52.94.76.0/22\n2600:1f14::/35");
+    expect(aggregateCIDRs(extractValidCIDRs(normalizeInput(text)))).toEqual([
+      "52.94.76.0/22",
+      "2600:1f14::/35",
+    ]);
+  });
+});
+
+describe("Cloud import panel", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <textarea id="addressInput"></textarea>
+      <div id="error"></div>
+      <input id="cloudFileInput" type="file" />
+      <div id="cloudImport" style="display: none">
+        <span id="cloudImportSummary"></span>
+        <label><select id="cloudServiceFilter"></select></label>
+        <label><select id="cloudRegionFilter"></select></label>
+        <label><select id="cloudTagFilter"></select></label>
+        <span id="cloudImportCount"></span>
+        <button id="cloudImportApplyBtn"></button>
+      </div>`;
+  });
+
+  it("should show filters for the fields the document has", () => {
+    expect(loadCloudDocument(AZURE, "ServiceTags_Public.json")).toBe(true);
+
+    expect(document.getElementById("cloudImport").style.display).toBe("flex");
+    expect(document.getElementById("cloudImportSummary").textContent).toBe(
+      "Azure: ServiceTags_Public.json",
+    );
+    const tags = document.getElementById("cloudTagFilter");
+    expect(Array.from(tags.options).map((o) => o.value)).toEqual([
+      "",
+      "AzureFrontDoor.Backend",
+      "Storage.WestUS2",
+    ]);
+    expect(document.getElementById("cloudImportCount").textContent).toBe(
+      "3 of 3 prefixes",
+    );
+
+    loadCloudDocument(CLOUDFLARE, "ips-v4");
+    expect(
+      document.getElementById("cloudServiceFilter").parentElement.style.display,
+    ).toBe("none");
+    closeCloudImport();
+  });
+
+  it("should append the filtered prefixes to the input", () => {
+    const input = document.getElementById("addressInput");
+    input.value = "10.0.0.0/8\n";
+    loadCloudDocument(AZURE, "ServiceTags_Public.json");
+
+    const tags = document.getElementById("cloudTagFilter");
+    tags.value = "AzureFrontDoor.Backend";
+    applyCloudImport();
+
+    expect(input.value).toBe("10.0.0.0/8\n13.73.248.8/29");
+    expect(document.getElementById("cloudImport").style.display).toBe("none");
+  });
+
+  it("should report documents it cannot read", () => {
+    expect(loadCloudDocument("hello", "notes.txt")).toBe(false);
+    expect(document.getElementById("error").textContent).toBe(
+      "notes.txt: Not a recognized cloud provider IP range document",
+    );
+    expect(document.getElementById("cloudImport").style.display).toBe("none");
+  });
+});
@@ -0,0 +1,60 @@
+// @vitest-environment node
+/**
+ * Core library tests (run without a DOM)
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect } from "vitest";
+import * as core from "../core.js";
+import * as app from "../app.js";
+
+describe("core.js", () => {
+  it("should load without a DOM", () => {
+    expect(typeof document).toBe("undefined");
+    expect(core.aggregateCIDRs(["10.0.0.0/25", "10.0.0.128/25"])).toEqual([
+      "10.0.0.0/24",
+    ]);
+  });
+
+  it("should run the normalize, aggregate and transform pipeline", () => {
+    const results = core.normalizeInput(
+      "10.0.0.0/25\n10.0.0.128/25\n2001:db8::/33\n2001:db8:8000::/33",
+    );
+    const merged = core.aggregateCIDRs(core.extractValidCIDRs(results));
+    const models = merged.map((c) => core.CIDRBlock.fromCIDRString(c));
+
+    expect(core.transformToFormat(models, "ufw")).toBe(
+      "ufw allow from 10.0.0.0/24\nufw allow from 2001:db8::/32",
+    );
+  });
+
+  it("should apply transformer options passed explicitly", () => {
+    const models = [core.CIDRBlock.fromCIDRString("10.0.0.0/24")];
+    expect(
+      core.transformToFormat(models, "fortigate", { groupName: "edge" }),
+    ).toContain('edit "edge"');
+  });
+
+  it("should expose the set operations", () => {
+    expect(
+      core.applyOperation("exclude", ["10.0.0.0/24"], ["10.0.0.0/25"]),
+    ).toEqual(["10.0.0.128/25"]);
+    expect(core.intersectCIDRs(["10.0.0.0/8"], ["10.1.0.0/16"])).toEqual([
+      "10.1.0.0/16",
+    ]);
+  });
+
+  it("should keep DOM code out of the core API", () => {
+    expect(core.renderDiff).toBeUndefined();
+    expect(core.aggregateAddresses).toBeUndefined();
+  });
+});
+
+describe("app.js re-exports", () => {
+  it("should re-export the core API unchanged", () => {
+    for (const name of Object.keys(core)) {
+      expect(app[name]).toBe(core[name]);
+    }
+  });
+});
@@ -6,7 +6,13 @@
 
 import { describe, it, expect, beforeEach } from "vitest";
 import { JSDOM } from "jsdom";
-import { generateDiff, renderDiff } from "../app.js";
+import {
+  generateDiff,
+  renderDiff,
+  jumpToChange,
+  getDiffColumnText,
+} from "../app.js";
+import { buildDiffRows, findDiffChanges } from "../pipeline.js";
 
 describe("generateDiff", () => {
   it("should generate diff for identical arrays", () => {
@@ -217,3 +223,156 @@ describe("renderDiff", () => {
     expect(unchangedAfter.length).toBe(1);
   });
 });
+
+describe("buildDiffRows", () => {
+  it("should pair removed and added lines between unchanged lines", () => {
+    const rows = buildDiffRows([
+      { value: "10.0.0.0/8\n" },
+      { value: "192.168.1.0/25\n192.168.1.128/25\n", removed: true },
+      { value: "192.168.1.0/24\n", added: true },
+      { value: "192.168.2.0/24\n" },
+    ]);
+
+    expect(rows).toEqual([
+      { before: "10.0.0.0/8", after: "10.0.0.0/8", changed: false },
+      { before: "192.168.1.0/25", after: "192.168.1.0/24", changed: true },
+      { before: "192.168.1.128/25", after: null, changed: true },
+      { before: "192.168.2.0/24", after: "192.168.2.0/24", changed: false },
+    ]);
+  });
+
+  it("should fill gaps when added lines come first", () => {
+    const rows = buildDiffRows([
+      { value: "a\nb\n", added: true },
+      { value: "c\n", removed: true },
+    ]);
+
+    expect(rows).toEqual([
+      { before: "c", after: "a", changed: true },
+      { before: null, after: "b", changed: true },
+    ]);
+  });
+});
+
+describe("findDiffChanges", () => {
+  it("should return the first row of each block of changes", () => {
+    const rows = buildDiffRows([
+      { value: "a\n", removed: true },
+      { value: "b\n", added: true },
+      { value: "c\nd\n" },
+      { value: "e\n", removed: true },
+    ]);
+    expect(findDiffChanges(rows)).toEqual([0, 3]);
+  });
+});
+
+describe("renderDiff virtualization and navigation", () => {
+  let beforeColumn;
+  let afterColumn;
+
+  /**
+   * Build diff parts with an unchanged run and a change every 100 lines
+   * @param {number} count - Number of unchanged lines
+   * @returns {Array} Diff parts
+   */
+  function largeDiff(count) {
+    const parts = [];
+    for (let i = 0; i < count; i += 100) {
+      const lines = [];
+      for (let j = i; j < Math.min(i + 100, count); j++) {
+        lines.push(`10.${Math.floor(j / 256)}.${j % 256}.0/24`);
+      }
+      parts.push({ value: `${lines.join("\n")}\n` });
+      parts.push({ value: `removed-${i}\n`, removed: true });
+    }
+    return parts;
+  }
+
+  beforeEach(() => {
+    const dom = new JSDOM(`
+      <html>
+        <body>
+          <div id="diffContainer" class="diff-container">
+            <button id="prevChangeBtn"></button>
+            <span id="changeStatus"></span>
+            <button id="nextChangeBtn"></button>
+            <div id="beforeColumn" class="diff-column"></div>
+            <div id="afterColumn" class="diff-column"></div>
+          </div>
+        </body>
+      </html>
+    `);
+    global.document = dom.window.document;
+    beforeColumn = document.getElementById("beforeColumn");
+    afterColumn = document.getElementById("afterColumn");
+  });
+
+  it("should align both columns with fillers for one-sided lines", () => {
+    renderDiff([
+      { value: "192.168.1.0/25\n192.168.1.128/25\n", removed: true },
+      { value: "192.168.1.0/24\n", added: true },
+    ]);
+
+    expect(beforeColumn.children).toHaveLength(2);
+    expect(afterColumn.children).toHaveLength(2);
+    expect(afterColumn.children[1].className).toBe("diff-filler");
+    expect(afterColumn.classList.contains("virtualized")).toBe(false);
+  });
+
+  it("should only render the visible rows of a large diff", () => {
+    renderDiff(largeDiff(20000));
+
+    expect(beforeColumn.classList.contains("virtualized")).toBe(true);
+    expect(beforeColumn.querySelector(".diff-spacer").style.height).toBe(
+      `${20200 * 20}px`,
+    );
+    const rendered = beforeColumn.querySelectorAll(".diff-line").length;
+    expect(rendered).toBeGreaterThan(0);
+    expect(rendered).toBeLessThan(100);
+    expect(beforeColumn.textContent).toContain("10.0.0.0/24");
+  });
+
+  it("should scroll the columns together and render the rows in view", () => {
+    renderDiff(largeDiff(20000));
+
+    beforeColumn.scrollTop = 5000 * 20;
+    beforeColumn.onscroll();
+
+    expect(afterColumn.scrollTop).toBe(5000 * 20);
+    const windowDiv = afterColumn.querySelector(".diff-window");
+    expect(windowDiv.style.top).toBe(`${(5000 - 20) * 20}px`);
+    expect(beforeColumn.textContent).not.toContain("10.0.0.0/24");
+  });
+
+  it("should jump to the next and previous change, wrapping around", () => {
+    renderDiff(largeDiff(300));
+    const status = document.getElementById("changeStatus");
+    expect(status.textContent).toBe("3 changes");
+
+    expect(jumpToChange(1)).toBe(100);
+    expect(status.textContent).toBe("Change 1 of 3");
+    expect(jumpToChange(1)).toBe(201);
+    expect(jumpToChange(1)).toBe(302);
+    expect(jumpToChange(1)).toBe(100);
+    expect(jumpToChange(-1)).toBe(302);
+    expect(status.textContent).toBe("Change 3 of 3");
+  });
+
+  it("should disable navigation when nothing changed", () => {
+    renderDiff([{ value: "10.0.0.0/8\n" }]);
+
+    expect(jumpToChange(1)).toBe(-1);
+    expect(document.getElementById("nextChangeBtn").disabled).toBe(true);
+    expect(document.getElementById("changeStatus").textContent).toBe(
+      "No changes",
+    );
+  });
+
+  it("should give every line of a column for copying, not just the rendered ones", () => {
+    renderDiff(largeDiff(20000));
+
+    const lines = getDiffColumnText("input").split("\n");
+    expect(lines).toHaveLength(20200);
+    expect(getDiffColumnText("output").split("\n")).toHaveLength(20000);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Output format picker E2E tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { test, expect } from "@playwright/test";
+
+test.describe("Output Format Picker", () => {
+  test("should list every output format", async ({ page }) => {
+    await page.goto("/");
+    await expect(page.locator("#formatSelect option")).toHaveCount(15);
+    await expect(page.locator("#formatSelect")).toHaveValue("cidr");
+  });
+
+  test("should reformat the output when the format changes", async ({
+    page,
+  }) => {
+    await page.goto("/");
+    await page.locator("#addressInput").fill("10.0.0.0/25\n10.0.0.128/25");
+    await page.click("#aggregateBtn");
+    await expect(page.locator("#processingModal")).toBeHidden({
+      timeout: 5000,
+    });
+    await expect(page.locator("#addressOutput")).toHaveValue("10.0.0.0/24");
+
+    await page.selectOption("#formatSelect", "ufw");
+    await expect(page.locator("#addressOutput")).toHaveValue(
+      "ufw allow from 10.0.0.0/24",
+    );
+  });
+
+  test("should format the sorted input when timing is before", async ({
+    page,
+  }) => {
+    await page.goto("/");
+    await page.selectOption("#formatSelect", "ufw");
+    await page.selectOption("#timingSelect", "before");
+    await page.locator("#addressInput").fill("10.0.0.128/25\n10.0.0.0/25");
+    await page.click("#aggregateBtn");
+    await expect(page.locator("#processingModal")).toBeHidden({
+      timeout: 5000,
+    });
+
+    await expect(page.locator("#addressOutput")).toHaveValue(
+      "ufw allow from 10.0.0.0/25\nufw allow from 10.0.0.128/25",
+    );
+  });
+
+  test("should remember the format after a reload", async ({ page }) => {
+    await page.goto("/");
+    await page.selectOption("#formatSelect", "iptables");
+    await page.reload();
+
+    await expect(page.locator("#formatSelect")).toHaveValue("iptables");
+  });
+
+  test("should apply format options to the output", async ({ page }) => {
+    await page.goto("/");
+    await page.locator("#addressInput").fill("10.0.0.0/24");
+    await page.click("#aggregateBtn");
+    await expect(page.locator("#processingModal")).toBeHidden({
+      timeout: 5000,
+    });
+
+    await page.selectOption("#formatSelect", "iptables");
+    await expect(page.locator("#formatOption-chain")).toBeVisible();
+    await page.selectOption("#formatOption-protocol", "tcp");
+    await page.locator("#formatOption-ports").fill("443");
+    await page.locator("#formatOption-ports").press("Enter");
+
+    await expect(page.locator("#addressOutput")).toHaveValue(
+      "iptables -A INPUT -s 10.0.0.0/24 -p tcp --dport 443 -j ACCEPT",
+    );
+  });
+
+  test("should hide the options row for plain CIDR", async ({ page }) => {
+    await page.goto("/");
+    await expect(page.locator("#formatOptions")).toBeHidden();
+  });
+});
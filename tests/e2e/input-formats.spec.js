@@ -150,6 +150,175 @@ test.describe("Extended Input Format Tests", () => {
     await expect(warnings).toContainText("CIDR");
   });
 
+  test("should expand wildcard masks", async ({ page }) => {
+    await page.goto("/");
+
+    await page.locator("#addressInput").fill("10.0.0.0 0.0.2.255");
+    await page.click("#aggregateBtn");
+
+    const warnings = page.locator("#correctedWarnings");
+    await expect(warnings).toBeVisible();
+    await expect(warnings).toContainText("non-contiguous wildcard");
+    await expect(page.locator("#addressOutput")).toHaveValue(
+      "10.0.0.0/24\n10.0.2.0/24",
+    );
+  });
+
+  test("should keep comments as labels in the output", async ({ page }) => {
+    await page.goto("/");
+
+    await page
+      .locator("#addressInput")
+      .fill(
+        "# Offices\n10.1.0.0/17 # London office\n10.1.128.0/17 London office",
+      );
+    await page.selectOption("#formatSelect", "aws-sg");
+    await page.click("#aggregateBtn");
+
+    await expect(page.locator("#invalidErrors")).toBeEmpty();
+    const output = JSON.parse(
+      await page.locator("#addressOutput").inputValue(),
+    );
+    expect(output.Rules).toEqual([
+      expect.objectContaining({
+        CidrIp: "10.1.0.0/16",
+        Description: "London office",
+      }),
+    ]);
+  });
+
+  test("should fold IPv4-mapped IPv6 into IPv4 when asked", async ({
+    page,
+  }) => {
+    await page.goto("/");
+
+    await page
+      .locator("#addressInput")
+      .fill("::ffff:10.0.0.0/105\n10.128.0.0/9");
+    await page.click("#aggregateBtn");
+    await expect(page.locator("#addressOutput")).toHaveValue(
+      "10.128.0.0/9\n::ffff:10.0.0.0/105",
+    );
+
+    await page.selectOption("#mappedSelect", "ipv4");
+    await page.click("#aggregateBtn");
+    await expect(page.locator("#addressOutput")).toHaveValue("10.0.0.0/8");
+  });
+
+  test("should convert integer, hex and shorthand addresses", async ({
+    page,
+  }) => {
+    await page.goto("/");
+
+    await page.locator("#addressInput").fill("167772160\n0x0A000001\n10.0/16");
+    await page.click("#aggregateBtn");
+
+    await expect(page.locator("#invalidErrors")).toBeEmpty();
+    await expect(page.locator("#addressOutput")).toHaveValue("10.0.0.0/16");
+    await expect(page.locator("#correctedWarnings")).toContainText(
+      'Expanded shorthand "10.0/16" to 10.0.0.0/16',
+    );
+  });
+
+  test("should expand nmap-style octet patterns", async ({ page }) => {
+    await page.goto("/");
+
+    await page.locator("#addressInput").fill("10.0.1-5.*\n10.0.0.1,3,5-7");
+    await page.click("#aggregateBtn");
+
+    await expect(page.locator("#invalidErrors")).toBeEmpty();
+    await expect(page.locator("#addressOutput")).toHaveValue(
+      "10.0.0.1/32\n10.0.0.3/32\n10.0.0.5/32\n10.0.0.6/31\n10.0.1.0/24\n10.0.2.0/23\n10.0.4.0/23",
+    );
+  });
+
+  test("should subtract negated entries and show them in the diff", async ({
+    page,
+  }) => {
+    await page.goto("/");
+
+    await page.locator("#addressInput").fill("10.0.0.0/24\n!10.0.0.128/25");
+    await page.click("#aggregateBtn");
+
+    await expect(page.locator("#invalidErrors")).toBeEmpty();
+    await expect(page.locator("#addressOutput")).toHaveValue("10.0.0.0/25");
+    await expect(page.locator("#beforeColumn")).toContainText("!10.0.0.128/25");
+  });
+
+  test("should extract addresses from pasted log text", async ({ page }) => {
+    await page.goto("/");
+
+    await page.selectOption("#inputModeSelect", "extract");
+    await page
+      .locator("#addressInput")
+      .fill(
+        "Jan 6 10:00:01 fw kernel: SRC=10.0.0.0 DST=10.0.0.1\nJan 6 10:00:02 fw kernel: SRC=10.0.0.1 v1.2.3",
+      );
+    await page.click("#aggregateBtn");
+
+    await expect(page.locator("#correctedWarnings")).toHaveText(
+      "Extracted 2 unique entries from 3 matches",
+    );
+    await expect(page.locator("#invalidErrors")).toBeEmpty();
+    await expect(page.locator("#addressOutput")).toHaveValue("10.0.0.0/31");
+  });
+
+  test("should import filtered cloud provider ranges", async ({ page }) => {
+    await page.goto("/");
+
+    await page.setInputFiles("#cloudFileInput", {
+      name: "ip-ranges.json",
+      mimeType: "application/json",
+      buffer: Buffer.from(
+        JSON.stringify({
+          syncToken: "1",
+          createDate: "2025-01-06-10-00-00",
+          prefixes: [
+            { ip_prefix: "52.94.76.0/23", region: "us-west-2", service: "EC2" },
+            { ip_prefix: "52.94.78.0/23", region: "us-west-2", service: "EC2" },
+            { ip_prefix: "3.5.140.0/22", region: "us-east-1", service: "S3" },
+          ],
+          ipv6_prefixes: [],
+        }),
+      ),
+    });
+    await expect(page.locator("#cloudImport")).toBeVisible();
+    await page.selectOption("#cloudServiceFilter", "EC2");
+    await expect(page.locator("#cloudImportCount")).toHaveText(
+      "2 of 3 prefixes",
+    );
+    await page.click("#cloudImportApplyBtn");
+    await expect(page.locator("#cloudImport")).toBeHidden();
+
+    await page.click("#aggregateBtn");
+    await expect(page.locator("#addressOutput")).toHaveValue("52.94.76.0/22");
+  });
+
+  test("should mask host bits with a warning", async ({ page }) => {
+    await page.goto("/");
+
+    await page.locator("#addressInput").fill("10.0.0.5/24");
+    await page.click("#aggregateBtn");
+
+    const warnings = page.locator("#correctedWarnings");
+    await expect(warnings).toBeVisible();
+    await expect(warnings).toContainText("Host bits set");
+    await expect(page.locator("#addressOutput")).toHaveValue("10.0.0.0/24");
+  });
+
+  test("should reject host bits when selected", async ({ page }) => {
+    await page.goto("/");
+
+    await page.selectOption("#hostBitsSelect", "reject");
+    await page.locator("#addressInput").fill("10.0.0.5/24\n10.0.1.0/24");
+    await page.click("#aggregateBtn");
+
+    const invalidErrors = page.locator("#invalidErrors");
+    await expect(invalidErrors).toBeVisible();
+    await expect(invalidErrors).toContainText("10.0.0.5/24");
+    await expect(page.locator("#addressOutput")).toHaveValue("10.0.1.0/24");
+  });
+
   test("should handle IPv4 range", async ({ page }) => {
     await page.goto("/");
 
@@ -37,7 +37,7 @@ test.describe("Mobile Portrait - Basic Flow", () => {
     await expect(afterColumn).toContainText("192.168.1.0/24");
   });
 
-  test("should show modal with minimum 1.5s duration in portrait", async ({
+  test("should close the modal as soon as the result arrives in portrait", async ({
     page,
   }) => {
     await page.goto("/");
@@ -45,16 +45,14 @@ test.describe("Mobile Portrait - Basic Flow", () => {
     const input = page.locator("#addressInput");
     await input.fill("192.168.1.0/24\n10.0.0.0/8");
 
-    const startTime = Date.now();
     await page.click("#aggregateBtn");
 
-    const modal = page.locator("#processingModal");
-    await expect(modal).toBeVisible();
-    await expect(modal).toBeHidden({ timeout: 5000 });
-
-    const endTime = Date.now();
-    const elapsedTime = endTime - startTime;
-    expect(elapsedTime).toBeGreaterThanOrEqual(1500);
+    await expect(page.locator("#processingModal")).toBeHidden({
+      timeout: 1000,
+    });
+    await expect(page.locator("#addressOutput")).toHaveValue(
+      "10.0.0.0/8\n192.168.1.0/24",
+    );
   });
 
   test("should handle error display in portrait mode", async ({ page }) => {
@@ -0,0 +1,107 @@
+/**
+ * Set operation E2E tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { test, expect } from "@playwright/test";
+
+test.describe("Subtract / Exclude Operation", () => {
+  test("should hide the exclusions pane for aggregate", async ({ page }) => {
+    await page.goto("/");
+    await expect(page.locator("#secondaryInput")).toBeHidden();
+  });
+
+  test("should show the exclusions pane when selected", async ({ page }) => {
+    await page.goto("/");
+    await page.selectOption("#operationSelect", "exclude");
+
+    await expect(page.locator("#secondaryInput")).toBeVisible();
+    await expect(page.locator("#secondaryInputLabel")).toHaveText("Exclusions");
+  });
+
+  test("should subtract exclusions from the input", async ({ page }) => {
+    await page.goto("/");
+    await page.selectOption("#operationSelect", "exclude");
+
+    await page.locator("#addressInput").fill("10.0.0.0/24");
+    await page.locator("#secondaryInput").fill("10.0.0.0/25");
+    await page.click("#aggregateBtn");
+
+    const modal = page.locator("#processingModal");
+    await expect(modal).toBeHidden({ timeout: 5000 });
+
+    await expect(page.locator("#addressOutput")).toHaveValue("10.0.0.128/25");
+
+    const afterText = await page.locator("#afterColumn").textContent();
+    expect(afterText).toContain("10.0.0.128/25");
+  });
+});
+
+test.describe("Intersect Operation", () => {
+  test("should keep only the overlap of both lists", async ({ page }) => {
+    await page.goto("/");
+    await page.selectOption("#operationSelect", "intersect");
+
+    await expect(page.locator("#secondaryInputLabel")).toHaveText(
+      "Intersect With",
+    );
+
+    await page.locator("#addressInput").fill("10.0.0.0/24\n192.168.0.0/16");
+    await page.locator("#secondaryInput").fill("10.0.0.128/25\n172.16.0.0/12");
+    await page.click("#aggregateBtn");
+
+    const modal = page.locator("#processingModal");
+    await expect(modal).toBeHidden({ timeout: 5000 });
+
+    await expect(page.locator("#addressOutput")).toHaveValue("10.0.0.128/25");
+  });
+});
+
+test.describe("Compare Operation", () => {
+  test("should report identical address space as shared", async ({ page }) => {
+    await page.goto("/");
+    await page.selectOption("#operationSelect", "compare");
+
+    await page.locator("#addressInput").fill("10.0.0.0/24");
+    await page.locator("#secondaryInput").fill("10.0.0.0/25\n10.0.0.128/25");
+    await page.click("#aggregateBtn");
+
+    const modal = page.locator("#processingModal");
+    await expect(modal).toBeHidden({ timeout: 5000 });
+
+    const output = await page.locator("#addressOutput").inputValue();
+    expect(output).toContain("# Only in A (Input): 0 block(s)");
+    expect(output).toContain("# Only in B: 0 block(s)");
+    expect(output).toContain("# In both: 1 block(s), 256 address(es)");
+
+    await expect(page.locator("#beforeColumn .diff-line.removed")).toHaveCount(
+      0,
+    );
+    await expect(page.locator("#afterColumn .diff-line.added")).toHaveCount(0);
+  });
+});
+
+test.describe("Aggregate to Limit Operation", () => {
+  test("should fit the output into the entry limit", async ({ page }) => {
+    await page.goto("/");
+    await page.selectOption("#operationSelect", "limit");
+
+    await expect(page.locator("#maxEntriesInput")).toBeVisible();
+    await page.locator("#maxEntriesInput").fill("1");
+
+    await page.locator("#addressInput").fill("10.0.0.0/24\n10.0.2.0/24");
+    await page.click("#aggregateBtn");
+
+    const modal = page.locator("#processingModal");
+    await expect(modal).toBeHidden({ timeout: 5000 });
+
+    await expect(page.locator("#addressOutput")).toHaveValue("10.0.0.0/22");
+
+    const report = page.locator("#operationReport");
+    await expect(report).toBeVisible();
+    await expect(report).toContainText("512 extra address(es)");
+    await expect(report).toContainText("10.0.1.0/24");
+    await expect(report).toContainText("10.0.3.0/24");
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Free-text extraction mode tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  normalizeInput,
+  extractFromText,
+  mergeExtractedResults,
+  getExtractionSummary,
+  extractValidCIDRs,
+} from "../normalizer.js";
+import { NORMALIZE_CHUNK_LINES, runPipeline } from "../pipeline.js";
+import {
+  displayValidationFeedback,
+  setInputMode,
+  getInputMode,
+  savePreferences,
+  loadPreferences,
+  PreferenceKeys,
+} from "../app.js";
+
+const SYSLOG = [
+  "Jan  6 10:00:01 fw01 kernel: [UFW BLOCK] IN=eth0 SRC=203.0.113.7 DST=10.0.0.1 LEN=60",
+  "Jan  6 10:00:02 fw01 sshd[812]: Failed password for root from 203.0.113.7 port 52811 ssh2",
+  "Jan  6 10:00:03 fw01 sshd[812]: Accepted publickey from 2001:db8::42 port 22",
+  "Upgraded openssl 1.2.3 to 3.0.13; SNMP OID 1.3.6.1.2.1.1.3.0 unchanged",
+].join("\n");
+
+describe("extractFromText", () => {
+  it("should pull addresses out of log lines and ignore times and versions", () => {
+    const results = extractFromText(SYSLOG);
+
+    expect(results.map((r) => r.normalized)).toEqual([
+      "203.0.113.7/32",
+      "10.0.0.1/32",
+      "2001:db8::42/128",
+    ]);
+    expect(results.map((r) => r.lineNumber)).toEqual([1, 1, 3]);
+    expect(results[0].occurrences).toBe(2);
+  });
+
+  it("should read CIDRs, ranges and addresses with ports", () => {
+    const results = extractFromText(
+      "Allow 192.168.0.0/16 and 10.1.1.1 - 10.1.1.2, then connect to 172.16.0.9:443.",
+    );
+    expect(extractValidCIDRs(results)).toEqual([
+      "192.168.0.0/16",
+      "10.1.1.1/32",
+      "10.1.1.2/32",
+      "172.16.0.9/32",
+    ]);
+  });
+
+  it("should respect word boundaries", () => {
+    expect(
+      extractFromText(
+        "host-v1.2.3.4 abc10.0.0.1 2.4.6.8.10 std::map a::b 999.1.1.1",
+      ),
+    ).toEqual([]);
+  });
+
+  it("should dedupe the same entry written differently", () => {
+    const results = extractFromText("10.0.0.1\nsee 010.0.0.1 again");
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ original: "10.0.0.1", occurrences: 2 });
+  });
+
+  it("should be used by normalizeInput in extract mode", () => {
+    const results = normalizeInput("Blocked 198.51.100.0/24 at 12:00", {
+      extract: true,
+    });
+    expect(results.map((r) => r.normalized)).toEqual(["198.51.100.0/24"]);
+    expect(normalizeInput("no addresses here", { extract: true })).toEqual([]);
+  });
+});
+
+describe("mergeExtractedResults and getExtractionSummary", () => {
+  it("should merge results from separate chunks and count them", () => {
+    const merged = mergeExtractedResults([
+      ...extractFromText("10.0.0.1 10.0.0.2"),
+      ...extractFromText("10.0.0.1"),
+    ]);
+    expect(merged.map((r) => r.occurrences)).toEqual([2, 1]);
+    expect(getExtractionSummary(merged)).toEqual({ found: 3, unique: 2 });
+  });
+
+  it("should merge repeats across pipeline chunks", async () => {
+    const lines = Array(NORMALIZE_CHUNK_LINES + 1).fill("src=10.0.0.1 ok");
+    const result = await runPipeline({
+      input: lines.join("\n"),
+      secondaryInput: null,
+      operation: "aggregate",
+      maxEntries: null,
+      normalizeOptions: { extract: true },
+    });
+
+    expect(result.results).toHaveLength(1);
+    expect(result.results[0].occurrences).toBe(NORMALIZE_CHUNK_LINES + 1);
+    expect(result.outputCIDRs).toEqual(["10.0.0.1/32"]);
+  });
+});
+
+describe("Extract mode in the UI", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="inputValidation" style="display: none">
+        <div id="correctedWarnings"></div>
+        <div id="invalidErrors"></div>
+      </div>`;
+  });
+
+  it("should show counts instead of per-entry feedback", () => {
+    setInputMode("extract");
+    displayValidationFeedback(extractFromText(SYSLOG));
+
+    expect(document.getElementById("correctedWarnings").textContent).toBe(
+      "Extracted 3 unique entries from 4 matches",
+    );
+    expect(document.getElementById("invalidErrors").innerHTML).toBe("");
+    expect(document.getElementById("inputValidation").style.display).toBe(
+      "block",
+    );
+    setInputMode("parse");
+  });
+
+  it("should only accept parse or extract and persist it", () => {
+    expect(setInputMode("scan")).toBe(false);
+    expect(setInputMode("extract")).toBe(true);
+    savePreferences();
+    expect(localStorage.getItem(PreferenceKeys.inputMode)).toBe("extract");
+
+    setInputMode("parse");
+    loadPreferences();
+    expect(getInputMode()).toBe("extract");
+    setInputMode("parse");
+  });
+});
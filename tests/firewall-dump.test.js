@@ -0,0 +1,223 @@
+/**
+ * iptables, nftables and ipset dump input tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  normalizeInput,
+  extractValidCIDRs,
+  parseFirewallDumpLine,
+  NormalizationStatus,
+} from "../normalizer.js";
+import { CIDRBlock, aggregateCIDRs, transformToFormat } from "../core.js";
+
+/**
+ * Parse one line and keep the fields under test
+ * @param {string} line - Dump line
+ * @returns {Array<{normalized: string|null, field: string|null, action: string|null}>}
+ */
+function addresses(line) {
+  return parseFirewallDumpLine(line).map((r) => ({
+    normalized: r.normalized,
+    field: r.origin && r.origin.field,
+    action: r.origin && r.origin.action,
+  }));
+}
+
+describe("parseFirewallDumpLine", () => {
+  it("should ignore lines that are not firewall dumps", () => {
+    expect(parseFirewallDumpLine("10.0.0.0/8")).toBeNull();
+    expect(parseFirewallDumpLine("::1 ::2")).toBeNull();
+    expect(parseFirewallDumpLine("192.168.1.0 255.255.255.0")).toBeNull();
+  });
+
+  it("should read -s and -d from iptables-save rules", () => {
+    const results = parseFirewallDumpLine(
+      "-A INPUT -s 192.168.1.0/24 -d 10.1.0.0/16 -p tcp -m tcp --dport 22 -j DROP",
+    );
+
+    expect(results.map((r) => r.normalized)).toEqual([
+      "192.168.1.0/24",
+      "10.1.0.0/16",
+    ]);
+    expect(results[0]).toMatchObject({
+      original: "192.168.1.0/24",
+      status: NormalizationStatus.CORRECTED,
+      origin: {
+        format: "iptables",
+        context: "chain INPUT",
+        field: "source",
+        action: "DROP",
+      },
+    });
+    expect(results[0].warning).toBe(
+      "Read source from chain INPUT (DROP, 192.168.1.0/24)",
+    );
+    expect(results[1].origin.field).toBe("destination");
+  });
+
+  it("should read bare addresses, lists, ranges and ip6tables rules", () => {
+    expect(
+      addresses("-A INPUT -s 10.0.0.1,10.0.0.2 -j ACCEPT").map(
+        (a) => a.normalized,
+      ),
+    ).toEqual(["10.0.0.1/32", "10.0.0.2/32"]);
+    expect(
+      parseFirewallDumpLine(
+        "-A INPUT -m iprange --src-range 10.0.0.1-10.0.0.6 -j ACCEPT",
+      )[0].expandedTo,
+    ).toEqual(["10.0.0.1/32", "10.0.0.2/31", "10.0.0.4/31", "10.0.0.6/32"]);
+    expect(addresses("-A FORWARD -d 2001:db8::/32 -j REJECT")).toEqual([
+      { normalized: "2001:db8::/32", field: "destination", action: "REJECT" },
+    ]);
+    expect(
+      addresses("iptables -I INPUT 1 --source 10.2.0.0/16 -j ACCEPT"),
+    ).toEqual([
+      { normalized: "10.2.0.0/16", field: "source", action: "ACCEPT" },
+    ]);
+  });
+
+  it("should note negated iptables matches", () => {
+    const [result] = parseFirewallDumpLine("-A INPUT ! -s 10.0.0.0/8 -j DROP");
+    expect(result.warning).toContain('negated in the rule ("! -s")');
+  });
+
+  it("should skip iptables-save structure and rules without addresses", () => {
+    for (const line of [
+      "# Generated by iptables-save v1.8.7 on Mon Jan  6 10:00:00 2025",
+      "*filter",
+      ":INPUT ACCEPT [0:0]",
+      ":DOCKER-USER - [0:0]",
+      "-A INPUT -m conntrack --ctstate RELATED,ESTABLISHED -j ACCEPT",
+      "-A INPUT -m set --match-set blocklist src -j DROP",
+      "-N LOGGING",
+      "COMMIT",
+    ]) {
+      expect(parseFirewallDumpLine(line)).toEqual([]);
+    }
+  });
+
+  it("should read nft set elements and rule literals", () => {
+    expect(
+      addresses("elements = { 10.9.0.0/16, 192.168.1.1 timeout 1h }"),
+    ).toEqual([
+      { normalized: "10.9.0.0/16", field: "element", action: null },
+      { normalized: "192.168.1.1/32", field: "element", action: null },
+    ]);
+    expect(
+      addresses("ip saddr { 10.0.0.0/8, 172.16.0.0/12 } tcp dport 22 accept"),
+    ).toEqual([
+      { normalized: "10.0.0.0/8", field: "source", action: "accept" },
+      { normalized: "172.16.0.0/12", field: "source", action: "accept" },
+    ]);
+    expect(
+      addresses("ip6 saddr 2001:db8::/32 ip6 daddr 2001:db8:1::1 drop"),
+    ).toEqual([
+      { normalized: "2001:db8::/32", field: "source", action: "drop" },
+      { normalized: "2001:db8:1::1/128", field: "destination", action: "drop" },
+    ]);
+
+    const [negated] = parseFirewallDumpLine("ip daddr != 10.1.1.1 drop");
+    expect(negated.origin).toMatchObject({
+      format: "nftables",
+      context: "nft rule",
+    });
+    expect(negated.warning).toContain('negated in the rule ("ip daddr !=")');
+  });
+
+  it("should skip nft structure and named set references", () => {
+    for (const line of [
+      "table inet filter {",
+      "set blocklist {",
+      "type ipv4_addr",
+      "flags interval",
+      "chain input {",
+      "type filter hook input priority filter; policy accept;",
+      "ip saddr @blocklist drop",
+      "ct state established,related accept",
+      "}",
+    ]) {
+      expect(parseFirewallDumpLine(line)).toEqual([]);
+    }
+  });
+
+  it("should read ipset add lines", () => {
+    const [result] = parseFirewallDumpLine("add blocklist 10.5.0.0/16");
+    expect(result).toMatchObject({
+      normalized: "10.5.0.0/16",
+      origin: {
+        format: "ipset",
+        context: "ipset blocklist",
+        field: "element",
+        action: null,
+      },
+    });
+
+    expect(addresses("add web 10.6.0.1,tcp:80")[0].normalized).toBe(
+      "10.6.0.1/32",
+    );
+    expect(
+      parseFirewallDumpLine("add blocklist 10.7.0.0/24 nomatch")[0].warning,
+    ).toContain('"nomatch" not applied');
+    expect(
+      parseFirewallDumpLine(
+        "create blocklist hash:net family inet hashsize 1024 maxelem 65536",
+      ),
+    ).toEqual([]);
+  });
+
+  it("should report bad addresses as invalid with their origin", () => {
+    const [result] = parseFirewallDumpLine("add blocklist 999.0.0.0/8");
+    expect(result.status).toBe(NormalizationStatus.INVALID);
+    expect(result.origin.context).toBe("ipset blocklist");
+  });
+});
+
+describe("normalizeInput with firewall dumps", () => {
+  const ruleset = [
+    "table inet filter {",
+    "\tset blocklist {",
+    "\t\ttype ipv4_addr",
+    "\t\tflags interval",
+    "\t\telements = { 10.0.0.0/25, 10.0.0.128/25,",
+    "\t\t\t     10.0.1.0/25,",
+    "\t\t\t     10.0.1.128/25 }",
+    "\t}",
+    "}",
+  ].join("\n");
+
+  it("should read a wrapped nft element list with line numbers", () => {
+    const results = normalizeInput(ruleset);
+
+    expect(results.map((r) => r.lineNumber)).toEqual([5, 5, 6, 7]);
+    expect(results[2].origin).toBeNull();
+    expect(results[3].origin.field).toBe("element");
+    expect(extractValidCIDRs(results)).toEqual([
+      "10.0.0.0/25",
+      "10.0.0.128/25",
+      "10.0.1.0/25",
+      "10.0.1.128/25",
+    ]);
+  });
+
+  it("should aggregate an iptables-save dump back into iptables rules", () => {
+    const results = normalizeInput(
+      [
+        "*filter",
+        ":INPUT DROP [0:0]",
+        "-A INPUT -s 10.0.0.0/25 -j ACCEPT",
+        "-A INPUT -s 10.0.0.128/25 -j ACCEPT",
+        "COMMIT",
+      ].join("\n"),
+    );
+
+    const blocks = aggregateCIDRs(extractValidCIDRs(results)).map((cidr) =>
+      CIDRBlock.fromCIDRString(cidr),
+    );
+    expect(transformToFormat(blocks, "iptables")).toBe(
+      "iptables -A INPUT -s 10.0.0.0/24 -j ACCEPT",
+    );
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Output format picker and transformation timing tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  FormatRegistry,
+  PreferenceKeys,
+  setFormat,
+  getFormat,
+  setTransformationTiming,
+  getTransformationTiming,
+  setHostBitsMode,
+  getHostBitsMode,
+  setMappedMode,
+  getMappedMode,
+  setSpecialMode,
+  getSpecialMode,
+  loadPreferences,
+  savePreferences,
+  populateFormatSelect,
+  getFormatOptions,
+  setFormatOption,
+  resetFormatOptions,
+  renderFormatOptions,
+} from "../app.js";
+
+describe("Format preferences", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    setFormat("cidr");
+    setTransformationTiming("after");
+    setHostBitsMode("mask");
+    setMappedMode("keep");
+    setSpecialMode("keep");
+  });
+
+  it("should accept any registered format", () => {
+    for (const name of Object.keys(FormatRegistry)) {
+      expect(setFormat(name)).toBe(true);
+      expect(getFormat()).toBe(name);
+    }
+  });
+
+  it("should reject unknown formats and keep the current one", () => {
+    setFormat("iptables");
+    expect(setFormat("not-a-format")).toBe(false);
+    expect(getFormat()).toBe("iptables");
+  });
+
+  it("should only accept before or after timing", () => {
+    expect(setTransformationTiming("before")).toBe(true);
+    expect(getTransformationTiming()).toBe("before");
+    expect(setTransformationTiming("during")).toBe(false);
+    expect(getTransformationTiming()).toBe("before");
+  });
+
+  it("should round-trip preferences through localStorage", () => {
+    setFormat("fortigate");
+    setTransformationTiming("before");
+    savePreferences();
+
+    expect(localStorage.getItem(PreferenceKeys.format)).toBe("fortigate");
+    expect(localStorage.getItem(PreferenceKeys.timing)).toBe("before");
+
+    setFormat("cidr");
+    setTransformationTiming("after");
+    loadPreferences();
+
+    expect(getFormat()).toBe("fortigate");
+    expect(getTransformationTiming()).toBe("before");
+  });
+
+  it("should only accept mask or reject for host bits and persist it", () => {
+    expect(setHostBitsMode("drop")).toBe(false);
+    expect(setHostBitsMode("reject")).toBe(true);
+    savePreferences();
+
+    setHostBitsMode("mask");
+    loadPreferences();
+    expect(getHostBitsMode()).toBe("reject");
+  });
+
+  it("should only accept known mapped-address modes and persist them", () => {
+    expect(setMappedMode("ipv5")).toBe(false);
+    expect(setMappedMode("ipv4")).toBe(true);
+    savePreferences();
+
+    setMappedMode("keep");
+    loadPreferences();
+    expect(getMappedMode()).toBe("ipv4");
+  });
+
+  it("should only accept keep, all or a special-purpose category and persist it", () => {
+    expect(setSpecialMode("bogons")).toBe(false);
+    expect(setSpecialMode("all")).toBe(true);
+    expect(setSpecialMode("documentation")).toBe(true);
+    savePreferences();
+
+    setSpecialMode("keep");
+    loadPreferences();
+    expect(getSpecialMode()).toBe("documentation");
+  });
+
+  it("should ignore stale or missing stored values", () => {
+    localStorage.setItem(PreferenceKeys.format, "removed-format");
+    loadPreferences();
+
+    expect(getFormat()).toBe("cidr");
+    expect(getTransformationTiming()).toBe("after");
+  });
+});
+
+describe("populateFormatSelect", () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<select id="formatSelect"></select>';
+    setFormat("ufw");
+  });
+
+  it("should list every registered format and select the current one", () => {
+    populateFormatSelect();
+    const select = document.getElementById("formatSelect");
+    const values = Array.from(select.options).map((o) => o.value);
+
+    expect(values).toEqual(Object.keys(FormatRegistry));
+    expect(select.value).toBe("ufw");
+  });
+
+  it("should flag IPv4-only formats in the label", () => {
+    populateFormatSelect();
+    const select = document.getElementById("formatSelect");
+    const wildcard = Array.from(select.options).find(
+      (o) => o.value === "cisco-wildcard",
+    );
+
+    expect(wildcard.textContent).toBe("Cisco Wildcard (IPv4 only)");
+  });
+});
+
+describe("Format options", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    resetFormatOptions("fortigate");
+    resetFormatOptions("iptables");
+    setFormat("fortigate");
+  });
+
+  it("should store only options the format declares", () => {
+    expect(setFormatOption("fortigate", "groupName", "vendors")).toBe(true);
+    expect(setFormatOption("fortigate", "chain", "INPUT")).toBe(false);
+    expect(setFormatOption("unknown", "groupName", "x")).toBe(false);
+    expect(getFormatOptions("fortigate")).toEqual({ groupName: "vendors" });
+  });
+
+  it("should persist options with the other preferences", () => {
+    setFormatOption("iptables", "chain", "FORWARD");
+    savePreferences();
+    resetFormatOptions("iptables");
+    loadPreferences();
+
+    expect(getFormatOptions("iptables").chain).toBe("FORWARD");
+  });
+
+  it("should render a field per option of the current format", () => {
+    document.body.innerHTML = '<div id="formatOptions"></div>';
+    setFormat("iptables");
+    setFormatOption("iptables", "target", "DROP");
+    renderFormatOptions();
+
+    const fields = document.querySelectorAll("#formatOptions [data-key]");
+    expect(Array.from(fields).map((f) => f.dataset.key)).toEqual([
+      "chain",
+      "target",
+      "direction",
+      "protocol",
+      "ports",
+    ]);
+    expect(document.getElementById("formatOption-target").value).toBe("DROP");
+  });
+
+  it("should leave the container empty for formats without options", () => {
+    document.body.innerHTML = '<div id="formatOptions"></div>';
+    setFormat("cidr");
+    renderFormatOptions();
+
+    expect(document.getElementById("formatOptions").children).toHaveLength(0);
+  });
+});
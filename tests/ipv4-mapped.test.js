@@ -0,0 +1,152 @@
+/**
+ * IPv4-mapped and IPv4-embedded IPv6 tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  normalizeEntry,
+  normalizeInput,
+  extractValidCIDRs,
+  NormalizationStatus,
+} from "../normalizer.js";
+import {
+  CIDRBlock,
+  IPVersion,
+  aggregateCIDRs,
+  detectIPVersion,
+  isValidCIDR,
+  parseIPv6,
+  sortCIDRs,
+} from "../core.js";
+import { runPipeline } from "../pipeline.js";
+
+describe("normalizeEntry with dotted-quad tails", () => {
+  it("should read IPv4-mapped addresses and write them dotted", () => {
+    expect(normalizeEntry("::ffff:192.0.2.1")).toMatchObject({
+      status: NormalizationStatus.VALID,
+      normalized: "::ffff:192.0.2.1/128",
+    });
+    expect(normalizeEntry("::ffff:c000:201").normalized).toBe(
+      "::ffff:192.0.2.1/128",
+    );
+    expect(normalizeEntry("::ffff:0:0/96").normalized).toBe("::ffff:0:0/96");
+  });
+
+  it("should read NAT64 and other embedded addresses", () => {
+    const nat64 = normalizeEntry("64:ff9b::192.0.2.1/120");
+    expect(nat64.normalized).toBe("64:ff9b::192.0.2.0/120");
+    expect(nat64.warning).toContain("Host bits set");
+
+    expect(normalizeEntry("2001:db8::192.0.2.1").normalized).toBe(
+      "2001:db8::c000:201/128",
+    );
+    expect(normalizeEntry("::192.0.2.1").normalized).toBe("::c000:201/128");
+  });
+
+  it("should expand ranges written with dotted tails", () => {
+    expect(
+      normalizeEntry("::ffff:192.0.2.0-::ffff:192.0.2.255").expandedTo,
+    ).toEqual(["::ffff:192.0.2.0/120"]);
+  });
+
+  it("should reject an invalid IPv4 tail", () => {
+    expect(normalizeEntry("::ffff:300.1.1.1").error).toBe(
+      'Invalid IPv4 address "300.1.1.1" in IPv6 address',
+    );
+    expect(normalizeEntry("::ffff:1.2.3/120").status).toBe(
+      NormalizationStatus.INVALID,
+    );
+  });
+
+  it("should extract mapped addresses from text in full", () => {
+    const results = normalizeInput("client ::ffff:192.0.2.1 port 443", {
+      extract: true,
+    });
+    expect(extractValidCIDRs(results)).toEqual(["::ffff:192.0.2.1/128"]);
+  });
+});
+
+describe("core with dotted-quad tails", () => {
+  it("should parse and classify them as IPv6", () => {
+    expect(Array.from(parseIPv6("::ffff:192.0.2.1").slice(10))).toEqual([
+      0xff, 0xff, 192, 0, 2, 1,
+    ]);
+    expect(parseIPv6("::ffff:192.0.2.256")).toBeNull();
+    expect(detectIPVersion("::ffff:192.0.2.0/120")).toBe(IPVersion.IPv6);
+    expect(detectIPVersion("64:ff9b::192.0.2.1")).toBe(IPVersion.IPv6);
+    expect(isValidCIDR("64:ff9b::192.0.2.0/120")).toBe(true);
+  });
+
+  it("should write mapped blocks dotted in models and results", () => {
+    const block = CIDRBlock.fromCIDRString("::ffff:192.0.2.0/120");
+    expect(block.version).toBe(IPVersion.IPv6);
+    expect(block.toCIDRString()).toBe("::ffff:192.0.2.0/120");
+    expect(block.getRange()).toEqual([
+      "::ffff:192.0.2.0",
+      "::ffff:192.0.2.255",
+    ]);
+
+    expect(
+      aggregateCIDRs(["::ffff:10.0.0.0/105", "::ffff:10.128.0.0/105"]),
+    ).toEqual(["::ffff:10.0.0.0/104"]);
+    expect(sortCIDRs(["::ffff:10.0.0.0/104", "10.0.0.0/8"])).toEqual([
+      "10.0.0.0/8",
+      "::ffff:10.0.0.0/104",
+    ]);
+  });
+});
+
+describe("normalizeInput with foldMapped", () => {
+  const input = "::ffff:10.0.0.0/104\n10.1.0.0/16\n2001:db8::/32";
+
+  it("should keep each entry's version by default", () => {
+    expect(extractValidCIDRs(normalizeInput(input))).toEqual([
+      "::ffff:10.0.0.0/104",
+      "10.1.0.0/16",
+      "2001:db8::/32",
+    ]);
+  });
+
+  it("should fold mapped blocks into IPv4", () => {
+    const results = normalizeInput(input, { foldMapped: "ipv4" });
+    expect(results[0]).toMatchObject({
+      status: NormalizationStatus.CORRECTED,
+      expandedTo: ["10.0.0.0/8"],
+      warning: "Folded IPv4-mapped IPv6 into 10.0.0.0/8",
+    });
+    expect(results[1].status).toBe(NormalizationStatus.VALID);
+    expect(results[2].expandedTo).toEqual(["2001:db8::/32"]);
+  });
+
+  it("should map IPv4 blocks into IPv6", () => {
+    const results = normalizeInput(input, { foldMapped: "ipv6" });
+    expect(extractValidCIDRs(results)).toEqual([
+      "::ffff:10.0.0.0/104",
+      "::ffff:10.1.0.0/112",
+      "2001:db8::/32",
+    ]);
+    expect(results[1].warning).toBe("Mapped IPv4 into ::ffff:10.1.0.0/112");
+  });
+
+  it("should aggregate and negate across versions once folded", async () => {
+    const result = await runPipeline({
+      input: "::ffff:10.0.0.0/105\n10.128.0.0/9\n!::ffff:10.255.0.0/112",
+      secondaryInput: null,
+      operation: "aggregate",
+      maxEntries: null,
+      normalizeOptions: { foldMapped: "ipv4" },
+    });
+    expect(result.outputCIDRs).toEqual([
+      "10.0.0.0/9",
+      "10.128.0.0/10",
+      "10.192.0.0/11",
+      "10.224.0.0/12",
+      "10.240.0.0/13",
+      "10.248.0.0/14",
+      "10.252.0.0/15",
+      "10.254.0.0/16",
+    ]);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Integer, hex and shorthand IPv4 input tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  normalizeEntry,
+  normalizeInput,
+  extractValidCIDRs,
+  NormalizationStatus,
+} from "../normalizer.js";
+
+describe("normalizeEntry with integer and hex addresses", () => {
+  it("should convert 32-bit integers to dotted quads", () => {
+    const result = normalizeEntry("167772160");
+    expect(result).toMatchObject({
+      status: NormalizationStatus.CORRECTED,
+      normalized: "10.0.0.0/32",
+      warning: 'Converted integer "167772160" to 10.0.0.0/32',
+    });
+    expect(normalizeEntry("4294967295").normalized).toBe("255.255.255.255/32");
+    expect(normalizeEntry("16777216").normalized).toBe("1.0.0.0/32");
+  });
+
+  it("should keep small integers such as port numbers invalid", () => {
+    for (const entry of ["0", "2", "80", "443", "16777215", "1000/24"]) {
+      expect(normalizeEntry(entry).status).toBe(NormalizationStatus.INVALID);
+    }
+    expect(normalizeEntry("443").error).toBe(
+      'Number "443" is too small to be an integer address (16777216 is 1.0.0.0)',
+    );
+    expect(normalizeEntry("0x50").normalized).toBe("0.0.0.80/32");
+  });
+
+  it("should not read a trailing number as a second address", () => {
+    const results = normalizeInput("10.0.0.1 2\n80, 443");
+    expect(extractValidCIDRs(results)).toEqual(["10.0.0.1/32"]);
+    expect(
+      results.filter((r) => r.status === NormalizationStatus.INVALID),
+    ).toHaveLength(3);
+  });
+
+  it("should convert hex in either case", () => {
+    expect(normalizeEntry("0x0A000000")).toMatchObject({
+      status: NormalizationStatus.CORRECTED,
+      normalized: "10.0.0.0/32",
+      warning: 'Converted hex "0x0A000000" to 10.0.0.0/32',
+    });
+    expect(normalizeEntry("0XC0A80101").normalized).toBe("192.168.1.1/32");
+  });
+
+  it("should accept a prefix and mask host bits", () => {
+    expect(normalizeEntry("167772160/8").normalized).toBe("10.0.0.0/8");
+    expect(normalizeEntry("0x0A000000/8").normalized).toBe("10.0.0.0/8");
+
+    const masked = normalizeEntry("167772161/24");
+    expect(masked.normalized).toBe("10.0.0.0/24");
+    expect(masked.warning).toContain('Host bits set in "10.0.0.1/24"');
+    expect(
+      normalizeEntry("167772161/24", { strictHostBits: true }).status,
+    ).toBe(NormalizationStatus.INVALID);
+  });
+
+  it("should reject values beyond 32 bits", () => {
+    expect(normalizeEntry("4294967296").error).toBe(
+      'Integer address "4294967296" does not fit in 32 bits',
+    );
+    expect(normalizeEntry("0x100000000").error).toBe(
+      'Hex address "0x100000000" does not fit in 32 bits',
+    );
+    expect(normalizeEntry("167772160/33").error).toBe(
+      "Invalid prefix length /33",
+    );
+  });
+});
+
+describe("normalizeEntry with classful shorthand", () => {
+  it("should fill in the missing octets", () => {
+    expect(normalizeEntry("10/8")).toMatchObject({
+      status: NormalizationStatus.CORRECTED,
+      normalized: "10.0.0.0/8",
+      warning: 'Expanded shorthand "10/8" to 10.0.0.0/8',
+    });
+    expect(normalizeEntry("10.1/16").normalized).toBe("10.1.0.0/16");
+    expect(normalizeEntry("192.168.1/24").normalized).toBe("192.168.1.0/24");
+  });
+
+  it("should only read shorthand with a prefix", () => {
+    expect(normalizeEntry("10.1").status).toBe(NormalizationStatus.INVALID);
+    expect(normalizeEntry("192.168.1").status).toBe(
+      NormalizationStatus.INVALID,
+    );
+  });
+
+  it("should reject shorthand when it is turned off", () => {
+    const result = normalizeEntry("192.168.1/24", { shorthand: false });
+    expect(result.status).toBe(NormalizationStatus.INVALID);
+    expect(result.error).toBe(
+      'Shorthand "192.168.1/24" is not accepted; write 192.168.1.0/24',
+    );
+    expect(normalizeEntry("167772160", { shorthand: false }).status).toBe(
+      NormalizationStatus.CORRECTED,
+    );
+  });
+});
+
+describe("normalizeInput with numeric addresses", () => {
+  it("should read numeric forms alongside labels and other entries", () => {
+    const results = normalizeInput(
+      "167772160 # from the database\n0x0A000100, 10.0.2/24",
+    );
+    expect(results[0].label).toBe("from the database");
+    expect(extractValidCIDRs(results)).toEqual([
+      "10.0.0.0/32",
+      "10.0.1.0/32",
+      "10.0.2.0/24",
+    ]);
+  });
+});
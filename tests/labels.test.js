@@ -0,0 +1,204 @@
+/**
+ * Input comment and label tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  normalizeInput,
+  extractValidCIDRs,
+  splitEntryLabel,
+} from "../normalizer.js";
+import {
+  CIDRBlock,
+  aggregateCIDRs,
+  buildProvenance,
+  attachLabels,
+  transformToFormat,
+} from "../core.js";
+
+/**
+ * Normalize, aggregate and label the output blocks
+ * @param {string} input - Input text
+ * @returns {CIDRBlock[]} Aggregated blocks with labels attached
+ */
+function labelledBlocks(input) {
+  const results = normalizeInput(input);
+  const cidrs = aggregateCIDRs(extractValidCIDRs(results));
+  return attachLabels(
+    cidrs.map((cidr) => CIDRBlock.fromCIDRString(cidr)),
+    buildProvenance(results, cidrs).byOutput,
+  );
+}
+
+describe("splitEntryLabel", () => {
+  it("should split off trailing comments", () => {
+    expect(splitEntryLabel("10.1.0.0/16  # London office")).toEqual({
+      content: "10.1.0.0/16  ",
+      label: "London office",
+    });
+    expect(splitEntryLabel("10.1.0.0/16 // old").label).toBe("old");
+    expect(splitEntryLabel("10.1.0.0/16 ; deprecated").label).toBe(
+      "deprecated",
+    );
+  });
+
+  it("should read a label column after the addresses", () => {
+    expect(splitEntryLabel("10.1.0.0/16,London, UK")).toEqual({
+      content: "10.1.0.0/16,",
+      label: "London, UK",
+    });
+    expect(splitEntryLabel("10.0.0.0 255.0.0.0 Web farm # legacy").label).toBe(
+      "Web farm - legacy",
+    );
+    expect(splitEntryLabel("2001:db8::/32 dead beef").label).toBe("dead beef");
+  });
+
+  it("should leave lines without a label alone", () => {
+    expect(splitEntryLabel("10.0.0.1, 10.0.0.2")).toEqual({
+      content: "10.0.0.1, 10.0.0.2",
+      label: null,
+    });
+    expect(splitEntryLabel("bogus 10.0.0.0/8").label).toBeNull();
+  });
+
+  it("should accept a marker directly after an entry", () => {
+    expect(splitEntryLabel("10.1.0.0/16;deprecated")).toEqual({
+      content: "10.1.0.0/16",
+      label: "deprecated",
+    });
+    expect(splitEntryLabel("10.0.0.0/8#x").label).toBe("x");
+    expect(splitEntryLabel("2001:db8::/32//old").label).toBe("old");
+    expect(splitEntryLabel("!10.1.2.0/24;retired").label).toBe("retired");
+  });
+
+  it("should keep markers inside a label column word", () => {
+    expect(splitEntryLabel("10.1.0.0/16 see http://wiki").label).toBe(
+      "see http://wiki",
+    );
+  });
+});
+
+describe("normalizeInput with comments and labels", () => {
+  it("should skip full-line comments", () => {
+    const results = normalizeInput(
+      "# Office ranges\n; deprecated\n// TODO\n10.0.0.0/8",
+    );
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ lineNumber: 4, label: null });
+  });
+
+  it("should keep the label on every entry of its line", () => {
+    const results = normalizeInput(
+      "10.1.0.0/16  # London office\n10.2.0.1, 10.2.0.2 Paris",
+    );
+    expect(results.map((r) => [r.normalized, r.label])).toEqual([
+      ["10.1.0.0/16", "London office"],
+      ["10.2.0.1/32", "Paris"],
+      ["10.2.0.2/32", "Paris"],
+    ]);
+  });
+
+  it("should read an entry with a marker directly after it", () => {
+    const results = normalizeInput("10.1.0.0/16;deprecated\n10.2.0.0/16#old");
+    expect(results.map((r) => [r.status, r.normalized, r.label])).toEqual([
+      ["valid", "10.1.0.0/16", "deprecated"],
+      ["valid", "10.2.0.0/16", "old"],
+    ]);
+  });
+
+  it("should still report stray words before an address", () => {
+    const results = normalizeInput("bogus 10.0.0.0/8");
+    expect(results.map((r) => r.status)).toEqual(["invalid", "valid"]);
+  });
+});
+
+describe("attachLabels", () => {
+  it("should list the distinct labels of every merged entry", () => {
+    const blocks = labelledBlocks(
+      [
+        "10.0.0.0/25 # London office",
+        "10.0.0.128/25 # London office",
+        "10.0.1.0/24 # Paris office",
+        "192.168.0.0/24",
+      ].join("\n"),
+    );
+    expect(blocks.map((b) => [b.toCIDRString(), b.labels])).toEqual([
+      ["10.0.0.0/23", ["London office", "Paris office"]],
+      ["192.168.0.0/24", []],
+    ]);
+  });
+
+  it("should record labels in provenance", () => {
+    const results = normalizeInput("10.0.0.0/24 web");
+    const { byOutput } = buildProvenance(results, ["10.0.0.0/24"]);
+    expect(byOutput.get("10.0.0.0/24")[0].label).toBe("web");
+  });
+});
+
+describe("Transformers with labels", () => {
+  const blocks = labelledBlocks(
+    '10.1.0.0/16 # London "HQ"\n2001:db8::/32 # Lab\n10.9.0.0/16',
+  );
+
+  it("should use labels as AWS, GCP and Azure descriptions", () => {
+    const aws = JSON.parse(transformToFormat(blocks, "aws-sg")).Rules;
+    expect(aws.map((r) => r.Description)).toEqual([
+      'London "HQ"',
+      "Allow from 10.9.0.0/16",
+      "Lab",
+    ]);
+
+    const gcp = JSON.parse(transformToFormat(blocks, "gcp-firewall")).Rules;
+    expect(gcp[0].description).toBe('London "HQ"');
+    expect(gcp[1]).not.toHaveProperty("description");
+
+    const azure = JSON.parse(transformToFormat(blocks, "azure-nsg")).rules;
+    expect(azure[2].properties.description).toBe("Lab");
+  });
+
+  it("should define commented FortiGate address objects", () => {
+    expect(transformToFormat(blocks, "fortigate")).toBe(
+      [
+        "config firewall address",
+        '  edit "10.1.0.0/16"',
+        "    set subnet 10.1.0.0 255.255.0.0",
+        `    set comment "London 'HQ'"`,
+        "  next",
+        "end",
+        "config firewall address6",
+        '  edit "2001:db8::/32"',
+        "    set ip6 2001:db8::/32",
+        '    set comment "Lab"',
+        "  next",
+        "end",
+        "config firewall addrgrp",
+        '  edit "address_group"',
+        '    set member "10.1.0.0/16"',
+        '    set member "10.9.0.0/16"',
+        '    set member "2001:db8::/32"',
+        "  next",
+        "end",
+      ].join("\n"),
+    );
+  });
+
+  it("should add iptables and UFW comments and Cisco remarks", () => {
+    expect(transformToFormat(blocks, "iptables").split("\n")[0]).toBe(
+      `iptables -A INPUT -s 10.1.0.0/16 -m comment --comment "London 'HQ'" -j ACCEPT`,
+    );
+    expect(transformToFormat(blocks, "ufw").split("\n")).toEqual([
+      `ufw allow from 10.1.0.0/16 comment 'London "HQ"'`,
+      "ufw allow from 10.9.0.0/16",
+      "ufw allow from 2001:db8::/32 comment 'Lab'",
+    ]);
+    expect(transformToFormat(blocks, "cisco-acl").split("\n")).toEqual([
+      'access-list 101 remark London "HQ"',
+      "access-list 101 permit ip 10.1.0.0 0.0.255.255 any",
+      "access-list 101 permit ip 10.9.0.0 0.0.255.255 any",
+      "ipv6 access-list FIREWALL remark Lab",
+      "ipv6 access-list FIREWALL permit ipv6 2001:db8::/32 any",
+    ]);
+  });
+});
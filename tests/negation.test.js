@@ -0,0 +1,199 @@
+/**
+ * Negated input entry tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  normalizeInput,
+  readEntryPolarity,
+  extractValidCIDRs,
+  extractNegatedCIDRs,
+  getNormalizationSummary,
+  NormalizationStatus,
+} from "../normalizer.js";
+import { applyNegations, buildProvenance } from "../core.js";
+import { runPipeline } from "../pipeline.js";
+
+/**
+ * Normalize input and keep what the tests compare
+ * @param {string} input - Input text
+ * @returns {Array<[string, string, string|null]>} Original, status and normalized CIDR
+ */
+function entries(input) {
+  return normalizeInput(input).map((r) => [r.original, r.status, r.normalized]);
+}
+
+/**
+ * Build a pipeline request for the aggregate operation
+ * @param {string} input - Input text
+ * @param {Object} [overrides] - Request fields to replace
+ * @returns {PipelineRequest}
+ */
+function request(input, overrides = {}) {
+  return {
+    input,
+    secondaryInput: null,
+    operation: "aggregate",
+    maxEntries: null,
+    ...overrides,
+  };
+}
+
+describe("readEntryPolarity", () => {
+  it("should read markers and keywords", () => {
+    expect(readEntryPolarity("!10.1.0.0/16")).toEqual({
+      negated: true,
+      text: "10.1.0.0/16",
+    });
+    expect(readEntryPolarity("- 10.1.0.0/16").negated).toBe(true);
+    expect(readEntryPolarity("except !10.1.0.0/16")).toEqual({
+      negated: true,
+      text: "10.1.0.0/16",
+    });
+    expect(readEntryPolarity("DENY 10.1.0.0/16").negated).toBe(true);
+    expect(readEntryPolarity("allow 10.0.0.0/8")).toEqual({
+      negated: false,
+      text: "10.0.0.0/8",
+    });
+  });
+
+  it("should leave other entries alone", () => {
+    expect(readEntryPolarity("10.0.0.1-10.0.0.5")).toEqual({
+      negated: false,
+      text: "10.0.0.1-10.0.0.5",
+    });
+    expect(readEntryPolarity("-")).toEqual({ negated: false, text: "-" });
+  });
+});
+
+describe("normalizeInput with negated entries", () => {
+  it("should mark negated entries with their own status", () => {
+    expect(entries("allow 10.0.0.0/8, except !10.1.0.0/16")).toEqual([
+      ["10.0.0.0/8", NormalizationStatus.VALID, "10.0.0.0/8"],
+      ["except !10.1.0.0/16", NormalizationStatus.NEGATED, "10.1.0.0/16"],
+    ]);
+  });
+
+  it("should negate single tokens and the token after a keyword", () => {
+    expect(entries("10.0.0.0/8 !10.1.0.0/16 except 10.2.0.0/16")).toEqual([
+      ["10.0.0.0/8", NormalizationStatus.VALID, "10.0.0.0/8"],
+      ["!10.1.0.0/16", NormalizationStatus.NEGATED, "10.1.0.0/16"],
+      ["except 10.2.0.0/16", NormalizationStatus.NEGATED, "10.2.0.0/16"],
+    ]);
+  });
+
+  it("should negate masks, ranges and corrected entries as a whole", () => {
+    const [mask, range] = normalizeInput(
+      "! 10.1.0.0 255.255.0.0\n-10.2.0.0-10.2.0.3",
+    );
+    expect(mask).toMatchObject({
+      status: NormalizationStatus.NEGATED,
+      normalized: "10.1.0.0/16",
+    });
+    expect(mask.warning).toContain("Converted");
+    expect(range.expandedTo).toEqual(["10.2.0.0/30"]);
+  });
+
+  it("should read a bare deny with a prefix length as a negation", () => {
+    expect(entries("deny 10.1.0.0/16")).toEqual([
+      ["deny 10.1.0.0/16", NormalizationStatus.NEGATED, "10.1.0.0/16"],
+    ]);
+  });
+
+  it("should read a deny with a bare address or a mask as a negation", () => {
+    expect(entries("deny 10.1.0.5")).toEqual([
+      ["deny 10.1.0.5", NormalizationStatus.NEGATED, "10.1.0.5/32"],
+    ]);
+    expect(entries("deny 10.1.0.0 255.255.0.0")).toEqual([
+      ["deny 10.1.0.0 255.255.0.0", NormalizationStatus.NEGATED, "10.1.0.0/16"],
+    ]);
+    expect(entries("permit 10.2.0.0 255.255.0.0")).toEqual([
+      ["10.2.0.0 255.255.0.0", NormalizationStatus.CORRECTED, "10.2.0.0/16"],
+    ]);
+  });
+
+  it("should still read deny lines with a protocol, any or host as ACL entries", () => {
+    for (const line of [
+      "deny ip 10.1.0.0 0.0.255.255 any",
+      "deny host 10.1.0.5",
+    ]) {
+      const [result] = normalizeInput(line);
+      expect(result.status).toBe(NormalizationStatus.CORRECTED);
+      expect(result.origin.context).toBe("access-list entry");
+    }
+  });
+
+  it("should keep invalid negated entries invalid", () => {
+    expect(entries("!bogus")).toEqual([
+      ["!bogus", NormalizationStatus.INVALID, null],
+    ]);
+  });
+
+  it("should keep negated entries out of the valid CIDRs", () => {
+    const results = normalizeInput("10.0.0.0/8\n!10.1.0.0/16\n# note");
+    expect(extractValidCIDRs(results)).toEqual(["10.0.0.0/8"]);
+    expect(extractNegatedCIDRs(results)).toEqual(["10.1.0.0/16"]);
+    expect(getNormalizationSummary(results)).toEqual({
+      valid: 1,
+      corrected: 0,
+      invalid: 0,
+      negated: 1,
+    });
+    expect(
+      buildProvenance(results, ["10.0.0.0/8"]).byOutput.get("10.0.0.0/8"),
+    ).toHaveLength(1);
+  });
+});
+
+describe("applyNegations", () => {
+  it("should split only the entries a negation overlaps", () => {
+    expect(
+      applyNegations(
+        ["10.0.0.0/24", "10.1.0.0/24", "2001:db8::/32"],
+        ["10.1.0.128/25", "2001:db8::/33"],
+      ),
+    ).toEqual({
+      cidrs: ["10.0.0.0/24", "10.1.0.0/25", "2001:db8:8000::/33"],
+      removed: ["10.1.0.128/25", "2001:db8::/33"],
+    });
+  });
+
+  it("should report only space that was actually present", () => {
+    expect(applyNegations(["10.0.0.0/24"], ["10.0.0.0/23"])).toEqual({
+      cidrs: [],
+      removed: ["10.0.0.0/24"],
+    });
+    expect(applyNegations(["10.0.0.0/24"], []).removed).toEqual([]);
+  });
+});
+
+describe("runPipeline with negated entries", () => {
+  it("should subtract negations from the aggregate and list them in the diff", async () => {
+    const result = await runPipeline(
+      request("10.0.0.0/25\n10.0.0.128/25\n!10.0.0.64/26"),
+    );
+
+    expect(result.sortedStrings).toEqual(["10.0.0.0/25", "10.0.0.128/25"]);
+    expect(result.keptStrings).toEqual(["10.0.0.0/26", "10.0.0.128/25"]);
+    expect(result.negatedRemoved).toEqual(["10.0.0.64/26"]);
+    expect(result.outputCIDRs).toEqual(["10.0.0.0/26", "10.0.0.128/25"]);
+
+    const removed = result.diffParts
+      .filter((part) => part.removed)
+      .map((part) => part.value)
+      .join("");
+    expect(removed).toContain("!10.0.0.64/26");
+  });
+
+  it("should apply negations in the second list too", async () => {
+    const result = await runPipeline(
+      request("10.0.0.0/24", {
+        operation: "exclude",
+        secondaryInput: "10.0.0.0/25\nexcept 10.0.0.0/26",
+      }),
+    );
+    expect(result.outputCIDRs).toEqual(["10.0.0.0/26", "10.0.0.128/25"]);
+  });
+});
@@ -11,6 +11,7 @@ import {
   extractValidCIDRs,
   subnetMaskToCIDRPrefix,
   expandIPv4Range,
+  expandIPv6Range,
   NormalizationStatus,
 } from "../normalizer.js";
 
@@ -46,7 +47,9 @@ describe("IPv4 normalization", () => {
   it("should normalize leading zeros", () => {
     const result = normalizeEntry("192.168.001.001/24");
     expect(result.status).toBe(NormalizationStatus.CORRECTED);
-    expect(result.normalized).toBe("192.168.1.1/24");
+    expect(result.normalized).toBe("192.168.1.0/24");
+    expect(result.warning).toContain('Normalized "192.168.001.001"');
+    expect(result.warning).toContain('Host bits set in "192.168.1.1/24"');
   });
 
   it("should handle bare IPv4", () => {
@@ -67,6 +70,150 @@ describe("IPv4 normalization", () => {
   });
 });
 
+describe("Host bits", () => {
+  it("should mask IPv4 host bits to the network address", () => {
+    const result = normalizeEntry("10.0.0.5/24");
+    expect(result.status).toBe(NormalizationStatus.CORRECTED);
+    expect(result.normalized).toBe("10.0.0.0/24");
+    expect(result.expandedTo).toEqual(["10.0.0.0/24"]);
+    expect(result.warning).toBe(
+      'Host bits set in "10.0.0.5/24"; masked to 10.0.0.0/24',
+    );
+  });
+
+  it("should mask host bits in subnet mask notation", () => {
+    expect(normalizeEntry("10.0.0.5/255.255.255.0").normalized).toBe(
+      "10.0.0.0/24",
+    );
+    const spaced = normalizeEntry("10.0.0.5 255.255.255.0");
+    expect(spaced.normalized).toBe("10.0.0.0/24");
+    expect(spaced.warning).toContain("Host bits set");
+  });
+
+  it("should mask IPv6 host bits to the network address", () => {
+    const result = normalizeEntry("2001:db8::1/64");
+    expect(result.status).toBe(NormalizationStatus.CORRECTED);
+    expect(result.normalized).toBe("2001:db8::/64");
+    expect(result.warning).toBe(
+      'Host bits set in "2001:db8::1/64"; masked to 2001:db8::/64',
+    );
+  });
+
+  it("should leave network addresses and /0 prefixes alone", () => {
+    expect(normalizeEntry("10.0.0.0/24").status).toBe(
+      NormalizationStatus.VALID,
+    );
+    expect(normalizeEntry("2001:db8::/32").status).toBe(
+      NormalizationStatus.VALID,
+    );
+    expect(normalizeEntry("1.2.3.4/0").normalized).toBe("0.0.0.0/0");
+    expect(normalizeEntry("::1/0").normalized).toBe("::/0");
+  });
+
+  it("should treat host bits as invalid in strict mode", () => {
+    const options = { strictHostBits: true };
+    const ipv4 = normalizeEntry("10.0.0.5/24", options);
+    expect(ipv4.status).toBe(NormalizationStatus.INVALID);
+    expect(ipv4.error).toBe(
+      'Host bits set in "10.0.0.5/24" (network address is 10.0.0.0/24)',
+    );
+    expect(normalizeEntry("2001:db8::1/64", options).status).toBe(
+      NormalizationStatus.INVALID,
+    );
+    expect(normalizeEntry("10.0.0.0/24", options).status).toBe(
+      NormalizationStatus.VALID,
+    );
+  });
+
+  it("should pass strict mode through normalizeInput", () => {
+    const results = normalizeInput("10.0.0.0/24\n10.0.1.5/24", {
+      strictHostBits: true,
+    });
+    expect(results.map((r) => r.status)).toEqual([
+      NormalizationStatus.VALID,
+      NormalizationStatus.INVALID,
+    ]);
+    expect(results[1].lineNumber).toBe(2);
+  });
+});
+
+describe("Wildcard masks", () => {
+  it("should convert contiguous wildcards to CIDR", () => {
+    const spaced = normalizeEntry("10.0.0.0 0.0.255.255");
+    expect(spaced.status).toBe(NormalizationStatus.CORRECTED);
+    expect(spaced.normalized).toBe("10.0.0.0/16");
+    expect(spaced.warning).toBe(
+      'Converted wildcard "10.0.0.0 0.0.255.255" to /16',
+    );
+
+    const slashed = normalizeEntry("192.168.1.0/0.0.0.255");
+    expect(slashed.expandedTo).toEqual(["192.168.1.0/24"]);
+  });
+
+  it("should still read ambiguous masks as subnet masks", () => {
+    expect(normalizeEntry("10.0.0.0 255.255.255.255").normalized).toBe(
+      "10.0.0.0/32",
+    );
+    expect(normalizeEntry("0.0.0.0 0.0.0.0").normalized).toBe("0.0.0.0/0");
+  });
+
+  it("should read two space-separated addresses as two entries", () => {
+    const results = normalizeInput("1.2.3.4 5.6.7.8\n10.0.0.1 10.0.0.2");
+    expect(results.map((r) => r.normalized)).toEqual([
+      "1.2.3.4/32",
+      "5.6.7.8/32",
+      "10.0.0.1/32",
+      "10.0.0.2/32",
+    ]);
+    expect(normalizeEntry("1.2.3.4/5.6.7.8").status).toBe(
+      NormalizationStatus.INVALID,
+    );
+  });
+
+  it("should expand non-contiguous wildcards to the exact blocks", () => {
+    const result = normalizeEntry("10.0.0.0 0.0.3.255");
+    expect(result.expandedTo).toEqual(["10.0.0.0/22"]);
+
+    const sparse = normalizeEntry("10.0.0.0 0.0.2.255");
+    expect(sparse.status).toBe(NormalizationStatus.CORRECTED);
+    expect(sparse.expandedTo).toEqual(["10.0.0.0/24", "10.0.2.0/24"]);
+    expect(sparse.warning).toBe(
+      'Expanded non-contiguous wildcard "10.0.0.0 0.0.2.255" to 2 CIDR block(s)',
+    );
+
+    const hosts = normalizeEntry("10.0.0.1 0.0.255.0");
+    expect(hosts.expandedTo).toHaveLength(256);
+    expect(hosts.expandedTo[255]).toBe("10.0.255.1/32");
+  });
+
+  it("should mask or reject address bits under the wildcard", () => {
+    const masked = normalizeEntry("10.0.1.5 0.0.0.255");
+    expect(masked.normalized).toBe("10.0.1.0/24");
+    expect(masked.warning).toContain(
+      'Host bits set in "10.0.1.5/24"; masked to 10.0.1.0/24',
+    );
+
+    const strict = normalizeEntry("10.0.2.5 0.0.2.0", { strictHostBits: true });
+    expect(strict.status).toBe(NormalizationStatus.INVALID);
+    expect(strict.error).toBe(
+      'Host bits set in "10.0.2.5 0.0.2.0" (network address is 10.0.0.5 0.0.2.0)',
+    );
+  });
+
+  it("should reject expansions over the limit", () => {
+    const result = normalizeEntry("10.0.0.0 0.255.255.0");
+    expect(result.status).toBe(NormalizationStatus.INVALID);
+    expect(result.error).toBe(
+      'Wildcard mask "0.255.255.0" matches 65536 separate blocks (limit 1024)',
+    );
+
+    const raised = normalizeEntry("10.0.0.0 0.0.255.0", { maxExpansion: 100 });
+    expect(raised.error).toBe(
+      'Wildcard mask "0.0.255.0" matches 256 separate blocks (limit 100)',
+    );
+  });
+});
+
 describe("IPv4 range expansion", () => {
   it("should expand full range", () => {
     const result = normalizeEntry("192.168.1.1-192.168.1.4");
@@ -111,6 +258,63 @@ describe("IPv6 normalization", () => {
   });
 });
 
+describe("IPv6 range expansion", () => {
+  it("should expand full compressed range", () => {
+    const result = normalizeEntry("2001:db8::1-2001:db8::6");
+    expect(result.status).toBe(NormalizationStatus.CORRECTED);
+    expect(result.expandedTo).toEqual([
+      "2001:db8::1/128",
+      "2001:db8::2/127",
+      "2001:db8::4/127",
+      "2001:db8::6/128",
+    ]);
+    expect(result.normalized).toBe("2001:db8::1/128");
+    expect(result.warning).toBe("Expanded range to 4 CIDR block(s)");
+  });
+
+  it("should expand full uncompressed range", () => {
+    const result = normalizeEntry(
+      "2001:0db8:0000:0000:0000:0000:0000:0000-2001:0db8:0000:0000:ffff:ffff:ffff:ffff",
+    );
+    expect(result.status).toBe(NormalizationStatus.CORRECTED);
+    expect(result.expandedTo).toEqual(["2001:db8::/64"]);
+  });
+
+  it("should expand short last-hextet range", () => {
+    const result = normalizeEntry("2001:db8::1-ff");
+    expect(result.status).toBe(NormalizationStatus.CORRECTED);
+    expect(result.expandedTo[0]).toBe("2001:db8::1/128");
+    expect(result.expandedTo[result.expandedTo.length - 1]).toBe(
+      "2001:db8::80/121",
+    );
+    expect(result.warning).toBe(
+      'Expanded range "2001:db8::1-ff" to 8 CIDR block(s)',
+    );
+  });
+
+  it("should reject reversed ranges", () => {
+    const result = normalizeEntry("2001:db8::ff-2001:db8::1");
+    expect(result.status).toBe(NormalizationStatus.INVALID);
+    expect(result.error).toBe("Range start is greater than end");
+  });
+
+  it("should reject invalid end hextet", () => {
+    const result = normalizeEntry("2001:db8::1-fffff");
+    expect(result.status).toBe(NormalizationStatus.INVALID);
+    expect(result.error).toBe("Invalid end hextet in range");
+  });
+
+  it("should reject invalid addresses", () => {
+    const result = normalizeEntry("2001:db8::1-2001:zz8::2");
+    expect(result.status).toBe(NormalizationStatus.INVALID);
+  });
+
+  it("should expand numeric ranges to minimal CIDRs", () => {
+    expect(expandIPv6Range(0n, (1n << 128n) - 1n)).toEqual(["::/0"]);
+    expect(expandIPv6Range(5n, 4n)).toEqual([]);
+  });
+});
+
 describe("normalizeInput", () => {
   it("should handle mixed input", () => {
     const input = "192.168.1.0/24\n2001:db8::/32,10.0.0.1";
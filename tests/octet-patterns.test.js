@@ -0,0 +1,131 @@
+/**
+ * Nmap-style octet pattern input tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  normalizeEntry,
+  normalizeInput,
+  extractValidCIDRs,
+  NormalizationStatus,
+} from "../normalizer.js";
+import { aggregateCIDRs } from "../core.js";
+
+describe("normalizeEntry with octet patterns", () => {
+  it("should expand octet ranges and wildcards to minimal CIDRs", () => {
+    const result = normalizeEntry("10.0.1-5.*");
+    expect(result.status).toBe(NormalizationStatus.CORRECTED);
+    expect(result.expandedTo).toEqual([
+      "10.0.1.0/24",
+      "10.0.2.0/23",
+      "10.0.4.0/23",
+    ]);
+    expect(result.warning).toBe(
+      'Expanded pattern "10.0.1-5.*" to 3 CIDR block(s)',
+    );
+
+    expect(normalizeEntry("192.168.*.*").expandedTo).toEqual([
+      "192.168.0.0/16",
+    ]);
+    expect(normalizeEntry("*.*.*.*").expandedTo).toEqual(["0.0.0.0/0"]);
+  });
+
+  it("should expand value lists in any octet", () => {
+    expect(normalizeEntry("10.0.0.1,3,5-7").expandedTo).toEqual([
+      "10.0.0.1/32",
+      "10.0.0.3/32",
+      "10.0.0.5/32",
+      "10.0.0.6/31",
+    ]);
+    expect(normalizeEntry("10.1,3.0.0/16").expandedTo).toEqual([
+      "10.1.0.0/16",
+      "10.3.0.0/16",
+    ]);
+  });
+
+  it("should list exactly the addresses of patterns with several partial octets", () => {
+    const { expandedTo } = normalizeEntry("10.0-1.250-255,0-3.*");
+    expect(expandedTo).toEqual([
+      "10.0.0.0/22",
+      "10.0.250.0/23",
+      "10.0.252.0/22",
+      "10.1.0.0/22",
+      "10.1.250.0/23",
+      "10.1.252.0/22",
+    ]);
+  });
+
+  it("should apply a prefix to every network the pattern matches", () => {
+    expect(normalizeEntry("172.16-31.0.0/16").expandedTo).toEqual([
+      "172.16.0.0/12",
+    ]);
+    expect(normalizeEntry("10.0.0.*/24").warning).toBe(
+      'Expanded pattern "10.0.0.*/24" to 1 CIDR block(s)',
+    );
+  });
+
+  it("should mask host bits unless they are strict", () => {
+    const masked = normalizeEntry("10.0.0.1-5/24");
+    expect(masked.expandedTo).toEqual(["10.0.0.0/24"]);
+    expect(masked.warning).toContain(
+      'Host bits set in "10.0.0.1-5/24"; masked to 10.0.0.*/24',
+    );
+
+    const strict = normalizeEntry("10.0.0.1-5/24", { strictHostBits: true });
+    expect(strict.status).toBe(NormalizationStatus.INVALID);
+  });
+
+  it("should reject bad octets and prefixes with an explanation", () => {
+    expect(normalizeEntry("10.0.5-3.*").error).toBe(
+      'Invalid octet "5-3" in "10.0.5-3.*" (values are 0-255, ranges low-high)',
+    );
+    expect(normalizeEntry("10.0.0.1,300").error).toContain(
+      'Invalid octet "1,300"',
+    );
+    expect(normalizeEntry("10.0.*.*/33").error).toBe(
+      "Invalid prefix length /33",
+    );
+    expect(normalizeEntry("10.0.*").status).toBe(NormalizationStatus.INVALID);
+  });
+
+  it("should reject patterns that exceed the expansion limit", () => {
+    const result = normalizeEntry("10.*.*.1");
+    expect(result.status).toBe(NormalizationStatus.INVALID);
+    expect(result.error).toBe(
+      'Pattern "10.*.*.1" expands to more than 1024 CIDR blocks',
+    );
+
+    expect(normalizeEntry("10.0.1-4.1", { maxExpansion: 3 }).error).toBe(
+      'Pattern "10.0.1-4.1" expands to more than 3 CIDR blocks',
+    );
+    expect(normalizeEntry("10.0.1-3.1", { maxExpansion: 3 }).status).toBe(
+      NormalizationStatus.CORRECTED,
+    );
+  });
+});
+
+describe("normalizeInput with octet patterns", () => {
+  it("should keep octet lists together but still split separate entries", () => {
+    const results = normalizeInput("10.0.0.1,3,5-7,10.0.1.0/24, 4");
+    expect(results.map((r) => r.original)).toEqual([
+      "10.0.0.1,3,5-7",
+      "10.0.1.0/24",
+      "4",
+    ]);
+    expect(results[2].status).toBe(NormalizationStatus.INVALID);
+  });
+
+  it("should read labels and negations around patterns", () => {
+    const results = normalizeInput("10.0.0.*  # lab\n!10.0.0.128-255");
+    expect(results[0].label).toBe("lab");
+    expect(results[1].status).toBe(NormalizationStatus.NEGATED);
+    expect(results[1].expandedTo).toEqual(["10.0.0.128/25"]);
+  });
+
+  it("should aggregate patterns with other entries", () => {
+    const results = normalizeInput("10.0.0-1.*\n10.0.2,3.*");
+    expect(aggregateCIDRs(extractValidCIDRs(results))).toEqual(["10.0.0.0/22"]);
+  });
+});
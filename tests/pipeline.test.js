@@ -0,0 +1,192 @@
+/**
+ * Processing pipeline, worker fallback and progress modal tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { JSDOM } from "jsdom";
+import { NORMALIZE_CHUNK_LINES, runPipeline } from "../pipeline.js";
+import {
+  startPipeline,
+  showModal,
+  hideModal,
+  updateModalProgress,
+} from "../app.js";
+
+/**
+ * Build a pipeline request
+ * @param {string} input - Primary input
+ * @param {Object} [overrides] - Request fields to override
+ * @returns {Object} Pipeline request
+ */
+function request(input, overrides = {}) {
+  return {
+    input,
+    secondaryInput: null,
+    operation: "aggregate",
+    maxEntries: null,
+    ...overrides,
+  };
+}
+
+describe("runPipeline", () => {
+  it("should normalize, sort, aggregate, diff and trace provenance", async () => {
+    const result = await runPipeline(
+      request("10.0.0.128/25\n10.0.0.0/25\nbogus"),
+    );
+
+    expect(result.results).toHaveLength(3);
+    expect(result.sortedStrings).toEqual(["10.0.0.0/25", "10.0.0.128/25"]);
+    expect(result.outputCIDRs).toEqual(["10.0.0.0/24"]);
+    expect(result.diffParts.some((p) => p.added)).toBe(true);
+    expect(
+      result.provenance.byOutput.get("10.0.0.0/24").map((s) => s.lineNumber),
+    ).toEqual([1, 2]);
+  });
+
+  it("should keep line numbers across normalization chunks", async () => {
+    const lines = Array(NORMALIZE_CHUNK_LINES + 2).fill("10.0.0.0/24");
+    lines[NORMALIZE_CHUNK_LINES + 1] = "bogus";
+    const result = await runPipeline(request(lines.join("\n")));
+
+    const invalid = result.results.filter((r) => r.status === "invalid");
+    expect(invalid.map((r) => r.lineNumber)).toEqual([
+      NORMALIZE_CHUNK_LINES + 2,
+    ]);
+  });
+
+  it("should pass normalization options to both lists", async () => {
+    const result = await runPipeline(
+      request("10.0.0.5/24\n10.0.1.0/24", {
+        operation: "exclude",
+        secondaryInput: "10.0.1.9/25",
+        normalizeOptions: { strictHostBits: true },
+      }),
+    );
+
+    expect(result.results.map((r) => r.status)).toEqual(["invalid", "valid"]);
+    expect(result.secondaryResults[0].status).toBe("invalid");
+    expect(result.outputCIDRs).toEqual(["10.0.1.0/24"]);
+  });
+
+  it("should stop after normalization when nothing is valid", async () => {
+    const result = await runPipeline(request("bogus"));
+    expect(result.sortedStrings).toEqual([]);
+    expect(result.outputCIDRs).toBeNull();
+    expect(result.diffParts).toBeNull();
+  });
+
+  it("should report increasing progress ending at 100", async () => {
+    const progress = [];
+    await runPipeline(request("10.0.0.0/24"), {
+      onProgress: (p) => progress.push(p),
+    });
+
+    const percents = progress.map((p) => p.percent);
+    expect(percents).toEqual([...percents].sort((a, b) => a - b));
+    expect(progress[progress.length - 1]).toEqual({
+      stage: "Done",
+      percent: 100,
+    });
+  });
+
+  it("should run the two-list and limit operations", async () => {
+    const exclude = await runPipeline(
+      request("10.0.0.0/24", {
+        operation: "exclude",
+        secondaryInput: "10.0.0.0/25",
+      }),
+    );
+    expect(exclude.outputCIDRs).toEqual(["10.0.0.128/25"]);
+    expect(exclude.secondaryResults).toHaveLength(1);
+
+    const compare = await runPipeline(
+      request("10.0.0.0/24", {
+        operation: "compare",
+        secondaryInput: "10.0.0.0/25",
+      }),
+    );
+    expect(compare.outputCIDRs).toBeNull();
+    expect(compare.comparison.onlyA.cidrs).toEqual(["10.0.0.128/25"]);
+    expect(compare.provenance).toBeNull();
+
+    const limit = await runPipeline(
+      request("10.0.0.0/24\n10.0.2.0/24", {
+        operation: "limit",
+        maxEntries: 1,
+      }),
+    );
+    expect(limit.outputCIDRs).toEqual(["10.0.0.0/22"]);
+    expect(limit.overCoverage.extraCount).toBe(512n);
+  });
+
+  it("should abort between stages", async () => {
+    const controller = new AbortController();
+    const run = runPipeline(request("10.0.0.0/24"), {
+      signal: controller.signal,
+      onProgress: (p) => {
+        if (p.stage === "Sorting") controller.abort();
+      },
+    });
+
+    await expect(run).rejects.toMatchObject({ name: "AbortError" });
+  });
+});
+
+describe("startPipeline", () => {
+  it("should fall back to the main thread without Web Workers", async () => {
+    expect(typeof Worker).toBe("undefined");
+    const onProgress = vi.fn();
+    const run = startPipeline(
+      request("10.0.0.0/25\n10.0.0.128/25"),
+      onProgress,
+    );
+
+    const result = await run.promise;
+    expect(result.outputCIDRs).toEqual(["10.0.0.0/24"]);
+    expect(onProgress).toHaveBeenCalled();
+  });
+
+  it("should reject with AbortError when cancelled", async () => {
+    const run = startPipeline(request("10.0.0.0/24"), () => {});
+    run.cancel();
+
+    await expect(run.promise).rejects.toMatchObject({ name: "AbortError" });
+  });
+});
+
+describe("Processing modal progress", () => {
+  beforeEach(() => {
+    const dom = new JSDOM("<html><body></body></html>");
+    global.document = dom.window.document;
+  });
+
+  it("should show progress and stage text", () => {
+    showModal(() => {});
+    updateModalProgress({ stage: "Sorting", percent: 55 });
+
+    expect(document.getElementById("processingProgress").value).toBe(55);
+    expect(document.getElementById("processingStage").textContent).toBe(
+      "Sorting… 55%",
+    );
+    hideModal();
+  });
+
+  it("should call the cancel handler from the Cancel button", () => {
+    const onCancel = vi.fn();
+    showModal(onCancel);
+    document.getElementById("cancelProcessingBtn").click();
+
+    expect(onCancel).toHaveBeenCalledTimes(1);
+    hideModal();
+  });
+
+  it("should hide the Cancel button without a handler", () => {
+    showModal();
+    expect(document.getElementById("cancelProcessingBtn").style.display).toBe(
+      "none",
+    );
+    hideModal();
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Provenance tracking tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import { JSDOM } from "jsdom";
+import {
+  buildProvenance,
+  describeOutputProvenance,
+  describeInputProvenance,
+  attachProvenance,
+  selectProvenance,
+  aggregateCIDRs,
+  generateDiff,
+  renderDiff,
+} from "../app.js";
+import { normalizeInput, extractValidCIDRs } from "../normalizer.js";
+
+describe("buildProvenance", () => {
+  it("should map each output block to the input lines it absorbed", () => {
+    const results = normalizeInput("10.0.0.0/25\n10.0.0.128/25\n192.168.1.1");
+    const output = aggregateCIDRs(extractValidCIDRs(results));
+    const provenance = buildProvenance(results, output);
+
+    const sources = provenance.byOutput.get("10.0.0.0/24");
+    expect(sources.map((s) => s.lineNumber)).toEqual([1, 2]);
+    expect(sources.map((s) => s.original)).toEqual([
+      "10.0.0.0/25",
+      "10.0.0.128/25",
+    ]);
+    expect(provenance.byOutput.get("192.168.1.1/32")[0].lineNumber).toBe(3);
+  });
+
+  it("should map each input to the output block covering it", () => {
+    const results = normalizeInput("10.0.0.0/25\n10.0.0.128/25");
+    const provenance = buildProvenance(results, ["10.0.0.0/24"]);
+
+    expect(provenance.byInput.get("10.0.0.128/25")[0].outputs).toEqual([
+      "10.0.0.0/24",
+    ]);
+  });
+
+  it("should track every CIDR of an expanded range", () => {
+    const results = normalizeInput("10.0.0.1-10.0.0.2");
+    const provenance = buildProvenance(results, ["10.0.0.1/32", "10.0.0.2/32"]);
+
+    expect(provenance.byOutput.get("10.0.0.1/32")[0].original).toBe(
+      "10.0.0.1-10.0.0.2",
+    );
+    expect(provenance.byOutput.get("10.0.0.2/32")[0].original).toBe(
+      "10.0.0.1-10.0.0.2",
+    );
+  });
+
+  it("should list several outputs when an input was split", () => {
+    const results = normalizeInput("10.0.0.0/24");
+    const provenance = buildProvenance(results, [
+      "10.0.0.0/26",
+      "10.0.0.128/25",
+    ]);
+
+    expect(provenance.byInput.get("10.0.0.0/24")[0].outputs).toEqual([
+      "10.0.0.0/26",
+      "10.0.0.128/25",
+    ]);
+  });
+
+  it("should key inputs by their sorted CIDR form", () => {
+    const results = normalizeInput("2001:DB8::/32");
+    const provenance = buildProvenance(results, ["2001:db8::/32"]);
+
+    expect(provenance.byInput.get("2001:db8::/32")[0].original).toBe(
+      "2001:DB8::/32",
+    );
+  });
+
+  it("should skip invalid entries", () => {
+    const results = normalizeInput("10.0.0.0/24\nnot-an-ip");
+    const provenance = buildProvenance(results, ["10.0.0.0/24"]);
+
+    expect(provenance.byOutput.get("10.0.0.0/24")).toHaveLength(1);
+  });
+});
+
+describe("describe provenance", () => {
+  const results = normalizeInput("10.0.0.0/25\n10.0.0.128/25");
+  const provenance = buildProvenance(results, ["10.0.0.0/24"]);
+
+  it("should describe the entries absorbed by an output block", () => {
+    expect(describeOutputProvenance("10.0.0.0/24", provenance)).toEqual([
+      "10.0.0.0/24 absorbed 2 input entries:",
+      "Line 1: 10.0.0.0/25",
+      "Line 2: 10.0.0.128/25",
+    ]);
+  });
+
+  it("should describe the block covering an input", () => {
+    expect(describeInputProvenance("10.0.0.0/25", provenance)).toEqual([
+      "Line 1: 10.0.0.0/25 → 10.0.0.0/24",
+    ]);
+  });
+
+  it("should note inputs missing from the output", () => {
+    const excluded = buildProvenance(results, []);
+    expect(describeInputProvenance("10.0.0.0/25", excluded)).toEqual([
+      "Line 1: 10.0.0.0/25 → not in output",
+    ]);
+  });
+});
+
+describe("attachProvenance", () => {
+  let beforeColumn;
+  let afterColumn;
+  let details;
+
+  beforeEach(() => {
+    const dom = new JSDOM(`
+      <html>
+        <body>
+          <div id="diffContainer" class="diff-container">
+            <div id="beforeColumn" class="diff-column"></div>
+            <div id="afterColumn" class="diff-column"></div>
+            <div id="provenanceDetails" style="display: none"></div>
+          </div>
+        </body>
+      </html>
+    `);
+    global.document = dom.window.document;
+
+    beforeColumn = document.getElementById("beforeColumn");
+    afterColumn = document.getElementById("afterColumn");
+    details = document.getElementById("provenanceDetails");
+
+    const results = normalizeInput("10.0.0.0/25\n10.0.0.128/25\n10.1.0.0/16");
+    const sorted = extractValidCIDRs(results);
+    const output = aggregateCIDRs(sorted);
+    renderDiff(generateDiff(sorted, output));
+    attachProvenance(buildProvenance(results, output));
+  });
+
+  it("should add tooltips listing the absorbed entries", () => {
+    const line = [...afterColumn.querySelectorAll(".diff-line")].find(
+      (div) => div.textContent === "10.0.0.0/24",
+    );
+    expect(line.title).toContain("Line 1: 10.0.0.0/25");
+    expect(line.title).toContain("Line 2: 10.0.0.128/25");
+  });
+
+  it("should highlight absorbed inputs when an output is selected", () => {
+    selectProvenance("10.0.0.0/24", "output");
+
+    const linked = [...beforeColumn.querySelectorAll(".diff-line.linked")].map(
+      (div) => div.textContent,
+    );
+    expect(linked).toEqual(["10.0.0.0/25", "10.0.0.128/25"]);
+    expect(details.style.display).toBe("block");
+    expect(details.textContent).toContain("absorbed 2 input entries");
+  });
+
+  it("should highlight the covering output when an input is clicked", () => {
+    const line = [...beforeColumn.querySelectorAll(".diff-line")].find(
+      (div) => div.textContent === "10.0.0.128/25",
+    );
+    line.click();
+
+    const linked = [...afterColumn.querySelectorAll(".diff-line.linked")].map(
+      (div) => div.textContent,
+    );
+    expect(linked).toEqual(["10.0.0.0/24"]);
+    expect(details.textContent).toContain(
+      "Line 2: 10.0.0.128/25 → 10.0.0.0/24",
+    );
+  });
+
+  it("should clear details when provenance is reset", () => {
+    selectProvenance("10.0.0.0/24", "output");
+    attachProvenance(null);
+
+    expect(details.style.display).toBe("none");
+    expect(details.textContent).toBe("");
+  });
+});
+
+describe("attachProvenance with a virtualized diff", () => {
+  it("should decorate and highlight rows rendered after scrolling", () => {
+    const dom = new JSDOM(`
+      <html>
+        <body>
+          <div id="diffContainer" class="diff-container">
+            <div id="beforeColumn" class="diff-column"></div>
+            <div id="afterColumn" class="diff-column"></div>
+          </div>
+        </body>
+      </html>
+    `);
+    global.document = dom.window.document;
+    const beforeColumn = document.getElementById("beforeColumn");
+
+    const lines = [];
+    for (let i = 0; i < 600; i++) {
+      lines.push(`10.${i >> 7}.${(i & 127) * 2}.0/25`);
+    }
+    const results = normalizeInput(lines.join("\n"));
+    const sorted = extractValidCIDRs(results);
+    const output = aggregateCIDRs(sorted);
+    renderDiff(generateDiff(sorted, output));
+    attachProvenance(buildProvenance(results, output));
+
+    const last = lines[lines.length - 1];
+    selectProvenance(last, "output");
+    beforeColumn.scrollTop = 590 * 20;
+    beforeColumn.onscroll();
+
+    const line = [...beforeColumn.querySelectorAll(".diff-line")].find(
+      (div) => div.textContent === last,
+    );
+    expect(line.dataset.cidr).toBe(last);
+    expect(line.classList.contains("linked")).toBe(true);
+  });
+});
@@ -0,0 +1,469 @@
+/**
+ * Set operation tests (range math, exclude, intersect, compare, limit)
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  mergeRanges,
+  cidrsToRanges,
+  rangeToCIDRs,
+  subtractRanges,
+  excludeCIDRs,
+  intersectRanges,
+  intersectCIDRs,
+  applyOperation,
+  countRangeAddresses,
+  compareCIDRSets,
+  formatComparisonReport,
+  generateComparisonDiff,
+  commonSupernet,
+  aggregateToLimit,
+  transformToFormat,
+  CIDRBlock,
+  IPVersion,
+} from "../app.js";
+
+describe("mergeRanges", () => {
+  it("should merge overlapping and adjacent ranges", () => {
+    const merged = mergeRanges([
+      [10n, 20n],
+      [0n, 4n],
+      [5n, 9n],
+      [15n, 30n],
+      [40n, 50n],
+    ]);
+    expect(merged).toEqual([
+      [0n, 30n],
+      [40n, 50n],
+    ]);
+  });
+
+  it("should return empty array for no ranges", () => {
+    expect(mergeRanges([])).toEqual([]);
+  });
+});
+
+describe("cidrsToRanges", () => {
+  it("should group ranges by IP version", () => {
+    const ranges = cidrsToRanges(["10.0.0.0/24", "2001:db8::/127"]);
+    expect(ranges[IPVersion.IPv4]).toEqual([[167772160n, 167772415n]]);
+    expect(ranges[IPVersion.IPv6]).toHaveLength(1);
+    expect(ranges[IPVersion.IPv6][0][1] - ranges[IPVersion.IPv6][0][0]).toBe(
+      1n,
+    );
+  });
+
+  it("should mask host bits to the network address", () => {
+    const ranges = cidrsToRanges(["10.0.0.5/24"]);
+    expect(ranges[IPVersion.IPv4]).toEqual([[167772160n, 167772415n]]);
+  });
+});
+
+describe("rangeToCIDRs", () => {
+  it("should produce a single block for an aligned range", () => {
+    expect(rangeToCIDRs(167772160n, 167772415n, IPVersion.IPv4)).toEqual([
+      "10.0.0.0/24",
+    ]);
+  });
+
+  it("should split an unaligned range into minimal blocks", () => {
+    // 10.0.0.1 - 10.0.0.6
+    expect(rangeToCIDRs(167772161n, 167772166n, IPVersion.IPv4)).toEqual([
+      "10.0.0.1/32",
+      "10.0.0.2/31",
+      "10.0.0.4/31",
+      "10.0.0.6/32",
+    ]);
+  });
+
+  it("should handle the full IPv4 space", () => {
+    expect(rangeToCIDRs(0n, 4294967295n, IPVersion.IPv4)).toEqual([
+      "0.0.0.0/0",
+    ]);
+  });
+
+  it("should handle the full IPv6 space", () => {
+    expect(rangeToCIDRs(0n, (1n << 128n) - 1n, IPVersion.IPv6)).toEqual([
+      "::/0",
+    ]);
+  });
+});
+
+describe("subtractRanges", () => {
+  it("should carve a hole out of the middle", () => {
+    expect(subtractRanges([[0n, 100n]], [[10n, 20n]])).toEqual([
+      [0n, 9n],
+      [21n, 100n],
+    ]);
+  });
+
+  it("should remove ranges fully covered by an exclusion", () => {
+    expect(subtractRanges([[10n, 20n]], [[0n, 100n]])).toEqual([]);
+  });
+
+  it("should trim exclusions overlapping the edges", () => {
+    expect(
+      subtractRanges(
+        [[10n, 20n]],
+        [
+          [0n, 12n],
+          [18n, 30n],
+        ],
+      ),
+    ).toEqual([[13n, 17n]]);
+  });
+
+  it("should leave ranges untouched when exclusions do not overlap", () => {
+    expect(subtractRanges([[10n, 20n]], [[30n, 40n]])).toEqual([[10n, 20n]]);
+  });
+});
+
+describe("excludeCIDRs", () => {
+  it("should subtract carve-outs from an IPv4 allow range", () => {
+    const result = excludeCIDRs(
+      ["10.0.0.0/8"],
+      ["10.20.0.0/16", "10.99.5.0/24"],
+    );
+
+    expect(result).toEqual([
+      "10.0.0.0/12",
+      "10.16.0.0/14",
+      "10.21.0.0/16",
+      "10.22.0.0/15",
+      "10.24.0.0/13",
+      "10.32.0.0/11",
+      "10.64.0.0/11",
+      "10.96.0.0/15",
+      "10.98.0.0/16",
+      "10.99.0.0/22",
+      "10.99.4.0/24",
+      "10.99.6.0/23",
+      "10.99.8.0/21",
+      "10.99.16.0/20",
+      "10.99.32.0/19",
+      "10.99.64.0/18",
+      "10.99.128.0/17",
+      "10.100.0.0/14",
+      "10.104.0.0/13",
+      "10.112.0.0/12",
+      "10.128.0.0/9",
+    ]);
+  });
+
+  it("should subtract carve-outs from an IPv6 range", () => {
+    const result = excludeCIDRs(["2001:db8::/32"], ["2001:db8::/33"]);
+    expect(result).toEqual(["2001:db8:8000::/33"]);
+  });
+
+  it("should keep IPv4 and IPv6 exclusions separate", () => {
+    const result = excludeCIDRs(
+      ["10.0.0.0/24", "2001:db8::/64"],
+      ["10.0.0.0/25", "2001:db8::/65"],
+    );
+    expect(result).toEqual(["10.0.0.128/25", "2001:db8:0:0:8000::/65"]);
+  });
+
+  it("should merge the remaining space into minimal blocks", () => {
+    const result = excludeCIDRs(
+      ["192.168.0.0/25", "192.168.0.128/25", "192.168.1.0/24"],
+      ["192.168.1.0/24"],
+    );
+    expect(result).toEqual(["192.168.0.0/24"]);
+  });
+
+  it("should return empty array when everything is excluded", () => {
+    expect(excludeCIDRs(["10.0.0.0/24"], ["10.0.0.0/16"])).toEqual([]);
+  });
+
+  it("should return the aggregated input when there are no exclusions", () => {
+    expect(excludeCIDRs(["10.0.0.0/25", "10.0.0.128/25"], [])).toEqual([
+      "10.0.0.0/24",
+    ]);
+  });
+});
+
+describe("intersectRanges", () => {
+  it("should return the overlapping parts", () => {
+    expect(
+      intersectRanges(
+        [
+          [0n, 10n],
+          [20n, 30n],
+        ],
+        [[5n, 25n]],
+      ),
+    ).toEqual([
+      [5n, 10n],
+      [20n, 25n],
+    ]);
+  });
+
+  it("should return empty array when nothing overlaps", () => {
+    expect(intersectRanges([[0n, 10n]], [[11n, 20n]])).toEqual([]);
+  });
+
+  it("should return empty array when either side is empty", () => {
+    expect(intersectRanges([], [[0n, 10n]])).toEqual([]);
+    expect(intersectRanges([[0n, 10n]], [])).toEqual([]);
+  });
+});
+
+describe("intersectCIDRs", () => {
+  it("should return the narrower block when one contains the other", () => {
+    expect(intersectCIDRs(["10.0.0.0/8"], ["10.1.0.0/16"])).toEqual([
+      "10.1.0.0/16",
+    ]);
+  });
+
+  it("should return only space present in both lists", () => {
+    const allowed = ["10.0.0.0/24", "192.168.0.0/16"];
+    const vendor = ["10.0.0.128/25", "10.0.1.0/24", "192.168.5.0/24"];
+    expect(intersectCIDRs(allowed, vendor)).toEqual([
+      "10.0.0.128/25",
+      "192.168.5.0/24",
+    ]);
+  });
+
+  it("should intersect IPv6 lists", () => {
+    expect(
+      intersectCIDRs(["2001:db8::/32"], ["2001:db8:1::/48", "2001:db9::/32"]),
+    ).toEqual(["2001:db8:1::/48"]);
+  });
+
+  it("should not intersect IPv4 with IPv6", () => {
+    expect(intersectCIDRs(["10.0.0.0/8"], ["2001:db8::/32"])).toEqual([]);
+  });
+
+  it("should merge the overlap into minimal blocks", () => {
+    expect(
+      intersectCIDRs(
+        ["10.0.0.0/25", "10.0.0.128/25"],
+        ["10.0.0.0/26", "10.0.0.64/26", "10.0.0.128/25"],
+      ),
+    ).toEqual(["10.0.0.0/24"]);
+  });
+
+  it("should feed into format transformers", () => {
+    const result = intersectCIDRs(["10.0.0.0/8"], ["10.1.0.0/16"]);
+    const models = result.map((c) => CIDRBlock.fromCIDRString(c));
+    expect(transformToFormat(models, "cisco-wildcard")).toBe(
+      "10.1.0.0 0.0.255.255",
+    );
+  });
+});
+
+describe("applyOperation", () => {
+  it("should aggregate by default", () => {
+    expect(
+      applyOperation("aggregate", ["10.0.0.0/25", "10.0.0.128/25"], []),
+    ).toEqual(["10.0.0.0/24"]);
+  });
+
+  it("should dispatch exclude and intersect", () => {
+    expect(applyOperation("exclude", ["10.0.0.0/24"], ["10.0.0.0/25"])).toEqual(
+      ["10.0.0.128/25"],
+    );
+    expect(
+      applyOperation("intersect", ["10.0.0.0/24"], ["10.0.0.0/25"]),
+    ).toEqual(["10.0.0.0/25"]);
+  });
+});
+
+describe("countRangeAddresses", () => {
+  it("should sum inclusive range sizes", () => {
+    expect(
+      countRangeAddresses([
+        [0n, 255n],
+        [1000n, 1000n],
+      ]),
+    ).toBe(257n);
+  });
+
+  it("should count large IPv6 ranges exactly", () => {
+    expect(countRangeAddresses([[0n, (1n << 96n) - 1n]])).toBe(1n << 96n);
+  });
+});
+
+describe("compareCIDRSets", () => {
+  it("should treat differently written but identical space as equal", () => {
+    const comparison = compareCIDRSets(
+      ["10.0.0.0/24"],
+      ["10.0.0.0/25", "10.0.0.128/25"],
+    );
+    expect(comparison.onlyA.cidrs).toEqual([]);
+    expect(comparison.onlyB.cidrs).toEqual([]);
+    expect(comparison.both.cidrs).toEqual(["10.0.0.0/24"]);
+    expect(comparison.both.count).toBe(256n);
+  });
+
+  it("should report space only in A, only in B, and in both", () => {
+    const comparison = compareCIDRSets(
+      ["10.0.0.0/24", "192.168.1.0/24"],
+      ["10.0.0.128/25", "172.16.0.0/30"],
+    );
+    expect(comparison.onlyA).toEqual({
+      cidrs: ["10.0.0.0/25", "192.168.1.0/24"],
+      count: 384n,
+    });
+    expect(comparison.onlyB).toEqual({ cidrs: ["172.16.0.0/30"], count: 4n });
+    expect(comparison.both).toEqual({ cidrs: ["10.0.0.128/25"], count: 128n });
+  });
+
+  it("should compare IPv6 lists", () => {
+    const comparison = compareCIDRSets(["2001:db8::/127"], ["2001:db8::1/128"]);
+    expect(comparison.onlyA.cidrs).toEqual(["2001:db8::/128"]);
+    expect(comparison.onlyB.cidrs).toEqual([]);
+    expect(comparison.both.cidrs).toEqual(["2001:db8::1/128"]);
+  });
+});
+
+describe("formatComparisonReport", () => {
+  it("should list each section with block and address counts", () => {
+    const report = formatComparisonReport(
+      compareCIDRSets(["10.0.0.0/24"], ["10.0.0.128/25", "10.0.1.0/32"]),
+    );
+    expect(report).toBe(
+      [
+        "# Only in A (Input): 1 block(s), 128 address(es)",
+        "10.0.0.0/25",
+        "",
+        "# Only in B: 1 block(s), 1 address(es)",
+        "10.0.1.0/32",
+        "",
+        "# In both: 1 block(s), 128 address(es)",
+        "10.0.0.128/25",
+      ].join("\n"),
+    );
+  });
+});
+
+describe("generateComparisonDiff", () => {
+  it("should mark only-A as removed, only-B as added, shared as unchanged", () => {
+    const parts = generateComparisonDiff(
+      compareCIDRSets(["10.0.0.0/24"], ["10.0.0.128/25", "10.0.1.0/32"]),
+    );
+    expect(parts).toEqual([
+      { value: "10.0.0.0/25\n", count: 1, added: undefined, removed: true },
+      {
+        value: "10.0.0.128/25\n",
+        count: 1,
+        added: undefined,
+        removed: undefined,
+      },
+      { value: "10.0.1.0/32\n", count: 1, added: true, removed: undefined },
+    ]);
+  });
+
+  it("should return no parts for two empty lists", () => {
+    expect(generateComparisonDiff(compareCIDRSets([], []))).toEqual([]);
+  });
+});
+
+describe("commonSupernet", () => {
+  it("should find the smallest block containing both addresses", () => {
+    // 10.0.0.0 and 10.0.2.255 -> 10.0.0.0/22
+    expect(commonSupernet(167772160n, 167772927n, IPVersion.IPv4)).toEqual([
+      167772160n,
+      167773183n,
+    ]);
+  });
+
+  it("should return a single address when both are equal", () => {
+    expect(commonSupernet(5n, 5n, IPVersion.IPv4)).toEqual([5n, 5n]);
+  });
+});
+
+describe("aggregateToLimit", () => {
+  it("should return the exact aggregation when it already fits", () => {
+    const result = aggregateToLimit(["10.0.0.0/25", "10.0.0.128/25"], 5);
+    expect(result.cidrs).toEqual(["10.0.0.0/24"]);
+    expect(result.extra).toEqual([]);
+    expect(result.extraCount).toBe(0n);
+  });
+
+  it("should merge the closest blocks first", () => {
+    const result = aggregateToLimit(
+      ["10.0.0.0/24", "10.0.2.0/24", "10.0.64.0/24"],
+      2,
+    );
+    expect(result.cidrs).toEqual(["10.0.0.0/22", "10.0.64.0/24"]);
+    expect(result.extra).toEqual(["10.0.1.0/24", "10.0.3.0/24"]);
+    expect(result.extraCount).toBe(512n);
+  });
+
+  it("should absorb blocks already inside the chosen supernet", () => {
+    const result = aggregateToLimit(
+      ["10.0.0.0/25", "10.0.1.0/25", "10.0.0.128/26"],
+      1,
+    );
+    expect(result.cidrs).toEqual(["10.0.0.0/23"]);
+    expect(result.extra).toEqual(["10.0.0.192/26", "10.0.1.128/25"]);
+    expect(result.extraCount).toBe(192n);
+  });
+
+  it("should count earlier merges when costing the enclosing supernet", () => {
+    const result = aggregateToLimit(
+      ["10.0.0.0/25", "10.0.1.0/25", "10.0.2.0/24", "10.0.8.0/24"],
+      2,
+    );
+    expect(result.cidrs).toEqual(["10.0.0.0/22", "10.0.8.0/24"]);
+    expect(result.extraCount).toBe(512n);
+  });
+
+  it("should reduce thousands of blocks without rescanning every pair", () => {
+    const cidrs = [];
+    for (let i = 0; i < 4000; i++) {
+      cidrs.push(`10.${(i >> 7) & 255}.${(i * 2) & 255}.0/25`);
+    }
+
+    const started = Date.now();
+    const result = aggregateToLimit(cidrs, 10);
+    expect(Date.now() - started).toBeLessThan(3000);
+    expect(result.cidrs).toEqual([
+      "10.0.0.0/12",
+      "10.16.0.0/13",
+      "10.24.0.0/14",
+      "10.28.0.0/15",
+      "10.30.0.0/16",
+      "10.31.0.0/18",
+    ]);
+    expect(result.extraCount).toBe(1536000n);
+  });
+
+  it("should never merge IPv4 with IPv6", () => {
+    const result = aggregateToLimit(
+      ["10.0.0.0/24", "10.0.2.0/24", "2001:db8::/64", "2001:db8:0:2::/64"],
+      2,
+    );
+    expect(result.cidrs).toEqual(["10.0.0.0/22", "2001:db8::/62"]);
+  });
+
+  it("should prefer the cheaper merge across versions", () => {
+    const result = aggregateToLimit(
+      ["10.0.0.0/24", "10.0.2.0/24", "2001:db8::/64", "2001:db8:0:2::/64"],
+      3,
+    );
+    expect(result.cidrs).toEqual([
+      "10.0.0.0/22",
+      "2001:db8::/64",
+      "2001:db8:0:2::/64",
+    ]);
+  });
+
+  it("should throw for a non-positive limit", () => {
+    expect(() => aggregateToLimit(["10.0.0.0/24"], 0)).toThrow(
+      "Maximum entries must be a positive integer",
+    );
+    expect(() => aggregateToLimit(["10.0.0.0/24"], NaN)).toThrow(
+      "Maximum entries must be a positive integer",
+    );
+  });
+
+  it("should throw when both versions cannot fit", () => {
+    expect(() => aggregateToLimit(["10.0.0.0/24", "2001:db8::/64"], 1)).toThrow(
+      "IPv4 and IPv6 cannot be merged",
+    );
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Special-purpose address classification tests
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import { JSDOM } from "jsdom";
+import {
+  CIDRBlock,
+  classifyCIDR,
+  filterBySpecialPurpose,
+  specialPurposeCIDRs,
+  parseSpecialPurposeCategories,
+  applyNegations,
+} from "../core.js";
+import {
+  generateDiff,
+  renderDiff,
+  attachProvenance,
+  buildProvenance,
+  getLineSpecialPurpose,
+  describeSpecialPurpose,
+} from "../app.js";
+import { normalizeInput, extractValidCIDRs } from "../normalizer.js";
+import { runPipeline } from "../pipeline.js";
+
+/** @param {string} cidr @returns {string[]} Categories, "~" marking partial tags */
+function categories(cidr) {
+  return classifyCIDR(cidr).map(
+    (tag) => `${tag.category}${tag.partial ? "~" : ""}`,
+  );
+}
+
+describe("classifyCIDR", () => {
+  it("should tag blocks inside IPv4 special-purpose space", () => {
+    expect(categories("10.20.0.0/16")).toEqual(["private"]);
+    expect(categories("172.31.255.0/24")).toEqual(["private"]);
+    expect(categories("100.64.1.0/24")).toEqual(["cgnat"]);
+    expect(categories("127.0.0.1")).toEqual(["loopback"]);
+    expect(categories("169.254.169.254/32")).toEqual(["link-local"]);
+    expect(categories("198.51.100.0/24")).toEqual(["documentation"]);
+    expect(categories("198.19.0.0/16")).toEqual(["benchmarking"]);
+    expect(categories("239.1.1.1")).toEqual(["multicast"]);
+    expect(categories("192.88.99.1")).toEqual(["6to4"]);
+    expect(categories("240.0.0.0/8")).toEqual(["reserved"]);
+  });
+
+  it("should tag blocks inside IPv6 special-purpose space", () => {
+    expect(categories("::1")).toEqual(["loopback"]);
+    expect(categories("fd12:3456::/32")).toEqual(["ula"]);
+    expect(categories("fe80::1")).toEqual(["link-local"]);
+    expect(categories("2001:db8:1::/48")).toEqual(["documentation"]);
+    expect(categories("3fff:100::/24")).toEqual(["documentation"]);
+    expect(categories("2002:c000:0204::/48")).toEqual(["6to4"]);
+    expect(categories("ff02::1")).toEqual(["multicast"]);
+    expect(categories("64:ff9b::10.0.0.1/128")).toEqual(["reserved"]);
+  });
+
+  it("should report the registry entry behind each tag", () => {
+    expect(classifyCIDR("192.0.2.0/24")).toEqual([
+      {
+        category: "documentation",
+        name: "Documentation (TEST-NET-1)",
+        rfc: "RFC 5737",
+        cidr: "192.0.2.0/24",
+        partial: false,
+      },
+    ]);
+  });
+
+  it("should mark blocks that only partly overlap a category", () => {
+    expect(categories("192.0.0.0/16")).toEqual(["reserved~", "documentation~"]);
+    expect(categories("172.0.0.0/8")).toEqual(["private~"]);
+    expect(categories("2001::/16")).toEqual([
+      "reserved~",
+      "teredo~",
+      "benchmarking~",
+      "documentation~",
+    ]);
+  });
+
+  it("should prefer the inner entry when registered blocks nest", () => {
+    expect(categories("2001:0:abcd::/48")).toEqual(["teredo"]);
+    expect(categories("2001:2::/48")).toEqual(["benchmarking"]);
+    expect(categories("2001:10::/28")).toEqual(["reserved"]);
+    expect(categories("255.255.255.255")).toEqual(["reserved"]);
+    expect(classifyCIDR("255.255.255.255")[0].name).toBe("Limited Broadcast");
+  });
+
+  it("should leave ordinary space untagged", () => {
+    expect(classifyCIDR("8.8.8.0/24")).toEqual([]);
+    expect(classifyCIDR("2606:4700::/32")).toEqual([]);
+    expect(() => classifyCIDR("not-an-address")).toThrow("Invalid CIDR");
+  });
+
+  it("should be available on CIDRBlock", () => {
+    const block = CIDRBlock.fromCIDRString("100.64.0.0/10");
+    expect(block.classify().map((tag) => tag.category)).toEqual(["cgnat"]);
+  });
+});
+
+describe("special-purpose filters", () => {
+  const cidrs = ["8.8.8.0/24", "192.0.2.10/32", "10.0.0.0/8", "fd00::/8"];
+
+  it("should keep CIDRs in the given categories", () => {
+    expect(filterBySpecialPurpose(cidrs, "documentation")).toEqual([
+      "192.0.2.10/32",
+    ]);
+    expect(filterBySpecialPurpose(cidrs, ["private", "ula"])).toEqual([
+      "10.0.0.0/8",
+      "fd00::/8",
+    ]);
+    expect(filterBySpecialPurpose(cidrs)).toEqual(cidrs.slice(1));
+  });
+
+  it("should count partial overlaps as a match", () => {
+    expect(filterBySpecialPurpose(["192.0.0.0/16"], "documentation")).toEqual([
+      "192.0.0.0/16",
+    ]);
+  });
+
+  it("should list registered blocks to subtract", () => {
+    expect(specialPurposeCIDRs("documentation")).toEqual([
+      "192.0.2.0/24",
+      "198.51.100.0/24",
+      "203.0.113.0/24",
+      "2001:db8::/32",
+      "3fff::/20",
+    ]);
+    expect(
+      applyNegations(["192.0.2.0/23"], specialPurposeCIDRs("documentation"))
+        .cidrs,
+    ).toEqual(["192.0.3.0/24"]);
+  });
+
+  it("should resolve category lists and reject unknown categories", () => {
+    expect(parseSpecialPurposeCategories(" Private , cgnat")).toEqual([
+      "private",
+      "cgnat",
+    ]);
+    expect(parseSpecialPurposeCategories("all")).toHaveLength(11);
+    expect(() => parseSpecialPurposeCategories("bogons")).toThrow(
+      'Unknown special-purpose category "bogons"',
+    );
+  });
+});
+
+describe("runPipeline with dropped special-purpose space", () => {
+  /**
+   * Build an aggregate request
+   * @param {string} input - Input text
+   * @param {string[]|null} dropSpecial - Categories to drop
+   * @returns {Object} Pipeline request
+   */
+  function request(input, dropSpecial) {
+    return {
+      input,
+      secondaryInput: null,
+      operation: "aggregate",
+      maxEntries: null,
+      dropSpecial,
+    };
+  }
+
+  it("should remove the chosen categories before the operation", async () => {
+    const result = await runPipeline(
+      request("8.8.8.0/24\n192.0.2.0/23\n10.0.0.0/8", ["documentation"]),
+    );
+
+    expect(result.keptStrings).toEqual([
+      "8.8.8.0/24",
+      "10.0.0.0/8",
+      "192.0.3.0/24",
+    ]);
+    expect(result.specialRemoved).toEqual(["192.0.2.0/24"]);
+    expect(result.outputCIDRs).toEqual([
+      "8.8.8.0/24",
+      "10.0.0.0/8",
+      "192.0.3.0/24",
+    ]);
+    const removed = result.diffParts
+      .filter((part) => part.removed)
+      .map((part) => part.value)
+      .join("");
+    expect(removed).toContain("!192.0.2.0/24");
+  });
+
+  it("should keep everything without a filter", async () => {
+    const result = await runPipeline(request("192.0.2.0/24", null));
+    expect(result.outputCIDRs).toEqual(["192.0.2.0/24"]);
+    expect(result.specialRemoved).toEqual([]);
+  });
+});
+
+describe("special-purpose tags in the diff view", () => {
+  let afterColumn;
+
+  beforeEach(() => {
+    const dom = new JSDOM(`
+      <html>
+        <body>
+          <div id="diffContainer" class="diff-container">
+            <div id="beforeColumn" class="diff-column"></div>
+            <div id="afterColumn" class="diff-column"></div>
+            <div id="provenanceDetails" style="display: none"></div>
+          </div>
+        </body>
+      </html>
+    `);
+    global.document = dom.window.document;
+    afterColumn = document.getElementById("afterColumn");
+  });
+
+  /** @param {string} text @returns {HTMLElement} After-column line with that text */
+  function afterLine(text) {
+    return [...afterColumn.querySelectorAll(".diff-line")].find(
+      (div) => div.textContent === text,
+    );
+  }
+
+  it("should tag special-purpose lines and leave others alone", () => {
+    const sorted = ["8.8.8.0/24", "192.0.2.0/24", "192.0.0.0/16"];
+    renderDiff(generateDiff(sorted, sorted));
+
+    const documentation = afterLine("192.0.2.0/24");
+    expect(documentation.classList.contains("special-purpose")).toBe(true);
+    expect(documentation.dataset.special).toBe("documentation");
+    expect(documentation.dataset.specialLabel).toBe("documentation");
+    expect(documentation.title).toBe(
+      "In Documentation (TEST-NET-1) 192.0.2.0/24 (RFC 5737)",
+    );
+
+    expect(afterLine("192.0.0.0/16").dataset.specialLabel).toBe(
+      "reserved (partial), documentation (partial)",
+    );
+    expect(afterLine("8.8.8.0/24").dataset.special).toBeUndefined();
+    expect(
+      afterColumn.querySelectorAll('[data-special~="documentation"]'),
+    ).toHaveLength(2);
+  });
+
+  it("should keep the tags in the tooltip next to provenance", () => {
+    const results = normalizeInput("10.0.0.0/25\n10.0.0.128/25");
+    const sorted = extractValidCIDRs(results);
+    renderDiff(generateDiff(sorted, ["10.0.0.0/24"]));
+    attachProvenance(buildProvenance(results, ["10.0.0.0/24"]));
+
+    const line = afterLine("10.0.0.0/24");
+    expect(line.dataset.cidr).toBe("10.0.0.0/24");
+    expect(line.title).toContain("Line 1: 10.0.0.0/25");
+    expect(line.title).toContain("In Private-Use 10.0.0.0/8 (RFC 1918)");
+  });
+
+  it("should classify negated lines and ignore text that is not a CIDR", () => {
+    expect(
+      describeSpecialPurpose(getLineSpecialPurpose("!127.0.0.0/8")),
+    ).toEqual(["In Loopback 127.0.0.0/8 (RFC 1122)"]);
+    expect(getLineSpecialPurpose("Only in A")).toEqual([]);
+  });
+});
@@ -25,6 +25,7 @@ import {
   ReverseDNSTransformer,
   FormatRegistry,
   transformToFormat,
+  parsePortList,
 } from "../app.js";
 
 describe("Format Transformers", () => {
@@ -91,7 +92,7 @@ describe("Format Transformers", () => {
       ];
       const result = transformer.format(blocks);
       expect(result).toBe(
-        "ipv6 access-list FIREWALL permit 2001:db8::/32\nipv6 access-list FIREWALL permit fe80::/10",
+        "ipv6 access-list FIREWALL permit ipv6 2001:db8::/32 any\nipv6 access-list FIREWALL permit ipv6 fe80::/10 any",
       );
     });
 
@@ -103,7 +104,7 @@ describe("Format Transformers", () => {
       ];
       const result = transformer.format(blocks);
       expect(result).toBe(
-        "access-list 101 permit ip 192.168.1.0 0.0.0.255 any\nipv6 access-list FIREWALL permit 2001:db8::/32",
+        "access-list 101 permit ip 192.168.1.0 0.0.0.255 any\nipv6 access-list FIREWALL permit ipv6 2001:db8::/32 any",
       );
     });
 
@@ -293,7 +294,7 @@ describe("Format Transformers", () => {
       ];
       const result = transformer.format(blocks);
       expect(result).toBe(
-        "ipv6 access-list FIREWALL permit 2001:db8::/32\nipv6 access-list FIREWALL permit fe80::/10",
+        "ipv6 access-list FIREWALL permit ipv6 2001:db8::/32 any\nipv6 access-list FIREWALL permit ipv6 fe80::/10 any",
       );
     });
 
@@ -610,4 +611,193 @@ describe("Format Transformers", () => {
       consoleSpy.mockRestore();
     });
   });
+
+  describe("Transformer Options", () => {
+    const v4 = new CIDRBlock("192.168.1.0", 24, IPVersion.IPv4);
+    const v6 = new CIDRBlock("2001:db8::", 32, IPVersion.IPv6);
+
+    it("should declare a schema with a default for every option", () => {
+      for (const transformer of Object.values(FormatRegistry)) {
+        for (const field of transformer.getOptionsSchema()) {
+          expect(field.key).toBeTruthy();
+          expect(field.label).toBeTruthy();
+          expect(["text", "number", "select"]).toContain(field.type);
+          if (field.type === "select") {
+            expect(field.choices).toContain(field.default);
+          }
+        }
+      }
+    });
+
+    it("should fall back to defaults for missing or invalid values", () => {
+      const transformer = new CiscoPrefixListTransformer();
+      const opts = transformer.resolveOptions({
+        action: "maybe",
+        seqStart: "abc",
+        seqStep: 0,
+        unknown: "x",
+      });
+      expect(opts).toEqual({
+        listName: "LIST",
+        ipv6ListName: "LIST6",
+        action: "permit",
+        seqStart: 10,
+        seqStep: 10,
+      });
+    });
+
+    it("should apply Cisco ACL name, action and direction", () => {
+      const result = new CiscoACLTransformer().format([v4, v6], {
+        listName: "EDGE-IN",
+        ipv6ListName: "EDGE6",
+        action: "deny",
+        direction: "destination",
+      });
+      expect(result).toBe(
+        "access-list EDGE-IN deny ip any 192.168.1.0 0.0.0.255\n" +
+          "ipv6 access-list EDGE6 deny ipv6 any 2001:db8::/32",
+      );
+    });
+
+    it("should apply the protocol and direction to IPv6 ACL entries", () => {
+      expect(
+        new CiscoACLTransformer().format([v6], {
+          protocol: "tcp",
+          direction: "destination",
+        }),
+      ).toBe("ipv6 access-list FIREWALL permit tcp any 2001:db8::/32");
+      expect(
+        new CiscoIPv6ACLTransformer().format([v6], {
+          listName: "V6",
+          action: "deny",
+          protocol: "udp",
+        }),
+      ).toBe("ipv6 access-list V6 deny udp 2001:db8::/32 any");
+    });
+
+    it("should apply prefix-list name and sequence numbering", () => {
+      const result = new CiscoPrefixListTransformer().format(
+        [v4, new CIDRBlock("10.0.0.0", 8, IPVersion.IPv4)],
+        { listName: "PEER", seqStart: 5, seqStep: 5, action: "deny" },
+      );
+      expect(result).toBe(
+        "ip prefix-list PEER seq 5 deny 192.168.1.0/24 le 24\n" +
+          "ip prefix-list PEER seq 10 deny 10.0.0.0/8 le 8",
+      );
+    });
+
+    it("should apply the FortiGate group name", () => {
+      const result = new FortigateTransformer().format([v4], {
+        groupName: "vendor_ips",
+      });
+      expect(result).toContain('edit "vendor_ips"');
+    });
+
+    it("should render iptables protocol and ports", () => {
+      const transformer = new IptablesTransformer();
+      expect(
+        transformer.format([v4], {
+          chain: "FORWARD",
+          target: "DROP",
+          direction: "destination",
+          protocol: "tcp",
+          ports: "443",
+        }),
+      ).toBe(
+        "iptables -A FORWARD -d 192.168.1.0/24 -p tcp --dport 443 -j DROP",
+      );
+      expect(
+        transformer.format([v6], { protocol: "udp", ports: "53, 5000-5010" }),
+      ).toBe(
+        "ip6tables -A INPUT -s 2001:db8::/32 -p udp -m multiport --dports 53,5000:5010 -j ACCEPT",
+      );
+    });
+
+    it("should reject ports without a protocol", () => {
+      expect(() =>
+        new IptablesTransformer().format([v4], { ports: "80" }),
+      ).toThrow("Ports require protocol tcp or udp");
+    });
+
+    it("should render UFW ports and direction", () => {
+      const transformer = new UFWTransformer();
+      expect(transformer.format([v4], { protocol: "tcp", ports: "22" })).toBe(
+        "ufw allow from 192.168.1.0/24 to any port 22 proto tcp",
+      );
+      expect(
+        transformer.format([v4], { action: "deny", direction: "destination" }),
+      ).toBe("ufw deny from any to 192.168.1.0/24");
+    });
+
+    it("should apply AWS protocol and port range", () => {
+      const parsed = JSON.parse(
+        new AWSSecurityGroupTransformer().format([v4], {
+          protocol: "tcp",
+          fromPort: 443,
+          toPort: 443,
+        }),
+      );
+      expect(parsed.Rules[0]).toMatchObject({
+        IpProtocol: "tcp",
+        FromPort: 443,
+        ToPort: 443,
+      });
+    });
+
+    it("should apply GCP action, direction, ports and priority", () => {
+      const parsed = JSON.parse(
+        new GCPFirewallTransformer().format([v4], {
+          action: "deny",
+          direction: "EGRESS",
+          protocol: "udp",
+          ports: "53",
+          priority: 900,
+        }),
+      );
+      expect(parsed.Rules[0]).toEqual({
+        name: "rule-192-168-1-0",
+        direction: "EGRESS",
+        priority: 900,
+        destinationRanges: ["192.168.1.0/24"],
+        denied: [{ IPProtocol: "udp", ports: ["53"] }],
+      });
+    });
+
+    it("should give Azure rules unique increasing priorities", () => {
+      const parsed = JSON.parse(
+        new AzureNSGTransformer().format([v4, v6], {
+          priority: 200,
+          priorityStep: 5,
+          access: "Deny",
+        }),
+      );
+      expect(parsed.rules.map((r) => r.properties.priority)).toEqual([
+        200, 205,
+      ]);
+      expect(parsed.rules[0].properties.access).toBe("Deny");
+    });
+
+    it("should pass options through transformToFormat", () => {
+      expect(transformToFormat([v4], "cisco-acl", { listName: "110" })).toBe(
+        "access-list 110 permit ip 192.168.1.0 0.0.0.255 any",
+      );
+    });
+  });
+
+  describe("parsePortList", () => {
+    it("should parse ports and ranges", () => {
+      expect(parsePortList("80, 443,8000-8080")).toEqual([
+        { from: 80, to: 80 },
+        { from: 443, to: 443 },
+        { from: 8000, to: 8080 },
+      ]);
+      expect(parsePortList("")).toEqual([]);
+    });
+
+    it("should reject out-of-range or reversed ports", () => {
+      expect(() => parsePortList("70000")).toThrow('Invalid port: "70000"');
+      expect(() => parsePortList("90-80")).toThrow('Invalid port: "90-80"');
+      expect(() => parsePortList("http")).toThrow('Invalid port: "http"');
+    });
+  });
 });
@@ -10,14 +10,6 @@ import path from "path";
 export default defineConfig({
   resolve: {
     alias: {
-      "https://esm.sh/cidr-tools@8.0.0": path.resolve(
-        __dirname,
-        "node_modules/fast-cidr-tools",
-      ),
-      "https://esm.sh/fast-cidr-tools@0.3.4": path.resolve(
-        __dirname,
-        "node_modules/fast-cidr-tools",
-      ),
       "https://esm.sh/diff@5.1.0": path.resolve(__dirname, "node_modules/diff"),
     },
   },
@@ -0,0 +1,23 @@
+/**
+ * IP Address Aggregate processing worker
+ * Copyright (c) 2025 Jason Tally and contributors
+ * SPDX-License-Identifier: MIT
+ *
+ * Runs runPipeline() off the main thread. Receives {request} and posts
+ * {type: "progress", progress}, then {type: "result", result} or
+ * {type: "error", message}. Cancellation is done by terminating the worker.
+ */
+
+import { runPipeline } from "./pipeline.js";
+
+self.onmessage = async (event) => {
+  try {
+    const result = await runPipeline(event.data.request, {
+      onProgress: (progress) =>
+        self.postMessage({ type: "progress", progress }),
+    });
+    self.postMessage({ type: "result", result });
+  } catch (e) {
+    self.postMessage({ type: "error", message: e.message });
+  }
+};